@@ -0,0 +1,126 @@
+const { parseCommentMetadata } = require('./outputFormatter');
+const { runReviewProcess, GATE_EXIT_CODES } = require('./reviewProcess');
+const { log } = require('./logger');
+
+// Batch review (--all-open): reviews every listed MR/PR in a child process
+// (index.js <url> --output json ...), skipping the ones whose bot comment
+// already covers their head commit, and summarises the scores.
+
+const MAX_TITLE_CHARS = 40;
+
+// Runs fn on the items with at most `concurrency` calls at a time, keeping the order
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+
+  return results;
+}
+
+// Metadata of the bot comment when it was made at the MR's current head, else null
+async function findCurrentReview(client, mr) {
+  if (!mr.headSha || !client.findBotComment) {
+    return null;
+  }
+  const comment = await client.findBotComment(mr.url);
+  const metadata = comment ? parseCommentMetadata(comment.body) : null;
+  return metadata && metadata.headSha === mr.headSha ? metadata : null;
+}
+
+// Default review of one MR: the CLI with a JSON report on stdout
+async function reviewWithCli(mr, reviewArgs, debugMode) {
+  const { code, stdout, errorMessage } = await runReviewProcess(mr.url, ['--output', 'json', ...reviewArgs], {
+    captureStdout: true,
+    onLine: (line) => {
+      if (debugMode) {
+        log(`[${mr.url}] ${line}`);
+      }
+    }
+  });
+
+  if (code !== 0 && !GATE_EXIT_CODES.includes(code)) {
+    throw new Error(errorMessage || `exit code ${code}`);
+  }
+  return { code, report: JSON.parse(stdout) };
+}
+
+// Reviews the MRs and returns one summary row per MR:
+// { url, ref, title, author, status, score, goal_status, findings, error }
+// with status "reviewed", "gate_failed", "skipped" (already reviewed at this
+// head) or "failed".
+async function reviewAll(mrs, { client, concurrency = 2, reviewArgs = [], debugMode = false, review = reviewWithCli }) {
+  return mapWithConcurrency(mrs, concurrency, async (mr) => {
+    const row = { url: mr.url, ref: mr.ref, title: mr.title, author: mr.author };
+
+    const previous = await findCurrentReview(client, mr);
+    if (previous) {
+      log(`⏭️  ${mr.url} already reviewed at ${mr.headSha.substring(0, 8)}`);
+      return { ...row, status: 'skipped', score: previous.score, goal_status: previous.goal_status, findings: null };
+    }
+
+    log(`▶️  Reviewing ${mr.url}`);
+    try {
+      const { code, report } = await review(mr, reviewArgs, debugMode);
+      log(`✓ Reviewed ${mr.url}: ${report.score}/100`);
+      return {
+        ...row,
+        status: GATE_EXIT_CODES.includes(code) ? 'gate_failed' : 'reviewed',
+        score: report.score,
+        goal_status: report.goal_status,
+        findings: (report.errors || []).length,
+        exitCode: code
+      };
+    } catch (error) {
+      log(`❌ Review of ${mr.url} failed: ${error.message}`);
+      return { ...row, status: 'failed', error: error.message };
+    }
+  });
+}
+
+function truncate(text, maxChars) {
+  const value = String(text || '');
+  return value.length > maxChars ? `${value.substring(0, maxChars - 1)}…` : value;
+}
+
+// Plain-text table of the summary rows
+function formatSummaryTable(rows) {
+  const header = ['MR', 'Title', 'Author', 'Score', 'Goal', 'Findings', 'Status'];
+  const lines = rows.map((row) => [
+    row.ref || row.url,
+    truncate(row.title, MAX_TITLE_CHARS),
+    row.author || '-',
+    row.score !== undefined && row.score !== null ? `${row.score}/100` : '-',
+    row.goal_status ? String(row.goal_status).toUpperCase() : '-',
+    row.findings !== undefined && row.findings !== null ? String(row.findings) : '-',
+    row.status === 'failed' ? `failed: ${truncate(row.error, 60)}` : row.status
+  ]);
+
+  const widths = header.map((title, column) => Math.max(title.length, ...lines.map((line) => line[column].length)));
+  const format = (cells) => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [format(header), widths.map((width) => '─'.repeat(width)).join('  '), ...lines.map(format)].join('\n');
+}
+
+// Exit code of the batch: 1 when a review failed, else the exit code of the
+// first failed quality gate, else 0
+function getBatchExitCode(rows) {
+  if (rows.some((row) => row.status === 'failed')) {
+    return 1;
+  }
+  const gateFailure = rows.find((row) => row.status === 'gate_failed');
+  return gateFailure ? gateFailure.exitCode : 0;
+}
+
+module.exports = {
+  mapWithConcurrency,
+  reviewAll,
+  formatSummaryTable,
+  getBatchExitCode
+};
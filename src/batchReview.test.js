@@ -0,0 +1,68 @@
+const { mapWithConcurrency, reviewAll, formatSummaryTable, getBatchExitCode } = require('./batchReview');
+const { formatCommentBody } = require('./outputFormatter');
+
+describe('batchReview', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should keep the order and the concurrency limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('should skip MRs already reviewed at their head and summarise the others', async () => {
+    const reviewedBody = formatCommentBody({ goal_status: 'met', score: 90, errors: [], remarks: '' }, { headSha: 'sha1' });
+    const client = {
+      findBotComment: jest.fn(async (url) => (url.endsWith('/1') ? { id: 1, body: reviewedBody } : null))
+    };
+    const review = jest.fn(async (mr) => {
+      if (mr.id === 3) {
+        throw new Error('GITLAB_TOKEN environment variable is not set');
+      }
+      return { code: 2, report: { score: 55, goal_status: 'partially_met', errors: [{}, {}] } };
+    });
+    const mrs = [1, 2, 3].map((id) => ({ url: `https://gitlab.com/g/p/-/merge_requests/${id}`, id, ref: `!${id}`, title: `MR ${id}`, author: 'dev', headSha: `sha${id}` }));
+
+    const rows = await reviewAll(mrs, { client, concurrency: 2, reviewArgs: ['--comment'], review });
+
+    expect(review).toHaveBeenCalledTimes(2);
+    expect(review.mock.calls[0][1]).toEqual(['--comment']);
+    expect(rows.map((row) => row.status)).toEqual(['skipped', 'gate_failed', 'failed']);
+    expect(rows[0]).toMatchObject({ score: 90, goal_status: 'met' });
+    expect(rows[1]).toMatchObject({ score: 55, findings: 2, exitCode: 2 });
+    expect(getBatchExitCode(rows)).toBe(1);
+    expect(getBatchExitCode(rows.slice(0, 2))).toBe(2);
+    expect(getBatchExitCode(rows.slice(0, 1))).toBe(0);
+
+    const table = formatSummaryTable(rows).split('\n');
+    expect(table[0]).toMatch(/^MR\s+Title\s+Author\s+Score\s+Goal\s+Findings\s+Status$/);
+    expect(table[2]).toMatch(/^!1\s+MR 1\s+dev\s+90\/100\s+MET\s+-\s+skipped$/);
+    expect(table[4]).toContain('failed: GITLAB_TOKEN environment variable is not set');
+  });
+
+  test('should review MRs again after a push', async () => {
+    const body = formatCommentBody({ goal_status: 'met', score: 90, errors: [], remarks: '' }, { headSha: 'old' });
+    const client = { findBotComment: async () => ({ id: 1, body }) };
+    const review = jest.fn(async () => ({ code: 0, report: { score: 80, goal_status: 'met', errors: [] } }));
+
+    const rows = await reviewAll([{ url: 'u', ref: '#1', headSha: 'new' }], { client, review });
+
+    expect(review).toHaveBeenCalledTimes(1);
+    expect(rows[0].status).toBe('reviewed');
+  });
+});
@@ -0,0 +1,419 @@
+const axios = require('axios');
+const { hasCommentMarker, useLinkMarker } = require('./outputFormatter');
+const { buildDiffs } = require('./diffBuilder');
+const { parseUnifiedDiff } = require('./diffParser');
+const { getHost, checkForgeHost } = require('./forgeHosts');
+const { log } = require('./logger');
+
+// Bitbucket Cloud (bitbucket.org) and Bitbucket Server / Data Center. Both
+// serve the raw unified diff of a pull request, which is split per file like
+// local diffs, and take the review as a pull request comment.
+const CLOUD_API = 'https://api.bitbucket.org/2.0';
+
+// Comment pages hold 100 comments (Cloud pagelen, Server limit)
+const MAX_COMMENT_PAGES = 30;
+
+// REST API base of a Bitbucket Server / Data Center URL: BITBUCKET_API when it
+// points at that host, else <base>/rest/api/1.0
+function getServerApiBase(baseUrl) {
+  const configured = (process.env.BITBUCKET_API || '').replace(/\/+$/, '');
+  if (configured && getHost(configured) === getHost(baseUrl)) {
+    return configured;
+  }
+  return `${baseUrl}/rest/api/1.0`;
+}
+
+function parsePRUrl(input, projectArg = null) {
+  if (!input) {
+    throw new Error('PR URL or number is required');
+  }
+
+  // Cloud: https://bitbucket.org/<workspace>/<repo>/pull-requests/<id>
+  const cloudMatch = input.match(/^https?:\/\/(?:www\.)?bitbucket\.org\/([^\/]+)\/([^\/]+)\/pull-requests\/(\d+)/i);
+  if (cloudMatch) {
+    const [, owner, repo, prId] = cloudMatch;
+    return { server: false, apiBase: CLOUD_API, owner, repo, prId };
+  }
+
+  // Server / Data Center (possibly under a context path):
+  // https://<host>/projects/<KEY>/repos/<slug>/pull-requests/<id>, or
+  // /users/<name>/repos/... for personal repositories ("~name" in the API)
+  const serverMatch = input.match(
+    /^(https?:\/\/[^\/?#]+(?:\/[^?#]*?)?)\/(projects|users)\/([^\/]+)\/repos\/([^\/]+)\/pull-requests\/(\d+)/i
+  );
+  if (serverMatch) {
+    const [, baseUrl, kind, key, repo, prId] = serverMatch;
+    checkForgeHost(getHost(baseUrl), 'bitbucket');
+    return {
+      server: true,
+      apiBase: getServerApiBase(baseUrl),
+      owner: kind.toLowerCase() === 'users' ? `~${key}` : key,
+      repo,
+      prId
+    };
+  }
+
+  if (/^\d+$/.test(input)) {
+    const repoPath = projectArg || process.env.BITBUCKET_DEFAULT_REPO;
+    if (!repoPath) {
+      throw new Error(
+        'PR number provided without repository. Use --project flag or set BITBUCKET_DEFAULT_REPO in .env'
+      );
+    }
+
+    const repoMatch = repoPath.match(/^([^\/]+)\/([^\/]+)$/);
+    if (!repoMatch) {
+      throw new Error('Invalid repository format. Expected: workspace/repo (Cloud) or PROJECT/repo (Server)');
+    }
+
+    // PR numbers go to Bitbucket Server when BITBUCKET_API points at one
+    const configured = (process.env.BITBUCKET_API || '').replace(/\/+$/, '');
+    const server = Boolean(configured) && getHost(configured) !== getHost(CLOUD_API);
+    return {
+      server,
+      apiBase: server ? configured : CLOUD_API,
+      owner: repoMatch[1],
+      repo: repoMatch[2],
+      prId: input
+    };
+  }
+
+  throw new Error(
+    'Invalid input format. Expected: Bitbucket PR URL, PR number (with --project or BITBUCKET_DEFAULT_REPO)'
+  );
+}
+
+function getRepoPath({ server, apiBase, owner, repo }) {
+  return server
+    ? `${apiBase}/projects/${owner}/repos/${repo}`
+    : `${apiBase}/repositories/${owner}/${repo}`;
+}
+
+function getPRPath(target) {
+  return target.server
+    ? `${getRepoPath(target)}/pull-requests/${target.prId}`
+    : `${getRepoPath(target)}/pullrequests/${target.prId}`;
+}
+
+// Access tokens are sent as Bearer tokens; with BITBUCKET_USERNAME the token
+// is an app password (or API token) sent with Basic auth
+function getHeaders(accept = 'application/json') {
+  const token = process.env.BITBUCKET_TOKEN;
+  if (!token) {
+    throw new Error('BITBUCKET_TOKEN environment variable is not set');
+  }
+
+  const username = process.env.BITBUCKET_USERNAME;
+  return {
+    'Authorization': username
+      ? `Basic ${Buffer.from(`${username}:${token}`).toString('base64')}`
+      : `Bearer ${token}`,
+    'Accept': accept
+  };
+}
+
+async function getDiffs(prUrl, projectArg = null, maxDiffChars = null) {
+  const target = parsePRUrl(prUrl, projectArg);
+  const headers = getHeaders();
+  const prPath = getPRPath(target);
+
+  try {
+    log(`Fetching PR ${target.prId} from ${target.owner}/${target.repo}...`);
+
+    const prResponse = await axios.get(prPath, { headers, timeout: 30000 });
+    const pr = prResponse.data;
+
+    // Cloud redirects /diff to the repository diff; Server streams <pr>.diff
+    const diffResponse = await axios.get(target.server ? `${prPath}.diff` : `${prPath}/diff`, {
+      headers: getHeaders('text/plain'),
+      timeout: 60000,
+      responseType: 'text'
+    });
+    const files = parseUnifiedDiff(String(diffResponse.data || ''));
+
+    const { diffs, diffStats } = buildDiffs(files, maxDiffChars);
+
+    const source = target.server ? pr.fromRef : pr.source;
+    const destination = target.server ? pr.toRef : pr.destination;
+
+    return {
+      title: pr.title,
+      description: pr.description || 'No description provided',
+      sourceBranch: target.server ? source.displayId : source.branch.name,
+      targetBranch: target.server ? destination.displayId : destination.branch.name,
+      changedFiles: files.length,
+      diffs,
+      files,
+      diffRefs: {
+        baseSha: target.server ? destination.latestCommit : destination.commit && destination.commit.hash,
+        headSha: target.server ? source.latestCommit : source.commit && source.commit.hash
+      },
+      diffStats
+    };
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404) {
+        throw new Error(
+          'PR not found. Check the URL and ensure you have access to this repository.'
+        );
+      } else if (error.response.status === 401 || error.response.status === 403) {
+        throw new Error('Authentication failed. Check your BITBUCKET_TOKEN (and BITBUCKET_USERNAME for app passwords).');
+      }
+      throw new Error(
+        `Bitbucket API error: ${error.response.status} - ${error.response.statusText}`
+      );
+    }
+    throw error;
+  }
+}
+
+// Posts the review summary, editing the previous bot comment (identified by
+// the marker) in place unless options.update is false. Bitbucket escapes
+// HTML, so the metadata goes into a Markdown link reference marker instead.
+async function postComment(prUrl, commentBody, projectArg = null, options = {}) {
+  const target = parsePRUrl(prUrl, projectArg);
+  const prPath = getPRPath(target);
+
+  let previousComment = null;
+  if (options.update !== false) {
+    previousComment = options.previousComment !== undefined
+      ? options.previousComment
+      : await findBotComment(prUrl, projectArg);
+  }
+
+  const body = useLinkMarker(commentBody);
+  const payload = target.server ? { text: body } : { content: { raw: body } };
+
+  if (previousComment) {
+    await sendWithRetry(
+      'put',
+      `${prPath}/comments/${previousComment.id}`,
+      // Server only accepts edits naming the comment version they replace
+      target.server ? { ...payload, version: previousComment.version } : payload,
+      {
+        progressMessage: 'Updating previous review comment on PR...',
+        successMessage: '✓ Comment updated successfully\n',
+        notFoundMessage: 'Previous review comment not found. Cannot update comment.',
+        actionName: 'update comment'
+      }
+    );
+    return;
+  }
+
+  await sendWithRetry('post', `${prPath}/comments`, payload, {
+    progressMessage: 'Posting comment to PR...',
+    successMessage: '✓ Comment posted successfully\n',
+    notFoundMessage: 'PR not found. Cannot post comment.',
+    actionName: 'post comment'
+  });
+}
+
+// Returns the most recent comment posted by mr-pilot on the PR ({ id, body,
+// version }), or null. Only comments of the token's user count: a review
+// quoted or copied by someone else cannot be edited. Lookup failures are
+// reported and treated as "no previous comment".
+async function findBotComment(prUrl, projectArg = null) {
+  const target = parsePRUrl(prUrl, projectArg);
+  const headers = getHeaders();
+  const prPath = getPRPath(target);
+
+  try {
+    const user = await getAuthenticatedUser(target, headers);
+    let comments;
+    if (target.server) {
+      // Server lists comments as pull request activities
+      const activities = await getAllPages(`${prPath}/activities?limit=100`, headers, MAX_COMMENT_PAGES);
+      comments = activities
+        .filter((activity) => activity.action === 'COMMENTED' && activity.comment)
+        .filter(({ comment }) => comment.author && comment.author.name === user)
+        .map(({ comment }) => ({ id: comment.id, body: comment.text, version: comment.version }));
+    } else {
+      const values = await getAllPages(`${prPath}/comments?pagelen=100`, headers, MAX_COMMENT_PAGES);
+      comments = values
+        .filter((comment) => !comment.deleted && !comment.inline && comment.content)
+        .filter((comment) => comment.user && comment.user.account_id === user)
+        .map((comment) => ({ id: comment.id, body: comment.content.raw }));
+    }
+
+    const botComments = comments.filter((comment) => hasCommentMarker(comment.body));
+    if (botComments.length === 0) {
+      return null;
+    }
+
+    // Server lists activities newest first, Cloud comments oldest first
+    return botComments.reduce((latest, comment) => (comment.id > latest.id ? comment : latest));
+  } catch (error) {
+    const reason = error.response ? `${error.response.status} - ${error.response.statusText}` : error.message;
+    log(`⚠️  Could not look up previous review comment (${reason}), a new comment will be posted`);
+    return null;
+  }
+}
+
+// The token's user: the account ID on Cloud, the user name on Server (from the
+// application links whoami servlet, as the REST API has no "current user")
+async function getAuthenticatedUser(target, headers) {
+  let user;
+  if (target.server) {
+    const baseUrl = target.apiBase.replace(/\/rest\/api\/[^/]+$/, '');
+    const response = await axios.get(`${baseUrl}/plugins/servlet/applinks/whoami`, {
+      headers: { ...headers, 'Accept': 'text/plain' },
+      timeout: 30000,
+      responseType: 'text'
+    });
+    user = typeof response.data === 'string' ? response.data.trim() : '';
+  } else {
+    const response = await axios.get(`${target.apiBase}/user`, { headers, timeout: 30000 });
+    user = response.data && response.data.account_id;
+  }
+
+  if (!user) {
+    throw new Error('the token user could not be determined');
+  }
+  return user;
+}
+
+// Returns the content of a file in the PR's repository at the given ref
+// (branch, tag or SHA), or null when the file does not exist there.
+async function getFileContent(prUrl, filePath, ref, projectArg = null) {
+  const target = parsePRUrl(prUrl, projectArg);
+  const headers = getHeaders('*/*');
+  const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+  const url = target.server
+    ? `${getRepoPath(target)}/raw/${encodedPath}?at=${encodeURIComponent(ref)}`
+    : `${getRepoPath(target)}/src/${encodeURIComponent(ref)}/${encodedPath}`;
+
+  try {
+    const response = await axios.get(url, { headers, timeout: 30000, responseType: 'text' });
+    return typeof response.data === 'string' ? response.data : null;
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404) {
+        return null;
+      } else if (error.response.status === 401 || error.response.status === 403) {
+        throw new Error(`Authentication failed or insufficient permissions to read '${filePath}'.`);
+      }
+      throw new Error(`Bitbucket API error reading '${filePath}': ${error.response.status} - ${error.response.statusText}`);
+    }
+    throw error;
+  }
+}
+
+// Collects the values of a paged response: Cloud links the next page,
+// Server gives the start of the next page until isLastPage
+async function getAllPages(url, headers, maxPages) {
+  const items = [];
+  let nextUrl = url;
+
+  for (let page = 0; nextUrl && page < maxPages; page++) {
+    const response = await axios.get(nextUrl, { headers, timeout: 30000 });
+    const data = response.data || {};
+    items.push(...(data.values || []));
+
+    if (data.next) {
+      nextUrl = data.next;
+    } else if (data.isLastPage === false && data.nextPageStart !== undefined) {
+      nextUrl = `${url}&start=${data.nextPageStart}`;
+    } else {
+      nextUrl = null;
+    }
+  }
+
+  return items;
+}
+
+async function sendWithRetry(method, url, payload, messages) {
+  const maxRetries = 3;
+  const timeout = 30000; // 30 seconds
+  const headers = { ...getHeaders(), 'Content-Type': 'application/json' };
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      if (attempt === 1) {
+        log(messages.progressMessage);
+      } else {
+        log(`Retrying... (attempt ${attempt}/${maxRetries})`);
+      }
+
+      const response = await axios[method](url, payload, {
+        headers,
+        timeout: timeout
+      });
+
+      log(messages.successMessage);
+      return response; // Success, exit function
+    } catch (error) {
+      const isLastAttempt = attempt === maxRetries;
+
+      // Check if it's a timeout or network error
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        if (isLastAttempt) {
+          throw new Error(
+            `Failed to ${messages.actionName} after ${maxRetries} attempts: Request timeout`
+          );
+        }
+        log(`⚠️  Request timed out, retrying in 2 seconds...`);
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+        continue;
+      }
+
+      // Check HTTP errors
+      if (error.response) {
+        if (error.response.status === 404) {
+          throw new Error(messages.notFoundMessage);
+        } else if (
+          error.response.status === 401 ||
+          error.response.status === 403
+        ) {
+          throw new Error(
+            `Authentication failed or insufficient permissions to ${messages.actionName}.`
+          );
+        } else if (error.response.status === 409) {
+          // Server: the comment was edited since it was read
+          throw new Error(
+            `Bitbucket rejected the request: the comment changed meanwhile, retry to ${messages.actionName}.`
+          );
+        } else if (error.response.status === 429) {
+          // Rate limit exceeded - retry after Retry-After seconds (at most a minute)
+          if (isLastAttempt) {
+            throw new Error('Bitbucket API rate limit exceeded after retries. Please try again later.');
+          }
+          const retryAfter = Number((error.response.headers || {})['retry-after']) || 2;
+          const waitSeconds = Math.min(retryAfter, 60);
+          log(`⚠️  Rate limit exceeded. Waiting ${waitSeconds} seconds...`);
+          await new Promise((resolve) => setTimeout(resolve, waitSeconds * 1000));
+          continue;
+        } else if (error.response.status >= 500) {
+          // Server error - retry
+          if (isLastAttempt) {
+            throw new Error(
+              `Bitbucket server error after ${maxRetries} attempts: ${error.response.status} - ${error.response.statusText}`
+            );
+          }
+          log(
+            `⚠️  Server error (${error.response.status}), retrying in 2 seconds...`
+          );
+          await new Promise((resolve) => setTimeout(resolve, 2000));
+          continue;
+        } else {
+          throw new Error(
+            `Bitbucket API error: ${error.response.status} - ${error.response.statusText}`
+          );
+        }
+      }
+
+      // Unknown error
+      if (isLastAttempt) {
+        throw error;
+      }
+      log(`⚠️  Error: ${error.message}, retrying in 2 seconds...`);
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+  }
+}
+
+module.exports = {
+  getDiffs,
+  postComment,
+  findBotComment,
+  getFileContent
+};
@@ -0,0 +1,275 @@
+const { getDiffs, postComment, getFileContent } = require('./bitbucketClient');
+const axios = require('axios');
+const { formatCommentBody, parseCommentMetadata } = require('./outputFormatter');
+
+jest.mock('axios');
+
+const rawDiff = [
+  'diff --git a/src/app.js b/src/app.js',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -1 +1 @@',
+  '-const a = 1;',
+  '+const a = 2;',
+  'diff --git a/src/new.js b/src/new.js',
+  'new file mode 100644',
+  '--- /dev/null',
+  '+++ b/src/new.js',
+  '@@ -0,0 +1 @@',
+  '+export {};',
+  ''
+].join('\n');
+
+describe('bitbucketClient', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    process.env.BITBUCKET_TOKEN = 'test-token';
+    process.env.FORGE_HOSTS = 'git.corp=bitbucket';
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    delete process.env.BITBUCKET_TOKEN;
+    delete process.env.BITBUCKET_USERNAME;
+    delete process.env.BITBUCKET_API;
+    delete process.env.BITBUCKET_DEFAULT_REPO;
+    delete process.env.FORGE_HOSTS;
+  });
+
+  describe('getDiffs', () => {
+    test('should read a Bitbucket Cloud PR and its raw diff', async () => {
+      axios.get
+        .mockResolvedValueOnce({
+          data: {
+            title: 'Bump a',
+            description: '',
+            source: { branch: { name: 'feature' }, commit: { hash: 'head123' } },
+            destination: { branch: { name: 'main' }, commit: { hash: 'base123' } }
+          }
+        })
+        .mockResolvedValueOnce({ data: rawDiff });
+
+      const result = await getDiffs('https://bitbucket.org/team/app/pull-requests/42');
+
+      expect(axios.get.mock.calls[0][0]).toBe('https://api.bitbucket.org/2.0/repositories/team/app/pullrequests/42');
+      expect(axios.get.mock.calls[1][0]).toBe('https://api.bitbucket.org/2.0/repositories/team/app/pullrequests/42/diff');
+      expect(axios.get.mock.calls[0][1].headers.Authorization).toBe('Bearer test-token');
+      expect(result.sourceBranch).toBe('feature');
+      expect(result.targetBranch).toBe('main');
+      expect(result.description).toBe('No description provided');
+      expect(result.diffRefs).toEqual({ baseSha: 'base123', headSha: 'head123' });
+      expect(result.files.map((file) => [file.path, file.status])).toEqual([
+        ['src/app.js', 'modified'],
+        ['src/new.js', 'added']
+      ]);
+      expect(result.diffs).toContain('### File: src/new.js (new file)');
+    });
+
+    test('should read a Bitbucket Server PR with app password auth', async () => {
+      process.env.BITBUCKET_USERNAME = 'bot';
+      axios.get
+        .mockResolvedValueOnce({
+          data: {
+            title: 'Bump a',
+            description: 'Details',
+            fromRef: { displayId: 'feature', latestCommit: 'head123' },
+            toRef: { displayId: 'main', latestCommit: 'base123' }
+          }
+        })
+        .mockResolvedValueOnce({ data: rawDiff });
+
+      const result = await getDiffs('https://git.corp/bitbucket/users/jdoe/repos/app/pull-requests/7/overview');
+
+      expect(axios.get.mock.calls[0][0]).toBe('https://git.corp/bitbucket/rest/api/1.0/projects/~jdoe/repos/app/pull-requests/7');
+      expect(axios.get.mock.calls[1][0]).toBe('https://git.corp/bitbucket/rest/api/1.0/projects/~jdoe/repos/app/pull-requests/7.diff');
+      expect(axios.get.mock.calls[0][1].headers.Authorization).toBe(
+        `Basic ${Buffer.from('bot:test-token').toString('base64')}`
+      );
+      expect(result.sourceBranch).toBe('feature');
+      expect(result.diffRefs).toEqual({ baseSha: 'base123', headSha: 'head123' });
+      expect(result.changedFiles).toBe(2);
+    });
+
+    test('should not send the token to unknown Server hosts', async () => {
+      await expect(getDiffs('https://evil.example/projects/PROJ/repos/app/pull-requests/7'))
+        .rejects.toThrow('Unknown forge host "evil.example" for bitbucket');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should use BITBUCKET_API for PR numbers', async () => {
+      process.env.BITBUCKET_API = 'https://git.corp/rest/api/1.0/';
+      process.env.BITBUCKET_DEFAULT_REPO = 'PROJ/app';
+      axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+
+      await expect(getDiffs('7')).rejects.toThrow('PR not found');
+      expect(axios.get.mock.calls[0][0]).toBe('https://git.corp/rest/api/1.0/projects/PROJ/repos/app/pull-requests/7');
+    });
+
+    test('should throw error when token missing', async () => {
+      delete process.env.BITBUCKET_TOKEN;
+      await expect(getDiffs('https://bitbucket.org/team/app/pull-requests/42'))
+        .rejects.toThrow('BITBUCKET_TOKEN environment variable is not set');
+    });
+  });
+
+  describe('postComment', () => {
+    const bot = { account_id: 'bot-1' };
+
+    test('should edit the latest Cloud bot comment across pages', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: bot })
+        .mockResolvedValueOnce({
+          data: {
+            values: [{ id: 1, user: bot, content: { raw: 'Old review\n<!-- mr-pilot-review {} -->' } }],
+            next: 'https://api.bitbucket.org/2.0/repositories/team/app/pullrequests/42/comments?page=2'
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            values: [
+              { id: 5, user: bot, content: { raw: 'Newer review\n<!-- mr-pilot-review {} -->' }, inline: null },
+              { id: 6, user: { account_id: 'alice' }, content: { raw: '> Newer review\n> <!-- mr-pilot-review {} -->' } }
+            ]
+          }
+        });
+      axios.put.mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://bitbucket.org/team/app/pull-requests/42', 'Updated review');
+
+      expect(axios.get.mock.calls[0][0]).toBe('https://api.bitbucket.org/2.0/user');
+      expect(axios.get.mock.calls[2][0]).toContain('page=2');
+      expect(axios.put).toHaveBeenCalledWith(
+        'https://api.bitbucket.org/2.0/repositories/team/app/pullrequests/42/comments/5',
+        { content: { raw: 'Updated review' } },
+        expect.any(Object)
+      );
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should update a Server comment of the token user with its version', async () => {
+      const author = { name: 'review-bot' };
+      axios.get
+        .mockResolvedValueOnce({ data: 'review-bot\n' })
+        .mockResolvedValueOnce({
+          data: {
+            values: [
+              { action: 'COMMENTED', comment: { id: 10, version: 0, author: { name: 'alice' }, text: 'Copy\n<!-- mr-pilot-review {} -->' } },
+              { action: 'COMMENTED', comment: { id: 9, version: 2, author, text: 'New review\n<!-- mr-pilot-review {} -->' } },
+              { action: 'APPROVED' }
+            ],
+            isLastPage: false,
+            nextPageStart: 25
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            values: [{ action: 'COMMENTED', comment: { id: 3, version: 0, author, text: 'Old review\n<!-- mr-pilot-review {} -->' } }],
+            isLastPage: true
+          }
+        });
+      axios.put.mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://git.corp/projects/PROJ/repos/app/pull-requests/7', 'Updated review');
+
+      expect(axios.get.mock.calls[0][0]).toBe('https://git.corp/plugins/servlet/applinks/whoami');
+      expect(axios.get.mock.calls[2][0]).toBe(
+        'https://git.corp/rest/api/1.0/projects/PROJ/repos/app/pull-requests/7/activities?limit=100&start=25'
+      );
+      expect(axios.put).toHaveBeenCalledWith(
+        'https://git.corp/rest/api/1.0/projects/PROJ/repos/app/pull-requests/7/comments/9',
+        { text: 'Updated review', version: 2 },
+        expect.any(Object)
+      );
+    });
+
+    test('should post a new comment when the token user is unknown', async () => {
+      axios.get.mockResolvedValueOnce({ data: '' });
+      axios.post.mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://git.corp/projects/PROJ/repos/app/pull-requests/7', 'Review');
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('token user could not be determined'));
+    });
+
+    test('should post a new comment when update is disabled', async () => {
+      axios.post.mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://git.corp/projects/PROJ/repos/app/pull-requests/7', 'Review', null, { update: false });
+
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://git.corp/rest/api/1.0/projects/PROJ/repos/app/pull-requests/7/comments',
+        { text: 'Review' },
+        expect.any(Object)
+      );
+    });
+
+    test('should store the metadata in a marker Bitbucket does not render', async () => {
+      const review = { goal_status: 'met', score: 80, errors: [{ severity: 'low', message: 'Rename (for clarity)' }], remarks: 'ok' };
+      axios.post.mockResolvedValueOnce({ data: {} });
+
+      await postComment(
+        'https://bitbucket.org/team/app/pull-requests/42',
+        formatCommentBody(review, { headSha: 'abc123' }),
+        null,
+        { update: false }
+      );
+
+      const body = axios.post.mock.calls[0][1].content.raw;
+      expect(body).not.toContain('<!--');
+      expect(body).toMatch(/\n\n\[\/\/\]: # \(mr-pilot-review \{[^()\n]*\}\)$/);
+      expect(parseCommentMetadata(body)).toMatchObject({ goal_status: 'met', score: 80, headSha: 'abc123' });
+      expect(parseCommentMetadata(body).findings).toEqual([expect.objectContaining({ message: 'Rename (for clarity)' })]);
+
+      // The posted comment is found again on the next review
+      axios.get
+        .mockResolvedValueOnce({ data: bot })
+        .mockResolvedValueOnce({ data: { values: [{ id: 7, user: bot, content: { raw: body } }] } });
+      axios.put.mockResolvedValueOnce({ data: {} });
+      await postComment('https://bitbucket.org/team/app/pull-requests/42', 'Updated review');
+      expect(axios.put.mock.calls[0][0]).toContain('/comments/7');
+    });
+
+    test('should retry rate limited requests', async () => {
+      axios.post
+        .mockRejectedValueOnce({ response: { status: 429, headers: { 'retry-after': '1' } } })
+        .mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://bitbucket.org/team/app/pull-requests/42', 'Review', null, { update: false });
+
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Rate limit exceeded. Waiting 1 seconds'));
+    });
+
+    test('should throw error when PR not found', async () => {
+      axios.post.mockRejectedValueOnce({ response: { status: 404 } });
+
+      await expect(postComment('https://bitbucket.org/team/app/pull-requests/999', 'Test', null, { update: false }))
+        .rejects.toThrow('PR not found');
+    });
+  });
+
+  describe('getFileContent', () => {
+    test('should read raw files from Cloud and Server', async () => {
+      axios.get.mockResolvedValueOnce({ data: 'cloud content' }).mockResolvedValueOnce({ data: 'server content' });
+
+      await expect(getFileContent('https://bitbucket.org/team/app/pull-requests/42', 'docs/My Guide.md', 'main'))
+        .resolves.toBe('cloud content');
+      await expect(getFileContent('https://git.corp/projects/PROJ/repos/app/pull-requests/7', 'CONTRIBUTING.md', 'feature/x'))
+        .resolves.toBe('server content');
+
+      expect(axios.get.mock.calls[0][0]).toBe('https://api.bitbucket.org/2.0/repositories/team/app/src/main/docs/My%20Guide.md');
+      expect(axios.get.mock.calls[1][0]).toBe('https://git.corp/rest/api/1.0/projects/PROJ/repos/app/raw/CONTRIBUTING.md?at=feature%2Fx');
+    });
+
+    test('should return null for missing files', async () => {
+      axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+
+      await expect(getFileContent('https://bitbucket.org/team/app/pull-requests/42', 'missing.md', 'main'))
+        .resolves.toBeNull();
+    });
+  });
+});
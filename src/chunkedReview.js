@@ -0,0 +1,224 @@
+const { buildPrompt, buildSynthesisPrompt } = require('./promptBuilder');
+const { requestReview } = require('./reviewRequest');
+const { formatFileDiff } = require('./diffBuilder');
+const { estimateTokens, getPromptTokenLimit } = require('./tokenBudget');
+const { normalizeFinding, sortFindings } = require('./reviewSchema');
+const { log } = require('./logger');
+
+// Lengths the batch results are shortened to when the synthesis prompt is
+// over the token budget
+const MAX_SYNTHESIS_FINDING_CHARS = 300;
+const MAX_SYNTHESIS_REMARKS_CHARS = 500;
+
+// Splits a file whose diff alone exceeds the budget into hunk-aligned parts
+function splitLargeFile(file, maxChars) {
+  const hunks = file.diff.split(/\n(?=@@ )/);
+  const parts = [];
+  let current = '';
+
+  const pushCurrent = () => {
+    if (current) {
+      parts.push(current);
+      current = '';
+    }
+  };
+
+  for (let hunk of hunks) {
+    if (hunk.length > maxChars) {
+      // A single hunk larger than the budget can only be cut
+      hunk = hunk.substring(0, maxChars) + '\n... [hunk truncated: too large for a single batch]';
+    }
+    if (current && current.length + hunk.length + 1 > maxChars) {
+      pushCurrent();
+    }
+    current = current ? `${current}\n${hunk}` : hunk;
+  }
+  pushCurrent();
+
+  return parts.map((diff, idx) => ({ ...file, diff, part: parts.length > 1 ? idx + 1 : undefined }));
+}
+
+// Greedily packs per-file diffs (in order) into batches of at most maxChars
+function splitIntoBatches(files, maxChars) {
+  const batches = [];
+  let current = [];
+  let currentLength = 0;
+
+  const entries = [];
+  for (const file of files) {
+    if (formatFileDiff(file).length > maxChars && file.diff) {
+      entries.push(...splitLargeFile(file, maxChars - file.path.length - 40));
+    } else {
+      entries.push(file);
+    }
+  }
+
+  for (const entry of entries) {
+    const length = formatFileDiff(entry).length;
+    if (current.length > 0 && currentLength + length > maxChars) {
+      batches.push(current);
+      current = [];
+      currentLength = 0;
+    }
+    current.push(entry);
+    currentLength += length;
+  }
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+function mergeInlineComments(batchResults) {
+  const seen = new Set();
+  const merged = [];
+
+  for (const { result } of batchResults) {
+    for (const comment of result.inline_comments || []) {
+      const key = `${comment.file}:${comment.line}:${comment.comment}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        merged.push(comment);
+      }
+    }
+  }
+
+  return merged;
+}
+
+function truncateText(text, maxChars) {
+  return typeof text === 'string' && text.length > maxChars ? `${text.substring(0, maxChars - 1)}…` : text;
+}
+
+// Builds the synthesis prompt within tokenLimit: shortens the findings and
+// remarks of the batch results, then leaves the least severe findings out of
+// the merge. Returns the prompt and the findings left out, which are added
+// to the final result as reported by their batch.
+function buildBudgetedSynthesisPrompt(promptArgs, batchResults, tokenLimit) {
+  const build = (results) => buildSynthesisPrompt({ ...promptArgs, batchResults: results });
+
+  let prompt = build(batchResults);
+  if (!tokenLimit || estimateTokens(prompt) <= tokenLimit) {
+    return { prompt, omitted: [], shortened: false, overBudget: false };
+  }
+
+  const batches = batchResults.map(({ files, result }) => ({
+    files,
+    remarks: truncateText(result.remarks, MAX_SYNTHESIS_REMARKS_CHARS),
+    entries: (result.errors || []).map(normalizeFinding).filter(Boolean).map((finding) => ({
+      original: finding,
+      short: {
+        ...finding,
+        message: truncateText(finding.message, MAX_SYNTHESIS_FINDING_CHARS),
+        suggestion: truncateText(finding.suggestion, MAX_SYNTHESIS_FINDING_CHARS)
+      }
+    }))
+  }));
+  const buildShort = () => build(batches.map(({ files, remarks, entries }, idx) => ({
+    files,
+    result: { ...batchResults[idx].result, remarks, errors: entries.map((entry) => entry.short) }
+  })));
+
+  // Least severe findings first
+  const owners = new Map();
+  batches.forEach((batch) => batch.entries.forEach((entry) => owners.set(entry.short, { batch, entry })));
+  const candidates = sortFindings([...owners.keys()]).reverse().map((finding) => owners.get(finding));
+  const omitted = [];
+
+  prompt = buildShort();
+  let excess = estimateTokens(prompt) - tokenLimit;
+  while (excess > 0 && candidates.length > 0) {
+    // Drop findings worth the excess, then measure the rebuilt prompt again
+    let freed = 0;
+    while (freed < excess && candidates.length > 0) {
+      const { batch, entry } = candidates.shift();
+      batch.entries.splice(batch.entries.indexOf(entry), 1);
+      omitted.push(entry.original);
+      freed += estimateTokens(JSON.stringify(entry.short, null, 2));
+    }
+    prompt = buildShort();
+    excess = estimateTokens(prompt) - tokenLimit;
+  }
+
+  return { prompt, omitted, shortened: true, overBudget: excess > 0 };
+}
+
+// Map-reduce review: each batch of files is reviewed on its own, then a final
+// synthesis request merges the batch results into one verdict.
+async function reviewInChunks({ mrData, ticketScope, guidelines, maxChars, model, debugMode = false }) {
+  const batches = splitIntoBatches(mrData.files || [], maxChars);
+
+  if (batches.length === 0) {
+    throw new Error('No file diffs available for chunked review');
+  }
+
+  log(`Reviewing in ${batches.length} batch(es) of up to ${maxChars.toLocaleString()} chars...\n`);
+
+  const batchResults = [];
+  for (let i = 0; i < batches.length; i++) {
+    const batchFiles = batches[i];
+    const diffs = batchFiles.map(formatFileDiff).join('\n');
+    const files = [...new Set(batchFiles.map((file) => file.path))];
+
+    log(`Batch ${i + 1}/${batches.length}: ${files.length} file(s), ${diffs.length.toLocaleString()} chars`);
+
+    const prompt = buildPrompt({
+      ...mrData,
+      diffs,
+      ticketScope,
+      guidelines,
+      batch: { index: i + 1, total: batches.length, files: files.length }
+    });
+
+    if (debugMode) {
+      log(`📏 Batch ${i + 1} prompt length: ${prompt.length} characters`);
+    }
+
+    let result;
+    try {
+      result = await requestReview(prompt, { debugMode });
+    } catch (error) {
+      throw new Error(`Batch ${i + 1}/${batches.length} failed: ${error.message}`);
+    }
+
+    batchResults.push({ files, result });
+  }
+
+  // A single batch needs no synthesis
+  if (batchResults.length === 1) {
+    return batchResults[0].result;
+  }
+
+  log(`\nMerging ${batchResults.length} batch results...`);
+
+  const tokenLimit = getPromptTokenLimit(model);
+  const { prompt: synthesisPrompt, omitted, shortened, overBudget } = buildBudgetedSynthesisPrompt({ ...mrData, ticketScope }, batchResults, tokenLimit);
+
+  if (shortened) {
+    log(`⚠️  The batch results exceed the ~${tokenLimit.toLocaleString()}-token prompt budget of ${model}: shortened them` +
+      (omitted.length > 0 ? ` and left ${omitted.length} finding(s) out of the merge (kept as reported)` : ''));
+  }
+  if (overBudget) {
+    log('⚠️  The synthesis prompt is still over the budget: the request may fail. Use larger batches (--max-diff-chars) or a model with a larger context');
+  }
+
+  if (debugMode) {
+    log('🤖 DEBUG - Synthesis Prompt:');
+    log('─'.repeat(80));
+    log(synthesisPrompt);
+    log('─'.repeat(80));
+    log();
+  }
+
+  const synthesis = await requestReview(synthesisPrompt, { debugMode });
+
+  return {
+    ...synthesis,
+    errors: [...(synthesis.errors || []), ...omitted],
+    inline_comments: mergeInlineComments(batchResults)
+  };
+}
+
+module.exports = { reviewInChunks, splitIntoBatches };
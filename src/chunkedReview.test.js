@@ -0,0 +1,149 @@
+const { reviewInChunks, splitIntoBatches } = require('./chunkedReview');
+const { formatFileDiff } = require('./diffBuilder');
+const { analyzeMR } = require('./openrouterClient');
+const { estimateTokens, getPromptTokenLimit } = require('./tokenBudget');
+
+jest.mock('./openrouterClient', () => ({
+  analyzeMR: jest.fn()
+}));
+
+describe('chunkedReview', () => {
+  const makeFile = (path, size) => ({
+    path,
+    oldPath: path,
+    diff: `@@ -1,1 +1,1 @@\n+${'x'.repeat(size)}`
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('splitIntoBatches', () => {
+    test('should pack files in order without exceeding the budget', () => {
+      const files = [makeFile('a.js', 400), makeFile('b.js', 400), makeFile('c.js', 400)];
+
+      const batches = splitIntoBatches(files, 1000);
+
+      expect(batches.map((batch) => batch.map((file) => file.path))).toEqual([['a.js', 'b.js'], ['c.js']]);
+      batches.forEach((batch) => {
+        expect(batch.map(formatFileDiff).join('\n').length).toBeLessThanOrEqual(1000);
+      });
+    });
+
+    test('should split a file larger than the budget on hunk boundaries', () => {
+      const hunk = (start) => `@@ -${start},1 +${start},1 @@\n+${'y'.repeat(300)}`;
+      const bigFile = { path: 'big.js', oldPath: 'big.js', diff: [hunk(1), hunk(50), hunk(100)].join('\n') };
+
+      const batches = splitIntoBatches([bigFile], 500);
+
+      expect(batches.length).toBe(3);
+      expect(batches[1][0].part).toBe(2);
+      expect(batches[1][0].diff.startsWith('@@ -50,1')).toBe(true);
+      expect(formatFileDiff(batches[1][0])).toContain('### File: big.js (part 2)');
+    });
+  });
+
+  describe('reviewInChunks', () => {
+    const mrData = {
+      title: 'Big refactor',
+      description: 'Refactor everything',
+      sourceBranch: 'refactor',
+      targetBranch: 'main',
+      changedFiles: 2,
+      files: [makeFile('a.js', 800), makeFile('b.js', 800)]
+    };
+
+    test('should review each batch and merge them with a synthesis request', async () => {
+      analyzeMR
+        .mockResolvedValueOnce(JSON.stringify({
+          goal_status: 'partially_met',
+          errors: ['a.js: missing check'],
+          inline_comments: [{ file: 'a.js', line: 1, comment: 'Check input' }],
+          remarks: 'Batch one',
+          score: 70
+        }))
+        .mockResolvedValueOnce(JSON.stringify({
+          goal_status: 'partially_met',
+          errors: ['b.js: dead code'],
+          inline_comments: [],
+          remarks: 'Batch two',
+          score: 80
+        }))
+        .mockResolvedValueOnce(JSON.stringify({
+          goal_status: 'met',
+          errors: [
+            { severity: 'high', category: 'bug', file: 'a.js', line: 1, message: 'missing check', suggestion: null },
+            'b.js: dead code'
+          ],
+          remarks: 'Overall fine',
+          score: 75
+        }));
+
+      const result = await reviewInChunks({ mrData, maxChars: 1000 });
+
+      expect(analyzeMR).toHaveBeenCalledTimes(3);
+      expect(analyzeMR.mock.calls[0][0][0].content).toContain('batch 1 of 2');
+      expect(analyzeMR.mock.calls[2][0][0].content).toContain('Batch 2 of 2 (b.js)');
+      expect(result).toEqual({
+        goal_status: 'met',
+        errors: [
+          { severity: 'high', category: 'bug', file: 'a.js', line: 1, message: 'missing check', suggestion: null },
+          { severity: null, category: null, file: null, line: null, message: 'b.js: dead code', suggestion: null }
+        ],
+        remarks: 'Overall fine',
+        score: 75,
+        inline_comments: [{ file: 'a.js', line: 1, comment: 'Check input' }]
+      });
+    });
+
+    test('should trim the batch results to fit the synthesis prompt in the token budget', async () => {
+      const finding = (severity, file, idx) => ({
+        severity, category: 'bug', file, line: idx + 1, message: `${severity} issue ${idx}: ${'detail '.repeat(150)}`, suggestion: null
+      });
+      const batchResult = (file, severity) => JSON.stringify({
+        goal_status: 'partially_met',
+        errors: Array.from({ length: 15 }, (_, idx) => finding(idx === 0 ? 'critical' : severity, file, idx)),
+        inline_comments: [],
+        remarks: 'Remark '.repeat(300),
+        score: 60
+      });
+      analyzeMR
+        .mockResolvedValueOnce(batchResult('a.js', 'info'))
+        .mockResolvedValueOnce(batchResult('b.js', 'low'))
+        .mockResolvedValueOnce(JSON.stringify({ goal_status: 'partially_met', errors: [], remarks: 'Merged', score: 60 }));
+
+      const result = await reviewInChunks({ mrData, maxChars: 1000, model: 'llama2:7b' });
+
+      const synthesisPrompt = analyzeMR.mock.calls[2][0][0].content;
+      expect(estimateTokens(synthesisPrompt)).toBeLessThanOrEqual(getPromptTokenLimit('llama2:7b', {}));
+      expect(synthesisPrompt).toContain('critical issue 0');
+      expect(synthesisPrompt).not.toContain('info issue 14');
+      // The findings left out of the merge are kept unshortened
+      const omitted = result.errors.filter((error) => error.severity === 'info');
+      expect(omitted.length).toBeGreaterThan(0);
+      expect(omitted[0].message).toContain('detail '.repeat(150).trim());
+      expect(result.errors.some((error) => error.severity === 'critical')).toBe(false);
+    });
+
+    test('should skip synthesis when everything fits in one batch', async () => {
+      analyzeMR.mockResolvedValueOnce('{"goal_status":"met","errors":[],"remarks":"ok","score":90}');
+
+      const result = await reviewInChunks({ mrData, maxChars: 5000 });
+
+      expect(analyzeMR).toHaveBeenCalledTimes(1);
+      expect(result.score).toBe(90);
+    });
+
+    test('should report which batch failed', async () => {
+      analyzeMR.mockRejectedValueOnce(new Error('LLM request timed out'));
+
+      await expect(reviewInChunks({ mrData, maxChars: 1000 }))
+        .rejects.toThrow('Batch 1/2 failed: LLM request timed out');
+    });
+  });
+});
@@ -1,78 +1,104 @@
-const { getDiffs: getGitLabDiffs, postComment: postGitLabComment } = require('./gitlabClient');
-const { getDiffs: getGitHubDiffs, postComment: postGitHubComment } = require('./githubClient');
+const gitlabClient = require('./gitlabClient');
+const githubClient = require('./githubClient');
+const bitbucketClient = require('./bitbucketClient');
+const giteaClient = require('./giteaClient');
+const localClient = require('./localClient');
+const patchClient = require('./patchClient');
+const { PLATFORMS, PLATFORM_ALIASES, detectPlatform } = require('./forgeHosts');
+
+const clients = {
+  gitlab: gitlabClient,
+  github: githubClient,
+  bitbucket: bitbucketClient,
+  gitea: giteaClient,
+  local: localClient,
+  patch: patchClient
+};
+
+// Every client module exposes the same functions (getDiffs, postComment, ...)
+function createClient(platform) {
+  return { ...clients[platform], platform };
+}
 
 function getClient(urlOrId, projectArg = null, platformArg = null) {
+  // Local reviews default to the current branch, so no ID is required
+  if (platformArg === 'local') {
+    return createClient('local');
+  }
+
+  // Patch files are only selected explicitly (--diff-file)
+  if (platformArg === 'patch') {
+    return createClient('patch');
+  }
+
   if (!urlOrId) {
     throw new Error('URL or ID is required');
   }
   
   // If platform is explicitly specified, use it
   if (platformArg) {
-    if (platformArg === 'github') {
-      return {
-        getDiffs: getGitHubDiffs,
-        postComment: postGitHubComment,
-        platform: 'github'
-      };
-    } else if (platformArg === 'gitlab') {
-      return {
-        getDiffs: getGitLabDiffs,
-        postComment: postGitLabComment,
-        platform: 'gitlab'
-      };
+    const platform = PLATFORM_ALIASES[platformArg] || platformArg;
+    if (PLATFORMS.includes(platform)) {
+      return createClient(platform);
     }
   }
   
-  // Check if it's a GitHub URL
-  const githubPattern = /github\.com/;
-  const gitlabPattern = /gitlab/;
-  
-  if (githubPattern.test(urlOrId)) {
-    return {
-      getDiffs: getGitHubDiffs,
-      postComment: postGitHubComment,
-      platform: 'github'
-    };
+  // MR/PR URLs, including self-hosted instances (see forgeHosts)
+  const detected = detectPlatform(urlOrId);
+  if (detected) {
+    return createClient(detected);
   }
-  
-  if (gitlabPattern.test(urlOrId)) {
-    return {
-      getDiffs: getGitLabDiffs,
-      postComment: postGitLabComment,
-      platform: 'gitlab'
-    };
+
+  // A git revision range (e.g. main...feature) is reviewed locally
+  if (!/^https?:\/\//.test(urlOrId) && /^[^\s]+?\.{2,3}[^\s]*$/.test(urlOrId)) {
+    return createClient('local');
   }
   
   // If it's just a number, auto-select based on configured defaults
   if (/^\d+$/.test(urlOrId)) {
-    const githubRepo = projectArg || process.env.GITHUB_DEFAULT_REPO;
-    const gitlabProject = process.env.GITLAB_DEFAULT_PROJECT;
-    
-    // Auto-select GitHub if GITHUB_DEFAULT_REPO is configured (2 segments = GitHub)
-    if (githubRepo && githubRepo.trim() && githubRepo.split('/').length === 2) {
-      return {
-        getDiffs: getGitHubDiffs,
-        postComment: postGitHubComment,
-        platform: 'github'
-      };
+    return createClient(selectFromDefaults(projectArg));
+  }
+  
+  // Default to GitLab if no configuration found
+  return createClient('gitlab');
+}
+
+// Client listing the MRs/PRs of a project or group (batch reviews), chosen
+// like the client of an MR number
+function getProjectClient(projectArg = null, platformArg = null) {
+  if (!platformArg) {
+    return createClient(selectFromDefaults(projectArg));
+  }
+  const platform = PLATFORM_ALIASES[platformArg] || platformArg;
+  if (!PLATFORMS.includes(platform)) {
+    throw new Error(`Listing MRs is not supported for ${platformArg} reviews`);
+  }
+  return createClient(platform);
+}
+
+// Platform of an MR number or project path, from the configured defaults
+function selectFromDefaults(projectArg) {
+  const githubRepo = projectArg || process.env.GITHUB_DEFAULT_REPO;
+  const gitlabProject = process.env.GITLAB_DEFAULT_PROJECT;
+
+  // Bitbucket or Gitea when it is the only forge with a default repository
+  if (!process.env.GITHUB_DEFAULT_REPO && !(gitlabProject && gitlabProject.trim())) {
+    if (process.env.BITBUCKET_DEFAULT_REPO) {
+      return 'bitbucket';
     }
-    
-    // Auto-select GitLab if GITLAB_DEFAULT_PROJECT is configured or project has 3+ segments
-    if ((gitlabProject && gitlabProject.trim()) || (githubRepo && githubRepo.split('/').length >= 3)) {
-      return {
-        getDiffs: getGitLabDiffs,
-        postComment: postGitLabComment,
-        platform: 'gitlab'
-      };
+    if (process.env.GITEA_DEFAULT_REPO) {
+      return 'gitea';
     }
   }
   
-  // Default to GitLab if no configuration found
-  return {
-    getDiffs: getGitLabDiffs,
-    postComment: postGitLabComment,
-    platform: 'gitlab'
-  };
+  // Auto-select GitHub if GITHUB_DEFAULT_REPO is configured (2 segments = GitHub)
+  if (githubRepo && githubRepo.trim() && githubRepo.split('/').length === 2) {
+    return 'github';
+  }
+  
+  // Otherwise GitLab: GITLAB_DEFAULT_PROJECT, a project with 3+ segments, or
+  // no configuration at all
+  return 'gitlab';
 }
 
-module.exports = { getClient };
\ No newline at end of file
+module.exports = { getClient, getProjectClient };
\ No newline at end of file
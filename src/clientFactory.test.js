@@ -1,4 +1,4 @@
-const { getClient } = require('./clientFactory');
+const { getClient, getProjectClient } = require('./clientFactory');
 
 // Mock the client modules
 jest.mock('./gitlabClient', () => ({
@@ -11,6 +11,24 @@ jest.mock('./githubClient', () => ({
   postComment: jest.fn()
 }));
 
+jest.mock('./bitbucketClient', () => ({
+  getDiffs: jest.fn(),
+  postComment: jest.fn()
+}));
+
+jest.mock('./giteaClient', () => ({
+  getDiffs: jest.fn(),
+  postComment: jest.fn()
+}));
+
+jest.mock('./localClient', () => ({
+  getDiffs: jest.fn()
+}));
+
+jest.mock('./patchClient', () => ({
+  getDiffs: jest.fn()
+}));
+
 describe('clientFactory', () => {
   beforeEach(() => {
     delete process.env.GITHUB_DEFAULT_REPO;
@@ -27,6 +45,51 @@ describe('clientFactory', () => {
       const client = getClient('https://gitlab.com/group/project/-/merge_requests/456');
       expect(client.platform).toBe('gitlab');
     });
+
+    test('should detect configured self-hosted instances', () => {
+      process.env.FORGE_HOSTS = 'ghe.corp=github,code.corp=gitlab';
+      expect(getClient('https://ghe.corp/owner/repo/pull/12').platform).toBe('github');
+      expect(getClient('https://code.corp/group/project/-/merge_requests/7').platform).toBe('gitlab');
+
+      process.env.FORGE_HOSTS = 'ghe.corp=gitlab';
+      expect(getClient('https://ghe.corp/owner/repo/pull/12').platform).toBe('gitlab');
+      delete process.env.FORGE_HOSTS;
+    });
+
+    test('should refuse MR/PR URLs of unknown hosts', () => {
+      expect(() => getClient('https://ghe.corp/owner/repo/pull/12')).toThrow('Unknown forge host "ghe.corp"');
+      expect(() => getClient('https://gitlab.evil.example/group/project/-/merge_requests/7')).toThrow('FORGE_HOSTS');
+    });
+
+    test('should detect Bitbucket and Gitea/Forgejo URLs', () => {
+      expect(getClient('https://bitbucket.org/team/app/pull-requests/3').platform).toBe('bitbucket');
+      expect(getClient('https://codeberg.org/team/app/pulls/3').platform).toBe('gitea');
+
+      process.env.FORGE_HOSTS = 'git.corp=bitbucket,forgejo.corp=forgejo';
+      expect(getClient('https://git.corp/projects/PROJ/repos/app/pull-requests/3').platform).toBe('bitbucket');
+      expect(getClient('https://forgejo.corp/team/app/pulls/3').platform).toBe('gitea');
+      delete process.env.FORGE_HOSTS;
+    });
+  });
+
+  describe('Local reviews', () => {
+    test('should detect a git revision range', () => {
+      expect(getClient('main...feature').platform).toBe('local');
+      expect(getClient('origin/main..HEAD').platform).toBe('local');
+    });
+
+    test('should use the local client without an ID when platform is local', () => {
+      const client = getClient(null, null, 'local');
+      expect(client.platform).toBe('local');
+      expect(client.postComment).toBeUndefined();
+    });
+  });
+
+  describe('Patch reviews', () => {
+    test('should only use the patch client when selected explicitly', () => {
+      expect(getClient('-', null, 'patch').platform).toBe('patch');
+      expect(getClient('change.patch', null, 'patch').platform).toBe('patch');
+    });
   });
 
   describe('Platform flag', () => {
@@ -39,6 +102,12 @@ describe('clientFactory', () => {
       const client = getClient('456', 'group/project', 'gitlab');
       expect(client.platform).toBe('gitlab');
     });
+
+    test('should use platform flag for bitbucket, gitea and forgejo', () => {
+      expect(getClient('7', 'team/app', 'bitbucket').platform).toBe('bitbucket');
+      expect(getClient('7', 'team/app', 'gitea').platform).toBe('gitea');
+      expect(getClient('7', 'team/app', 'forgejo').platform).toBe('gitea');
+    });
   });
 
   describe('Auto-selection based on default repos', () => {
@@ -67,6 +136,19 @@ describe('clientFactory', () => {
       expect(client.platform).toBe('github');
     });
 
+    test('should auto-select Bitbucket or Gitea when they are the only default', () => {
+      process.env.BITBUCKET_DEFAULT_REPO = 'team/app';
+      expect(getClient('123').platform).toBe('bitbucket');
+      process.env.GITHUB_DEFAULT_REPO = 'owner/repo';
+      expect(getClient('123').platform).toBe('github');
+      delete process.env.BITBUCKET_DEFAULT_REPO;
+      delete process.env.GITHUB_DEFAULT_REPO;
+
+      process.env.GITEA_DEFAULT_REPO = 'team/app';
+      expect(getClient('123').platform).toBe('gitea');
+      delete process.env.GITEA_DEFAULT_REPO;
+    });
+
     test('should handle 3-segment paths correctly', () => {
       const client = getClient('123', 'group/subgroup/project');
       expect(client.platform).toBe('gitlab');
@@ -84,4 +166,13 @@ describe('clientFactory', () => {
       expect(() => getClient(undefined)).toThrow('URL or ID is required');
     });
   });
+
+  describe('Project clients (batch reviews)', () => {
+    test('should choose the platform like for MR numbers', () => {
+      expect(getProjectClient('owner/repo').platform).toBe('github');
+      expect(getProjectClient('group/sub/project').platform).toBe('gitlab');
+      expect(getProjectClient(null, 'forgejo').platform).toBe('gitea');
+      expect(() => getProjectClient(null, 'local')).toThrow('Listing MRs is not supported for local reviews');
+    });
+  });
 });
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { log } = require('./logger');
+
+const CONFIG_FILE_NAMES = ['.mr-pilot.json', '.mr-pilot.yml', '.mr-pilot.yaml'];
+
+// Config keys that set an environment variable (only when it is not set
+// already, so the environment wins over config files)
+const ENV_KEYS = {
+  provider: 'LLM_PROVIDER',
+  model: 'LLM_MODEL',
+  apiUrl: 'LLM_API_URL',
+  providerModule: 'LLM_PROVIDER_MODULE',
+  maxTokens: 'LLM_MAX_TOKENS',
+  contextTokens: 'LLM_CONTEXT_TOKENS',
+  structuredOutput: 'LLM_STRUCTURED_OUTPUT',
+  maxDiffChars: 'MAX_DIFF_CHARS',
+  gitlabApi: 'GITLAB_API',
+  githubApi: 'GITHUB_API',
+  bitbucketApi: 'BITBUCKET_API',
+  giteaApi: 'GITEA_API',
+  forgeHosts: 'FORGE_HOSTS',
+  gitlabProject: 'GITLAB_DEFAULT_PROJECT',
+  githubRepo: 'GITHUB_DEFAULT_REPO',
+  bitbucketRepo: 'BITBUCKET_DEFAULT_REPO',
+  giteaRepo: 'GITEA_DEFAULT_REPO',
+  localDefaultBase: 'LOCAL_DEFAULT_BASE',
+  cacheDir: 'MR_PILOT_CACHE_DIR',
+  cacheTtl: 'MR_PILOT_CACHE_TTL',
+  jiraUrl: 'JIRA_URL',
+  jiraProjects: 'JIRA_PROJECTS',
+  jiraAcceptanceField: 'JIRA_ACCEPTANCE_FIELD'
+};
+
+// Config keys read directly by the CLI (command line flags win)
+const OPTION_TYPES = {
+  guidelinesFile: 'string',
+  inputFile: 'string',
+  include: 'array',
+  exclude: 'array',
+  includeGenerated: 'boolean',
+  repoGuidelines: 'boolean',
+  linkedIssues: 'boolean',
+  chunked: 'boolean',
+  failOnTruncate: 'boolean',
+  minScore: 'number',
+  failOnGoal: 'string',
+  failOnSeverity: 'string',
+  comment: 'boolean',
+  inline: 'boolean',
+  newComment: 'boolean',
+  commentHistory: 'boolean',
+  incremental: 'boolean',
+  cache: 'boolean'
+};
+
+// Keys holding paths, resolved relative to the config file that sets them
+const PATH_KEYS = ['providerModule', 'guidelinesFile', 'inputFile', 'cacheDir'];
+
+// Settings that decide where credentials are sent, which code runs or where
+// cached review results are read from. A discovered repository config may
+// come from an untrusted branch, so these are only accepted from the user
+// config or an explicit --config file. The provider and model are included:
+// switching them would send LLM_API_KEY to another vendor.
+const TRUSTED_ONLY_KEYS = ['provider', 'model', 'apiUrl', 'providerModule', 'gitlabApi', 'githubApi', 'bitbucketApi', 'giteaApi', 'forgeHosts', 'jiraUrl', 'cacheDir'];
+
+function readConfigFile(filePath, { trusted = true } = {}) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to read config file '${filePath}': ${error.message}`);
+  }
+
+  return parseConfig(content, filePath, { trusted });
+}
+
+// Parses and validates config file content. Untrusted (repository) configs
+// lose their TRUSTED_ONLY_KEYS and paths leaving their directory; remote ones
+// (read through the forge API) get their paths as "repo:" paths of the
+// reviewed repository.
+function parseConfig(content, filePath, { trusted = true, remote = false } = {}) {
+  let data;
+  try {
+    data = filePath.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Invalid config file '${filePath}': ${error.message}`);
+  }
+
+  const config = validateConfig(data || {}, filePath, { remote });
+
+  if (!trusted) {
+    for (const key of TRUSTED_ONLY_KEYS) {
+      if (config[key] !== undefined) {
+        log(`⚠️  "${key}" is ignored in repository config ${filePath}: set it in the user config, --config or the environment`);
+        delete config[key];
+      }
+    }
+
+    // The files are sent to the LLM and may be quoted in the posted review
+    const root = path.dirname(path.resolve(filePath));
+    for (const key of PATH_KEYS) {
+      const value = data && data[key];
+      if (config[key] === undefined || remote || String(value).startsWith('repo:')) {
+        continue;
+      }
+      const relative = path.relative(root, config[key]);
+      if (path.isAbsolute(String(value)) || relative.startsWith('..') || path.isAbsolute(relative)) {
+        log(`⚠️  "${key}" is ignored in repository config ${filePath}: the path must stay inside the repository`);
+        delete config[key];
+      }
+    }
+  }
+
+  return config;
+}
+
+// Checks key names and value types, and resolves paths against the file's directory
+function validateConfig(data, filePath, { remote = false } = {}) {
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid config file '${filePath}': expected an object of settings`);
+  }
+
+  const config = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    if (ENV_KEYS[key]) {
+      if (typeof value === 'object') {
+        throw new Error(`Invalid config file '${filePath}': "${key}" must be a string, number or boolean`);
+      }
+    } else if (OPTION_TYPES[key]) {
+      const expected = OPTION_TYPES[key];
+      const valid = expected === 'array'
+        ? Array.isArray(value) && value.every((item) => typeof item === 'string')
+        : typeof value === expected;
+      if (!valid) {
+        throw new Error(`Invalid config file '${filePath}': "${key}" must be ${expected === 'array' ? 'a list of strings' : `a ${expected}`}`);
+      }
+    } else {
+      log(`⚠️  Unknown setting "${key}" in ${filePath} (ignored)`);
+      continue;
+    }
+
+    // "repo:" paths are read from the reviewed repository, not the file system
+    const isPath = PATH_KEYS.includes(key) && !String(value).startsWith('repo:');
+    if (isPath && remote) {
+      config[key] = `repo:${path.posix.normalize(String(value)).replace(/^(\.\/|\/)+/, '')}`;
+    } else {
+      config[key] = isPath ? path.resolve(path.dirname(filePath), value) : value;
+    }
+  }
+
+  return config;
+}
+
+function findConfigInDir(dir) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const candidate = path.join(dir, name);
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Nearest config file from startDir upward, stopping before the home
+// directory (the config there is the user config)
+function findRepoConfig(startDir, homeDir = os.homedir()) {
+  let dir = path.resolve(startDir);
+  while (dir !== path.resolve(homeDir)) {
+    const found = findConfigInDir(dir);
+    if (found) {
+      return found;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+  return null;
+}
+
+function findUserConfig(homeDir = os.homedir()) {
+  const xdgDir = process.env.XDG_CONFIG_HOME || path.join(homeDir, '.config');
+  const xdgConfig = ['config.json', 'config.yml', 'config.yaml']
+    .map((name) => path.join(xdgDir, 'mr-pilot', name))
+    .find((candidate) => fs.existsSync(candidate));
+  return xdgConfig || findConfigInDir(homeDir);
+}
+
+// Loads the user config and the repository config (explicit configPath, or
+// the nearest .mr-pilot.json/.yml from startDir upward). Repository settings
+// override user settings. Returns the merged settings and the files used.
+function loadConfig({ startDir = process.cwd(), configPath = null, homeDir = os.homedir() } = {}) {
+  const files = [];
+  let config = {};
+
+  const userConfigPath = findUserConfig(homeDir);
+  if (userConfigPath) {
+    config = { ...config, ...readConfigFile(userConfigPath) };
+    files.push(userConfigPath);
+  }
+
+  const repoConfigPath = configPath ? path.resolve(configPath) : findRepoConfig(startDir, homeDir);
+  if (repoConfigPath && repoConfigPath !== userConfigPath) {
+    config = { ...config, ...readConfigFile(repoConfigPath, { trusted: Boolean(configPath) }) };
+    files.push(repoConfigPath);
+  }
+
+  return { config, files };
+}
+
+// Reads the repository config (.mr-pilot.json/.yml) of a reviewed MR/PR at ref
+// through the client's getFileContent, as an untrusted config. Returns
+// { config, file } or null when the repository has none or it cannot be read
+// (reported); invalid configs throw like local ones.
+async function fetchRepoConfig(client, { urlOrId, projectArg = null, ref }) {
+  for (const name of CONFIG_FILE_NAMES) {
+    let content;
+    try {
+      content = await client.getFileContent(urlOrId, name, ref, projectArg);
+    } catch (error) {
+      log(`⚠️  Could not read the repository config ${name} (${error.message})`);
+      return null;
+    }
+    if (content !== null) {
+      // git-style ref:path label (its extension tells the format)
+      const file = `${ref}:${name}`;
+      return { config: parseConfig(content, file, { trusted: false, remote: true }), file };
+    }
+  }
+  return null;
+}
+
+// Exports config values to their environment variables unless already set in
+// the original environment (pass the environment from before earlier config
+// files were applied to let this config override them)
+function applyConfigToEnv(config, env = process.env, original = env) {
+  for (const [key, envName] of Object.entries(ENV_KEYS)) {
+    if (config[key] !== undefined && (original[envName] === undefined || original[envName] === '')) {
+      env[envName] = String(config[key]);
+    }
+  }
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  loadConfig,
+  fetchRepoConfig,
+  applyConfigToEnv,
+  findRepoConfig
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, fetchRepoConfig, applyConfigToEnv, findRepoConfig } = require('./config');
+
+describe('config', () => {
+  let tempDir;
+  let homeDir;
+  let repoDir;
+  const savedXdg = process.env.XDG_CONFIG_HOME;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-pilot-config-'));
+    homeDir = path.join(tempDir, 'home');
+    repoDir = path.join(tempDir, 'work', 'repo');
+    fs.mkdirSync(homeDir, { recursive: true });
+    fs.mkdirSync(path.join(repoDir, 'packages', 'api'), { recursive: true });
+    process.env.XDG_CONFIG_HOME = path.join(homeDir, '.config');
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (savedXdg === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = savedXdg;
+    }
+    console.log.mockRestore();
+  });
+
+  test('should find the nearest config file from a subdirectory upward', () => {
+    fs.writeFileSync(path.join(repoDir, '.mr-pilot.yml'), 'minScore: 70\n');
+
+    expect(findRepoConfig(path.join(repoDir, 'packages', 'api'), homeDir)).toBe(path.join(repoDir, '.mr-pilot.yml'));
+  });
+
+  test('should let the repository config override the user config', () => {
+    fs.writeFileSync(path.join(homeDir, '.mr-pilot.json'), JSON.stringify({ maxDiffChars: 40000, minScore: 50, chunked: true }));
+    fs.writeFileSync(path.join(repoDir, '.mr-pilot.yml'), 'maxDiffChars: 80000\nminScore: 75\nexclude:\n  - "*.lock"\n');
+
+    const { config, files } = loadConfig({ startDir: repoDir, homeDir });
+
+    expect(config).toEqual({ maxDiffChars: 80000, minScore: 75, chunked: true, exclude: ['*.lock'] });
+    expect(files).toEqual([path.join(homeDir, '.mr-pilot.json'), path.join(repoDir, '.mr-pilot.yml')]);
+  });
+
+  test('should read the user config from XDG_CONFIG_HOME', () => {
+    fs.mkdirSync(path.join(homeDir, '.config', 'mr-pilot'), { recursive: true });
+    fs.writeFileSync(path.join(homeDir, '.config', 'mr-pilot', 'config.yml'), 'provider: anthropic\n');
+
+    expect(loadConfig({ startDir: repoDir, homeDir }).config).toEqual({ provider: 'anthropic' });
+  });
+
+  test('should resolve paths relative to the config file', () => {
+    fs.writeFileSync(path.join(repoDir, '.mr-pilot.json'), JSON.stringify({ guidelinesFile: 'docs/review.md' }));
+
+    const { config } = loadConfig({ startDir: path.join(repoDir, 'packages'), homeDir });
+
+    expect(config.guidelinesFile).toBe(path.join(repoDir, 'docs', 'review.md'));
+  });
+
+  test('should ignore credential-routing settings in a discovered repository config', () => {
+    fs.writeFileSync(
+      path.join(repoDir, '.mr-pilot.json'),
+      JSON.stringify({ apiUrl: 'https://attacker.example.com', providerModule: './evil.js', cacheDir: '.cache', provider: 'gemini', model: 'm', minScore: 60 })
+    );
+
+    expect(loadConfig({ startDir: repoDir, homeDir }).config).toEqual({ minScore: 60 });
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('"provider" is ignored in repository config'));
+  });
+
+  test('should refuse paths outside the repository in a discovered repository config', () => {
+    fs.writeFileSync(path.join(repoDir, '.mr-pilot.json'), JSON.stringify({ guidelinesFile: '../secret', inputFile: '/proc/self/environ' }));
+    expect(loadConfig({ startDir: repoDir, homeDir }).config).toEqual({});
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('"guidelinesFile" is ignored in repository config'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('"inputFile" is ignored in repository config'));
+
+    // Explicit --config files may point anywhere
+    const configPath = path.join(repoDir, 'ci.json');
+    fs.writeFileSync(configPath, JSON.stringify({ guidelinesFile: '../secret' }));
+    expect(loadConfig({ startDir: repoDir, configPath, homeDir }).config).toEqual({ guidelinesFile: path.join(tempDir, 'work', 'secret') });
+  });
+
+  test('should trust an explicit --config file', () => {
+    const configPath = path.join(tempDir, 'ci.yml');
+    fs.writeFileSync(configPath, 'apiUrl: https://llm.internal.example.com/v1/chat/completions\n');
+    fs.writeFileSync(path.join(repoDir, '.mr-pilot.yml'), 'minScore: 90\n');
+
+    const { config, files } = loadConfig({ startDir: repoDir, configPath, homeDir });
+
+    expect(config).toEqual({ apiUrl: 'https://llm.internal.example.com/v1/chat/completions' });
+    expect(files).toEqual([configPath]);
+  });
+
+  test('should reject invalid files and value types', () => {
+    fs.writeFileSync(path.join(repoDir, '.mr-pilot.json'), '{ not json');
+    expect(() => loadConfig({ startDir: repoDir, homeDir })).toThrow('Invalid config file');
+
+    fs.writeFileSync(path.join(repoDir, '.mr-pilot.json'), JSON.stringify({ minScore: '70' }));
+    expect(() => loadConfig({ startDir: repoDir, homeDir })).toThrow('"minScore" must be a number');
+
+    fs.writeFileSync(path.join(repoDir, '.mr-pilot.json'), JSON.stringify({ exclude: '*.lock' }));
+    expect(() => loadConfig({ startDir: repoDir, homeDir })).toThrow('"exclude" must be a list of strings');
+  });
+
+  test('should warn about and skip unknown settings', () => {
+    fs.writeFileSync(path.join(repoDir, '.mr-pilot.json'), JSON.stringify({ modle: 'typo' }));
+
+    expect(loadConfig({ startDir: repoDir, homeDir }).config).toEqual({});
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Unknown setting "modle"'));
+  });
+
+  test('should only export settings whose environment variable is unset', () => {
+    const env = { LLM_MODEL: 'from-env' };
+
+    applyConfigToEnv({ model: 'from-config', provider: 'gemini', maxDiffChars: 80000, minScore: 70 }, env);
+
+    expect(env).toEqual({ LLM_MODEL: 'from-env', LLM_PROVIDER: 'gemini', MAX_DIFF_CHARS: '80000' });
+  });
+
+  test('should let a later config override the settings exported by earlier ones', () => {
+    const original = { LLM_MODEL: 'from-env' };
+    const env = { ...original };
+    applyConfigToEnv({ provider: 'gemini' }, env);
+
+    applyConfigToEnv({ provider: 'openai', model: 'from-repo' }, env, original);
+
+    expect(env).toEqual({ LLM_MODEL: 'from-env', LLM_PROVIDER: 'openai' });
+  });
+
+  describe('fetchRepoConfig', () => {
+    test('should read the reviewed repository config as an untrusted config', async () => {
+      const files = { '.mr-pilot.yml': 'minScore: 80\napiUrl: https://attacker.example\nguidelinesFile: ./docs/review.md\n' };
+      const client = { getFileContent: jest.fn(async (urlOrId, name) => files[name] || null) };
+
+      const found = await fetchRepoConfig(client, { urlOrId: '7', projectArg: 'group/app', ref: 'main' });
+
+      expect(found).toEqual({ file: 'main:.mr-pilot.yml', config: { minScore: 80, guidelinesFile: 'repo:docs/review.md' } });
+      expect(client.getFileContent).toHaveBeenCalledWith('7', '.mr-pilot.json', 'main', 'group/app');
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('"apiUrl" is ignored in repository config main:.mr-pilot.yml'));
+    });
+
+    test('should return null without a config or when it cannot be read', async () => {
+      expect(await fetchRepoConfig({ getFileContent: async () => null }, { urlOrId: '7', ref: 'main' })).toBeNull();
+
+      const forbidden = { getFileContent: async () => { throw new Error('insufficient permissions'); } };
+      expect(await fetchRepoConfig(forbidden, { urlOrId: '7', ref: 'main' })).toBeNull();
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Could not read the repository config'));
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { rankFiles, trimHunks } = require('./diffPrioritizer');
+
+// Builds the "### File:" diff text sent to the LLM from per-file diffs
+// ({ path, oldPath, diff }) and applies the character budget.
+
+// Over budget, one file may use at most this share of it (larger files are
+// trimmed to their first hunks)
+const MAX_FILE_SHARE = 0.5;
+
+// Dropped files listed by name in the diff text
+const MAX_LISTED_FILES = 50;
+
+// Status shown after the path; diffParser.normalizePath removes it again
+function statusLabel(file) {
+  if (file.status === 'added') return ' (new file)';
+  if (file.status === 'deleted') return ' (deleted)';
+  if (file.status === 'renamed' && file.oldPath && file.oldPath !== file.path) return ` (renamed from ${file.oldPath})`;
+  return '';
+}
+
+function formatFileDiff(file) {
+  const label = `${file.path}${statusLabel(file)}${file.part ? ` (part ${file.part})` : ''}`;
+  if (file.omitted) {
+    // Generated or excluded files are summarised in one line (see fileFilters)
+    const counts = file.additions !== undefined ? `, +${file.additions} -${file.deletions || 0} lines` : '';
+    return `\n### File: ${label}\n(diff omitted: ${file.omitted}${counts})`;
+  }
+  return `\n### File: ${label}\n${file.diff || '(Binary or no changes)'}`;
+}
+
+function entryLength(file) {
+  return formatFileDiff(file).length + 1;
+}
+
+// Picks the files (whole or trimmed) that fit in maxChars by priority (see
+// diffPrioritizer). The selected files keep their original order.
+function selectFiles(files, maxChars, keywords) {
+  const fileCap = Math.floor(maxChars * MAX_FILE_SHARE);
+  const selected = new Map();
+  let remaining = maxChars;
+
+  for (const file of rankFiles(files, { keywords })) {
+    let entry = file;
+    const available = Math.min(remaining, fileCap);
+    if (entryLength(file) > available) {
+      // Room for the "### File:" header and the trimming note
+      entry = trimHunks(file, available - file.path.length - 100);
+      if (!entry) {
+        continue;
+      }
+    }
+    selected.set(file, entry);
+    remaining -= entryLength(entry);
+  }
+
+  const kept = files.filter((file) => selected.has(file)).map((file) => selected.get(file));
+  return {
+    files: kept,
+    droppedFiles: files.filter((file) => !selected.has(file)).map((file) => file.path),
+    trimmedFiles: kept.filter((file) => file.trimmed).map((file) => file.path)
+  };
+}
+
+function listFiles(paths) {
+  const listed = paths.slice(0, MAX_LISTED_FILES).join(', ');
+  return paths.length > MAX_LISTED_FILES ? `${listed} and ${paths.length - MAX_LISTED_FILES} more` : listed;
+}
+
+// Options: keywords from the MR title and ticket, used to rank the files
+// when the diff is over budget
+function buildDiffs(files, maxDiffChars = null, { keywords = [] } = {}) {
+  files = files || [];
+  let diffsText = files.map(formatFileDiff).join('\n');
+
+  const originalLength = diffsText.length;
+  const MAX_DIFF_LENGTH = maxDiffChars || parseInt(process.env.MAX_DIFF_CHARS) || 50000;
+
+  let wasTruncated = false;
+  let droppedFiles = [];
+  let trimmedFiles = [];
+  if (diffsText.length > MAX_DIFF_LENGTH) {
+    wasTruncated = true;
+
+    // Spend the budget on the files that matter most instead of the first ones
+    const selection = selectFiles(files, MAX_DIFF_LENGTH, keywords);
+    droppedFiles = selection.droppedFiles;
+    trimmedFiles = selection.trimmedFiles;
+    const truncatedDiff = selection.files.map(formatFileDiff).join('\n');
+
+    diffsText =
+      truncatedDiff +
+      `\n\n⚠️ [DIFF TRUNCATED: ${droppedFiles.length} files not shown and ${trimmedFiles.length} shown partially due to size limit. Original: ${originalLength} chars, showing: ${truncatedDiff.length} chars]\n` +
+      (droppedFiles.length > 0 ? `Files not shown: ${listFiles(droppedFiles)}\n` : '') +
+      (trimmedFiles.length > 0 ? `Files shown partially (first hunks only): ${listFiles(trimmedFiles)}\n` : '') +
+      `💡 To review all changes, use: --max-diff-chars ${originalLength + 1000}`;
+  }
+
+  return {
+    diffs: diffsText,
+    diffStats: {
+      originalLength,
+      truncatedLength: wasTruncated ? MAX_DIFF_LENGTH : originalLength,
+      wasTruncated,
+      // Files not shown in full
+      truncatedFiles: droppedFiles.length + trimmedFiles.length,
+      droppedFiles,
+      trimmedFiles,
+      recommendedMaxChars: originalLength + 1000
+    }
+  };
+}
+
+module.exports = { formatFileDiff, buildDiffs };
@@ -0,0 +1,211 @@
+// Parses unified diff hunks to find which lines of the new file version can
+// receive inline review comments (added and context lines only).
+function mapNewLines(patch) {
+  const lines = new Map();
+  if (!patch) {
+    return lines;
+  }
+
+  let oldLine = 0;
+  let newLine = 0;
+  // Lines left in the current hunk, taken from its header counts
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  for (const line of patch.split('\n')) {
+    const hunkMatch = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (hunkMatch) {
+      oldLine = parseInt(hunkMatch[1]);
+      oldRemaining = hunkMatch[2] !== undefined ? parseInt(hunkMatch[2]) : 1;
+      newLine = parseInt(hunkMatch[3]);
+      newRemaining = hunkMatch[4] !== undefined ? parseInt(hunkMatch[4]) : 1;
+      continue;
+    }
+
+    if (oldRemaining <= 0 && newRemaining <= 0) {
+      continue;
+    }
+
+    if (line.startsWith('+')) {
+      // Added line: only exists on the new side
+      lines.set(newLine, null);
+      newLine++;
+      newRemaining--;
+    } else if (line.startsWith('-')) {
+      oldLine++;
+      oldRemaining--;
+    } else if (line.startsWith(' ') || line === '') {
+      // Context line: exists on both sides
+      lines.set(newLine, oldLine);
+      oldLine++;
+      newLine++;
+      oldRemaining--;
+      newRemaining--;
+    }
+    // "\ No newline at end of file" markers are ignored
+  }
+
+  return lines;
+}
+
+// Splits LLM inline comments into those that point at a line present in the
+// diff (and can be posted inline) and those that cannot be anchored.
+function partitionInlineComments(comments, files) {
+  const anchored = [];
+  const unanchored = [];
+
+  if (!Array.isArray(comments)) {
+    return { anchored, unanchored };
+  }
+
+  const filesByPath = new Map();
+  (files || []).forEach((file) => filesByPath.set(file.path, file));
+
+  for (const comment of comments) {
+    const line = parseInt(comment && comment.line);
+    const file = comment &&
+      (filesByPath.get(comment.file) || filesByPath.get(normalizePath(comment.file)));
+
+    if (!file || isNaN(line)) {
+      if (comment) unanchored.push(comment);
+      continue;
+    }
+
+    const newLines = mapNewLines(file.diff);
+    if (!newLines.has(line)) {
+      unanchored.push(comment);
+      continue;
+    }
+
+    anchored.push({
+      file: file.path,
+      oldPath: file.oldPath || file.path,
+      line,
+      oldLine: newLines.get(line),
+      comment: comment.comment
+    });
+  }
+
+  return { anchored, unanchored };
+}
+
+function normalizePath(filePath) {
+  if (typeof filePath !== 'string') {
+    return null;
+  }
+  return filePath
+    .trim()
+    .replace(/ \(part \d+\)$/, '') // chunked review labels
+    .replace(/ \((new file|deleted|renamed from .+)\)$/, '') // file status labels
+    .replace(/^(a|b)\//, '')
+    .replace(/^\.\//, '');
+}
+
+// Splits a unified diff (git diff output or a plain "diff -u" patch) into
+// per-file entries shaped like the platform clients' files:
+// { path, oldPath, status, diff } where diff only holds the hunks.
+function parseUnifiedDiff(text) {
+  const files = [];
+  if (!text) {
+    return files;
+  }
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  let current = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  const finish = () => {
+    if (current) {
+      current.diff = current.hunks.join('\n');
+      delete current.hunks;
+      files.push(current);
+    }
+    current = null;
+  };
+
+  const start = (oldPath, newPath) => {
+    finish();
+    current = { path: newPath, oldPath, status: 'modified', hunks: [] };
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const inHunk = oldRemaining > 0 || newRemaining > 0;
+
+    if (inHunk) {
+      current.hunks.push(line);
+      if (line.startsWith('+')) {
+        newRemaining--;
+      } else if (line.startsWith('-')) {
+        oldRemaining--;
+      } else if (!line.startsWith('\\')) {
+        oldRemaining--;
+        newRemaining--;
+      }
+      continue;
+    }
+
+    const gitHeader = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+    if (gitHeader) {
+      start(gitHeader[1], gitHeader[2]);
+      continue;
+    }
+
+    if (line.startsWith('--- ') && lines[i + 1] && lines[i + 1].startsWith('+++ ')) {
+      const oldPath = parseHeaderPath(line.substring(4));
+      const newPath = parseHeaderPath(lines[i + 1].substring(4));
+      // Plain patches have no "diff --git" line: the ---/+++ pair starts the file
+      if (!current || current.hunks.length > 0) {
+        start(oldPath || newPath, newPath || oldPath);
+      }
+      if (oldPath === null) {
+        current.status = 'added';
+        current.oldPath = newPath;
+      } else if (newPath === null) {
+        current.status = 'deleted';
+        current.path = oldPath;
+      } else {
+        current.oldPath = oldPath;
+        current.path = newPath;
+      }
+      i++;
+      continue;
+    }
+
+    if (!current) {
+      continue; // Preamble (commit message, email headers, ...)
+    }
+
+    const hunkMatch = line.match(/^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/);
+    if (hunkMatch) {
+      oldRemaining = hunkMatch[1] !== undefined ? parseInt(hunkMatch[1]) : 1;
+      newRemaining = hunkMatch[2] !== undefined ? parseInt(hunkMatch[2]) : 1;
+      current.hunks.push(line);
+    } else if (line.startsWith('new file mode')) {
+      current.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      current.status = 'deleted';
+    } else if (line.startsWith('rename from ')) {
+      current.status = 'renamed';
+      current.oldPath = line.substring('rename from '.length);
+    } else if (line.startsWith('rename to ')) {
+      current.status = 'renamed';
+      current.path = line.substring('rename to '.length);
+    }
+  }
+
+  finish();
+  return files;
+}
+
+// "a/src/app.js\t2024-01-01 ..." -> "src/app.js", "/dev/null" -> null
+function parseHeaderPath(value) {
+  const filePath = value.split('\t')[0].trim();
+  if (filePath === '/dev/null') {
+    return null;
+  }
+  return filePath.replace(/^(a|b)\//, '');
+}
+
+module.exports = { mapNewLines, partitionInlineComments, parseUnifiedDiff };
@@ -0,0 +1,168 @@
+const { mapNewLines, partitionInlineComments, parseUnifiedDiff } = require('./diffParser');
+
+describe('diffParser', () => {
+  const patch = [
+    '@@ -10,4 +10,5 @@ function example() {',
+    ' const a = 1;',
+    '-const b = 2;',
+    '+const b = 3;',
+    '+const c = 4;',
+    ' return a + b;',
+    ' }'
+  ].join('\n');
+
+  describe('mapNewLines', () => {
+    test('should map added and context lines of the new file', () => {
+      const lines = mapNewLines(patch);
+
+      expect([...lines.keys()]).toEqual([10, 11, 12, 13, 14]);
+      expect(lines.get(10)).toBe(10);
+      expect(lines.get(11)).toBeNull();
+      expect(lines.get(12)).toBeNull();
+      expect(lines.get(13)).toBe(12);
+    });
+
+    test('should ignore trailing newline after the last hunk', () => {
+      const lines = mapNewLines('@@ -1 +1 @@\n-old\n+new\n');
+
+      expect([...lines.keys()]).toEqual([1]);
+    });
+
+    test('should return an empty map for missing patches', () => {
+      expect(mapNewLines('').size).toBe(0);
+      expect(mapNewLines(undefined).size).toBe(0);
+    });
+  });
+
+  describe('partitionInlineComments', () => {
+    const files = [{ path: 'src/app.js', oldPath: 'src/app.js', diff: patch }];
+
+    test('should anchor comments on lines present in the diff', () => {
+      const { anchored, unanchored } = partitionInlineComments(
+        [
+          { file: 'src/app.js', line: 11, comment: 'Magic number' },
+          { file: 'src/app.js', line: 13, comment: 'Context line' }
+        ],
+        files
+      );
+
+      expect(unanchored).toHaveLength(0);
+      expect(anchored).toEqual([
+        { file: 'src/app.js', oldPath: 'src/app.js', line: 11, oldLine: null, comment: 'Magic number' },
+        { file: 'src/app.js', oldPath: 'src/app.js', line: 13, oldLine: 12, comment: 'Context line' }
+      ]);
+    });
+
+    test('should keep comments outside the diff or on unknown files unanchored', () => {
+      const { anchored, unanchored } = partitionInlineComments(
+        [
+          { file: 'src/app.js', line: 99, comment: 'Outside hunk' },
+          { file: 'src/other.js', line: 11, comment: 'Unknown file' },
+          { file: 'src/app.js', comment: 'No line' }
+        ],
+        files
+      );
+
+      expect(anchored).toHaveLength(0);
+      expect(unanchored).toHaveLength(3);
+    });
+
+    test('should accept a/ b/ prefixed paths', () => {
+      const { anchored } = partitionInlineComments(
+        [{ file: 'b/src/app.js', line: 12, comment: 'Prefixed' }],
+        files
+      );
+
+      expect(anchored).toHaveLength(1);
+      expect(anchored[0].file).toBe('src/app.js');
+    });
+
+    test('should accept paths copied with their status label', () => {
+      const { anchored } = partitionInlineComments(
+        [{ file: 'src/app.js (renamed from src/main.js)', line: 12, comment: 'Labelled' }],
+        files
+      );
+
+      expect(anchored).toHaveLength(1);
+      expect(anchored[0].file).toBe('src/app.js');
+    });
+
+    test('should handle a missing comments array', () => {
+      expect(partitionInlineComments(undefined, files)).toEqual({ anchored: [], unanchored: [] });
+    });
+  });
+
+  describe('parseUnifiedDiff', () => {
+    test('should split git diff output into files with status', () => {
+      const diff = [
+        'diff --git a/src/app.js b/src/app.js',
+        'index 111..222 100644',
+        '--- a/src/app.js',
+        '+++ b/src/app.js',
+        '@@ -1,2 +1,2 @@',
+        ' const a = 1;',
+        '-const b = 2;',
+        '+const b = 3;',
+        'diff --git a/src/new.js b/src/new.js',
+        'new file mode 100644',
+        '--- /dev/null',
+        '+++ b/src/new.js',
+        '@@ -0,0 +1 @@',
+        '+--- not a header',
+        'diff --git a/old.js b/renamed.js',
+        'similarity index 100%',
+        'rename from old.js',
+        'rename to renamed.js',
+        'diff --git a/gone.js b/gone.js',
+        'deleted file mode 100644',
+        '--- a/gone.js',
+        '+++ /dev/null',
+        '@@ -1 +0,0 @@',
+        '-bye',
+        'diff --git a/logo.png b/logo.png',
+        'Binary files a/logo.png and b/logo.png differ',
+        ''
+      ].join('\n');
+
+      const files = parseUnifiedDiff(diff);
+
+      expect(files.map((file) => [file.path, file.oldPath, file.status])).toEqual([
+        ['src/app.js', 'src/app.js', 'modified'],
+        ['src/new.js', 'src/new.js', 'added'],
+        ['renamed.js', 'old.js', 'renamed'],
+        ['gone.js', 'gone.js', 'deleted'],
+        ['logo.png', 'logo.png', 'modified']
+      ]);
+      expect(files[0].diff).toBe('@@ -1,2 +1,2 @@\n const a = 1;\n-const b = 2;\n+const b = 3;');
+      expect(files[1].diff).toBe('@@ -0,0 +1 @@\n+--- not a header');
+      expect(files[4].diff).toBe('');
+    });
+
+    test('should parse plain diff -u patches with a preamble', () => {
+      const patch = [
+        'From: dev@example.com',
+        'Subject: [PATCH] Fix things',
+        '',
+        '--- lib/a.c\t2024-01-01 10:00:00',
+        '+++ lib/a.c\t2024-01-02 10:00:00',
+        '@@ -3 +3 @@',
+        '-int x = 1;',
+        '+int x = 2;',
+        '--- lib/b.c',
+        '+++ lib/b.c',
+        '@@ -1,1 +1,2 @@',
+        ' int y;',
+        '+int z;'
+      ].join('\n');
+
+      const files = parseUnifiedDiff(patch);
+
+      expect(files.map((file) => file.path)).toEqual(['lib/a.c', 'lib/b.c']);
+      expect(files[1].diff).toBe('@@ -1,1 +1,2 @@\n int y;\n+int z;');
+    });
+
+    test('should return no files for empty input', () => {
+      expect(parseUnifiedDiff('')).toEqual([]);
+    });
+  });
+});
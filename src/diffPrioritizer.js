@@ -0,0 +1,113 @@
+// Which files get the diff budget when an MR is over it (see
+// diffBuilder.buildDiffs): files matching the ticket keywords, then source
+// before tests before config before docs, then the largest changes.
+
+const CATEGORY_RANK = { source: 0, test: 1, config: 2, docs: 3, omitted: 4 };
+
+// Trimmed diffs keep at least this much, otherwise the file is dropped
+const MIN_TRIMMED_CHARS = 500;
+
+const TEST_PATH = /(^|\/)(tests?|__tests__|specs?|e2e)\/|[._-](test|spec)s?\.[^/]+$|(^|\/)test_[^/]+\.py$/i;
+const DOCS_PATH = /(^|\/)docs?\/|\.(md|mdx|rst|adoc|txt)$|(^|\/)(LICENSE|CHANGELOG|AUTHORS|NOTICE)[^/]*$/i;
+const CONFIG_PATH = /\.(json|ya?ml|toml|ini|cfg|conf|properties|xml|csv|lock|svg|png|jpe?g|gif|ico)$|(^|\/)\.[^/]+$|(^|\/)(Dockerfile|Makefile)$/i;
+
+// Blank lines and comment-only lines do not count as semantic changes
+const NON_SEMANTIC_LINE = /^[+-]\s*(\/\/.*|#.*|\/?\*.*|<!--.*|--.*)?$/;
+
+const STOPWORDS = new Set([
+  'about', 'after', 'also', 'before', 'being', 'could', 'does', 'done', 'each', 'from', 'have', 'into',
+  'make', 'more', 'must', 'need', 'only', 'other', 'same', 'should', 'some', 'such', 'than', 'that',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'when', 'where', 'which', 'will', 'with',
+  'would', 'your', 'feature', 'issue', 'ticket', 'change', 'changes', 'update', 'added', 'fixed'
+]);
+
+function classifyFile(file) {
+  if (file.omitted) return 'omitted';
+  if (TEST_PATH.test(file.path)) return 'test';
+  if (DOCS_PATH.test(file.path)) return 'docs';
+  if (CONFIG_PATH.test(file.path)) return 'config';
+  return 'source';
+}
+
+function semanticChangeSize(diff) {
+  return String(diff || '')
+    .split('\n')
+    .filter((line) => /^[+-]/.test(line) && !/^(\+\+\+|---) /.test(line) && !NON_SEMANTIC_LINE.test(line))
+    .length;
+}
+
+// Lowercase words of 4+ letters from the MR title, description and ticket
+function extractKeywords(...texts) {
+  const words = texts
+    .join(' ')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= 4 && !/^\d+$/.test(word) && !STOPWORDS.has(word));
+  return [...new Set(words)];
+}
+
+// Path words, with camelCase split ("src/UserLogin.js" -> src, user, login, js)
+function pathWords(filePath) {
+  return filePath
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= 4);
+}
+
+// Prefix matching so "login" matches "logins" and "authentication" matches "auth..."
+function matchesKeywords(file, keywords) {
+  const words = [file.path, file.oldPath].filter(Boolean).flatMap(pathWords);
+  return keywords.some((keyword) => words.some((word) => word.startsWith(keyword) || keyword.startsWith(word)));
+}
+
+// Files in review priority order (the input is not modified)
+function rankFiles(files, { keywords = [] } = {}) {
+  return files
+    .map((file, index) => ({
+      file,
+      index,
+      matched: keywords.length > 0 && matchesKeywords(file, keywords),
+      rank: CATEGORY_RANK[classifyFile(file)],
+      size: semanticChangeSize(file.diff)
+    }))
+    .sort((a, b) => (b.matched - a.matched) || (a.rank - b.rank) || (b.size - a.size) || (a.index - b.index))
+    .map((entry) => entry.file);
+}
+
+// Keeps the leading hunks of a file diff that fit in maxChars (cutting the
+// first hunk if it is larger on its own), or returns null when too little fits
+function trimHunks(file, maxChars) {
+  if (!file.diff || maxChars < MIN_TRIMMED_CHARS) {
+    return null;
+  }
+
+  const hunks = file.diff.split(/\n(?=@@ )/);
+  const kept = [];
+  let length = 0;
+  for (const hunk of hunks) {
+    if (length + hunk.length + 1 > maxChars) {
+      break;
+    }
+    kept.push(hunk);
+    length += hunk.length + 1;
+  }
+  if (kept.length === 0) {
+    kept.push(hunks[0].substring(0, maxChars));
+  }
+
+  const shown = kept[0] === hunks[0] ? `${kept.length} of ${hunks.length} hunks` : 'part of the first hunk';
+  return {
+    ...file,
+    diff: `${kept.join('\n')}\n... [diff trimmed to fit the size limit: ${shown} shown]`,
+    trimmed: true
+  };
+}
+
+module.exports = {
+  classifyFile,
+  semanticChangeSize,
+  extractKeywords,
+  rankFiles,
+  trimHunks
+};
@@ -0,0 +1,94 @@
+const { classifyFile, semanticChangeSize, extractKeywords, rankFiles, trimHunks } = require('./diffPrioritizer');
+const { buildDiffs } = require('./diffBuilder');
+
+const lines = (count, prefix = '+code') => Array.from({ length: count }, (_, idx) => `${prefix} ${idx}`).join('\n');
+const file = (path, diff) => ({ path, diff });
+
+describe('diffPrioritizer', () => {
+  test.each([
+    ['src/auth/login.js', 'source'],
+    ['src/auth/login.test.js', 'test'],
+    ['tests/test_login.py', 'test'],
+    ['pkg/auth/login_test.go', 'test'],
+    ['docs/auth.md', 'docs'],
+    ['README.md', 'docs'],
+    ['config/app.yml', 'config'],
+    ['.eslintrc', 'config']
+  ])('classifyFile(%s) -> %s', (filePath, expected) => {
+    expect(classifyFile({ path: filePath })).toBe(expected);
+  });
+
+  test('should not count blank or comment-only lines as semantic changes', () => {
+    const diff = '@@ -1,3 +1,4 @@\n+const a = 1;\n+// comment\n+\n-  # old comment\n-return b;\n context';
+    expect(semanticChangeSize(diff)).toBe(2);
+  });
+
+  test('should extract keywords without stopwords or numbers', () => {
+    expect(extractKeywords('Add rate limiting to the login endpoint', 'Fixes #1234 when users retry', null))
+      .toEqual(['rate', 'limiting', 'login', 'endpoint', 'fixes', 'users', 'retry']);
+  });
+
+  test('should rank ticket matches, then source, tests, config and docs, then size', () => {
+    const files = [
+      file('docs/guide.md', lines(50)),
+      file('src/small.js', lines(2)),
+      file('src/login.test.js', lines(5)),
+      file('package.json', lines(5)),
+      file('src/large.js', lines(40)),
+      file('src/RateLimiter.js', lines(1))
+    ];
+
+    expect(rankFiles(files).map((entry) => entry.path))
+      .toEqual(['src/large.js', 'src/small.js', 'src/RateLimiter.js', 'src/login.test.js', 'package.json', 'docs/guide.md']);
+    expect(rankFiles(files, { keywords: extractKeywords('Rate limit the login') }).map((entry) => entry.path))
+      .toEqual(['src/RateLimiter.js', 'src/login.test.js', 'src/large.js', 'src/small.js', 'package.json', 'docs/guide.md']);
+  });
+
+  test('should trim a diff to its first hunks', () => {
+    const diff = [`@@ -1 +1 @@\n${lines(30)}`, `@@ -50 +50 @@\n${lines(30)}`, `@@ -90 +90 @@\n${lines(30)}`].join('\n');
+
+    const trimmed = trimHunks(file('src/app.js', diff), 700);
+
+    expect(trimmed.trimmed).toBe(true);
+    expect(trimmed.diff).toContain('@@ -50 +50 @@');
+    expect(trimmed.diff).not.toContain('@@ -90 +90 @@');
+    expect(trimmed.diff).toContain('[diff trimmed to fit the size limit: 2 of 3 hunks shown]');
+    expect(trimHunks(file('src/app.js', diff), 100)).toBeNull();
+  });
+
+  describe('buildDiffs over budget', () => {
+    test('should keep source files over docs and list the dropped files', () => {
+      const files = [
+        file('docs/a.md', `@@ -1 +1 @@\n${lines(300)}`),
+        file('docs/b.md', `@@ -1 +1 @@\n${lines(300)}`),
+        file('src/app.js', `@@ -1 +1 @@\n${lines(100)}`)
+      ];
+
+      const { diffs, diffStats } = buildDiffs(files, 3000);
+
+      expect(diffs).toContain('### File: src/app.js');
+      expect(diffStats.wasTruncated).toBe(true);
+      expect(diffStats.droppedFiles).toEqual(['docs/b.md']);
+      expect(diffStats.trimmedFiles).toEqual(['docs/a.md']);
+      expect(diffStats.truncatedFiles).toBe(2);
+      expect(diffs).toContain('Files not shown: docs/b.md');
+      expect(diffs).toContain('Files shown partially (first hunks only): docs/a.md');
+      // Selected files keep their original order
+      expect(diffs.indexOf('### File: docs/a.md')).toBeLessThan(diffs.indexOf('### File: src/app.js'));
+    });
+
+    test('should prefer files matching the ticket keywords', () => {
+      const files = [
+        file('src/billing.js', `@@ -1 +1 @@\n${lines(200)}`),
+        file('src/invoices.js', `@@ -1 +1 @@\n${lines(200)}`),
+        file('src/session.js', `@@ -1 +1 @@\n${lines(100)}`)
+      ];
+
+      expect(buildDiffs(files, 2500).diffStats.droppedFiles).toEqual(['src/session.js']);
+
+      const { diffStats } = buildDiffs(files, 2500, { keywords: extractKeywords('Expire idle sessions') });
+      expect(diffStats.droppedFiles).toEqual(['src/invoices.js']);
+      expect(diffStats.trimmedFiles).toEqual(['src/billing.js']);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const { matchesAny } = require('./pathFilter');
+
+// Well-known generated or vendored files, by reason
+const GENERATED_PATTERNS = [
+  {
+    reason: 'lockfile',
+    globs: [
+      'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb',
+      'composer.lock', 'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'Pipfile.lock', 'uv.lock',
+      'go.sum', 'packages.lock.json', 'mix.lock', 'pubspec.lock', 'Podfile.lock', 'flake.lock'
+    ]
+  },
+  { reason: 'minified file', globs: ['*.min.js', '*.min.mjs', '*.min.css'] },
+  { reason: 'source map', globs: ['*.js.map', '*.css.map'] },
+  { reason: 'test snapshot', globs: ['*.snap', '**/__snapshots__/**'] },
+  { reason: 'vendored code', globs: ['**/vendor/**', '**/node_modules/**', '**/third_party/**'] },
+  {
+    reason: 'generated code',
+    globs: ['*.pb.go', '*_pb2.py', '*_pb2_grpc.py', '*.pb.ts', '*.generated.*', '*.g.dart', '*.freezed.dart']
+  }
+];
+
+// Markers of generated code in the first added lines of a new file
+const GENERATED_MARKER = /@generated|Code generated .* DO NOT EDIT|<auto-generated|This file was automatically generated/i;
+const MARKER_LINES = 5;
+
+// Parses linguist-generated / linguist-vendored rules from .gitattributes
+// into [{ pattern, generated }] (in file order; the last match wins)
+function parseGitattributes(text) {
+  const rules = [];
+
+  for (const rawLine of String(text || '').split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const [pattern, ...attributes] = line.split(/\s+/);
+    for (const attribute of attributes) {
+      const match = attribute.match(/^(-|!)?linguist-(generated|vendored)(?:=(true|false))?$/);
+      if (match) {
+        rules.push({ pattern, generated: !match[1] && match[3] !== 'false' });
+      }
+    }
+  }
+
+  return rules;
+}
+
+function hasGeneratedMarker(diff) {
+  const addedLines = String(diff || '')
+    .split('\n')
+    .filter((line) => line.startsWith('+') && !line.startsWith('+++'))
+    .slice(0, MARKER_LINES);
+  return addedLines.some((line) => GENERATED_MARKER.test(line));
+}
+
+// Why a file counts as generated, or null. .gitattributes rules take
+// precedence (linguist-generated=false forces a review), then the forge's own
+// flag (file.generated, e.g. GitLab's generated_file), known file names and
+// generated-code markers.
+function detectGenerated(file, attributeRules = []) {
+  const matchingRules = attributeRules.filter((rule) => matchesAny(file.path, [rule.pattern]));
+  if (matchingRules.length > 0) {
+    return matchingRules[matchingRules.length - 1].generated ? 'linguist-generated in .gitattributes' : null;
+  }
+
+  if (file.generated) {
+    return 'marked as generated';
+  }
+
+  const known = GENERATED_PATTERNS.find(({ globs }) => matchesAny(file.path, globs));
+  if (known) {
+    return known.reason;
+  }
+
+  return hasGeneratedMarker(file.diff) ? 'generated code' : null;
+}
+
+function countChanges(diff) {
+  let additions = 0;
+  let deletions = 0;
+  for (const line of String(diff || '').split('\n')) {
+    if (line.startsWith('+') && !line.startsWith('+++')) {
+      additions++;
+    } else if (line.startsWith('-') && !line.startsWith('---')) {
+      deletions++;
+    }
+  }
+  return { additions, deletions };
+}
+
+// Replaces the diff of a file by a one-line summary (see diffBuilder.formatFileDiff).
+// Files without a diff keep the line counts given by the platform, if any.
+function omitDiff(file, reason) {
+  return { ...file, ...(file.diff ? countChanges(file.diff) : {}), diff: '', omitted: reason };
+}
+
+// Applies include/exclude globs and generated-file detection. Filtered files
+// stay in the list with their diff replaced by a summary, so the review still
+// knows they changed; omitted lists them as { path, reason, kind } (kind:
+// 'pattern' or 'generated'). A renamed file is included when either path matches
+// an include glob, and excluded only when both paths match exclude globs.
+function applyFileFilters(files, { include = [], exclude = [], attributeRules = [], detectGeneratedFiles = true } = {}) {
+  const omitted = [];
+
+  const result = files.map((file) => {
+    const paths = [file.path, file.oldPath].filter(Boolean);
+    let reason = null;
+    let kind = 'pattern';
+
+    if (include.length > 0 && !paths.some((filePath) => matchesAny(filePath, include))) {
+      reason = 'not matched by include patterns';
+    } else if (exclude.length > 0 && paths.every((filePath) => matchesAny(filePath, exclude))) {
+      reason = 'excluded by pattern';
+    } else if (detectGeneratedFiles) {
+      reason = detectGenerated(file, attributeRules);
+      kind = 'generated';
+    }
+
+    if (!reason) {
+      return file;
+    }
+    omitted.push({ path: file.path, reason, kind });
+    return omitDiff(file, reason);
+  });
+
+  return { files: result, omitted };
+}
+
+module.exports = {
+  GENERATED_PATTERNS,
+  parseGitattributes,
+  detectGenerated,
+  applyFileFilters
+};
@@ -0,0 +1,91 @@
+const { parseGitattributes, detectGenerated, applyFileFilters } = require('./fileFilters');
+const { buildDiffs } = require('./diffBuilder');
+
+const file = (path, diff = '@@ -1 +1 @@\n-old\n+new', extra = {}) => ({ path, diff, ...extra });
+
+describe('fileFilters', () => {
+  describe('parseGitattributes', () => {
+    test('should read linguist-generated and linguist-vendored rules', () => {
+      const rules = parseGitattributes([
+        '# comment',
+        '*.txt text eol=lf',
+        'api/gen/** linguist-generated',
+        'third/** linguist-vendored=true',
+        'api/gen/keep.go -linguist-generated',
+        'tools/** linguist-generated=false'
+      ].join('\n'));
+
+      expect(rules).toEqual([
+        { pattern: 'api/gen/**', generated: true },
+        { pattern: 'third/**', generated: true },
+        { pattern: 'api/gen/keep.go', generated: false },
+        { pattern: 'tools/**', generated: false }
+      ]);
+    });
+  });
+
+  describe('detectGenerated', () => {
+    test.each([
+      ['package-lock.json', 'lockfile'],
+      ['services/api/go.sum', 'lockfile'],
+      ['public/app.min.js', 'minified file'],
+      ['src/__snapshots__/app.test.js.snap', 'test snapshot'],
+      ['vendor/github.com/pkg/errors/errors.go', 'vendored code'],
+      ['proto/user.pb.go', 'generated code'],
+      ['src/app.js', null]
+    ])('%s -> %s', (filePath, expected) => {
+      expect(detectGenerated(file(filePath))).toBe(expected);
+    });
+
+    test('should detect generated-code markers in the first added lines', () => {
+      const diff = '@@ -0,0 +1,3 @@\n+// Code generated by protoc-gen-go. DO NOT EDIT.\n+package user\n+';
+      expect(detectGenerated(file('internal/user/user.go', diff))).toBe('generated code');
+    });
+
+    test('should use the forge flag and let .gitattributes override everything', () => {
+      const rules = parseGitattributes('src/gen/** linguist-generated\nyarn.lock -linguist-generated');
+
+      expect(detectGenerated(file('src/gen/client.js'), rules)).toBe('linguist-generated in .gitattributes');
+      expect(detectGenerated(file('yarn.lock'), rules)).toBeNull();
+      expect(detectGenerated(file('schema.graphql', '', { generated: true }))).toBe('marked as generated');
+    });
+  });
+
+  describe('applyFileFilters', () => {
+    test('should keep filtered files with a summary instead of their diff', () => {
+      const files = [
+        file('src/app.js'),
+        file('package-lock.json', '@@ -1,2 +1,3 @@\n-a\n+b\n+c'),
+        file('docs/guide.md')
+      ];
+
+      const { files: result, omitted } = applyFileFilters(files, { exclude: ['docs/'] });
+
+      expect(result[0]).toBe(files[0]);
+      expect(result[1]).toMatchObject({ path: 'package-lock.json', diff: '', additions: 2, deletions: 1, omitted: 'lockfile' });
+      expect(omitted).toEqual([
+        { path: 'package-lock.json', reason: 'lockfile', kind: 'generated' },
+        { path: 'docs/guide.md', reason: 'excluded by pattern', kind: 'pattern' }
+      ]);
+
+      const { diffs: diff } = buildDiffs(result, 50000);
+      expect(diff).toContain('### File: package-lock.json\n(diff omitted: lockfile, +2 -1 lines)');
+      expect(diff).toContain('+new');
+    });
+
+    test('should apply include patterns to either path of a renamed file', () => {
+      const files = [file('src/new.js', '', { oldPath: 'lib/old.js' }), file('lib/other.js')];
+
+      const { omitted } = applyFileFilters(files, { include: ['lib/'] });
+
+      expect(omitted).toEqual([]);
+      expect(applyFileFilters(files, { include: ['test/**'] }).omitted.map((entry) => entry.reason))
+        .toEqual(['not matched by include patterns', 'not matched by include patterns']);
+    });
+
+    test('should review generated files when detection is disabled', () => {
+      const { omitted } = applyFileFilters([file('yarn.lock')], { detectGeneratedFiles: false });
+      expect(omitted).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+// Detects the platform of an MR/PR URL from its host. Self-hosted forges
+// (GitHub Enterprise, GitLab on "code.corp") are declared in FORGE_HOSTS
+// ("ghe.corp=github,code.corp=gitlab") or recognized from the GITHUB_API /
+// GITLAB_API / BITBUCKET_API / GITEA_API host.
+
+const PLATFORMS = ['github', 'gitlab', 'bitbucket', 'gitea'];
+
+// Forgejo is a Gitea fork with the same API
+const PLATFORM_ALIASES = { forgejo: 'gitea' };
+
+// Parses FORGE_HOSTS into a Map of host name -> platform
+function parseForgeHosts(value) {
+  const hosts = new Map();
+
+  for (const entry of String(value || '').split(',')) {
+    if (!entry.trim()) {
+      continue;
+    }
+    const [host, name] = entry.split('=').map((part) => (part || '').trim().toLowerCase());
+    const platform = PLATFORM_ALIASES[name] || name;
+    if (!host || !PLATFORMS.includes(platform)) {
+      throw new Error(`Invalid FORGE_HOSTS entry "${entry.trim()}". Expected host=platform with platform one of: ${PLATFORMS.join(', ')}`);
+    }
+    hosts.set(host, platform);
+  }
+
+  return hosts;
+}
+
+// Lowercase host name (with port) of a URL, or null when it is not a URL
+function getHost(url) {
+  const match = String(url || '').match(/^https?:\/\/([^/?#]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Public instances of the platforms
+const PUBLIC_HOSTS = {
+  'github.com': 'github',
+  'gitlab.com': 'gitlab',
+  'bitbucket.org': 'bitbucket',
+  'www.bitbucket.org': 'bitbucket',
+  'codeberg.org': 'gitea'
+};
+
+// Platform of a host: FORGE_HOSTS entries, the GITHUB_API / GITLAB_API /
+// BITBUCKET_API / GITEA_API hosts and the public instances, else null. The
+// platform token is sent to that host, so it is never guessed from the URL.
+function getHostPlatform(host, env = process.env) {
+  const configured = parseForgeHosts(env.FORGE_HOSTS).get(host);
+  if (configured) {
+    return configured;
+  }
+  if (host === getHost(env.GITHUB_API)) {
+    return 'github';
+  }
+  if (host === getHost(env.GITLAB_API)) {
+    return 'gitlab';
+  }
+  if (host === getHost(env.BITBUCKET_API)) {
+    return 'bitbucket';
+  }
+  if (host === getHost(env.GITEA_API)) {
+    return 'gitea';
+  }
+  return PUBLIC_HOSTS[host] || null;
+}
+
+function unknownHostError(host, platform = null) {
+  const example = `${host}=${platform || 'gitlab'}`;
+  return new Error(
+    `Unknown forge host "${host}"${platform ? ` for ${platform}` : ''}. Declare it in FORGE_HOSTS (e.g. ${example}) ` +
+      'or set the API variable of its platform (GITLAB_API, GITHUB_API, BITBUCKET_API, GITEA_API)'
+  );
+}
+
+// Platform of a URL (one of PLATFORMS), or null when it is not a URL. Throws
+// for hosts that are not configured.
+function detectPlatform(url, env = process.env) {
+  const host = getHost(url);
+  if (!host) {
+    return null;
+  }
+
+  const platform = getHostPlatform(host, env);
+  if (!platform) {
+    throw unknownHostError(host);
+  }
+  return platform;
+}
+
+// Throws unless host is a configured host of platform (clients call it before
+// sending their token to a URL's host)
+function checkForgeHost(host, platform, env = process.env) {
+  if (getHostPlatform(host, env) !== platform) {
+    throw unknownHostError(host, platform);
+  }
+}
+
+module.exports = { PLATFORMS, PLATFORM_ALIASES, parseForgeHosts, getHost, getHostPlatform, detectPlatform, checkForgeHost };
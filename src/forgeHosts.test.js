@@ -0,0 +1,39 @@
+const { parseForgeHosts, detectPlatform } = require('./forgeHosts');
+
+describe('forgeHosts', () => {
+  test('should parse host=platform entries', () => {
+    expect([...parseForgeHosts(' ghe.corp=github, Code.Corp:8443=GitLab ,')]).toEqual([
+      ['ghe.corp', 'github'],
+      ['code.corp:8443', 'gitlab']
+    ]);
+    expect(parseForgeHosts(undefined).size).toBe(0);
+    expect([...parseForgeHosts('git.corp=forgejo')]).toEqual([['git.corp', 'gitea']]);
+    expect(() => parseForgeHosts('ghe.corp=svn')).toThrow('Invalid FORGE_HOSTS entry "ghe.corp=svn"');
+  });
+
+  test.each([
+    ['https://github.com/owner/repo/pull/1', {}, 'github'],
+    ['https://gitlab.com/group/project/-/merge_requests/2', {}, 'gitlab'],
+    ['https://code.corp/group/sub/project/-/merge_requests/3', { GITLAB_API: 'https://code.corp/api/v4' }, 'gitlab'],
+    ['https://ghe.corp/owner/repo/pull/4', { FORGE_HOSTS: 'ghe.corp=github' }, 'github'],
+    ['https://review.corp/owner/repo/pull/5', { FORGE_HOSTS: 'review.corp=gitlab' }, 'gitlab'],
+    ['https://git.corp/owner/repo/pulls/6', { GITHUB_API: 'https://git.corp/api/v3' }, 'github'],
+    ['https://bitbucket.org/team/app/pull-requests/8', {}, 'bitbucket'],
+    ['https://git.corp/projects/PROJ/repos/app/pull-requests/9', { BITBUCKET_API: 'https://git.corp/rest/api/1.0' }, 'bitbucket'],
+    ['https://codeberg.org/owner/repo/pulls/10', {}, 'gitea'],
+    ['https://git.corp/owner/repo/pulls/12', { GITEA_API: 'https://git.corp/api/v1' }, 'gitea'],
+    ['https://git.corp/owner/repo/pulls/13', { FORGE_HOSTS: 'git.corp=forgejo' }, 'gitea'],
+    ['123', {}, null]
+  ])('detectPlatform(%s) -> %s', (url, env, expected) => {
+    expect(detectPlatform(url, env)).toBe(expected);
+  });
+
+  test.each([
+    'https://ghe.corp/owner/repo/pull/4',
+    'https://gitlab.evil.example/group/project/-/merge_requests/2',
+    'https://gitea.corp/owner/repo/pulls/11',
+    'https://git.corp/projects/PROJ/repos/app/pull-requests/9'
+  ])('should refuse the unknown host of %s', (url) => {
+    expect(() => detectPlatform(url, {})).toThrow(/^Unknown forge host ".+"\. Declare it in FORGE_HOSTS/);
+  });
+});
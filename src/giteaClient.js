@@ -0,0 +1,354 @@
+const axios = require('axios');
+const { COMMENT_MARKER } = require('./outputFormatter');
+const { buildDiffs } = require('./diffBuilder');
+const { parseUnifiedDiff } = require('./diffParser');
+const { getHost, checkForgeHost } = require('./forgeHosts');
+const { log } = require('./logger');
+
+// Gitea and Forgejo (same API). The PR diff is read as a unified diff and
+// split per file like local diffs; the review is posted as an issue comment.
+
+// API base of an instance URL: GITEA_API when it points at that host, else
+// <base>/api/v1
+function getApiBase(baseUrl) {
+  const configured = (process.env.GITEA_API || '').replace(/\/+$/, '');
+  if (configured && getHost(configured) === getHost(baseUrl)) {
+    return configured;
+  }
+  return `${baseUrl}/api/v1`;
+}
+
+function parsePRUrl(input, projectArg = null) {
+  if (!input) {
+    throw new Error('PR URL or number is required');
+  }
+
+  // https://<host>[/<sub path>]/<owner>/<repo>/pulls/<number>
+  const urlMatch = input.match(/^(https?:\/\/[^\/?#]+(?:\/[^?#]*?)?)\/([^\/]+)\/([^\/]+)\/pulls\/(\d+)/i);
+  if (urlMatch) {
+    const [, baseUrl, owner, repo, prNumber] = urlMatch;
+    checkForgeHost(getHost(baseUrl), 'gitea');
+    return { apiBase: getApiBase(baseUrl), owner, repo, prNumber };
+  }
+
+  if (/^\d+$/.test(input)) {
+    const repoPath = projectArg || process.env.GITEA_DEFAULT_REPO;
+    if (!repoPath) {
+      throw new Error(
+        'PR number provided without repository. Use --project flag or set GITEA_DEFAULT_REPO in .env'
+      );
+    }
+
+    const repoMatch = repoPath.match(/^([^\/]+)\/([^\/]+)$/);
+    if (!repoMatch) {
+      throw new Error('Invalid repository format. Expected: owner/repo');
+    }
+
+    const apiBase = (process.env.GITEA_API || '').replace(/\/+$/, '');
+    if (!apiBase) {
+      throw new Error('PR number provided without a Gitea instance. Set GITEA_API in .env (e.g., https://codeberg.org/api/v1)');
+    }
+
+    return { apiBase, owner: repoMatch[1], repo: repoMatch[2], prNumber: input };
+  }
+
+  throw new Error(
+    'Invalid input format. Expected: Gitea/Forgejo PR URL, PR number (with --project or GITEA_DEFAULT_REPO)'
+  );
+}
+
+function getHeaders(accept = 'application/json') {
+  const token = process.env.GITEA_TOKEN;
+  if (!token) {
+    throw new Error('GITEA_TOKEN environment variable is not set');
+  }
+
+  return {
+    'Authorization': `token ${token}`,
+    'Accept': accept
+  };
+}
+
+async function getDiffs(prUrl, projectArg = null, maxDiffChars = null) {
+  const { apiBase, owner, repo, prNumber } = parsePRUrl(prUrl, projectArg);
+  const headers = getHeaders();
+
+  try {
+    log(`Fetching PR ${prNumber} from ${owner}/${repo}...`);
+
+    const prResponse = await axios.get(
+      `${apiBase}/repos/${owner}/${repo}/pulls/${prNumber}`,
+      { headers, timeout: 30000 }
+    );
+    const pr = prResponse.data;
+
+    const diffResponse = await axios.get(
+      `${apiBase}/repos/${owner}/${repo}/pulls/${prNumber}.diff`,
+      { headers: getHeaders('text/plain'), timeout: 60000, responseType: 'text' }
+    );
+    const files = parseUnifiedDiff(String(diffResponse.data || ''));
+
+    const { diffs, diffStats } = buildDiffs(files, maxDiffChars);
+
+    return {
+      title: pr.title,
+      description: pr.body || 'No description provided',
+      sourceBranch: pr.head.ref,
+      targetBranch: pr.base.ref,
+      changedFiles: files.length,
+      diffs,
+      files,
+      diffRefs: {
+        baseSha: pr.merge_base || pr.base.sha,
+        headSha: pr.head.sha
+      },
+      diffStats
+    };
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404) {
+        throw new Error(
+          'PR not found. Check the URL and ensure you have access to this repository.'
+        );
+      } else if (error.response.status === 401 || error.response.status === 403) {
+        throw new Error('Authentication failed. Check your GITEA_TOKEN.');
+      }
+      throw new Error(
+        `Gitea API error: ${error.response.status} - ${error.response.statusText}`
+      );
+    }
+    throw error;
+  }
+}
+
+// Posts the review summary, editing the previous bot comment (identified by
+// the hidden marker) in place unless options.update is false.
+async function postComment(prUrl, commentBody, projectArg = null, options = {}) {
+  const { apiBase, owner, repo, prNumber } = parsePRUrl(prUrl, projectArg);
+
+  let previousComment = null;
+  if (options.update !== false) {
+    previousComment = options.previousComment !== undefined
+      ? options.previousComment
+      : await findBotComment(prUrl, projectArg);
+  }
+
+  if (previousComment) {
+    await sendWithRetry(
+      'patch',
+      `${apiBase}/repos/${owner}/${repo}/issues/comments/${previousComment.id}`,
+      { body: commentBody },
+      {
+        progressMessage: 'Updating previous review comment on PR...',
+        successMessage: '✓ Comment updated successfully\n',
+        notFoundMessage: 'Previous review comment not found. Cannot update comment.',
+        actionName: 'update comment'
+      }
+    );
+    return;
+  }
+
+  await sendWithRetry(
+    'post',
+    `${apiBase}/repos/${owner}/${repo}/issues/${prNumber}/comments`,
+    { body: commentBody },
+    {
+      progressMessage: 'Posting comment to PR...',
+      successMessage: '✓ Comment posted successfully\n',
+      notFoundMessage: 'PR not found. Cannot post comment.',
+      actionName: 'post comment'
+    }
+  );
+}
+
+// Returns the most recent comment posted by mr-pilot on the PR ({ id, body }),
+// or null. Only comments of the token's user count: a review quoted or copied
+// by someone else cannot be edited. Lookup failures are reported and treated as
+// "no previous comment".
+async function findBotComment(prUrl, projectArg = null) {
+  const { apiBase, owner, repo, prNumber } = parsePRUrl(prUrl, projectArg);
+  const headers = getHeaders();
+
+  try {
+    const user = await axios.get(`${apiBase}/user`, { headers, timeout: 30000 });
+
+    // The issue comments endpoint is not paginated
+    const response = await axios.get(
+      `${apiBase}/repos/${owner}/${repo}/issues/${prNumber}/comments`,
+      { headers, timeout: 30000 }
+    );
+
+    const botComments = (response.data || []).filter(
+      (comment) =>
+        comment.user &&
+        comment.user.login === user.data.login &&
+        typeof comment.body === 'string' &&
+        comment.body.includes(COMMENT_MARKER)
+    );
+    if (botComments.length === 0) {
+      return null;
+    }
+
+    const latest = botComments[botComments.length - 1];
+    return { id: latest.id, body: latest.body };
+  } catch (error) {
+    const reason = error.response ? `${error.response.status} - ${error.response.statusText}` : error.message;
+    log(`⚠️  Could not look up previous review comment (${reason}), a new comment will be posted`);
+    return null;
+  }
+}
+
+// Returns the content of a file in the PR's repository at the given ref
+// (branch, tag or SHA), or null when the file does not exist there.
+async function getFileContent(prUrl, filePath, ref, projectArg = null) {
+  const { apiBase, owner, repo } = parsePRUrl(prUrl, projectArg);
+  const headers = getHeaders('*/*');
+  const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+
+  try {
+    const response = await axios.get(
+      `${apiBase}/repos/${owner}/${repo}/raw/${encodedPath}?ref=${encodeURIComponent(ref)}`,
+      { headers, timeout: 30000, responseType: 'text' }
+    );
+    return typeof response.data === 'string' ? response.data : null;
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404) {
+        return null;
+      } else if (error.response.status === 401 || error.response.status === 403) {
+        throw new Error(`Authentication failed or insufficient permissions to read '${filePath}'.`);
+      }
+      throw new Error(`Gitea API error reading '${filePath}': ${error.response.status} - ${error.response.statusText}`);
+    }
+    throw error;
+  }
+}
+
+// Returns an issue of the PR's repository, or of issueRepo ("owner/repo") for
+// cross-repository references: { ref, title, body, url }. Returns null when
+// it does not exist or is a pull request.
+async function getIssue(prUrl, issueNumber, projectArg = null, issueRepo = null) {
+  const { apiBase, owner, repo } = parsePRUrl(prUrl, projectArg);
+  const repoPath = issueRepo || `${owner}/${repo}`;
+  const headers = getHeaders();
+
+  try {
+    const response = await axios.get(
+      `${apiBase}/repos/${repoPath}/issues/${issueNumber}`,
+      { headers, timeout: 30000 }
+    );
+    const issue = response.data;
+    if (issue.pull_request) {
+      return null;
+    }
+    return {
+      ref: `${repoPath}#${issueNumber}`,
+      title: issue.title,
+      body: issue.body || '',
+      url: issue.html_url
+    };
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404) {
+        return null;
+      } else if (error.response.status === 401 || error.response.status === 403) {
+        throw new Error(`Authentication failed or insufficient permissions to read issue ${repoPath}#${issueNumber}.`);
+      }
+      throw new Error(`Gitea API error reading issue ${repoPath}#${issueNumber}: ${error.response.status} - ${error.response.statusText}`);
+    }
+    throw error;
+  }
+}
+
+async function sendWithRetry(method, url, payload, messages) {
+  const maxRetries = 3;
+  const timeout = 30000; // 30 seconds
+  const headers = { ...getHeaders(), 'Content-Type': 'application/json' };
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      if (attempt === 1) {
+        log(messages.progressMessage);
+      } else {
+        log(`Retrying... (attempt ${attempt}/${maxRetries})`);
+      }
+
+      const response = await axios[method](url, payload, {
+        headers,
+        timeout: timeout
+      });
+
+      log(messages.successMessage);
+      return response; // Success, exit function
+    } catch (error) {
+      const isLastAttempt = attempt === maxRetries;
+
+      // Check if it's a timeout or network error
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        if (isLastAttempt) {
+          throw new Error(
+            `Failed to ${messages.actionName} after ${maxRetries} attempts: Request timeout`
+          );
+        }
+        log(`⚠️  Request timed out, retrying in 2 seconds...`);
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+        continue;
+      }
+
+      // Check HTTP errors
+      if (error.response) {
+        if (error.response.status === 404) {
+          throw new Error(messages.notFoundMessage);
+        } else if (
+          error.response.status === 401 ||
+          error.response.status === 403
+        ) {
+          throw new Error(
+            `Authentication failed or insufficient permissions to ${messages.actionName}.`
+          );
+        } else if (error.response.status === 429) {
+          // Rate limit exceeded - retry after Retry-After seconds (at most a minute)
+          if (isLastAttempt) {
+            throw new Error('Gitea API rate limit exceeded after retries. Please try again later.');
+          }
+          const retryAfter = Number((error.response.headers || {})['retry-after']) || 2;
+          const waitSeconds = Math.min(retryAfter, 60);
+          log(`⚠️  Rate limit exceeded. Waiting ${waitSeconds} seconds...`);
+          await new Promise((resolve) => setTimeout(resolve, waitSeconds * 1000));
+          continue;
+        } else if (error.response.status >= 500) {
+          // Server error - retry
+          if (isLastAttempt) {
+            throw new Error(
+              `Gitea server error after ${maxRetries} attempts: ${error.response.status} - ${error.response.statusText}`
+            );
+          }
+          log(
+            `⚠️  Server error (${error.response.status}), retrying in 2 seconds...`
+          );
+          await new Promise((resolve) => setTimeout(resolve, 2000));
+          continue;
+        } else {
+          throw new Error(
+            `Gitea API error: ${error.response.status} - ${error.response.statusText}`
+          );
+        }
+      }
+
+      // Unknown error
+      if (isLastAttempt) {
+        throw error;
+      }
+      log(`⚠️  Error: ${error.message}, retrying in 2 seconds...`);
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+  }
+}
+
+module.exports = {
+  getDiffs,
+  postComment,
+  findBotComment,
+  getFileContent,
+  getIssue
+};
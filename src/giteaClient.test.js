@@ -0,0 +1,155 @@
+const { getDiffs, postComment, getFileContent, getIssue } = require('./giteaClient');
+const axios = require('axios');
+
+jest.mock('axios');
+
+describe('giteaClient', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    process.env.GITEA_TOKEN = 'test-token';
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    delete process.env.GITEA_TOKEN;
+    delete process.env.GITEA_API;
+    delete process.env.GITEA_DEFAULT_REPO;
+    delete process.env.FORGE_HOSTS;
+  });
+
+  describe('getDiffs', () => {
+    test('should read the PR and split its diff per file', async () => {
+      process.env.FORGE_HOSTS = 'git.corp=forgejo';
+      axios.get
+        .mockResolvedValueOnce({
+          data: {
+            title: 'Fix login',
+            body: 'Fixes #3',
+            head: { ref: 'fix-login', sha: 'head123' },
+            base: { ref: 'main', sha: 'main123' },
+            merge_base: 'base123'
+          }
+        })
+        .mockResolvedValueOnce({
+          data: 'diff --git a/old.js b/login.js\nrename from old.js\nrename to login.js\n--- a/old.js\n+++ b/login.js\n@@ -1 +1 @@\n-a\n+b\n'
+        });
+
+      const result = await getDiffs('https://git.corp/forge/team/app/pulls/12/files');
+
+      expect(axios.get.mock.calls[0][0]).toBe('https://git.corp/forge/api/v1/repos/team/app/pulls/12');
+      expect(axios.get.mock.calls[1][0]).toBe('https://git.corp/forge/api/v1/repos/team/app/pulls/12.diff');
+      expect(axios.get.mock.calls[0][1].headers.Authorization).toBe('token test-token');
+      expect(result.title).toBe('Fix login');
+      expect(result.sourceBranch).toBe('fix-login');
+      expect(result.diffRefs).toEqual({ baseSha: 'base123', headSha: 'head123' });
+      expect(result.files).toEqual([
+        expect.objectContaining({ path: 'login.js', oldPath: 'old.js', status: 'renamed' })
+      ]);
+    });
+
+    test('should require GITEA_API for PR numbers', async () => {
+      process.env.GITEA_DEFAULT_REPO = 'team/app';
+      await expect(getDiffs('12')).rejects.toThrow('Set GITEA_API');
+
+      process.env.GITEA_API = 'https://codeberg.org/api/v1/';
+      axios.get.mockRejectedValueOnce({ response: { status: 401 } });
+      await expect(getDiffs('12')).rejects.toThrow('Check your GITEA_TOKEN');
+      expect(axios.get.mock.calls[0][0]).toBe('https://codeberg.org/api/v1/repos/team/app/pulls/12');
+    });
+  });
+
+  describe('postComment', () => {
+    const bot = { login: 'review-bot' };
+
+    test('should edit the latest bot comment', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: bot })
+        .mockResolvedValueOnce({
+          data: [
+            { id: 1, user: bot, body: 'Old review\n<!-- mr-pilot-review {} -->' },
+            { id: 2, user: bot, body: 'LGTM' },
+            { id: 3, user: bot, body: 'Newer review\n<!-- mr-pilot-review {} -->' },
+            { id: 4, user: { login: 'alice' }, body: '> Newer review\n> <!-- mr-pilot-review {} -->' }
+          ]
+        });
+      axios.patch.mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://codeberg.org/team/app/pulls/12', 'Updated review');
+
+      expect(axios.get.mock.calls[0][0]).toBe('https://codeberg.org/api/v1/user');
+      expect(axios.patch).toHaveBeenCalledWith(
+        'https://codeberg.org/api/v1/repos/team/app/issues/comments/3',
+        { body: 'Updated review' },
+        expect.any(Object)
+      );
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should post a new comment when there is none or lookup fails', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: bot })
+        .mockResolvedValueOnce({ data: [{ id: 4, user: { login: 'alice' }, body: 'Copy\n<!-- mr-pilot-review {} -->' }] })
+        .mockRejectedValueOnce({ response: { status: 500, statusText: 'Server Error' } });
+      axios.post.mockResolvedValue({ data: {} });
+
+      await postComment('https://codeberg.org/team/app/pulls/12', 'Review');
+      await postComment('https://codeberg.org/team/app/pulls/12', 'Review');
+
+      expect(axios.patch).not.toHaveBeenCalled();
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://codeberg.org/api/v1/repos/team/app/issues/12/comments',
+        { body: 'Review' },
+        expect.any(Object)
+      );
+    });
+
+    test('should retry server errors', async () => {
+      axios.post
+        .mockRejectedValueOnce({ response: { status: 502, statusText: 'Bad Gateway' } })
+        .mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://codeberg.org/team/app/pulls/12', 'Review', null, { update: false });
+
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Server error (502), retrying'));
+    });
+
+    test('should surface authentication errors', async () => {
+      axios.post.mockRejectedValueOnce({ response: { status: 403 } });
+
+      await expect(postComment('https://codeberg.org/team/app/pulls/12', 'Review', null, { update: false }))
+        .rejects.toThrow('insufficient permissions to post comment');
+    });
+  });
+
+  describe('getFileContent', () => {
+    test('should read a raw file at the given ref, or null when missing', async () => {
+      axios.get.mockResolvedValueOnce({ data: '# Guide' }).mockRejectedValueOnce({ response: { status: 404 } });
+
+      await expect(getFileContent('https://codeberg.org/team/app/pulls/12', 'docs/guide.md', 'main'))
+        .resolves.toBe('# Guide');
+      await expect(getFileContent('https://codeberg.org/team/app/pulls/12', 'missing.md', 'main'))
+        .resolves.toBeNull();
+      expect(axios.get.mock.calls[0][0]).toBe('https://codeberg.org/api/v1/repos/team/app/raw/docs/guide.md?ref=main');
+    });
+  });
+
+  describe('getIssue', () => {
+    test('should read issues and skip pull requests', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { title: 'Login broken', body: 'Steps', html_url: 'https://codeberg.org/team/app/issues/3' } })
+        .mockResolvedValueOnce({ data: { title: 'A PR', pull_request: {} } });
+
+      await expect(getIssue('https://codeberg.org/team/app/pulls/12', '3')).resolves.toEqual({
+        ref: 'team/app#3',
+        title: 'Login broken',
+        body: 'Steps',
+        url: 'https://codeberg.org/team/app/issues/3'
+      });
+      await expect(getIssue('https://codeberg.org/team/app/pulls/12', '4', null, 'other/lib')).resolves.toBeNull();
+      expect(axios.get.mock.calls[1][0]).toBe('https://codeberg.org/api/v1/repos/other/lib/issues/4');
+    });
+  });
+});
@@ -1,26 +1,64 @@
 const axios = require('axios');
+const { COMMENT_MARKER } = require('./outputFormatter');
+const { buildDiffs } = require('./diffBuilder');
+const { parseUnifiedDiff } = require('./diffParser');
+const { getHost, checkForgeHost } = require('./forgeHosts');
+const { withCache } = require('./responseCache');
+const { log } = require('./logger');
+
+// GitHub lists at most 3000 files of a PR (30 pages of 100)
+const MAX_FILE_PAGES = 30;
+
+// Batch reviews list at most 10 pages of 100 PRs (the search API limit)
+const MAX_LIST_PAGES = 10;
+
+// GitHub file statuses, as the status names of the other clients
+const FILE_STATUSES = {
+  added: 'added',
+  copied: 'added',
+  removed: 'deleted',
+  renamed: 'renamed'
+};
 
 // Cache token validation to avoid repeated API calls
 const validatedTokens = new Map();
 
+// REST API base for a host: api.github.com, GITHUB_API when it points at that
+// host (or for PR numbers), else the GitHub Enterprise Server default /api/v3
+// of a FORGE_HOSTS entry. GITHUB_TOKEN is never sent to other hosts.
+function getApiBase(host) {
+  const configured = (process.env.GITHUB_API || '').replace(/\/+$/, '');
+  if (!host) {
+    return configured || 'https://api.github.com';
+  }
+  if (host === 'github.com') {
+    return 'https://api.github.com';
+  }
+  checkForgeHost(host, 'github');
+  if (configured && getHost(configured) === host) {
+    return configured;
+  }
+  return `https://${host}/api/v3`;
+}
+
 function parsePRUrl(input, projectArg = null) {
   if (!input) {
     throw new Error('PR URL or number is required');
   }
 
-  // Check if it's a full URL
-  const urlPattern = /https?:\/\/github\.com\/([^\/]+)\/([^\/]+)\/pull\/(\d+)/;
+  // Check if it's a full URL (github.com or GitHub Enterprise Server)
+  const urlPattern = /https?:\/\/([^\/]+)\/([^\/]+)\/([^\/]+)\/pull\/(\d+)/;
   const urlMatch = input.match(urlPattern);
 
   if (urlMatch) {
     // Full URL provided
-    const [, owner, repo, prNumber] = urlMatch;
+    const [, host, owner, repo, prNumber] = urlMatch;
     
     return {
       owner,
       repo,
       prNumber,
-      apiBase: 'https://api.github.com'
+      apiBase: getApiBase(host.toLowerCase())
     };
   }
 
@@ -51,7 +89,7 @@ function parsePRUrl(input, projectArg = null) {
       owner,
       repo,
       prNumber,
-      apiBase: 'https://api.github.com'
+      apiBase: getApiBase(null)
     };
   }
 
@@ -101,10 +139,10 @@ async function getDiffs(prUrl, projectArg = null, maxDiffChars = null) {
       }
     }
 
-    console.log(`Fetching PR ${prNumber} from ${owner}/${repo}...`);
+    log(`Fetching PR ${prNumber} from ${owner}/${repo}...`);
 
     // Fetch PR metadata with retry logic
-    let prResponse, filesResponse;
+    let prResponse;
     const maxRetries = 3;
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -120,7 +158,7 @@ async function getDiffs(prUrl, projectArg = null, maxDiffChars = null) {
           if (resetTime && attempt < maxRetries) {
             const waitTime = Math.max(0, parseInt(resetTime) * 1000 - Date.now());
             const waitSeconds = Math.ceil(waitTime / 1000);
-            console.log(`⚠️  Rate limit exceeded. Waiting ${waitSeconds} seconds...`);
+            log(`⚠️  Rate limit exceeded. Waiting ${waitSeconds} seconds...`);
             await new Promise((resolve) => setTimeout(resolve, waitTime + 1000));
             continue;
           }
@@ -131,88 +169,38 @@ async function getDiffs(prUrl, projectArg = null, maxDiffChars = null) {
 
     const pr = prResponse.data;
 
-    // Fetch PR files (includes diffs) with retry logic
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        filesResponse = await axios.get(
-          `${apiBase}/repos/${owner}/${repo}/pulls/${prNumber}/files`,
-          { headers, timeout: 30000 }
-        );
-        break; // Success, exit retry loop
-      } catch (error) {
-        if (error.response?.status === 429) {
-          const resetTime = error.response.headers['x-ratelimit-reset'];
-          if (resetTime && attempt < maxRetries) {
-            const waitTime = Math.max(0, parseInt(resetTime) * 1000 - Date.now());
-            const waitSeconds = Math.ceil(waitTime / 1000);
-            console.log(`⚠️  Rate limit exceeded. Waiting ${waitSeconds} seconds...`);
-            await new Promise((resolve) => setTimeout(resolve, waitTime + 1000));
-            continue;
-          }
-        }
-        throw error; // Re-throw if not rate limit or last attempt
-      }
+    // File diffs only change with the PR's commits: they are cached by base
+    // and head SHA (see responseCache)
+    const cacheKeyParts = pr.base && pr.base.sha && pr.head && pr.head.sha
+      ? ['github-files', apiBase, owner, repo, prNumber, pr.base.sha, pr.head.sha]
+      : null;
+    const files = await withCache('forge', cacheKeyParts, () =>
+      fetchFileDiffs(apiBase, owner, repo, prNumber, pr, headers)
+    );
+
+    const totalFiles = pr.changed_files || files.length;
+    if (totalFiles > files.length) {
+      log(`⚠️  GitHub lists only ${files.length} of the ${totalFiles} changed files, the others are not reviewed`);
     }
 
-    const files = filesResponse.data;
-
-    // Format diffs
-    let diffsText = '';
-    let truncatedFiles = 0;
-
-    if (files && files.length > 0) {
-      diffsText = files
-        .map((file) => {
-          const filePath = file.filename;
-          return `\n### File: ${filePath}\n${file.patch || '(Binary or no changes)'}`;
-        })
-        .join('\n');
-    }
-
-    const originalLength = diffsText.length;
-    const MAX_DIFF_LENGTH = maxDiffChars || parseInt(process.env.MAX_DIFF_CHARS) || 50000;
-
-    let wasTruncated = false;
-    if (diffsText.length > MAX_DIFF_LENGTH) {
-      wasTruncated = true;
-      
-      // Find the last complete file before MAX_DIFF_LENGTH
-      const beforeLimit = diffsText.substring(0, MAX_DIFF_LENGTH);
-      const lastFileMarker = beforeLimit.lastIndexOf('\n### File:');
-      
-      let truncatedDiff;
-      if (lastFileMarker > 0) {
-        // Truncate at the last complete file
-        truncatedDiff = diffsText.substring(0, lastFileMarker);
-      } else {
-        // If no complete file fits, just use the limit
-        truncatedDiff = beforeLimit;
-      }
-      
-      // Count total and included files more accurately
-      const totalFiles = (diffsText.match(/### File:/g) || []).length;
-      const includedFiles = (truncatedDiff.match(/### File:/g) || []).length;
-      truncatedFiles = totalFiles - includedFiles;
-
-      diffsText =
-        truncatedDiff +
-        `\n\n⚠️ [DIFF TRUNCATED: ${truncatedFiles} files not shown due to size limit. Original: ${originalLength} chars, showing: ${truncatedDiff.length} chars]\n` +
-        `💡 To review all changes, use: --max-diff-chars ${originalLength + 1000}`;
-    }
+    const { diffs, diffStats } = buildDiffs(files, maxDiffChars);
 
     return {
       title: pr.title,
       description: pr.body || 'No description provided',
       sourceBranch: pr.head.ref,
       targetBranch: pr.base.ref,
-      changedFiles: files.length,
-      diffs: diffsText,
+      changedFiles: totalFiles,
+      diffs,
+      files,
+      diffRefs: {
+        baseSha: pr.base.sha,
+        headSha: pr.head.sha
+      },
       diffStats: {
-        originalLength,
-        truncatedLength: wasTruncated ? MAX_DIFF_LENGTH : originalLength,
-        wasTruncated,
-        truncatedFiles,
-        recommendedMaxChars: originalLength + 1000
+        ...diffStats,
+        overflow: totalFiles > files.length,
+        unlistedFiles: totalFiles - files.length
       }
     };
   } catch (error) {
@@ -233,43 +221,536 @@ async function getDiffs(prUrl, projectArg = null, maxDiffChars = null) {
   }
 }
 
-async function postComment(prUrl, commentBody, projectArg = null) {
+// Posts the review summary. When a previous bot comment exists (identified by
+// the hidden marker) it is edited in place instead of adding a new comment.
+// Pass options.previousComment when it was already looked up, or
+// options.update = false to always create a new comment.
+async function postComment(prUrl, commentBody, projectArg = null, options = {}) {
+  const { apiBase, owner, repo, prNumber } = parsePRUrl(prUrl, projectArg);
+
+  let previousComment = null;
+  if (options.update !== false) {
+    previousComment = options.previousComment !== undefined
+      ? options.previousComment
+      : await findBotComment(prUrl, projectArg);
+  }
+
+  if (previousComment) {
+    await sendWithRetry(
+      'patch',
+      `${apiBase}/repos/${owner}/${repo}/issues/comments/${previousComment.id}`,
+      { body: commentBody },
+      {
+        progressMessage: 'Updating previous review comment on PR...',
+        successMessage: '✓ Comment updated successfully\n',
+        notFoundMessage: 'Previous review comment not found. Cannot update comment.',
+        actionName: 'update comment'
+      }
+    );
+    return;
+  }
+
+  await sendWithRetry(
+    'post',
+    `${apiBase}/repos/${owner}/${repo}/issues/${prNumber}/comments`,
+    { body: commentBody },
+    {
+      progressMessage: 'Posting comment to PR...',
+      successMessage: '✓ Comment posted successfully\n',
+      notFoundMessage: 'PR not found. Cannot post comment.',
+      actionName: 'post comment'
+    }
+  );
+}
+
+// Returns the most recent comment posted by mr-pilot on the PR ({ id, body }),
+// or null. Only comments of the token's user count: a review quoted or copied
+// by someone else cannot be edited. Lookup failures are reported and treated as
+// "no previous comment".
+async function findBotComment(prUrl, projectArg = null) {
+  const { apiBase, owner, repo, prNumber } = parsePRUrl(prUrl, projectArg);
+
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new Error('GITHUB_TOKEN environment variable is not set');
+  }
+
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+
+  try {
+    const login = await getAuthenticatedLogin(apiBase, headers);
+    const comments = await getAllPages(
+      `${apiBase}/repos/${owner}/${repo}/issues/${prNumber}/comments?per_page=100`,
+      headers
+    );
+
+    // Without a login (GitHub App and Actions tokens), comments of bot
+    // accounts are the ones mr-pilot may have posted
+    const botComments = comments.filter(
+      (comment) =>
+        comment.user &&
+        (login ? comment.user.login === login : comment.user.type === 'Bot') &&
+        typeof comment.body === 'string' &&
+        comment.body.includes(COMMENT_MARKER)
+    );
+    if (botComments.length === 0) {
+      return null;
+    }
+
+    const latest = botComments[botComments.length - 1];
+    return { id: latest.id, body: latest.body };
+  } catch (error) {
+    const reason = error.response ? `${error.response.status} - ${error.response.statusText}` : error.message;
+    log(`⚠️  Could not look up previous review comment (${reason}), a new comment will be posted`);
+    return null;
+  }
+}
+
+// Login of the token's user, or null for installation tokens (GitHub App,
+// Actions GITHUB_TOKEN), which cannot read /user
+async function getAuthenticatedLogin(apiBase, headers) {
+  try {
+    const response = await axios.get(`${apiBase}/user`, { headers, timeout: 30000 });
+    return response.data.login;
+  } catch (error) {
+    if (error.response && error.response.status === 403) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Returns the content of a file in the PR's repository at the given ref
+// (branch, tag or SHA), or null when the file does not exist there.
+async function getFileContent(prUrl, filePath, ref, projectArg = null) {
+  const { apiBase, owner, repo } = parsePRUrl(prUrl, projectArg);
+
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new Error('GITHUB_TOKEN environment variable is not set');
+  }
+
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Accept': 'application/vnd.github.raw+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+
+  const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+
+  try {
+    const response = await axios.get(
+      `${apiBase}/repos/${owner}/${repo}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`,
+      { headers, timeout: 30000, responseType: 'text' }
+    );
+    return typeof response.data === 'string' ? response.data : null;
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404) {
+        return null;
+      } else if (error.response.status === 401 || error.response.status === 403) {
+        throw new Error(`Authentication failed or insufficient permissions to read '${filePath}'.`);
+      }
+      throw new Error(`GitHub API error reading '${filePath}': ${error.response.status} - ${error.response.statusText}`);
+    }
+    throw error;
+  }
+}
+
+// Returns an issue of the PR's repository, or of issueRepo ("owner/repo") for
+// cross-repository references: { ref, title, body, url }. Returns null when
+// it does not exist or is a pull request.
+async function getIssue(prUrl, issueNumber, projectArg = null, issueRepo = null) {
+  const { apiBase, owner, repo } = parsePRUrl(prUrl, projectArg);
+  const repoPath = issueRepo || `${owner}/${repo}`;
+
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new Error('GITHUB_TOKEN environment variable is not set');
+  }
+
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+
+  try {
+    const response = await axios.get(
+      `${apiBase}/repos/${repoPath}/issues/${issueNumber}`,
+      { headers, timeout: 30000 }
+    );
+    const issue = response.data;
+    if (issue.pull_request) {
+      return null;
+    }
+    return {
+      ref: `${repoPath}#${issueNumber}`,
+      title: issue.title,
+      body: issue.body || '',
+      url: issue.html_url
+    };
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404 || error.response.status === 410) {
+        return null;
+      } else if (error.response.status === 401 || error.response.status === 403) {
+        throw new Error(`Authentication failed or insufficient permissions to read issue ${repoPath}#${issueNumber}.`);
+      }
+      throw new Error(`GitHub API error reading issue ${repoPath}#${issueNumber}: ${error.response.status} - ${error.response.statusText}`);
+    }
+    throw error;
+  }
+}
+
+// Lists the PRs of a repository (projectArg or GITHUB_DEFAULT_REPO), or of an
+// organization (filters.group) through the search API, for batch reviews:
+// [{ url, id, ref, title, author, headSha }]. Filters: state ("open" by default,
+// "closed", "merged" or "all"), labels (all of them), author.
+async function listMergeRequests(projectArg = null, filters = {}) {
+  const apiBase = getApiBase(null);
+
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new Error('GITHUB_TOKEN environment variable is not set');
+  }
+
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+
+  // GitLab's "opened" is GitHub's "open"
+  const state = filters.state === 'opened' ? 'open' : filters.state || 'open';
+  const labels = filters.labels || [];
+
+  try {
+    if (filters.group) {
+      const qualifiers = [
+        'is:pr',
+        `org:${filters.group}`,
+        state === 'all' ? '' : `is:${state}`,
+        ...labels.map((label) => `label:"${label}"`),
+        filters.author ? `author:${filters.author}` : ''
+      ].filter(Boolean);
+
+      const items = [];
+      for (let page = 1; page <= MAX_LIST_PAGES; page++) {
+        const response = await axios.get(
+          `${apiBase}/search/issues?q=${encodeURIComponent(qualifiers.join(' '))}&per_page=100&page=${page}`,
+          { headers, timeout: 30000 }
+        );
+        items.push(...(response.data.items || []));
+        if (items.length >= response.data.total_count || (response.data.items || []).length < 100) {
+          break;
+        }
+      }
+
+      // Search results have no head commit: read it from each PR
+      const prs = [];
+      for (const item of items) {
+        const response = await axios.get(`${item.repository_url}/pulls/${item.number}`, { headers, timeout: 30000 });
+        prs.push(response.data);
+      }
+      return prs.map((pr) => toListedPR(pr, true));
+    }
+
+    const repoPath = projectArg || process.env.GITHUB_DEFAULT_REPO;
+    if (!repoPath || !/^[^\/]+\/[^\/]+$/.test(repoPath)) {
+      throw new Error(
+        'No repository to list PRs from. Use --project owner/repo or --group <org>, or set GITHUB_DEFAULT_REPO in .env'
+      );
+    }
+
+    // The pulls API has no label, author or merged filters
+    const prs = await getAllPages(
+      `${apiBase}/repos/${repoPath}/pulls?state=${state === 'merged' ? 'closed' : state}&per_page=100`,
+      headers,
+      MAX_LIST_PAGES
+    );
+    return prs
+      .filter((pr) => state !== 'merged' || pr.merged_at)
+      .filter((pr) => labels.every((label) => (pr.labels || []).some((prLabel) => prLabel.name === label)))
+      .filter((pr) => !filters.author || (pr.user && pr.user.login === filters.author))
+      .map((pr) => toListedPR(pr, false));
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404 || error.response.status === 422) {
+        throw new Error(
+          `${filters.group ? 'Organization' : 'Repository'} '${filters.group || projectArg || process.env.GITHUB_DEFAULT_REPO}' not found, or you have no access to it.`
+        );
+      } else if (error.response.status === 401) {
+        throw new Error('Authentication failed. Check your GITHUB_TOKEN.');
+      }
+      throw new Error(
+        `GitHub API error: ${error.response.status} - ${error.response.statusText}`
+      );
+    }
+    throw error;
+  }
+}
+
+// "#12", or "owner/repo#12" across the repositories of an organization
+function toListedPR(pr, withRepo) {
+  const repoName = pr.base && pr.base.repo ? pr.base.repo.full_name : '';
+  return {
+    url: pr.html_url,
+    id: pr.number,
+    ref: withRepo && repoName ? `${repoName}#${pr.number}` : `#${pr.number}`,
+    title: pr.title,
+    author: pr.user ? pr.user.login : null,
+    headSha: pr.head ? pr.head.sha : null
+  };
+}
+
+// Diff of the commits pushed between two SHAs of the PR's repository, for
+// incremental reviews: { changedFiles, diffs, files, diffStats, commits }.
+// Returns null when fromSha is unknown or toSha is not strictly ahead of it
+// (force push or rebase), or when merge commits were pushed (e.g. of the base
+// branch), as the diff would then include unrelated changes.
+async function getCompareDiffs(prUrl, fromSha, toSha, projectArg = null, maxDiffChars = null) {
+  const { apiBase, owner, repo } = parsePRUrl(prUrl, projectArg);
+
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new Error('GITHUB_TOKEN environment variable is not set');
+  }
+
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+
+  try {
+    const response = await axios.get(
+      `${apiBase}/repos/${owner}/${repo}/compare/${fromSha}...${toSha}`,
+      { headers, timeout: 60000 }
+    );
+    const comparison = response.data;
+    const commits = comparison.commits || [];
+    if (comparison.status !== 'ahead' || commits.some((commit) => (commit.parents || []).length > 1)) {
+      return null;
+    }
+
+    // The compare API lists at most 300 files and leaves out large patches
+    const files = (comparison.files || []).map((file) => ({
+      path: file.filename,
+      oldPath: file.previous_filename || file.filename,
+      status: FILE_STATUSES[file.status] || 'modified',
+      additions: file.additions,
+      deletions: file.deletions,
+      diff: file.patch || '',
+      ...(!file.patch && file.changes > 0 ? { omitted: 'diff too large for the GitHub API' } : {})
+    }));
+    const { diffs, diffStats } = buildDiffs(files, maxDiffChars);
+
+    return {
+      changedFiles: files.length,
+      diffs,
+      files,
+      diffStats,
+      commits: comparison.ahead_by || commits.length
+    };
+  } catch (error) {
+    if (error.response) {
+      // Unknown SHA (e.g. removed by a force push)
+      if (error.response.status === 404 || error.response.status === 422) {
+        return null;
+      } else if (error.response.status === 401) {
+        throw new Error('Authentication failed. Check your GITHUB_TOKEN.');
+      }
+      throw new Error(
+        `GitHub API error comparing ${fromSha.substring(0, 8)}...${toSha.substring(0, 8)}: ${error.response.status} - ${error.response.statusText}`
+      );
+    }
+    throw error;
+  }
+}
+
+// Diffs of the PR's files. GitHub leaves out the patch of large files: they
+// are read from the full diff.
+async function fetchFileDiffs(apiBase, owner, repo, prNumber, pr, headers) {
   const maxRetries = 3;
-  const timeout = 30000; // 30 seconds
 
+  // Fetch PR files (includes diffs) with retry logic
+  let filesResponse;
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const { apiBase, owner, repo, prNumber } = parsePRUrl(prUrl, projectArg);
+      filesResponse = await getAllPages(
+        `${apiBase}/repos/${owner}/${repo}/pulls/${prNumber}/files?per_page=100`,
+        headers,
+        MAX_FILE_PAGES
+      );
+      break; // Success, exit retry loop
+    } catch (error) {
+      if (error.response?.status === 429) {
+        const resetTime = error.response.headers['x-ratelimit-reset'];
+        if (resetTime && attempt < maxRetries) {
+          const waitTime = Math.max(0, parseInt(resetTime) * 1000 - Date.now());
+          const waitSeconds = Math.ceil(waitTime / 1000);
+          log(`⚠️  Rate limit exceeded. Waiting ${waitSeconds} seconds...`);
+          await new Promise((resolve) => setTimeout(resolve, waitTime + 1000));
+          continue;
+        }
+      }
+      throw error; // Re-throw if not rate limit or last attempt
+    }
+  }
 
-      const token = process.env.GITHUB_TOKEN;
-      if (!token) {
-        throw new Error('GITHUB_TOKEN environment variable is not set');
+  let files = filesResponse.map((file) => ({
+    path: file.filename,
+    oldPath: file.previous_filename || file.filename,
+    status: FILE_STATUSES[file.status] || 'modified',
+    additions: file.additions,
+    deletions: file.deletions,
+    diff: file.patch || ''
+  }));
+
+  // GitHub leaves out the patch of large files: read them from the full diff
+  const missing = filesResponse.filter((file) => !file.patch && file.changes > 0).map((file) => file.filename);
+  if (missing.length > 0) {
+    const patches = await getFullDiffPatches(apiBase, owner, repo, prNumber, pr, headers);
+    files = files.map((file) => {
+      if (!missing.includes(file.path)) {
+        return file;
       }
+      const patch = patches.get(file.path);
+      return patch ? { ...file, diff: patch } : { ...file, omitted: 'diff too large for the GitHub API' };
+    });
+    const recovered = files.filter((file) => missing.includes(file.path) && !file.omitted).length;
+    log(`✓ Read ${recovered} of ${missing.length} large file diff(s) from the full PR diff`);
+  }
+
+  return files;
+}
+
+// Per-file patches (path -> hunks) from the unified diff of the PR, or of the
+// compare API when GitHub refuses the PR diff (too many files or lines).
+// Returns an empty map when neither is available.
+async function getFullDiffPatches(apiBase, owner, repo, prNumber, pr, headers) {
+  const diffHeaders = { ...headers, 'Accept': 'application/vnd.github.diff' };
+  const urls = [`${apiBase}/repos/${owner}/${repo}/pulls/${prNumber}`];
+  if (pr.base && pr.base.sha && pr.head && pr.head.sha) {
+    urls.push(`${apiBase}/repos/${owner}/${repo}/compare/${pr.base.sha}...${pr.head.sha}`);
+  }
+
+  for (const url of urls) {
+    try {
+      const response = await axios.get(url, { headers: diffHeaders, timeout: 60000, responseType: 'text' });
+      const patches = new Map();
+      parseUnifiedDiff(String(response.data || '')).forEach((file) => {
+        if (file.diff) {
+          patches.set(file.path, file.diff);
+        }
+      });
+      return patches;
+    } catch (error) {
+      const reason = error.response ? `${error.response.status} - ${error.response.statusText}` : error.message;
+      log(`⚠️  Could not read the full diff from ${url} (${reason})`);
+    }
+  }
+
+  return new Map();
+}
+
+// Follows GitHub's Link header pagination and returns all items
+async function getAllPages(url, headers, maxPages = 30) {
+  const items = [];
+  let nextUrl = url;
+
+  for (let page = 0; nextUrl && page < maxPages; page++) {
+    const response = await axios.get(nextUrl, { headers, timeout: 30000 });
+    items.push(...(response.data || []));
+    nextUrl = getNextPageUrl(response.headers && response.headers.link);
+  }
+
+  return items;
+}
+
+function getNextPageUrl(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+  const match = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
+// Posts line-anchored findings as a single PR review. Each comment must already
+// be validated against the diff (see diffParser.partitionInlineComments),
+// otherwise GitHub rejects the whole review with 422.
+async function postInlineComments(prUrl, comments, diffRefs, projectArg = null) {
+  if (!comments || comments.length === 0) {
+    return 0;
+  }
+
+  if (!diffRefs || !diffRefs.headSha) {
+    throw new Error('Cannot post inline comments: PR head commit SHA is unknown');
+  }
+
+  const { apiBase, owner, repo, prNumber } = parsePRUrl(prUrl, projectArg);
+
+  await sendWithRetry(
+    'post',
+    `${apiBase}/repos/${owner}/${repo}/pulls/${prNumber}/reviews`,
+    {
+      commit_id: diffRefs.headSha,
+      event: 'COMMENT',
+      body: `🤖 AI Code Review: ${comments.length} inline comment(s)`,
+      comments: comments.map((comment) => ({
+        path: comment.file,
+        line: comment.line,
+        side: 'RIGHT',
+        body: comment.comment
+      }))
+    },
+    {
+      progressMessage: `Posting ${comments.length} inline comment(s) to PR...`,
+      successMessage: '✓ Inline comments posted successfully\n',
+      notFoundMessage: 'PR not found. Cannot post inline comments.',
+      actionName: 'post inline comments'
+    }
+  );
+
+  return comments.length;
+}
+
+async function sendWithRetry(method, url, payload, messages) {
+  const maxRetries = 3;
+  const timeout = 30000; // 30 seconds
+
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new Error('GITHUB_TOKEN environment variable is not set');
+  }
 
-      const headers = {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/vnd.github+json',
-        'X-GitHub-Api-Version': '2022-11-28',
-        'Content-Type': 'application/json'
-      };
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28',
+    'Content-Type': 'application/json'
+  };
 
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
       if (attempt === 1) {
-        console.log('Posting comment to PR...');
+        log(messages.progressMessage);
       } else {
-        console.log(`Retrying... (attempt ${attempt}/${maxRetries})`);
+        log(`Retrying... (attempt ${attempt}/${maxRetries})`);
       }
 
-      await axios.post(
-        `${apiBase}/repos/${owner}/${repo}/issues/${prNumber}/comments`,
-        { body: commentBody },
-        {
-          headers,
-          timeout: timeout
-        }
-      );
+      const response = await axios[method](url, payload, {
+        headers,
+        timeout: timeout
+      });
 
-      console.log('✓ Comment posted successfully\n');
-      return; // Success, exit function
+      log(messages.successMessage);
+      return response; // Success, exit function
     } catch (error) {
       const isLastAttempt = attempt === maxRetries;
 
@@ -277,10 +758,10 @@ async function postComment(prUrl, commentBody, projectArg = null) {
       if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
         if (isLastAttempt) {
           throw new Error(
-            `Failed to post comment after ${maxRetries} attempts: Request timeout`
+            `Failed to ${messages.actionName} after ${maxRetries} attempts: Request timeout`
           );
         }
-        console.log(`⚠️  Request timed out, retrying in 2 seconds...`);
+        log(`⚠️  Request timed out, retrying in 2 seconds...`);
         await new Promise((resolve) => setTimeout(resolve, 2000));
         continue;
       }
@@ -288,13 +769,19 @@ async function postComment(prUrl, commentBody, projectArg = null) {
       // Check HTTP errors
       if (error.response) {
         if (error.response.status === 404) {
-          throw new Error('PR not found. Cannot post comment.');
+          throw new Error(messages.notFoundMessage);
         } else if (
           error.response.status === 401 ||
           error.response.status === 403
         ) {
           throw new Error(
-            'Authentication failed or insufficient permissions to post comments.'
+            `Authentication failed or insufficient permissions to ${messages.actionName}.`
+          );
+        } else if (error.response.status === 422) {
+          // Validation error (e.g. line not part of the diff) - not retryable
+          const details = error.response.data?.errors || error.response.data?.message;
+          throw new Error(
+            `GitHub rejected the request: ${typeof details === 'string' ? details : JSON.stringify(details)}`
           );
         } else if (error.response.status === 429) {
           // Rate limit exceeded - retry after waiting
@@ -302,7 +789,7 @@ async function postComment(prUrl, commentBody, projectArg = null) {
           if (resetTime && !isLastAttempt) {
             const waitTime = Math.max(0, parseInt(resetTime) * 1000 - Date.now());
             const waitSeconds = Math.ceil(waitTime / 1000);
-            console.log(`⚠️  Rate limit exceeded. Waiting ${waitSeconds} seconds...`);
+            log(`⚠️  Rate limit exceeded. Waiting ${waitSeconds} seconds...`);
             await new Promise((resolve) => setTimeout(resolve, waitTime + 1000));
             continue;
           } else if (isLastAttempt) {
@@ -315,7 +802,7 @@ async function postComment(prUrl, commentBody, projectArg = null) {
               `GitHub server error after ${maxRetries} attempts: ${error.response.status} - ${error.response.statusText}`
             );
           }
-          console.log(
+          log(
             `⚠️  Server error (${error.response.status}), retrying in 2 seconds...`
           );
           await new Promise((resolve) => setTimeout(resolve, 2000));
@@ -331,10 +818,19 @@ async function postComment(prUrl, commentBody, projectArg = null) {
       if (isLastAttempt) {
         throw error;
       }
-      console.log(`⚠️  Error: ${error.message}, retrying in 2 seconds...`);
+      log(`⚠️  Error: ${error.message}, retrying in 2 seconds...`);
       await new Promise((resolve) => setTimeout(resolve, 2000));
     }
   }
 }
 
-module.exports = { getDiffs, postComment };
+module.exports = {
+  getDiffs,
+  postComment,
+  postInlineComments,
+  findBotComment,
+  getFileContent,
+  getIssue,
+  getCompareDiffs,
+  listMergeRequests
+};
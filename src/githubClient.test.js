@@ -1,4 +1,4 @@
-const { getDiffs, postComment } = require('./githubClient');
+const { getDiffs, postComment, postInlineComments, getFileContent, getIssue, getCompareDiffs, listMergeRequests } = require('./githubClient');
 const axios = require('axios');
 
 jest.mock('axios');
@@ -49,6 +49,70 @@ describe('githubClient', () => {
       expect(result.changedFiles).toBe(1);
     });
 
+    test('should follow file pages and show file status', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const page1 = [
+        { filename: 'src/new.js', status: 'added', patch: '@@ -0,0 +1 @@\n+new', changes: 1 },
+        { filename: 'src/app.js', previous_filename: 'src/main.js', status: 'renamed', patch: '@@ -1 +1 @@\n-a\n+b', changes: 2 }
+      ];
+      const page2 = [{ filename: 'src/old.js', status: 'removed', patch: '@@ -1 +0,0 @@\n-old', changes: 1 }];
+
+      axios.get
+        .mockResolvedValueOnce({ data: { title: 'Big PR', head: { ref: 'f', sha: 'h' }, base: { ref: 'main', sha: 'b' }, changed_files: 4 } })
+        .mockResolvedValueOnce({
+          data: page1,
+          headers: { link: '<https://api.github.com/repositories/1/pulls/123/files?per_page=100&page=2>; rel="next"' }
+        })
+        .mockResolvedValueOnce({ data: page2, headers: {} });
+
+      const result = await getDiffs('https://github.com/owner/repo/pull/123');
+
+      expect(axios.get.mock.calls[1][0]).toContain('/pulls/123/files?per_page=100');
+      expect(axios.get.mock.calls[2][0]).toContain('page=2');
+      expect(result.files.map((file) => file.status)).toEqual(['added', 'renamed', 'deleted']);
+      expect(result.diffs).toContain('### File: src/new.js (new file)');
+      expect(result.diffs).toContain('### File: src/app.js (renamed from src/main.js)');
+      expect(result.diffs).toContain('### File: src/old.js (deleted)');
+      // GitHub reported one more file than it listed
+      expect(result.changedFiles).toBe(4);
+      expect(result.diffStats).toMatchObject({ overflow: true, unlistedFiles: 1 });
+      consoleSpy.mockRestore();
+    });
+
+    test('should read patches GitHub left out from the full diff', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const fullDiff = [
+        'diff --git a/src/big.js b/src/big.js',
+        '--- a/src/big.js',
+        '+++ b/src/big.js',
+        '@@ -1 +1 @@',
+        '-before',
+        '+after'
+      ].join('\n');
+
+      axios.get
+        .mockResolvedValueOnce({ data: { title: 'PR', head: { ref: 'f', sha: 'h' }, base: { ref: 'main', sha: 'b' } } })
+        .mockResolvedValueOnce({
+          data: [
+            { filename: 'src/big.js', status: 'modified', changes: 2, additions: 1, deletions: 1 },
+            { filename: 'data/huge.json', status: 'modified', changes: 90000, additions: 50000, deletions: 40000 },
+            { filename: 'logo.png', status: 'added', changes: 0 }
+          ],
+          headers: {}
+        })
+        .mockRejectedValueOnce({ response: { status: 406, statusText: 'Not Acceptable' } })
+        .mockResolvedValueOnce({ data: fullDiff });
+
+      const result = await getDiffs('https://github.com/owner/repo/pull/123');
+
+      expect(axios.get.mock.calls[3][0]).toContain('/compare/b...h');
+      expect(axios.get.mock.calls[3][1].headers.Accept).toBe('application/vnd.github.diff');
+      expect(result.files[0].diff).toBe('@@ -1 +1 @@\n-before\n+after');
+      expect(result.diffs).toContain('### File: data/huge.json\n(diff omitted: diff too large for the GitHub API, +50000 -40000 lines)');
+      expect(result.diffs).toContain('### File: logo.png (new file)\n(Binary or no changes)');
+      consoleSpy.mockRestore();
+    });
+
     test('should throw error when PR not found', async () => {
       const mockUserResponse = {
         data: {},
@@ -74,6 +138,37 @@ describe('githubClient', () => {
         .rejects.toThrow('Authentication failed');
     });
 
+    test('should use the GitHub Enterprise Server API of the PR host', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { title: 'GHE PR', head: { ref: 'f' }, base: { ref: 'main' } } })
+        .mockResolvedValueOnce({ data: [], headers: {} });
+      jest.spyOn(console, 'log').mockImplementation();
+      process.env.FORGE_HOSTS = 'ghe.corp=github';
+
+      await getDiffs('https://ghe.corp/owner/repo/pull/7');
+      expect(axios.get.mock.calls[0][0]).toBe('https://ghe.corp/api/v3/repos/owner/repo/pulls/7');
+      delete process.env.FORGE_HOSTS;
+
+      process.env.GITHUB_API = 'https://ghe.corp/github/api/v3/';
+      process.env.GITHUB_DEFAULT_REPO = 'owner/repo';
+      axios.get
+        .mockResolvedValueOnce({ data: { title: 'GHE PR', head: { ref: 'f' }, base: { ref: 'main' } } })
+        .mockResolvedValueOnce({ data: [], headers: {} });
+
+      await getDiffs('8');
+      expect(axios.get.mock.calls[2][0]).toBe('https://ghe.corp/github/api/v3/repos/owner/repo/pulls/8');
+
+      delete process.env.GITHUB_API;
+      delete process.env.GITHUB_DEFAULT_REPO;
+      console.log.mockRestore();
+    });
+
+    test('should not send the token to unknown hosts', async () => {
+      await expect(getDiffs('https://evil.example/owner/repo/pull/7'))
+        .rejects.toThrow('Unknown forge host "evil.example" for github');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
     test('should throw error when token missing', async () => {
       delete process.env.GITHUB_TOKEN;
 
@@ -84,6 +179,9 @@ describe('githubClient', () => {
 
   describe('postComment', () => {
     test('should post comment successfully', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { login: 'review-bot' } })
+        .mockResolvedValueOnce({ data: [], headers: {} });
       axios.post.mockResolvedValueOnce({ data: {} });
 
       await expect(postComment('https://github.com/owner/repo/pull/123', 'Test comment'))
@@ -99,6 +197,9 @@ describe('githubClient', () => {
     test('should retry on rate limit and succeed', async () => {
       const futureTimestamp = Math.floor(Date.now() / 1000) + 2;
       
+      axios.get
+        .mockResolvedValueOnce({ data: { login: 'review-bot' } })
+        .mockResolvedValueOnce({ data: [], headers: {} });
       axios.post
         .mockRejectedValueOnce({
           response: {
@@ -115,6 +216,9 @@ describe('githubClient', () => {
     }, 10000);
 
     test('should throw error when PR not found', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { login: 'review-bot' } })
+        .mockResolvedValueOnce({ data: [], headers: {} });
       axios.post.mockRejectedValueOnce({
         response: { status: 404 }
       });
@@ -123,4 +227,285 @@ describe('githubClient', () => {
         .rejects.toThrow('PR not found');
     });
   });
+
+  describe('updating the previous review comment', () => {
+    const bot = { login: 'review-bot', type: 'User' };
+
+    test('should edit the latest bot comment instead of posting a new one', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: bot })
+        .mockResolvedValueOnce({
+          data: [{ id: 1, user: bot, body: 'Looks good to me' }, { id: 2, user: bot, body: 'Old review\n<!-- mr-pilot-review {} -->' }],
+          headers: { link: '<https://api.github.com/repositories/1/issues/123/comments?page=2>; rel="next"' }
+        })
+        .mockResolvedValueOnce({
+          data: [
+            { id: 3, user: bot, body: 'Newer review\n<!-- mr-pilot-review {} -->' },
+            { id: 4, user: { login: 'alice', type: 'User' }, body: '> Newer review\n> <!-- mr-pilot-review {} -->' }
+          ],
+          headers: {}
+        });
+      axios.patch.mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://github.com/owner/repo/pull/123', 'Updated review');
+
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      expect(axios.get.mock.calls[0][0]).toBe('https://api.github.com/user');
+      expect(axios.get.mock.calls[2][0]).toContain('page=2');
+      expect(axios.patch).toHaveBeenCalledWith(
+        expect.stringContaining('/issues/comments/3'),
+        { body: 'Updated review' },
+        expect.any(Object)
+      );
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should match bot accounts when the token cannot read its user', async () => {
+      axios.get
+        .mockRejectedValueOnce({ response: { status: 403, statusText: 'Forbidden' } })
+        .mockResolvedValueOnce({
+          data: [
+            { id: 5, user: { login: 'github-actions[bot]', type: 'Bot' }, body: 'Review\n<!-- mr-pilot-review {} -->' },
+            { id: 6, user: { login: 'alice', type: 'User' }, body: 'Copy\n<!-- mr-pilot-review {} -->' }
+          ],
+          headers: {}
+        });
+      axios.patch.mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://github.com/owner/repo/pull/123', 'Updated review');
+
+      expect(axios.patch).toHaveBeenCalledWith(
+        expect.stringContaining('/issues/comments/5'),
+        { body: 'Updated review' },
+        expect.any(Object)
+      );
+    });
+
+    test('should post a new comment when only other users copied the review', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: bot })
+        .mockResolvedValueOnce({
+          data: [{ id: 6, user: { login: 'alice', type: 'User' }, body: 'Copy\n<!-- mr-pilot-review {} -->' }],
+          headers: {}
+        });
+      axios.post.mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://github.com/owner/repo/pull/123', 'Review');
+
+      expect(axios.patch).not.toHaveBeenCalled();
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    test('should post a new comment when update is disabled', async () => {
+      axios.post.mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://github.com/owner/repo/pull/123', 'Review', null, { update: false });
+
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/issues/123/comments'),
+        { body: 'Review' },
+        expect.any(Object)
+      );
+    });
+
+    test('should fall back to a new comment when lookup fails', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: bot })
+        .mockRejectedValueOnce({ response: { status: 500, statusText: 'Server Error' } });
+      axios.post.mockResolvedValueOnce({ data: {} });
+
+      await postComment('https://github.com/owner/repo/pull/123', 'Review');
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('postInlineComments', () => {
+    test('should post comments as a single PR review on the head commit', async () => {
+      axios.post.mockResolvedValueOnce({ data: {} });
+
+      const posted = await postInlineComments(
+        'https://github.com/owner/repo/pull/123',
+        [{ file: 'src/app.js', line: 12, oldLine: null, comment: 'Handle null' }],
+        { baseSha: 'base', headSha: 'head' }
+      );
+
+      expect(posted).toBe(1);
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/pulls/123/reviews'),
+        expect.objectContaining({
+          commit_id: 'head',
+          event: 'COMMENT',
+          comments: [{ path: 'src/app.js', line: 12, side: 'RIGHT', body: 'Handle null' }]
+        }),
+        expect.any(Object)
+      );
+    });
+
+    test('should not call the API when there are no comments', async () => {
+      await expect(postInlineComments('https://github.com/owner/repo/pull/123', [], { headSha: 'head' }))
+        .resolves.toBe(0);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should surface validation errors without retrying', async () => {
+      axios.post.mockRejectedValueOnce({
+        response: { status: 422, data: { message: 'Line could not be resolved' } }
+      });
+
+      await expect(postInlineComments(
+        'https://github.com/owner/repo/pull/123',
+        [{ file: 'src/app.js', line: 12, comment: 'x' }],
+        { headSha: 'head' }
+      )).rejects.toThrow('GitHub rejected the request: Line could not be resolved');
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getFileContent', () => {
+    test('should read a raw file at the given ref', async () => {
+      axios.get.mockResolvedValueOnce({ data: '# Contributing\n' });
+
+      const content = await getFileContent('123', '.github/CONTRIBUTING.md', 'main', 'owner/repo');
+
+      expect(content).toBe('# Contributing\n');
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://api.github.com/repos/owner/repo/contents/.github/CONTRIBUTING.md?ref=main',
+        expect.objectContaining({
+          headers: expect.objectContaining({ Accept: 'application/vnd.github.raw+json' }),
+          responseType: 'text'
+        })
+      );
+    });
+
+    test('should return null for missing files', async () => {
+      axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+
+      await expect(getFileContent('123', 'CONTRIBUTING.md', 'main', 'owner/repo')).resolves.toBeNull();
+    });
+
+    test('should throw on authentication errors', async () => {
+      axios.get.mockRejectedValueOnce({ response: { status: 403 } });
+
+      await expect(getFileContent('123', 'CONTRIBUTING.md', 'main', 'owner/repo'))
+        .rejects.toThrow("insufficient permissions to read 'CONTRIBUTING.md'");
+    });
+  });
+
+  describe('getIssue', () => {
+    test('should read an issue of the PR repository or another repository', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { title: 'Login fails', body: 'Steps...', html_url: 'https://github.com/owner/repo/issues/7' } })
+        .mockResolvedValueOnce({ data: { title: 'API change', body: null, html_url: 'https://github.com/acme/api/issues/3' } });
+
+      await expect(getIssue('123', '7', 'owner/repo')).resolves.toEqual({
+        ref: 'owner/repo#7',
+        title: 'Login fails',
+        body: 'Steps...',
+        url: 'https://github.com/owner/repo/issues/7'
+      });
+      await expect(getIssue('123', '3', 'owner/repo', 'acme/api')).resolves.toMatchObject({ ref: 'acme/api#3', body: '' });
+      expect(axios.get.mock.calls[1][0]).toBe('https://api.github.com/repos/acme/api/issues/3');
+    });
+
+    test('should skip pull requests and missing issues', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { title: 'A PR', pull_request: {} } })
+        .mockRejectedValueOnce({ response: { status: 404 } });
+
+      await expect(getIssue('123', '8', 'owner/repo')).resolves.toBeNull();
+      await expect(getIssue('123', '9', 'owner/repo')).resolves.toBeNull();
+    });
+  });
+
+  describe('listMergeRequests', () => {
+    const pr = (number, extra = {}) => ({
+      number,
+      html_url: `https://github.com/owner/repo/pull/${number}`,
+      title: `PR ${number}`,
+      user: { login: 'dev' },
+      head: { sha: `sha${number}` },
+      base: { repo: { full_name: 'owner/repo' } },
+      labels: [{ name: 'needs-review' }],
+      ...extra
+    });
+
+    test('should list repository PRs and filter labels and author', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: [pr(1), pr(2, { labels: [] }), pr(3, { user: { login: 'bot' } })],
+        headers: {}
+      });
+
+      const prs = await listMergeRequests('owner/repo', { state: 'opened', labels: ['needs-review'], author: 'dev' });
+
+      expect(axios.get.mock.calls[0][0]).toBe('https://api.github.com/repos/owner/repo/pulls?state=open&per_page=100');
+      expect(prs).toEqual([{
+        url: 'https://github.com/owner/repo/pull/1',
+        id: 1,
+        ref: '#1',
+        title: 'PR 1',
+        author: 'dev',
+        headSha: 'sha1'
+      }]);
+    });
+
+    test('should search the PRs of an organization', async () => {
+      axios.get
+        .mockResolvedValueOnce({
+          data: { total_count: 1, items: [{ number: 5, repository_url: 'https://api.github.com/repos/owner/repo' }] }
+        })
+        .mockResolvedValueOnce({ data: pr(5) });
+
+      const prs = await listMergeRequests(null, { group: 'owner', labels: ['needs-review'] });
+
+      expect(decodeURIComponent(axios.get.mock.calls[0][0])).toContain('q=is:pr org:owner is:open label:"needs-review"');
+      expect(axios.get.mock.calls[1][0]).toBe('https://api.github.com/repos/owner/repo/pulls/5');
+      expect(prs).toEqual([expect.objectContaining({ ref: 'owner/repo#5', headSha: 'sha5' })]);
+    });
+
+    test('should require a repository or organization', async () => {
+      await expect(listMergeRequests(null, {})).rejects.toThrow('No repository to list PRs from');
+    });
+  });
+
+  describe('getCompareDiffs', () => {
+    const prUrl = 'https://github.com/owner/repo/pull/3';
+
+    test('should return the diff of the commits pushed since a SHA', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          status: 'ahead',
+          ahead_by: 2,
+          commits: [{ parents: [{ sha: 'old111' }] }, { parents: [{ sha: 'mid' }] }],
+          files: [
+            { filename: 'src/a.js', status: 'modified', patch: '@@ -1 +1 @@\n-a\n+b' },
+            { filename: 'dist/big.js', status: 'added', changes: 90000 }
+          ]
+        }
+      });
+
+      const diff = await getCompareDiffs(prUrl, 'old111', 'new222');
+
+      expect(axios.get.mock.calls[0][0]).toBe('https://api.github.com/repos/owner/repo/compare/old111...new222');
+      expect(diff).toMatchObject({
+        changedFiles: 2,
+        commits: 2,
+        files: [{ path: 'src/a.js' }, { path: 'dist/big.js', status: 'added', omitted: 'diff too large for the GitHub API' }]
+      });
+    });
+
+    test('should return null after a force push or a merge commit', async () => {
+      axios.get.mockResolvedValueOnce({ data: { status: 'diverged', commits: [], files: [] } });
+      expect(await getCompareDiffs(prUrl, 'old111', 'new222')).toBeNull();
+
+      axios.get.mockResolvedValueOnce({
+        data: { status: 'ahead', commits: [{ parents: [{ sha: 'old111' }, { sha: 'main999' }] }], files: [] }
+      });
+      expect(await getCompareDiffs(prUrl, 'old111', 'new222')).toBeNull();
+
+      axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+      expect(await getCompareDiffs(prUrl, 'gone333', 'new222')).toBeNull();
+    });
+  });
 });
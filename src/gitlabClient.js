@@ -1,4 +1,18 @@
 const axios = require("axios");
+const { COMMENT_MARKER } = require("./outputFormatter");
+const { buildDiffs } = require("./diffBuilder");
+const { getHost, checkForgeHost } = require("./forgeHosts");
+const { withCache } = require("./responseCache");
+const { log } = require("./logger");
+
+// 30 pages of 100 files, like the GitHub client
+const MAX_DIFF_PAGES = 30;
+
+// Batch reviews list at most 10 pages of 100 MRs
+const MAX_LIST_PAGES = 10;
+
+// --state values of the other platforms, as GitLab MR states
+const LIST_STATES = { open: "opened" };
 
 function parseMRUrl(input, projectArg = null) {
   if (!input) {
@@ -13,12 +27,18 @@ function parseMRUrl(input, projectArg = null) {
     // Full URL provided
     const [, domain, projectPath, mrIid] = urlMatch;
     const projectId = encodeURIComponent(projectPath);
+    checkForgeHost(domain.toLowerCase(), "gitlab");
 
+    // GITLAB_API wins for its own host (http, custom port or path)
+    const gitlabApi = (process.env.GITLAB_API || "").replace(/\/+$/, "");
     return {
       domain,
       projectId,
       mrIid,
-      apiBase: `https://${domain}/api/v4`,
+      apiBase:
+        gitlabApi && getHost(gitlabApi) === domain.toLowerCase()
+          ? gitlabApi
+          : `https://${domain}/api/v4`,
     };
   }
 
@@ -80,76 +100,68 @@ async function getDiffs(
       "PRIVATE-TOKEN": token,
     };
 
-    console.log(
+    log(
       `Fetching MR ${mrIid} from project ${decodeURIComponent(projectId)}...`,
     );
 
-    // Fetch MR changes (includes metadata + diffs)
-    const response = await axios.get(
-      `${apiBase}/projects/${projectId}/merge_requests/${mrIid}/changes`,
-      { headers },
-    );
-
+    const mrPath = `${apiBase}/projects/${projectId}/merge_requests/${mrIid}`;
+    const response = await axios.get(mrPath, { headers });
     const mr = response.data;
 
-    // Format diffs
-    let diffsText = "";
-    let truncatedFiles = 0;
-
-    if (mr.changes && mr.changes.length > 0) {
-      diffsText = mr.changes
-        .map((change) => {
-          const filePath = change.new_path || change.old_path;
-          return `\n### File: ${filePath}\n${change.diff}`;
-        })
-        .join("\n");
+    // File diffs only change with the MR's commits: they are cached by base
+    // and head SHA (see responseCache)
+    const diffRefs = mr.diff_refs;
+    const cacheKeyParts =
+      diffRefs && diffRefs.base_sha && diffRefs.head_sha
+        ? [
+            "gitlab-diffs",
+            apiBase,
+            projectId,
+            mrIid,
+            diffRefs.base_sha,
+            diffRefs.head_sha,
+          ]
+        : null;
+    const fetched = await withCache("forge", cacheKeyParts, () =>
+      fetchFileDiffs(apiBase, projectId, mrPath, diffRefs, headers),
+    );
+    const files = fetched.files;
+    let overflow = fetched.overflow;
+
+    // changes_count is a string, "1000+" when GitLab stopped counting
+    const countedFiles = parseInt(mr.changes_count) || 0;
+    overflow =
+      overflow ||
+      String(mr.changes_count || "").endsWith("+") ||
+      countedFiles > files.length;
+    const totalFiles = Math.max(countedFiles, files.length);
+    if (overflow) {
+      log(
+        `⚠️  GitLab returned ${files.length} of ${mr.changes_count || "more"} changed files (diff limits of the instance), the others are not reviewed`,
+      );
     }
 
-    const originalLength = diffsText.length;
-    const MAX_DIFF_LENGTH =
-      maxDiffChars || parseInt(process.env.MAX_DIFF_CHARS) || 50000;
-
-    let wasTruncated = false;
-    if (diffsText.length > MAX_DIFF_LENGTH) {
-      wasTruncated = true;
-      
-      // Find the last complete file before MAX_DIFF_LENGTH
-      const beforeLimit = diffsText.substring(0, MAX_DIFF_LENGTH);
-      const lastFileMarker = beforeLimit.lastIndexOf('\n### File:');
-      
-      let truncatedDiff;
-      if (lastFileMarker > 0) {
-        // Truncate at the last complete file
-        truncatedDiff = diffsText.substring(0, lastFileMarker);
-      } else {
-        // If no complete file fits, just use the limit
-        truncatedDiff = beforeLimit;
-      }
-      
-      // Count total and included files more accurately
-      const totalFiles = (diffsText.match(/### File:/g) || []).length;
-      const includedFiles = (truncatedDiff.match(/### File:/g) || []).length;
-      truncatedFiles = totalFiles - includedFiles;
-
-      diffsText =
-        truncatedDiff +
-        `\n\n⚠️ [DIFF TRUNCATED: ${truncatedFiles} files not shown due to size limit. Original: ${originalLength} chars, showing: ${truncatedDiff.length} chars]\n` +
-        `💡 To review all changes, use: --max-diff-chars ${originalLength + 1000}`;
-    }
+    const { diffs, diffStats } = buildDiffs(files, maxDiffChars);
 
     return {
       title: mr.title,
       description: mr.description || "No description provided",
       sourceBranch: mr.source_branch,
       targetBranch: mr.target_branch,
-      changedFiles: mr.changes?.length || 0,
-      diffs: diffsText,
+      changedFiles: totalFiles,
+      diffs,
+      files,
+      diffRefs: mr.diff_refs
+        ? {
+            baseSha: mr.diff_refs.base_sha,
+            startSha: mr.diff_refs.start_sha,
+            headSha: mr.diff_refs.head_sha,
+          }
+        : null,
       diffStats: {
-        originalLength,
-        truncatedLength: wasTruncated ? MAX_DIFF_LENGTH : originalLength,
-        wasTruncated,
-        truncatedFiles,
-        recommendedMaxChars: originalLength + 1000,
+        ...diffStats,
+        overflow,
+        unlistedFiles: totalFiles - files.length,
       },
     };
   } catch (error) {
@@ -170,41 +182,526 @@ async function getDiffs(
   }
 }
 
-async function postComment(mrUrl, commentBody, projectArg = null) {
-  const maxRetries = 3;
-  const timeout = 30000; // 30 seconds
+// Posts the review summary. When a previous bot note exists (identified by the
+// hidden marker) it is edited in place instead of adding a new note.
+// Pass options.previousComment when it was already looked up, or
+// options.update = false to always create a new note.
+async function postComment(mrUrl, commentBody, projectArg = null, options = {}) {
+  const { apiBase, projectId, mrIid } = parseMRUrl(mrUrl, projectArg);
+
+  let previousComment = null;
+  if (options.update !== false) {
+    previousComment =
+      options.previousComment !== undefined
+        ? options.previousComment
+        : await findBotComment(mrUrl, projectArg);
+  }
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const { apiBase, projectId, mrIid } = parseMRUrl(mrUrl, projectArg);
+  if (previousComment) {
+    await sendWithRetry(
+      "put",
+      `${apiBase}/projects/${projectId}/merge_requests/${mrIid}/notes/${previousComment.id}`,
+      { body: commentBody },
+      {
+        progressMessage: "Updating previous review comment on MR...",
+        successMessage: "✓ Comment updated successfully\n",
+        notFoundMessage:
+          "Previous review comment not found. Cannot update comment.",
+        actionName: "update comment",
+      },
+    );
+    return;
+  }
+
+  await sendWithRetry(
+    "post",
+    `${apiBase}/projects/${projectId}/merge_requests/${mrIid}/notes`,
+    { body: commentBody },
+    {
+      progressMessage: "Posting comment to MR...",
+      successMessage: "✓ Comment posted successfully\n",
+      notFoundMessage: "MR not found. Cannot post comment.",
+      actionName: "post comment",
+    },
+  );
+}
+
+// Returns the most recent note posted by mr-pilot on the MR ({ id, body }), or
+// null. Only notes of the token's user count: a review quoted or copied by
+// someone else cannot be edited. Lookup failures are reported and treated as
+// "no previous comment".
+async function findBotComment(mrUrl, projectArg = null) {
+  const { apiBase, projectId, mrIid } = parseMRUrl(mrUrl, projectArg);
+
+  const token = process.env.GITLAB_TOKEN;
+  if (!token) {
+    throw new Error("GITLAB_TOKEN environment variable is not set");
+  }
+
+  const headers = {
+    "PRIVATE-TOKEN": token,
+  };
+
+  try {
+    const user = await axios.get(`${apiBase}/user`, {
+      headers,
+      timeout: 30000,
+    });
+
+    // Newest first, so the first match is the latest bot note
+    const notes = await getAllPages(
+      `${apiBase}/projects/${projectId}/merge_requests/${mrIid}/notes?sort=desc&order_by=created_at`,
+      headers,
+    );
+
+    const latest = notes.find(
+      (note) =>
+        !note.system &&
+        note.author &&
+        note.author.id === user.data.id &&
+        typeof note.body === "string" &&
+        note.body.includes(COMMENT_MARKER),
+    );
+
+    return latest ? { id: latest.id, body: latest.body } : null;
+  } catch (error) {
+    const reason = error.response
+      ? `${error.response.status} - ${error.response.statusText}`
+      : error.message;
+    log(
+      `⚠️  Could not look up previous review comment (${reason}), a new comment will be posted`,
+    );
+    return null;
+  }
+}
+
+// Returns the content of a file in the MR's project at the given ref (branch,
+// tag or SHA), or null when the file does not exist there.
+async function getFileContent(mrUrl, filePath, ref, projectArg = null) {
+  const { apiBase, projectId } = parseMRUrl(mrUrl, projectArg);
 
-      const token = process.env.GITLAB_TOKEN;
-      if (!token) {
-        throw new Error("GITLAB_TOKEN environment variable is not set");
+  const token = process.env.GITLAB_TOKEN;
+  if (!token) {
+    throw new Error("GITLAB_TOKEN environment variable is not set");
+  }
+
+  try {
+    const response = await axios.get(
+      `${apiBase}/projects/${projectId}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${encodeURIComponent(ref)}`,
+      {
+        headers: { "PRIVATE-TOKEN": token },
+        timeout: 30000,
+        responseType: "text",
+      },
+    );
+    return typeof response.data === "string" ? response.data : null;
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404) {
+        return null;
+      } else if (
+        error.response.status === 401 ||
+        error.response.status === 403
+      ) {
+        throw new Error(
+          `Authentication failed or insufficient permissions to read '${filePath}'.`,
+        );
       }
+      throw new Error(
+        `GitLab API error reading '${filePath}': ${error.response.status} - ${error.response.statusText}`,
+      );
+    }
+    throw error;
+  }
+}
 
-      const headers = {
-        "PRIVATE-TOKEN": token,
-        "Content-Type": "application/json",
-      };
+// Returns an issue of the MR's project, or of issueProject ("group/project")
+// for cross-project references: { ref, title, body, url }. Returns null when
+// it does not exist.
+async function getIssue(mrUrl, issueIid, projectArg = null, issueProject = null) {
+  const { apiBase, projectId } = parseMRUrl(mrUrl, projectArg);
+  const issueProjectId = issueProject ? encodeURIComponent(issueProject) : projectId;
+  const ref = `${issueProject || decodeURIComponent(projectId)}#${issueIid}`;
+
+  const token = process.env.GITLAB_TOKEN;
+  if (!token) {
+    throw new Error("GITLAB_TOKEN environment variable is not set");
+  }
 
-      if (attempt === 1) {
-        console.log("Posting comment to MR...");
-      } else {
-        console.log(`Retrying... (attempt ${attempt}/${maxRetries})`);
+  try {
+    const response = await axios.get(
+      `${apiBase}/projects/${issueProjectId}/issues/${issueIid}`,
+      { headers: { "PRIVATE-TOKEN": token }, timeout: 30000 },
+    );
+    const issue = response.data;
+    return {
+      ref,
+      title: issue.title,
+      body: issue.description || "",
+      url: issue.web_url,
+    };
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404) {
+        return null;
+      } else if (
+        error.response.status === 401 ||
+        error.response.status === 403
+      ) {
+        throw new Error(
+          `Authentication failed or insufficient permissions to read issue ${ref}.`,
+        );
+      }
+      throw new Error(
+        `GitLab API error reading issue ${ref}: ${error.response.status} - ${error.response.statusText}`,
+      );
+    }
+    throw error;
+  }
+}
+
+function getFileStatus(change) {
+  if (change.new_file) return "added";
+  if (change.deleted_file) return "deleted";
+  if (change.renamed_file) return "renamed";
+  return "modified";
+}
+
+// Diffs of the MR's files: { files, overflow }. Collapsed and too large
+// diffs are read from the repository compare API.
+async function fetchFileDiffs(apiBase, projectId, mrPath, diffRefs, headers) {
+  // Paginated diffs (GitLab 15.7+), or the legacy /changes endpoint
+  let changes;
+  let overflow = false;
+  try {
+    changes = await getAllPages(`${mrPath}/diffs`, headers, MAX_DIFF_PAGES);
+  } catch (error) {
+    if (!error.response || error.response.status !== 404) {
+      throw error;
+    }
+    const legacy = await axios.get(`${mrPath}/changes`, { headers });
+    changes = legacy.data.changes || [];
+    overflow = legacy.data.overflow === true;
+  }
+
+  let files = changes.map((change) => ({
+    path: change.new_path || change.old_path,
+    oldPath: change.old_path || change.new_path,
+    status: getFileStatus(change),
+    diff: change.diff || "",
+    generated: change.generated_file === true,
+  }));
+
+  // Collapsed and too large diffs come without content: read them from the
+  // repository compare API
+  const missing = changes
+    .filter((change) => !change.diff && (change.collapsed || change.too_large))
+    .map((change) => change.new_path || change.old_path);
+  if (missing.length > 0) {
+    const patches = await getComparePatches(apiBase, projectId, diffRefs, headers);
+    files = files.map((file) => {
+      if (!missing.includes(file.path)) {
+        return file;
+      }
+      const patch = patches.get(file.path);
+      return patch
+        ? { ...file, diff: patch }
+        : { ...file, omitted: "diff too large for the GitLab API" };
+    });
+    const recovered = files.filter(
+      (file) => missing.includes(file.path) && !file.omitted,
+    ).length;
+    log(
+      `✓ Read ${recovered} of ${missing.length} collapsed file diff(s) from the compare API`,
+    );
+  }
+
+  return { files, overflow };
+}
+
+// Per-file diffs (path -> hunks) between the MR base and head from the
+// repository compare API. Returns an empty map when it is not available.
+async function getComparePatches(apiBase, projectId, diffRefs, headers) {
+  const patches = new Map();
+  if (!diffRefs || !diffRefs.base_sha || !diffRefs.head_sha) {
+    return patches;
+  }
+
+  try {
+    const response = await axios.get(
+      `${apiBase}/projects/${projectId}/repository/compare?from=${diffRefs.base_sha}&to=${diffRefs.head_sha}&straight=false`,
+      { headers, timeout: 60000 },
+    );
+    (response.data.diffs || []).forEach((change) => {
+      if (change.diff) {
+        patches.set(change.new_path || change.old_path, change.diff);
+      }
+    });
+  } catch (error) {
+    const reason = error.response
+      ? `${error.response.status} - ${error.response.statusText}`
+      : error.message;
+    log(`⚠️  Could not read diffs from the compare API (${reason})`);
+  }
+
+  return patches;
+}
+
+// Diff of the commits pushed between two SHAs of the MR's project, for
+// incremental reviews: { changedFiles, diffs, files, diffStats, commits }.
+// Returns null when fromSha is unknown or not an ancestor of toSha (force
+// push or rebase), or when merge commits were pushed (e.g. of the target
+// branch), as the diff would then include unrelated changes.
+async function getCompareDiffs(
+  mrUrl,
+  fromSha,
+  toSha,
+  projectArg = null,
+  maxDiffChars = null,
+) {
+  const { apiBase, projectId } = parseMRUrl(mrUrl, projectArg);
+
+  const token = process.env.GITLAB_TOKEN;
+  if (!token) {
+    throw new Error("GITLAB_TOKEN environment variable is not set");
+  }
+
+  const headers = { "PRIVATE-TOKEN": token };
+  const repoPath = `${apiBase}/projects/${projectId}/repository`;
+
+  try {
+    const mergeBase = await axios.get(
+      `${repoPath}/merge_base?refs[]=${encodeURIComponent(fromSha)}&refs[]=${encodeURIComponent(toSha)}`,
+      { headers, timeout: 30000 },
+    );
+    if (!mergeBase.data || mergeBase.data.id !== fromSha) {
+      return null;
+    }
+
+    const response = await axios.get(
+      `${repoPath}/compare?from=${encodeURIComponent(fromSha)}&to=${encodeURIComponent(toSha)}&straight=true`,
+      { headers, timeout: 60000 },
+    );
+    const commits = response.data.commits || [];
+    if (commits.some((commit) => (commit.parent_ids || []).length > 1)) {
+      return null;
+    }
+
+    const files = (response.data.diffs || []).map((change) => ({
+      path: change.new_path || change.old_path,
+      oldPath: change.old_path || change.new_path,
+      status: getFileStatus(change),
+      diff: change.diff || "",
+      ...(!change.diff && (change.collapsed || change.too_large)
+        ? { omitted: "diff too large for the GitLab API" }
+        : {}),
+    }));
+    const { diffs, diffStats } = buildDiffs(files, maxDiffChars);
+
+    return {
+      changedFiles: files.length,
+      diffs,
+      files,
+      diffStats,
+      commits: commits.length,
+    };
+  } catch (error) {
+    if (error.response) {
+      // Unknown SHA (e.g. removed by a force push)
+      if (error.response.status === 400 || error.response.status === 404) {
+        return null;
+      } else if (error.response.status === 401) {
+        throw new Error("Authentication failed. Check your GITLAB_TOKEN.");
       }
+      throw new Error(
+        `GitLab API error comparing ${fromSha.substring(0, 8)}...${toSha.substring(0, 8)}: ${error.response.status} - ${error.response.statusText}`,
+      );
+    }
+    throw error;
+  }
+}
+
+// Lists the MRs of a project (projectArg or GITLAB_DEFAULT_PROJECT), or of a
+// group and its subgroups, for batch reviews: [{ url, id, ref, title,
+// author, headSha }]. Filters: state (default "opened"), labels (all of them), author.
+async function listMergeRequests(projectArg = null, filters = {}) {
+  const gitlabApi = (process.env.GITLAB_API || "").replace(/\/+$/, "");
+  if (!gitlabApi) {
+    throw new Error("GITLAB_API environment variable is not set");
+  }
 
-      await axios.post(
-        `${apiBase}/projects/${projectId}/merge_requests/${mrIid}/notes`,
-        { body: commentBody },
+  const token = process.env.GITLAB_TOKEN;
+  if (!token) {
+    throw new Error("GITLAB_TOKEN environment variable is not set");
+  }
+
+  const projectPath = projectArg || process.env.GITLAB_DEFAULT_PROJECT;
+  if (!filters.group && !projectPath) {
+    throw new Error(
+      "No project to list MRs from. Use --project or --group, or set GITLAB_DEFAULT_PROJECT in .env",
+    );
+  }
+  const scope = filters.group
+    ? `groups/${encodeURIComponent(filters.group)}`
+    : `projects/${encodeURIComponent(projectPath)}`;
+
+  const state = filters.state || "opened";
+  const params = new URLSearchParams({ state: LIST_STATES[state] || state });
+  if (filters.labels && filters.labels.length > 0) {
+    params.set("labels", filters.labels.join(","));
+  }
+  if (filters.author) {
+    params.set("author_username", filters.author);
+  }
+
+  try {
+    const mrs = await getAllPages(
+      `${gitlabApi}/${scope}/merge_requests?${params}`,
+      { "PRIVATE-TOKEN": token },
+      MAX_LIST_PAGES,
+    );
+    return mrs.map((mr) => ({
+      url: mr.web_url,
+      id: mr.iid,
+      // "!12", or "group/project!12" across the projects of a group
+      ref: mr.references
+        ? mr.references[filters.group ? "full" : "short"]
+        : `!${mr.iid}`,
+      title: mr.title,
+      author: mr.author ? mr.author.username : null,
+      headSha: mr.sha,
+    }));
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404) {
+        throw new Error(
+          `${filters.group ? "Group" : "Project"} '${filters.group || projectPath}' not found, or you have no access to it.`,
+        );
+      } else if (error.response.status === 401) {
+        throw new Error("Authentication failed. Check your GITLAB_TOKEN.");
+      }
+      throw new Error(
+        `GitLab API error: ${error.response.status} - ${error.response.statusText}`,
+      );
+    }
+    throw error;
+  }
+}
+
+// Follows GitLab's x-next-page header pagination and returns all items
+async function getAllPages(url, headers, maxPages = 30) {
+  const items = [];
+  const separator = url.includes("?") ? "&" : "?";
+  let page = "1";
+
+  for (let count = 0; page && count < maxPages; count++) {
+    const response = await axios.get(
+      `${url}${separator}per_page=100&page=${page}`,
+      { headers, timeout: 30000 },
+    );
+    items.push(...(response.data || []));
+    page = response.headers && response.headers["x-next-page"];
+  }
+
+  return items;
+}
+
+// Posts each line-anchored finding as a positioned diff discussion. GitLab has
+// no batch endpoint, so a comment GitLab refuses to position is reported and
+// skipped instead of aborting the remaining ones.
+async function postInlineComments(
+  mrUrl,
+  comments,
+  diffRefs,
+  projectArg = null,
+) {
+  if (!comments || comments.length === 0) {
+    return 0;
+  }
+
+  if (!diffRefs || !diffRefs.baseSha || !diffRefs.headSha) {
+    throw new Error(
+      "Cannot post inline comments: MR diff_refs are unknown",
+    );
+  }
+
+  const { apiBase, projectId, mrIid } = parseMRUrl(mrUrl, projectArg);
+
+  log(`Posting ${comments.length} inline comment(s) to MR...`);
+
+  let posted = 0;
+  for (const comment of comments) {
+    const position = {
+      position_type: "text",
+      base_sha: diffRefs.baseSha,
+      start_sha: diffRefs.startSha || diffRefs.baseSha,
+      head_sha: diffRefs.headSha,
+      old_path: comment.oldPath || comment.file,
+      new_path: comment.file,
+      new_line: comment.line,
+    };
+    // Unchanged (context) lines must be positioned on both sides
+    if (comment.oldLine !== null && comment.oldLine !== undefined) {
+      position.old_line = comment.oldLine;
+    }
+
+    try {
+      await sendWithRetry(
+        "post",
+        `${apiBase}/projects/${projectId}/merge_requests/${mrIid}/discussions`,
+        { body: comment.comment, position },
         {
-          headers,
-          timeout: timeout,
+          progressMessage: `  ${comment.file}:${comment.line}`,
+          successMessage: "  ✓ posted",
+          notFoundMessage: "MR not found. Cannot post inline comments.",
+          actionName: "post inline comments",
         },
       );
+      posted++;
+    } catch (error) {
+      if (/^GitLab API error: 400/.test(error.message)) {
+        log(
+          `⚠️  Could not anchor comment on ${comment.file}:${comment.line}, skipping`,
+        );
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  log(`✓ ${posted}/${comments.length} inline comment(s) posted\n`);
+  return posted;
+}
+
+async function sendWithRetry(method, url, payload, messages) {
+  const maxRetries = 3;
+  const timeout = 30000; // 30 seconds
+
+  const token = process.env.GITLAB_TOKEN;
+  if (!token) {
+    throw new Error("GITLAB_TOKEN environment variable is not set");
+  }
+
+  const headers = {
+    "PRIVATE-TOKEN": token,
+    "Content-Type": "application/json",
+  };
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      if (attempt === 1) {
+        log(messages.progressMessage);
+      } else {
+        log(`Retrying... (attempt ${attempt}/${maxRetries})`);
+      }
+
+      const response = await axios[method](url, payload, {
+        headers,
+        timeout: timeout,
+      });
 
-      console.log("✓ Comment posted successfully\n");
-      return; // Success, exit function
+      log(messages.successMessage);
+      return response; // Success, exit function
     } catch (error) {
       const isLastAttempt = attempt === maxRetries;
 
@@ -212,10 +709,10 @@ async function postComment(mrUrl, commentBody, projectArg = null) {
       if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
         if (isLastAttempt) {
           throw new Error(
-            `Failed to post comment after ${maxRetries} attempts: Request timeout`,
+            `Failed to ${messages.actionName} after ${maxRetries} attempts: Request timeout`,
           );
         }
-        console.log(`⚠️  Request timed out, retrying in 2 seconds...`);
+        log(`⚠️  Request timed out, retrying in 2 seconds...`);
         await new Promise((resolve) => setTimeout(resolve, 2000));
         continue;
       }
@@ -223,13 +720,13 @@ async function postComment(mrUrl, commentBody, projectArg = null) {
       // Check HTTP errors
       if (error.response) {
         if (error.response.status === 404) {
-          throw new Error("MR not found. Cannot post comment.");
+          throw new Error(messages.notFoundMessage);
         } else if (
           error.response.status === 401 ||
           error.response.status === 403
         ) {
           throw new Error(
-            "Authentication failed or insufficient permissions to post comments.",
+            `Authentication failed or insufficient permissions to ${messages.actionName}.`,
           );
         } else if (error.response.status >= 500) {
           // Server error - retry
@@ -238,7 +735,7 @@ async function postComment(mrUrl, commentBody, projectArg = null) {
               `GitLab server error after ${maxRetries} attempts: ${error.response.status} - ${error.response.statusText}`,
             );
           }
-          console.log(
+          log(
             `⚠️  Server error (${error.response.status}), retrying in 2 seconds...`,
           );
           await new Promise((resolve) => setTimeout(resolve, 2000));
@@ -254,10 +751,19 @@ async function postComment(mrUrl, commentBody, projectArg = null) {
       if (isLastAttempt) {
         throw error;
       }
-      console.log(`⚠️  Error: ${error.message}, retrying in 2 seconds...`);
+      log(`⚠️  Error: ${error.message}, retrying in 2 seconds...`);
       await new Promise((resolve) => setTimeout(resolve, 2000));
     }
   }
 }
 
-module.exports = { getDiffs, postComment };
+module.exports = {
+  getDiffs,
+  postComment,
+  postInlineComments,
+  findBotComment,
+  getFileContent,
+  getIssue,
+  getCompareDiffs,
+  listMergeRequests,
+};
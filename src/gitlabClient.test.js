@@ -1,8 +1,21 @@
 const axios = require('axios');
-const { getDiffs, postComment } = require('./gitlabClient');
+const { getDiffs, postComment, postInlineComments, getFileContent, getIssue, getCompareDiffs, listMergeRequests } = require('./gitlabClient');
 
 jest.mock('axios');
 
+// Answers the MR metadata request and the paginated /diffs request
+function mockMR(mr, diffs, extra = {}) {
+  axios.get.mockImplementation(async (url) => {
+    if (url.includes('/diffs?')) {
+      return { data: diffs, headers: {} };
+    }
+    if (extra[url]) {
+      return extra[url]();
+    }
+    return { data: mr };
+  });
+}
+
 describe('gitlabClient', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -13,22 +26,20 @@ describe('gitlabClient', () => {
 
   describe('getDiffs', () => {
     it('should fetch MR diffs successfully with full URL', async () => {
-      const mockResponse = {
-        data: {
+      mockMR(
+        {
           title: 'Test MR',
           description: 'Test description',
           source_branch: 'feature',
-          target_branch: 'main',
-          changes: [
-            {
-              new_path: 'test.js',
-              diff: '@@ -1,3 +1,3 @@\n-old line\n+new line'
-            }
-          ]
-        }
-      };
-
-      axios.get.mockResolvedValue(mockResponse);
+          target_branch: 'main'
+        },
+        [
+          {
+            new_path: 'test.js',
+            diff: '@@ -1,3 +1,3 @@\n-old line\n+new line'
+          }
+        ]
+      );
 
       const result = await getDiffs('https://gitlab.com/test-group/test-project/-/merge_requests/123');
 
@@ -39,17 +50,15 @@ describe('gitlabClient', () => {
     });
 
     it('should handle MR ID with default project', async () => {
-      const mockResponse = {
-        data: {
+      mockMR(
+        {
           title: 'Test MR',
           description: null,
           source_branch: 'feature',
-          target_branch: 'main',
-          changes: []
-        }
-      };
-
-      axios.get.mockResolvedValue(mockResponse);
+          target_branch: 'main'
+        },
+        []
+      );
 
       const result = await getDiffs('123');
 
@@ -63,20 +72,18 @@ describe('gitlabClient', () => {
 
     it('should truncate diffs when exceeding max chars', async () => {
       const longDiff = 'x'.repeat(60000);
-      const mockResponse = {
-        data: {
+      mockMR(
+        {
           title: 'Large MR',
           description: 'Test',
           source_branch: 'feature',
-          target_branch: 'main',
-          changes: [
-            { new_path: 'file1.js', diff: longDiff },
-            { new_path: 'file2.js', diff: longDiff }
-          ]
-        }
-      };
-
-      axios.get.mockResolvedValue(mockResponse);
+          target_branch: 'main'
+        },
+        [
+          { new_path: 'file1.js', diff: longDiff },
+          { new_path: 'file2.js', diff: longDiff }
+        ]
+      );
 
       const result = await getDiffs('123', null, 50000);
 
@@ -84,10 +91,87 @@ describe('gitlabClient', () => {
       expect(result.diffStats.truncatedFiles).toBeGreaterThan(0);
       expect(result.diffs).toContain('DIFF TRUNCATED');
     });
+
+    it('should show file status and read collapsed diffs from the compare API', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const compareUrl = 'https://gitlab.com/api/v4/projects/test-group%2Ftest-project/repository/compare?from=b1&to=h1&straight=false';
+      mockMR(
+        {
+          title: 'MR',
+          source_branch: 'feature',
+          target_branch: 'main',
+          changes_count: '1000+',
+          diff_refs: { base_sha: 'b1', start_sha: 'b1', head_sha: 'h1' }
+        },
+        [
+          { old_path: 'a.js', new_path: 'a.js', new_file: true, diff: '@@ -0,0 +1 @@\n+a' },
+          { old_path: 'old.js', new_path: 'new.js', renamed_file: true, diff: '' },
+          { old_path: 'gone.js', new_path: 'gone.js', deleted_file: true, diff: '@@ -1 +0,0 @@\n-x' },
+          { old_path: 'big.js', new_path: 'big.js', collapsed: true, diff: '' },
+          { old_path: 'huge.sql', new_path: 'huge.sql', too_large: true, diff: '' }
+        ],
+        {
+          [compareUrl]: () => ({ data: { diffs: [{ new_path: 'big.js', diff: '@@ -1 +1 @@\n-1\n+2' }] } })
+        }
+      );
+
+      const result = await getDiffs('123');
+
+      expect(result.files.map((file) => file.status)).toEqual(['added', 'renamed', 'deleted', 'modified', 'modified']);
+      expect(result.diffs).toContain('### File: a.js (new file)');
+      expect(result.diffs).toContain('### File: new.js (renamed from old.js)\n(Binary or no changes)');
+      expect(result.diffs).toContain('### File: gone.js (deleted)');
+      expect(result.diffs).toContain('### File: big.js\n@@ -1 +1 @@\n-1\n+2');
+      expect(result.diffs).toContain('### File: huge.sql\n(diff omitted: diff too large for the GitLab API)');
+      expect(result.changedFiles).toBe(1000);
+      expect(result.diffStats).toMatchObject({ overflow: true, unlistedFiles: 995 });
+      consoleSpy.mockRestore();
+    });
+
+    it('should use GITLAB_API for MR URLs of its host', async () => {
+      process.env.GITLAB_API = 'http://code.corp:8080/api/v4';
+      process.env.FORGE_HOSTS = 'other.corp=gitlab';
+      mockMR({ title: 'MR', source_branch: 'f', target_branch: 'main' }, []);
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      await getDiffs('https://code.corp:8080/group/project/-/merge_requests/5');
+      await getDiffs('https://other.corp/group/project/-/merge_requests/6');
+
+      expect(axios.get.mock.calls[0][0]).toBe('http://code.corp:8080/api/v4/projects/group%2Fproject/merge_requests/5');
+      expect(axios.get.mock.calls[2][0]).toBe('https://other.corp/api/v4/projects/group%2Fproject/merge_requests/6');
+
+      // The token is not sent to other hosts
+      await expect(getDiffs('https://gitlab.evil.example/group/project/-/merge_requests/7'))
+        .rejects.toThrow('Unknown forge host "gitlab.evil.example" for gitlab');
+      expect(axios.get).toHaveBeenCalledTimes(4);
+
+      delete process.env.FORGE_HOSTS;
+      consoleSpy.mockRestore();
+    });
+
+    it('should fall back to the legacy /changes endpoint', async () => {
+      axios.get.mockImplementation(async (url) => {
+        if (url.includes('/diffs?')) {
+          throw { response: { status: 404 } };
+        }
+        if (url.endsWith('/changes')) {
+          return { data: { changes: [{ new_path: 'x.js', diff: '@@ -1 +1 @@\n-a\n+b' }], overflow: true } };
+        }
+        return { data: { title: 'Old GitLab', source_branch: 'f', target_branch: 'main' } };
+      });
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const result = await getDiffs('123');
+
+      expect(result.files.map((file) => file.path)).toEqual(['x.js']);
+      expect(result.diffStats.overflow).toBe(true);
+      consoleSpy.mockRestore();
+    });
   });
 
   describe('postComment', () => {
     it('should post comment successfully', async () => {
+      axios.get.mockResolvedValue({ data: [], headers: {} });
       axios.post.mockResolvedValue({ data: { id: 1 } });
 
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
@@ -108,6 +192,7 @@ describe('gitlabClient', () => {
       const timeoutError = new Error('Timeout');
       timeoutError.code = 'ETIMEDOUT';
 
+      axios.get.mockResolvedValue({ data: [], headers: {} });
       axios.post
         .mockRejectedValueOnce(timeoutError)
         .mockResolvedValueOnce({ data: { id: 1 } });
@@ -126,9 +211,297 @@ describe('gitlabClient', () => {
       const error = new Error('Not found');
       error.response = { status: 404 };
 
+      axios.get.mockResolvedValue({ data: [], headers: {} });
       axios.post.mockRejectedValue(error);
 
       await expect(postComment('123', 'Test comment')).rejects.toThrow('MR not found');
     });
   });
+
+  describe('updating the previous review comment', () => {
+    const bot = { id: 42 };
+
+    it('should edit the latest bot note in place', async () => {
+      axios.get.mockImplementation(async (url) => (url.endsWith('/user')
+        ? { data: bot }
+        : {
+          data: [
+            { id: 9, system: true, author: bot, body: 'added 1 commit <!-- mr-pilot-review' },
+            { id: 7, system: false, author: bot, body: 'Review\n<!-- mr-pilot-review {} -->' },
+            { id: 5, system: false, author: bot, body: 'Older review\n<!-- mr-pilot-review {} -->' }
+          ],
+          headers: {}
+        }));
+      axios.put.mockResolvedValue({ data: { id: 7 } });
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      await postComment('123', 'Updated review');
+
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining('/merge_requests/123/notes?sort=desc'),
+        expect.any(Object)
+      );
+      expect(axios.put).toHaveBeenCalledWith(
+        expect.stringContaining('/merge_requests/123/notes/7'),
+        { body: 'Updated review' },
+        expect.any(Object)
+      );
+      expect(axios.post).not.toHaveBeenCalled();
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should follow x-next-page pagination', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: bot })
+        .mockResolvedValueOnce({ data: [{ id: 1, author: bot, body: 'hello' }], headers: { 'x-next-page': '2' } })
+        .mockResolvedValueOnce({ data: [{ id: 2, author: bot, body: '<!-- mr-pilot-review {} -->' }], headers: { 'x-next-page': '' } });
+      axios.put.mockResolvedValue({ data: { id: 2 } });
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      await postComment('123', 'Updated review');
+
+      expect(axios.get.mock.calls[0][0]).toBe('https://gitlab.com/api/v4/user');
+      expect(axios.get.mock.calls[2][0]).toContain('page=2');
+      expect(axios.put).toHaveBeenCalledWith(
+        expect.stringContaining('/notes/2'),
+        expect.any(Object),
+        expect.any(Object)
+      );
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should post a new note when only other users quoted the review', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: bot })
+        .mockResolvedValueOnce({
+          data: [{ id: 8, system: false, author: { id: 7 }, body: '> Review\n> <!-- mr-pilot-review {} -->' }],
+          headers: {}
+        });
+      axios.post.mockResolvedValue({ data: { id: 9 } });
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      await postComment('123', 'Updated review');
+
+      expect(axios.put).not.toHaveBeenCalled();
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/merge_requests/123/notes'),
+        { body: 'Updated review' },
+        expect.any(Object)
+      );
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should post a new note when the token user is unknown', async () => {
+      axios.get.mockRejectedValueOnce({ response: { status: 403, statusText: 'Forbidden' } });
+      axios.post.mockResolvedValue({ data: { id: 9 } });
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      await postComment('123', 'Updated review');
+
+      expect(axios.put).not.toHaveBeenCalled();
+      expect(axios.post).toHaveBeenCalled();
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('a new comment will be posted'));
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('postInlineComments', () => {
+    const diffRefs = { baseSha: 'base', startSha: 'start', headSha: 'head' };
+
+    it('should post a positioned discussion per comment', async () => {
+      axios.post.mockResolvedValue({ data: { id: 1 } });
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const posted = await postInlineComments(
+        '123',
+        [
+          { file: 'src/app.js', oldPath: 'src/app.js', line: 11, oldLine: null, comment: 'Added line' },
+          { file: 'src/app.js', oldPath: 'src/app.js', line: 13, oldLine: 12, comment: 'Context line' }
+        ],
+        diffRefs
+      );
+
+      expect(posted).toBe(2);
+      expect(axios.post).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('/merge_requests/123/discussions'),
+        {
+          body: 'Added line',
+          position: {
+            position_type: 'text',
+            base_sha: 'base',
+            start_sha: 'start',
+            head_sha: 'head',
+            old_path: 'src/app.js',
+            new_path: 'src/app.js',
+            new_line: 11
+          }
+        },
+        expect.any(Object)
+      );
+      expect(axios.post.mock.calls[1][1].position.old_line).toBe(12);
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should skip comments GitLab cannot position', async () => {
+      const error = new Error('Bad request');
+      error.response = { status: 400, statusText: 'Bad Request' };
+      axios.post
+        .mockRejectedValueOnce(error)
+        .mockResolvedValueOnce({ data: { id: 2 } });
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const posted = await postInlineComments(
+        '123',
+        [
+          { file: 'a.js', line: 1, comment: 'first' },
+          { file: 'b.js', line: 2, comment: 'second' }
+        ],
+        diffRefs
+      );
+
+      expect(posted).toBe(1);
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Could not anchor comment on a.js:1'));
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should require diff refs', async () => {
+      await expect(postInlineComments('123', [{ file: 'a.js', line: 1, comment: 'x' }], null))
+        .rejects.toThrow('diff_refs are unknown');
+    });
+  });
+
+  describe('getFileContent', () => {
+    test('should read a raw file at the given ref', async () => {
+      axios.get.mockResolvedValueOnce({ data: 'Use async/await\n' });
+
+      const content = await getFileContent('123', '.mr-pilot/guidelines.md', 'develop');
+
+      expect(content).toBe('Use async/await\n');
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://gitlab.com/api/v4/projects/test-group%2Ftest-project/repository/files/.mr-pilot%2Fguidelines.md/raw?ref=develop',
+        expect.objectContaining({ headers: { 'PRIVATE-TOKEN': 'test-token' }, responseType: 'text' })
+      );
+    });
+
+    test('should return null for missing files', async () => {
+      axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+
+      await expect(getFileContent('123', 'CONTRIBUTING.md', 'main')).resolves.toBeNull();
+    });
+  });
+
+  describe('getIssue', () => {
+    test('should read an issue of the MR project or another project', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { title: 'Login fails', description: 'Steps...', web_url: 'https://gitlab.com/test-group/test-project/-/issues/7' } })
+        .mockResolvedValueOnce({ data: { title: 'Shared', description: null, web_url: 'https://gitlab.com/other/lib/-/issues/2' } });
+
+      await expect(getIssue('123', '7')).resolves.toEqual({
+        ref: 'test-group/test-project#7',
+        title: 'Login fails',
+        body: 'Steps...',
+        url: 'https://gitlab.com/test-group/test-project/-/issues/7'
+      });
+      await expect(getIssue('123', '2', null, 'other/lib')).resolves.toMatchObject({ ref: 'other/lib#2', body: '' });
+      expect(axios.get.mock.calls[1][0]).toBe('https://gitlab.com/api/v4/projects/other%2Flib/issues/2');
+    });
+
+    test('should return null for missing issues', async () => {
+      axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+
+      await expect(getIssue('123', '404')).resolves.toBeNull();
+    });
+  });
+
+  describe('listMergeRequests', () => {
+    test('should list the filtered MRs of the default project', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: [{
+          web_url: 'https://gitlab.com/test-group/test-project/-/merge_requests/4',
+          iid: 4,
+          references: { short: '!4', full: 'test-group/test-project!4' },
+          title: 'Add cache',
+          author: { username: 'dev' },
+          sha: 'abc123'
+        }],
+        headers: {}
+      });
+
+      const mrs = await listMergeRequests(null, { state: 'open', labels: ['needs-review', 'backend'], author: 'dev' });
+
+      expect(axios.get.mock.calls[0][0]).toBe(
+        'https://gitlab.com/api/v4/projects/test-group%2Ftest-project/merge_requests?state=opened&labels=needs-review%2Cbackend&author_username=dev&per_page=100&page=1'
+      );
+      expect(mrs).toEqual([{
+        url: 'https://gitlab.com/test-group/test-project/-/merge_requests/4',
+        id: 4,
+        ref: '!4',
+        title: 'Add cache',
+        author: 'dev',
+        headSha: 'abc123'
+      }]);
+    });
+
+    test('should list the MRs of a group with their full reference', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: [{ web_url: 'u', iid: 9, references: { short: '!9', full: 'team/api!9' }, sha: 'def' }],
+        headers: {}
+      });
+
+      const mrs = await listMergeRequests(null, { group: 'team' });
+
+      expect(axios.get.mock.calls[0][0]).toContain('/groups/team/merge_requests?state=opened');
+      expect(mrs[0].ref).toBe('team/api!9');
+    });
+
+    test('should report unknown projects', async () => {
+      axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+
+      await expect(listMergeRequests('missing/project')).rejects.toThrow("Project 'missing/project' not found");
+    });
+  });
+
+  describe('getCompareDiffs', () => {
+    const mrUrl = 'https://gitlab.com/group/app/-/merge_requests/7';
+
+    test('should return the diff of the commits pushed since a SHA', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { id: 'old111' } })
+        .mockResolvedValueOnce({
+          data: {
+            commits: [{ id: 'new222', parent_ids: ['old111'] }],
+            diffs: [{ old_path: 'src/a.js', new_path: 'src/a.js', diff: '@@ -1 +1 @@\n-a\n+b\n' }]
+          }
+        });
+
+      const diff = await getCompareDiffs(mrUrl, 'old111', 'new222');
+
+      expect(axios.get.mock.calls[0][0]).toBe(
+        'https://gitlab.com/api/v4/projects/group%2Fapp/repository/merge_base?refs[]=old111&refs[]=new222'
+      );
+      expect(axios.get.mock.calls[1][0]).toContain('/repository/compare?from=old111&to=new222&straight=true');
+      expect(diff).toMatchObject({ changedFiles: 1, commits: 1, files: [{ path: 'src/a.js', status: 'modified' }] });
+      expect(diff.diffs).toContain('+b');
+    });
+
+    test('should return null after a force push or a merge commit', async () => {
+      axios.get.mockResolvedValueOnce({ data: { id: 'base000' } });
+      expect(await getCompareDiffs(mrUrl, 'old111', 'new222')).toBeNull();
+
+      axios.get
+        .mockResolvedValueOnce({ data: { id: 'old111' } })
+        .mockResolvedValueOnce({ data: { commits: [{ id: 'merge', parent_ids: ['old111', 'main999'] }], diffs: [] } });
+      expect(await getCompareDiffs(mrUrl, 'old111', 'new222')).toBeNull();
+
+      axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+      expect(await getCompareDiffs(mrUrl, 'gone333', 'new222')).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,75 @@
+const { parseCommentMetadata } = require('./outputFormatter');
+const { normalizeFinding } = require('./reviewSchema');
+
+// Incremental reviews (--incremental): the bot comment records the reviewed
+// head commit and findings, so the next run only reviews the commits pushed
+// since then and asks the LLM which previous findings they resolve.
+
+function shortSha(sha) {
+  return String(sha).substring(0, 8);
+}
+
+// Looks up the previous review of the MR and the diff since its head commit.
+// Returns { previousComment } plus either:
+// - { reason } when the whole MR must be reviewed (first review, rewritten history...)
+// - { unchanged: true, fromSha, previousResult } when nothing was pushed since
+// - { fromSha, toSha, commits, previousFindings, diff } for an incremental review
+async function prepareIncrementalReview(client, mrData, { urlOrId, projectArg = null, maxDiffChars = null }) {
+  if (!client.findBotComment || !client.getCompareDiffs) {
+    throw new Error(`--incremental is not supported for ${client.platform} reviews`);
+  }
+
+  const previousComment = await client.findBotComment(urlOrId, projectArg);
+  const metadata = previousComment ? parseCommentMetadata(previousComment.body) : null;
+  if (!metadata) {
+    return { previousComment, reason: 'no previous review comment' };
+  }
+  if (!metadata.headSha || !Array.isArray(metadata.findings)) {
+    return { previousComment, reason: 'the previous review comment does not record its commit and findings' };
+  }
+
+  const headSha = mrData.diffRefs && mrData.diffRefs.headSha;
+  if (!headSha) {
+    return { previousComment, reason: 'the head commit of the MR is unknown' };
+  }
+
+  const fromSha = metadata.headSha;
+  const previousFindings = metadata.findings.map(normalizeFinding).filter(Boolean);
+  if (fromSha === headSha) {
+    return {
+      previousComment,
+      unchanged: true,
+      fromSha,
+      previousResult: {
+        goal_status: metadata.goal_status,
+        score: metadata.score,
+        errors: previousFindings,
+        remarks: `No commits pushed since the last review at ${shortSha(fromSha)}.`
+      }
+    };
+  }
+
+  const diff = await client.getCompareDiffs(urlOrId, fromSha, headSha, projectArg, maxDiffChars);
+  if (!diff) {
+    return { previousComment, reason: `the commits since ${shortSha(fromSha)} cannot be reviewed alone (force push, rebase or merge commit)` };
+  }
+
+  return { previousComment, fromSha, toSha: headSha, commits: diff.commits, previousFindings, diff };
+}
+
+// Combines the result of an incremental review with the previous findings:
+// "errors" lists the previous findings that are not resolved and the new
+// ones, "resolved" the previous findings fixed by the new commits.
+function mergeIncrementalResult(result, previousFindings) {
+  const { resolved_findings: resolvedNumbers, ...rest } = result;
+  const resolvedSet = new Set((Array.isArray(resolvedNumbers) ? resolvedNumbers : []).map(Number));
+  const isResolved = (finding, idx) => resolvedSet.has(idx + 1);
+
+  return {
+    ...rest,
+    errors: [...previousFindings.filter((finding, idx) => !isResolved(finding, idx)), ...(result.errors || [])],
+    resolved: previousFindings.filter(isResolved)
+  };
+}
+
+module.exports = { prepareIncrementalReview, mergeIncrementalResult };
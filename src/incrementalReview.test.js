@@ -0,0 +1,77 @@
+const { prepareIncrementalReview, mergeIncrementalResult } = require('./incrementalReview');
+const { formatCommentBody } = require('./outputFormatter');
+
+const previousFindings = [
+  { severity: 'high', category: 'bug', file: 'src/a.js', line: 3, message: 'Unchecked input', suggestion: null },
+  { severity: 'low', category: 'style', file: null, line: null, message: 'Long function', suggestion: 'Split it' }
+];
+
+function botComment(headSha) {
+  const body = formatCommentBody({ goal_status: 'partially_met', score: 60, errors: previousFindings, remarks: '' }, { headSha });
+  return { id: 1, body };
+}
+
+describe('incrementalReview', () => {
+  const mrData = { diffRefs: { baseSha: 'base000', headSha: 'new222' } };
+  const options = { urlOrId: '7', projectArg: 'group/app', maxDiffChars: 30000 };
+
+  describe('prepareIncrementalReview', () => {
+    test('should fetch the diff since the last reviewed commit', async () => {
+      const diff = { changedFiles: 1, diffs: '...', files: [], diffStats: {}, commits: 2 };
+      const client = {
+        findBotComment: jest.fn(async () => botComment('old111')),
+        getCompareDiffs: jest.fn(async () => diff)
+      };
+
+      const prepared = await prepareIncrementalReview(client, mrData, options);
+
+      expect(client.getCompareDiffs).toHaveBeenCalledWith('7', 'old111', 'new222', 'group/app', 30000);
+      expect(prepared).toMatchObject({ fromSha: 'old111', toSha: 'new222', commits: 2, diff, previousFindings });
+      expect(prepared.previousComment.id).toBe(1);
+    });
+
+    test('should reuse the previous result when nothing was pushed', async () => {
+      const client = { findBotComment: async () => botComment('new222'), getCompareDiffs: jest.fn() };
+
+      const prepared = await prepareIncrementalReview(client, mrData, options);
+
+      expect(client.getCompareDiffs).not.toHaveBeenCalled();
+      expect(prepared.unchanged).toBe(true);
+      expect(prepared.previousResult).toMatchObject({ goal_status: 'partially_met', score: 60, errors: previousFindings });
+    });
+
+    test('should review all changes without a usable previous review', async () => {
+      const noComment = { findBotComment: async () => null, getCompareDiffs: jest.fn() };
+      const oldComment = { findBotComment: async () => ({ id: 1, body: formatCommentBody({ score: 50, errors: [] }) }), getCompareDiffs: jest.fn() };
+      const rebased = { findBotComment: async () => botComment('old111'), getCompareDiffs: async () => null };
+
+      expect((await prepareIncrementalReview(noComment, mrData, options)).reason).toBe('no previous review comment');
+      expect((await prepareIncrementalReview(oldComment, mrData, options)).reason).toContain('does not record its commit');
+      expect((await prepareIncrementalReview(rebased, mrData, options)).reason).toContain('force push, rebase or merge commit');
+    });
+
+    test('should reject clients without compare support', async () => {
+      await expect(prepareIncrementalReview({ platform: 'local' }, mrData, options))
+        .rejects.toThrow('--incremental is not supported for local reviews');
+    });
+  });
+
+  describe('mergeIncrementalResult', () => {
+    test('should keep the unresolved previous findings next to the new ones', () => {
+      const newFinding = { severity: 'medium', category: 'tests', file: 'src/b.js', line: 1, message: 'No test', suggestion: null };
+
+      const merged = mergeIncrementalResult(
+        { goal_status: 'met', score: 80, errors: [newFinding], remarks: 'Fixed', resolved_findings: [1, 5] },
+        previousFindings
+      );
+
+      expect(merged).toEqual({
+        goal_status: 'met',
+        score: 80,
+        errors: [previousFindings[1], newFinding],
+        remarks: 'Fixed',
+        resolved: [previousFindings[0]]
+      });
+    });
+  });
+});
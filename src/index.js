@@ -1,33 +1,280 @@
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 const fs = require('fs');
 const path = require('path');
-const { getClient } = require('./clientFactory');
+const { getClient, getProjectClient } = require('./clientFactory');
 const { buildPrompt } = require('./promptBuilder');
-const { analyzeMR } = require('./openrouterClient');
-const { printResult, formatCommentBody } = require('./outputFormatter');
+const { requestReview } = require('./reviewRequest');
+const { reviewInChunks } = require('./chunkedReview');
+const {
+  printReport,
+  formatCommentBody,
+  getLineComments,
+  parseCommentMetadata,
+  buildCommentHistory
+} = require('./outputFormatter');
+const { partitionInlineComments } = require('./diffParser');
+const { formatReport, formatFromFileName, OUTPUT_FORMATS } = require('./reportFormats');
+const { evaluateQualityGate, SEVERITIES } = require('./qualityGate');
+const { loadConfig, fetchRepoConfig, applyConfigToEnv } = require('./config');
+const { applyFileFilters, parseGitattributes } = require('./fileFilters');
+const { buildDiffs } = require('./diffBuilder');
+const { extractKeywords } = require('./diffPrioritizer');
+const { planDiffBudget } = require('./tokenBudget');
+const { getModelName } = require('./openrouterClient');
+const { fetchRepoGuidelines } = require('./repoGuidelines');
+const { fetchLinkedIssues, formatTicketScope } = require('./linkedIssues');
+const { PLATFORMS, PLATFORM_ALIASES } = require('./forgeHosts');
+const { startServer } = require('./webhookServer');
+const { reviewAll, formatSummaryTable, getBatchExitCode } = require('./batchReview');
+const { prepareIncrementalReview, mergeIncrementalResult } = require('./incrementalReview');
+const { INCREMENTAL_REVIEW_JSON_SCHEMA } = require('./reviewSchema');
+const { configureCache, clearCache } = require('./responseCache');
+const { log, logToStderr } = require('./logger');
+
+// Batch review options, with their value (or null for flags)
+const BATCH_OPTIONS = {
+  '--all-open': null,
+  '--state': 'state',
+  '--label': 'label',
+  '--author': 'author',
+  '--group': 'group',
+  '--concurrency': 'concurrency'
+};
+
+// Values accepted by --platform
+const PLATFORM_CHOICES = [...PLATFORMS, ...Object.keys(PLATFORM_ALIASES), 'local'];
+
+// Values of a repeatable option (also comma-separated), or the config list
+function getListOption(args, name, configValue = [], valueName = 'glob pattern') {
+  const values = [];
+  args.forEach((arg, idx) => {
+    if (arg === name) {
+      if (!args[idx + 1] || args[idx + 1].startsWith('-')) {
+        throw new Error(`${name} flag requires a ${valueName}`);
+      }
+      values.push(...args[idx + 1].split(',').map((value) => value.trim()).filter(Boolean));
+    }
+  });
+  return values.length > 0 ? values : configValue || [];
+}
+
+// linguist-generated rules from the .gitattributes of the reviewed revision
+async function readAttributeRules(client, mrData, urlOrId, projectArg) {
+  if (!client.getFileContent) {
+    return [];
+  }
+  const ref = (mrData.diffRefs && mrData.diffRefs.headSha) || mrData.sourceBranch;
+  try {
+    return parseGitattributes(await client.getFileContent(urlOrId, '.gitattributes', ref, projectArg));
+  } catch (error) {
+    log(`⚠️  Could not read .gitattributes (${error.message})`);
+    return [];
+  }
+}
+
+// Rebuilds the diff text of mrData from files. diffStats.overflow and
+// unlistedFiles (files the forge API did not return) are kept.
+function rebuildDiffs(mrData, files, maxDiffChars, options) {
+  const { overflow, unlistedFiles } = mrData.diffStats || {};
+  const rebuilt = buildDiffs(files, maxDiffChars, options);
+  Object.assign(mrData, rebuilt, { files });
+  if (overflow !== undefined) {
+    mrData.diffStats = { ...rebuilt.diffStats, overflow, unlistedFiles };
+  }
+}
+
+// `serve [--port N] [--concurrency N] [--debounce seconds] [review options]`
+function runServeCommand(args) {
+  const serveOptions = { '--port': 'port', '--concurrency': 'concurrency', '--debounce': 'debounce' };
+  const values = { port: process.env.PORT || 3000, concurrency: 2, debounce: 30 };
+  const reviewArgs = [];
+
+  for (let idx = 0; idx < args.length; idx++) {
+    const name = serveOptions[args[idx]];
+    if (!name) {
+      reviewArgs.push(args[idx]);
+      continue;
+    }
+    const value = parseInt(args[idx + 1]);
+    if (isNaN(value) || value < (name === 'concurrency' ? 1 : 0)) {
+      throw new Error(`${args[idx]} requires a number${name === 'concurrency' ? ' >= 1' : ''}`);
+    }
+    values[name] = value;
+    idx++;
+  }
+
+  const unsupported = reviewArgs.find((arg) => ['--local', '--diff-file', '--platform', '--project', '-p'].includes(arg));
+  if (unsupported) {
+    throw new Error(`${unsupported} cannot be used with serve: webhooks give the MR/PR URL`);
+  }
+
+  // Config files may set the API hosts the webhooks are accepted from
+  const { config, files: configFiles } = loadConfig({ startDir: process.cwd() });
+  applyConfigToEnv(config);
+
+  log('AI Code Review Bot - webhook server\n');
+  configFiles.forEach((file) => log(`✓ Loaded config from: ${file}`));
+
+  startServer({
+    port: parseInt(values.port),
+    concurrency: values.concurrency,
+    debounceMs: values.debounce * 1000,
+    reviewArgs
+  });
+}
+
+// `cache clear`: removes the cached LLM and forge API responses
+function runCacheCommand(args) {
+  if (args[0] !== 'clear' || args.length > 1) {
+    throw new Error('Usage: node src/index.js cache clear');
+  }
+
+  // The user config may move the cache directory
+  const { config } = loadConfig({ startDir: process.cwd() });
+  applyConfigToEnv(config);
+
+  const { dir, removed } = clearCache();
+  log(`✓ Removed ${removed} cached response(s) from ${dir}`);
+}
+
+// `--all-open` / `--state <state>`: lists the MRs/PRs of a project or group and
+// reviews each of them with the other options (see batchReview)
+async function runBatchReview(args, { projectPath, platform, outputFormat, outputFile, debugMode }) {
+  const valueOf = (name) => {
+    const idx = args.indexOf(name);
+    if (idx === -1) {
+      return null;
+    }
+    if (!args[idx + 1] || args[idx + 1].startsWith('-')) {
+      throw new Error(`${name} flag requires a ${BATCH_OPTIONS[name]}`);
+    }
+    return args[idx + 1];
+  };
+
+  const concurrency = parseInt(valueOf('--concurrency') || '2');
+  if (isNaN(concurrency) || concurrency < 1) {
+    throw new Error('--concurrency must be a number >= 1');
+  }
+  if (outputFormat && outputFormat !== 'json') {
+    throw new Error('Batch reviews only support --output json (the summary of all reviews)');
+  }
+  const unsupported = args.find((arg) => ['--local', '--diff-file'].includes(arg));
+  if (unsupported) {
+    throw new Error(`${unsupported} cannot be used with --all-open`);
+  }
+
+  const filters = {
+    state: (valueOf('--state') || 'opened').toLowerCase(),
+    labels: getListOption(args, '--label', [], 'label'),
+    author: valueOf('--author'),
+    group: valueOf('--group')
+  };
+
+  log('AI Code Review Bot - batch review\n');
+
+  const client = getProjectClient(projectPath, platform);
+  if (!client.listMergeRequests) {
+    throw new Error(`Batch reviews are not supported for ${client.platform}`);
+  }
+
+  const mrs = await client.listMergeRequests(projectPath, filters);
+  const scope = filters.group || projectPath || 'the default project';
+  log(`✓ Found ${mrs.length} ${filters.state} MR(s) in ${scope}${filters.labels.length > 0 ? ` labelled ${filters.labels.join(', ')}` : ''}${filters.author ? ` by ${filters.author}` : ''}\n`);
+
+  // The other options apply to each review; listing and output options don't
+  const skipped = new Set(['--project', '-p', '--output', '-o', '--output-file', ...Object.keys(BATCH_OPTIONS)]);
+  const reviewArgs = [];
+  for (let idx = 0; idx < args.length; idx++) {
+    if (!skipped.has(args[idx])) {
+      reviewArgs.push(args[idx]);
+    } else if (args[idx] !== '--all-open') {
+      idx++;
+    }
+  }
+
+  const rows = await reviewAll(mrs, { client, concurrency, reviewArgs, debugMode });
+
+  log('\n📊 Batch review summary\n');
+  log(rows.length > 0 ? formatSummaryTable(rows) : 'No MRs to review');
+  const counts = ['reviewed', 'gate_failed', 'skipped', 'failed']
+    .map((status) => [status, rows.filter((row) => row.status === status).length])
+    .filter(([, count]) => count > 0);
+  log(`\n${counts.map(([status, count]) => `${count} ${status.replace('_', ' ')}`).join(', ') || '0 reviewed'}\n`);
+
+  if (outputFormat) {
+    const report = `${JSON.stringify(rows, null, 2)}\n`;
+    if (outputFile) {
+      fs.writeFileSync(path.resolve(outputFile), report);
+      log(`✓ json summary written to ${outputFile}\n`);
+    } else {
+      process.stdout.write(report);
+    }
+  }
+
+  return getBatchExitCode(rows);
+}
 
 async function main() {
   try {
     // Parse command line arguments
     const args = process.argv.slice(2);
-    const mrUrlOrId = args.find(arg => !arg.startsWith('--') && !arg.startsWith('-'));
-    const shouldComment = args.includes('--comment') || args.includes('-c');
+
+    if (args[0] === 'serve') {
+      runServeCommand(args.slice(1));
+      return;
+    }
+    if (args[0] === 'cache') {
+      runCacheCommand(args.slice(1));
+      return;
+    }
+    // Options followed by a value, so the value is not mistaken for the MR URL/ID
+    const valueOptions = [
+      '--platform',
+      '--input-file', '-i',
+      '--guidelines-file', '-g',
+      '--project', '-p',
+      '--max-diff-chars', '-m',
+      '--diff-file',
+      '--title',
+      '--description',
+      '--output', '-o',
+      '--output-file',
+      '--min-score',
+      '--fail-on-goal',
+      '--fail-on-severity',
+      '--config',
+      '--include',
+      '--exclude',
+      ...Object.keys(BATCH_OPTIONS).filter((name) => BATCH_OPTIONS[name])
+    ];
+    const mrUrlOrId = args.find(
+      (arg, idx) => !arg.startsWith('-') && !valueOptions.includes(args[idx - 1])
+    );
     const debugMode = args.includes('--debug') || args.includes('-d');
-    const bailOnTruncate = args.includes('--fail-on-truncate') || args.includes('--bail-on-truncate');
-    
+
     // Find platform argument
     const platformIndex = args.findIndex(arg => arg === '--platform');
-    let platform = null;
+    let platform = args.includes('--local') ? 'local' : null;
     if (platformIndex !== -1) {
       if (!args[platformIndex + 1] || args[platformIndex + 1].startsWith('--') || args[platformIndex + 1].startsWith('-')) {
-        throw new Error('--platform flag requires a value: "gitlab" or "github"');
+        throw new Error(`--platform flag requires a value: ${PLATFORM_CHOICES.join(', ')}`);
       }
       platform = args[platformIndex + 1].toLowerCase();
-      if (platform !== 'gitlab' && platform !== 'github') {
-        throw new Error('--platform must be either "gitlab" or "github"');
+      if (!PLATFORM_CHOICES.includes(platform)) {
+        throw new Error(`--platform must be one of: ${PLATFORM_CHOICES.join(', ')}`);
       }
     }
     
+    // Find config file argument (otherwise discovered from the repository)
+    const configIndex = args.findIndex(arg => arg === '--config');
+    let configPath = null;
+    if (configIndex !== -1) {
+      configPath = args[configIndex + 1];
+      if (!configPath || configPath.startsWith('-')) {
+        throw new Error('--config flag requires a path');
+      }
+    }
+
     // Find input file argument
     const inputFileIndex = args.findIndex(arg => arg === '--input-file' || arg === '-i');
     let inputFilePath = null;
@@ -59,17 +306,117 @@ async function main() {
       }
     }
 
-    if (!mrUrlOrId) {
+    // Find diff file argument ("-" reads the patch from stdin)
+    const diffFileIndex = args.findIndex(arg => arg === '--diff-file');
+    let diffFilePath = null;
+    if (diffFileIndex !== -1) {
+      if (!args[diffFileIndex + 1]) {
+        throw new Error('--diff-file flag requires a path, or "-" to read from stdin');
+      }
+      diffFilePath = args[diffFileIndex + 1];
+    }
+
+    // Find output format/file arguments (machine-readable report)
+    const outputIndex = args.findIndex(arg => arg === '--output' || arg === '-o');
+    let outputFormat = null;
+    if (outputIndex !== -1) {
+      outputFormat = (args[outputIndex + 1] || '').toLowerCase();
+      if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        throw new Error(`--output must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+      }
+    }
+
+    const outputFileIndex = args.findIndex(arg => arg === '--output-file');
+    let outputFile = null;
+    if (outputFileIndex !== -1) {
+      outputFile = args[outputFileIndex + 1];
+      if (!outputFile || outputFile.startsWith('-')) {
+        throw new Error('--output-file flag requires a path');
+      }
+      outputFormat = outputFormat || formatFromFileName(outputFile);
+    }
+
+    // With a machine-readable report, stdout only carries the report: all
+    // progress and the human-readable report go to stderr.
+    if (outputFormat) {
+      logToStderr();
+    }
+
+    // Load config files: CLI flags > environment > repository config > user
+    // config. Local reviews look for the repository config in the reviewed
+    // repository, other reviews from the current directory upward and in the
+    // reviewed repository (Step 2, without --config).
+    const configStartDir = platform === 'local' && projectPath ? projectPath : process.cwd();
+    const environment = { ...process.env };
+    let { config, files: configFiles } = loadConfig({ startDir: configStartDir, configPath });
+    applyConfigToEnv(config);
+
+    // Cache of LLM and forge API responses (see responseCache)
+    const applyCacheSetting = () => configureCache({ enabled: !args.includes('--no-cache') && config.cache !== false });
+    applyCacheSetting();
+
+    // Find title/description overrides (used with --diff-file)
+    const titleIndex = args.findIndex(arg => arg === '--title');
+    const titleOverride = titleIndex !== -1 ? args[titleIndex + 1] : null;
+    const descriptionIndex = args.findIndex(arg => arg === '--description');
+    const descriptionOverride = descriptionIndex !== -1 ? args[descriptionIndex + 1] : null;
+
+    // Batch review of all open (or filtered) MRs/PRs
+    if (args.includes('--all-open') || args.includes('--state')) {
+      if (mrUrlOrId) {
+        throw new Error('--all-open reviews the MRs of a project or group: do not pass an MR URL or ID');
+      }
+      const exitCode = await runBatchReview(args, { projectPath, platform, outputFormat, outputFile, debugMode });
+      if (exitCode !== 0) {
+        process.exit(exitCode);
+      }
+      return;
+    }
+
+    if (!mrUrlOrId && platform !== 'local' && !diffFilePath) {
       console.error('Usage: node src/index.js <mr_url_or_id> [options]');
+      console.error('       node src/index.js --local [base...head] [options]');
+      console.error('       node src/index.js --diff-file <path|-> [options]');
+      console.error('       node src/index.js --all-open [--state opened] [--label <name>] [--author <user>] [--group <path>] [options]');
+      console.error('       node src/index.js serve [--port 3000] [--concurrency 2] [--debounce 30] [options]');
+      console.error('       node src/index.js cache clear');
       console.error('');
       console.error('Options:');
       console.error('  --comment, -c                    Post review as comment on the MR');
-      console.error('  --input-file, -i <path>          Path to ticket/requirement specification file');
-      console.error('  --guidelines-file, -g <path>     Path to project guidelines file (reduces false positives)');
-      console.error('  --project, -p <path>             GitLab project path (e.g., group/subgroup/project)');
+      console.error('  --no-inline                      With --comment, only post the summary comment (no inline comments on the diff)');
+      console.error('  --new-comment                    With --comment, always post a new comment instead of updating the previous one');
+      console.error('  --comment-history                With --comment, keep a collapsed history of previous scores in the updated comment');
+      console.error('  --incremental                    Only review the commits pushed since the last review comment, and report the findings they resolved');
+      console.error('  --input-file, -i <path>          Path to ticket/requirement specification file; "repo:<path>" reads it from the MR head');
+      console.error('  --guidelines-file, -g <path>     Path to project guidelines file (reduces false positives); "repo:<path>" reads it from the target branch');
+      console.error('  --no-linked-issues               Do not use issues referenced by the MR (Closes #123, PROJ-812) as ticket scope');
+      console.error('  --repo-guidelines                Add guideline files from the target branch (.mr-pilot/guidelines.md, CONTRIBUTING.md, .mr-pilot/GUIDELINES)');
+      console.error('  --project, -p <path>             GitLab project path (e.g., group/subgroup/project), or repository directory with --local');
       console.error('  --max-diff-chars, -m <number>    Maximum characters for diffs (default: 50000)');
       console.error('  --fail-on-truncate               Exit with error if diff is truncated (no LLM call)');
-      console.error('  --platform <gitlab|github>       Specify platform when using numeric ID with ambiguous project path');
+      console.error('  --chunked                        Review large MRs in batches of --max-diff-chars and merge the results');
+      console.error('  --min-score <0-100>              Exit with code 2 if the quality score is lower');
+      console.error('  --fail-on-goal <unmet|partially_met>  Exit with code 3 if the goal status is this bad or worse');
+      console.error(`  --fail-on-severity <level>       Exit with code 4 on findings of this severity or higher (${SEVERITIES.join('|')})`);
+      console.error('  --platform <name>                Specify platform when using numeric ID with ambiguous project path');
+      console.error(`                                   (${PLATFORM_CHOICES.join('|')})`);
+      console.error('  --local                          Review a local branch or commit range (same as --platform local)');
+      console.error('  --all-open                       Review all open MRs/PRs of --project (or the default project) and print a summary');
+      console.error('  --state <state>                  With --all-open, MR state to review: opened (default), closed, merged or all');
+      console.error('  --label <name>                   With --all-open, only MRs with this label (repeatable or comma-separated)');
+      console.error('  --author <username>              With --all-open, only MRs of this author');
+      console.error('  --group <path>                   With --all-open, MRs of a GitLab group (with subgroups) or GitHub organization');
+      console.error('  --concurrency <n>                With --all-open, number of reviews run at once (default: 2)');
+      console.error('  --diff-file <path|->             Review a unified diff/patch file, or "-" to read it from stdin');
+      console.error('  --title <text>                   Title for the reviewed changes (with --diff-file)');
+      console.error('  --description <text>             Description for the reviewed changes (with --diff-file)');
+      console.error(`  --output, -o <format>            Print the result as ${OUTPUT_FORMATS.join('|')} on stdout (progress goes to stderr)`);
+      console.error('  --output-file <path>             Write the result to a file (format from --output or the file extension)');
+      console.error('  --include <glob>                 Only review files matching the glob (repeatable or comma-separated)');
+      console.error('  --exclude <glob>                 Do not review files matching the glob (repeatable or comma-separated)');
+      console.error('  --include-generated              Review generated files too (lockfiles, minified bundles, vendored code...)');
+      console.error('  --config <path>                  Config file to use instead of the discovered .mr-pilot.json/.yml');
+      console.error('  --no-cache                       Do not use or store cached LLM and forge API responses');
       console.error('  --debug, -d                      Show detailed debug information');
       console.error('');
       console.error('Examples:');
@@ -91,30 +438,140 @@ async function main() {
       console.error('  # Increase diff size limit for large MRs');
       console.error('  node src/index.js 1763 --max-diff-chars 100000');
       console.error('');
+      console.error('  # Review a very large MR in batches instead of truncating it');
+      console.error('  node src/index.js 1763 --chunked');
+      console.error('');
       console.error('  # Exit if diff is truncated (useful in CI/CD)');
       console.error('  node src/index.js 1763 --fail-on-truncate');
       console.error('');
+      console.error('  # Review the current branch against main before pushing (no API access needed)');
+      console.error('  node src/index.js --local');
+      console.error('  node src/index.js main...feature/login');
+      console.error('');
+      console.error('  # Review a patch file, or a diff piped on stdin');
+      console.error('  node src/index.js --diff-file change.patch --title "Fix login"');
+      console.error('  git format-patch -1 --stdout | node src/index.js --diff-file -');
+      console.error('');
+      console.error('  # SARIF report for code scanning, JSON on stdout for scripts');
+      console.error('  node src/index.js 1763 --output-file mr-pilot.sarif');
+      console.error('  node src/index.js 1763 --output json > review.json');
+      console.error('');
+      console.error('  # Block the merge in CI when the review is not good enough');
+      console.error('  node src/index.js 1763 --min-score 70 --fail-on-goal unmet');
+      console.error('');
       console.error('  # With guidelines to reduce false positives');
       console.error('  node src/index.js 1763 -i input.txt -g guidelines.txt');
       process.exit(1);
     }
 
-    console.log('AI Code Review Bot\n');
+    log('AI Code Review Bot\n');
+
+    configFiles.forEach((file) => log(`✓ Loaded config from: ${file}`));
+    if (configFiles.length > 0) {
+      log();
+    }
+
+    // Step 2: Fetch MR/PR data
+    const client = diffFilePath
+      ? getClient(diffFilePath, null, 'patch')
+      : getClient(mrUrlOrId, projectPath, platform);
+
+    const mrData = diffFilePath
+      ? await client.getDiffs(diffFilePath, null, maxDiffChars)
+      : await client.getDiffs(mrUrlOrId, projectPath, maxDiffChars);
+    if (titleOverride) {
+      mrData.title = titleOverride;
+    }
+    if (descriptionOverride) {
+      mrData.description = descriptionOverride;
+    }
+
+    // The repository config of remote reviews is read from the target branch
+    // (so the MR cannot change its own review settings). It is untrusted and
+    // overrides the user config and the one found from the current directory.
+    if (!configPath && client.platform !== 'local' && client.getFileContent && mrData.targetBranch) {
+      const repoConfig = await fetchRepoConfig(client, {
+        urlOrId: mrUrlOrId,
+        projectArg: projectPath,
+        ref: mrData.targetBranch
+      });
+      if (repoConfig) {
+        config = { ...config, ...repoConfig.config };
+        applyConfigToEnv(config, process.env, environment);
+        applyCacheSetting();
+        // Its diff size settings apply to the diff already fetched
+        rebuildDiffs(mrData, mrData.files, maxDiffChars);
+        log(`✓ Loaded config from the reviewed repository: ${repoConfig.file}\n`);
+      }
+    }
+
+    const shouldComment = args.includes('--comment') || args.includes('-c') || config.comment === true;
+    const inlineComments = !args.includes('--no-inline') && config.inline !== false;
+    const newComment = args.includes('--new-comment') || config.newComment === true;
+    const keepCommentHistory = args.includes('--comment-history') || config.commentHistory === true;
+    const incrementalMode = args.includes('--incremental') || config.incremental === true;
+
+    const bailOnTruncate = args.includes('--fail-on-truncate') || args.includes('--bail-on-truncate') || config.failOnTruncate === true;
+    const chunked = args.includes('--chunked') || config.chunked === true;
+    const repoGuidelines = args.includes('--repo-guidelines') || config.repoGuidelines === true;
+    const useLinkedIssues = !args.includes('--no-linked-issues') && config.linkedIssues !== false;
+    const includeGlobs = getListOption(args, '--include', config.include);
+    const excludeGlobs = getListOption(args, '--exclude', config.exclude);
+    const includeGenerated = args.includes('--include-generated') || config.includeGenerated === true;
+    inputFilePath = inputFilePath || config.inputFile || null;
+    guidelinesFilePath = guidelinesFilePath || config.guidelinesFile || null;
+
+    // Find quality gate arguments (or their config file settings)
+    const minScoreIndex = args.findIndex(arg => arg === '--min-score');
+    let minScore = config.minScore !== undefined ? config.minScore : null;
+    if (minScoreIndex !== -1) {
+      minScore = parseInt(args[minScoreIndex + 1]);
+    }
+    if (minScore !== null && (isNaN(minScore) || minScore < 0 || minScore > 100)) {
+      throw new Error('--min-score must be a number between 0 and 100');
+    }
+
+    const failOnGoalIndex = args.findIndex(arg => arg === '--fail-on-goal');
+    let failOnGoal = config.failOnGoal ? config.failOnGoal.toLowerCase() : null;
+    if (failOnGoalIndex !== -1) {
+      failOnGoal = (args[failOnGoalIndex + 1] || '').toLowerCase();
+    }
+    if (failOnGoal !== null && failOnGoal !== 'unmet' && failOnGoal !== 'partially_met') {
+      throw new Error('--fail-on-goal must be either "unmet" or "partially_met"');
+    }
+
+    const failOnSeverityIndex = args.findIndex(arg => arg === '--fail-on-severity');
+    let failOnSeverity = config.failOnSeverity ? config.failOnSeverity.toLowerCase() : null;
+    if (failOnSeverityIndex !== -1) {
+      failOnSeverity = (args[failOnSeverityIndex + 1] || '').toLowerCase();
+    }
+    if (failOnSeverity !== null && !SEVERITIES.includes(failOnSeverity)) {
+      throw new Error(`--fail-on-severity must be one of: ${SEVERITIES.join(', ')}`);
+    }
+
+    // Paths prefixed with "repo:" are read from the reviewed repository (Step 2b)
+    const REPO_PREFIX = 'repo:';
+    const repoInputFile = inputFilePath && inputFilePath.startsWith(REPO_PREFIX)
+      ? inputFilePath.substring(REPO_PREFIX.length)
+      : null;
+    const repoGuidelinesFile = guidelinesFilePath && guidelinesFilePath.startsWith(REPO_PREFIX)
+      ? guidelinesFilePath.substring(REPO_PREFIX.length)
+      : null;
 
     // Step 1: Read input file if provided
     let ticketScope = null;
-    if (inputFilePath) {
+    if (inputFilePath && !repoInputFile) {
       try {
         const resolvedPath = path.resolve(inputFilePath);
         ticketScope = fs.readFileSync(resolvedPath, 'utf-8');
-        console.log(`✓ Loaded ticket specification from: ${inputFilePath}\n`);
+        log(`✓ Loaded ticket specification from: ${inputFilePath}\n`);
         
         if (debugMode) {
-          console.log('📋 DEBUG - Ticket Specification:');
-          console.log('─'.repeat(80));
-          console.log(ticketScope);
-          console.log('─'.repeat(80));
-          console.log();
+          log('📋 DEBUG - Ticket Specification:');
+          log('─'.repeat(80));
+          log(ticketScope);
+          log('─'.repeat(80));
+          log();
         }
       } catch (error) {
         throw new Error(`Failed to read input file '${inputFilePath}': ${error.message}`);
@@ -123,104 +580,358 @@ async function main() {
 
     // Step 1b: Read guidelines file if provided
     let guidelines = null;
-    if (guidelinesFilePath) {
+    if (guidelinesFilePath && !repoGuidelinesFile) {
       try {
         const resolvedPath = path.resolve(guidelinesFilePath);
         guidelines = fs.readFileSync(resolvedPath, 'utf-8');
-        console.log(`✓ Loaded project guidelines from: ${guidelinesFilePath}\n`);
+        log(`✓ Loaded project guidelines from: ${guidelinesFilePath}\n`);
         
         if (debugMode) {
-          console.log('📖 DEBUG - Project Guidelines:');
-          console.log('─'.repeat(80));
-          console.log(guidelines);
-          console.log('─'.repeat(80));
-          console.log();
+          log('📖 DEBUG - Project Guidelines:');
+          log('─'.repeat(80));
+          log(guidelines);
+          log('─'.repeat(80));
+          log();
         }
       } catch (error) {
         throw new Error(`Failed to read guidelines file '${guidelinesFilePath}': ${error.message}`);
       }
     }
 
-    // Step 2: Fetch MR/PR data
-    const client = getClient(mrUrlOrId, projectPath, platform);
-    const mrData = await client.getDiffs(mrUrlOrId, projectPath, maxDiffChars);
-    const platformName = client.platform === 'github' ? 'GitHub PR' : 'GitLab MR';
-    console.log(`✓ Retrieved ${platformName}: "${mrData.title}"`);
-    console.log(`  ${mrData.changedFiles} file(s) changed\n`);
+    if (shouldComment && !client.postComment) {
+      throw new Error(`--comment is not supported for ${client.platform} reviews: there is no MR to comment on`);
+    }
+    const readFromRepo = repoGuidelines || repoInputFile || repoGuidelinesFile;
+    if (readFromRepo && !client.getFileContent) {
+      throw new Error(`Reading files from the reviewed repository is not supported for ${client.platform} reviews`);
+    }
+
+    // Step 2a: With --incremental, only review the commits pushed since the
+    // last review (the bot comment records its head commit and findings).
+    // Inline comments are still anchored to the whole MR diff (mrFiles).
+    let incremental = null;
+    let previousComment;
+    const mrFiles = mrData.files;
+    if (incrementalMode) {
+      const prepared = await prepareIncrementalReview(client, mrData, {
+        urlOrId: mrUrlOrId,
+        projectArg: projectPath,
+        maxDiffChars
+      });
+      previousComment = prepared.previousComment;
+
+      if (prepared.reason) {
+        log(`ℹ️  Reviewing all changes: ${prepared.reason}\n`);
+      } else if (prepared.unchanged) {
+        incremental = prepared;
+        log(`✓ No commits pushed since the last review at ${prepared.fromSha.substring(0, 8)}: reusing its result\n`);
+      } else {
+        incremental = prepared;
+        const { changedFiles, diffs, files, diffStats } = prepared.diff;
+        Object.assign(mrData, { changedFiles, diffs, files, diffStats });
+        log(`✓ Incremental review: ${prepared.commits} commit(s) since ${prepared.fromSha.substring(0, 8)}, ${changedFiles} file(s) changed, ${prepared.previousFindings.length} previous finding(s)\n`);
+      }
+    }
+
+    // Summarise excluded and generated files (lockfiles, bundles, vendored
+    // code...) in one line instead of spending the diff budget on them
+    const attributeRules = includeGenerated ? [] : await readAttributeRules(client, mrData, mrUrlOrId, projectPath);
+    const filtered = applyFileFilters(mrData.files || [], {
+      include: includeGlobs,
+      exclude: excludeGlobs,
+      attributeRules,
+      detectGeneratedFiles: !includeGenerated
+    });
+    if (filtered.omitted.length > 0) {
+      const generatedCount = filtered.omitted.filter((file) => file.kind === 'generated').length;
+      log(`✓ Omitted the diff of ${filtered.omitted.length} file(s): ${generatedCount} generated, ${filtered.omitted.length - generatedCount} filtered by include/exclude patterns`);
+      if (debugMode) {
+        filtered.omitted.forEach((file) => log(`   - ${file.path} (${file.reason})`));
+      }
+      rebuildDiffs(mrData, filtered.files, maxDiffChars);
+    }
+
+    const platformNames = {
+      github: 'GitHub PR',
+      gitlab: 'GitLab MR',
+      bitbucket: 'Bitbucket PR',
+      gitea: 'Gitea PR',
+      local: 'local changes',
+      patch: 'patch'
+    };
+    const platformName = platformNames[client.platform];
+    log(`✓ Retrieved ${platformName}: "${mrData.title}"`);
+    log(`  ${mrData.changedFiles} file(s) changed\n`);
+
+    // Step 2b: Read the ticket spec (at the MR head) and guidelines (at the
+    // target branch, so the MR cannot rewrite its own rules) from the repository
+    if (readFromRepo) {
+      const headRef = (mrData.diffRefs && mrData.diffRefs.headSha) || mrData.sourceBranch;
+      const targetRef = mrData.targetBranch;
+
+      if (repoInputFile) {
+        ticketScope = await client.getFileContent(mrUrlOrId, repoInputFile, headRef, projectPath);
+        if (ticketScope === null) {
+          throw new Error(`Input file '${repoInputFile}' not found in the repository at ${headRef}`);
+        }
+        log(`✓ Loaded ticket specification from repository: ${repoInputFile}\n`);
+      }
+
+      const repoSections = [];
+      if (repoGuidelinesFile) {
+        const content = await client.getFileContent(mrUrlOrId, repoGuidelinesFile, targetRef, projectPath);
+        if (content === null) {
+          throw new Error(`Guidelines file '${repoGuidelinesFile}' not found in the repository at ${targetRef}`);
+        }
+        repoSections.push(content);
+        log(`✓ Loaded project guidelines from repository: ${repoGuidelinesFile}`);
+      }
+
+      if (repoGuidelines) {
+        const found = await fetchRepoGuidelines(client, {
+          urlOrId: mrUrlOrId,
+          projectArg: projectPath,
+          ref: targetRef,
+          changedPaths: (mrData.files || []).map((file) => file.path)
+        });
+        if (found.content) {
+          repoSections.push(found.content);
+          log(`✓ Loaded repository guidelines from ${targetRef}: ${found.sources.join(', ')}`);
+        } else {
+          log(`ℹ️  No guideline files found in the repository at ${targetRef}`);
+        }
+      }
+
+      if (repoSections.length > 0) {
+        guidelines = [guidelines, ...repoSections].filter(Boolean).join('\n\n');
+      }
+      log();
+
+      if (debugMode && (repoInputFile || repoSections.length > 0)) {
+        log('📖 DEBUG - Repository Guidelines / Ticket Specification:');
+        log('─'.repeat(80));
+        log(repoSections.join('\n\n') || ticketScope);
+        log('─'.repeat(80));
+        log();
+      }
+    }
+
+    // Step 2c: Without an input file, use the issues linked from the MR
+    // (Closes #123, group/project#45, issue URLs, Jira keys) as the ticket scope
+    if (!ticketScope && useLinkedIssues) {
+      const issues = await fetchLinkedIssues(client, mrData, { urlOrId: mrUrlOrId, projectArg: projectPath });
+      if (issues.length > 0) {
+        ticketScope = formatTicketScope(issues);
+        log(`✓ Loaded ticket scope from linked issue(s): ${issues.map((issue) => issue.ref).join(', ')}\n`);
+
+        if (debugMode) {
+          log('📋 DEBUG - Ticket Specification (linked issues):');
+          log('─'.repeat(80));
+          log(ticketScope);
+          log('─'.repeat(80));
+          log();
+        }
+      }
+    }
+
+    // Step 2d: Size the diff in tokens for the model context window, next to
+    // the rest of the prompt and the response (--max-diff-chars/MAX_DIFF_CHARS,
+    // default 50000, still cap it)
+    const budget = planDiffBudget({
+      model: getModelName(),
+      promptArgs: { ...mrData, ticketScope, guidelines, incremental },
+      files: mrData.files
+    });
+    let limitedByContext = false;
+    if (budget) {
+      const charLimit = maxDiffChars || parseInt(process.env.MAX_DIFF_CHARS) || 50000;
+      limitedByContext = budget.diffChars < charLimit;
+      maxDiffChars = Math.min(charLimit, budget.diffChars);
+      rebuildDiffs(mrData, mrData.files, maxDiffChars);
+
+      log(`✓ Token budget for ${getModelName()}: ${budget.contextTokens.toLocaleString()} tokens, prompt ~${budget.promptTokens.toLocaleString()}, response ${budget.responseTokens.toLocaleString()}, diff up to ~${budget.diffTokens.toLocaleString()} (diff needs ~${budget.fullDiffTokens.toLocaleString()})`);
+      if (debugMode) {
+        const { instructions, description, ticketScope: ticketTokens, guidelines: guidelineTokens } = budget.sections;
+        log(`   Instructions ~${instructions}, description ~${description}, ticket ~${ticketTokens}, guidelines ~${guidelineTokens}, safety margin ${budget.marginTokens} tokens`);
+      }
+      log();
+    }
 
     // Show diff stats
-    if (mrData.diffStats.wasTruncated) {
-      console.log('⚠️  DIFF TRUNCATED');
-      console.log(`   Original size: ${mrData.diffStats.originalLength.toLocaleString()} chars`);
-      console.log(`   Showing: ${mrData.diffStats.truncatedLength.toLocaleString()} chars`);
-      console.log(`   Files hidden: ${mrData.diffStats.truncatedFiles}`);
-      console.log(`   💡 For complete review, use: --max-diff-chars ${mrData.diffStats.recommendedMaxChars}`);
-      console.log();
+    // In chunked mode the whole diff is reviewed in batches, nothing is hidden
+    // (incremental reviews, which need the previous findings, are truncated)
+    const useChunks = chunked && mrData.diffStats.wasTruncated && !incremental;
+
+    if (useChunks) {
+      log(`✓ Full diff loaded (${mrData.diffStats.originalLength.toLocaleString()} chars), too large for one request: using chunked review\n`);
+      mrData.diffStats = { ...mrData.diffStats, truncatedFiles: 0, droppedFiles: [], trimmedFiles: [] };
+    } else if (mrData.diffStats.wasTruncated) {
+      // Over budget: files matching the ticket come first (see diffPrioritizer)
+      const keywords = extractKeywords(mrData.title, mrData.description, ticketScope || '');
+      rebuildDiffs(mrData, mrData.files, maxDiffChars, { keywords });
+
+      const { droppedFiles, trimmedFiles } = mrData.diffStats;
+      log('⚠️  DIFF TRUNCATED');
+      log(`   Original size: ${mrData.diffStats.originalLength.toLocaleString()} chars`);
+      log(`   Showing: ${mrData.diffStats.truncatedLength.toLocaleString()} chars`);
+      log(`   Files hidden: ${droppedFiles.length}${droppedFiles.length > 0 ? ` (${droppedFiles.join(', ')})` : ''}`);
+      if (trimmedFiles.length > 0) {
+        log(`   Files trimmed to their first hunks: ${trimmedFiles.join(', ')}`);
+      }
+      if (limitedByContext) {
+        log(`   💡 The diff does not fit in the context window of ${getModelName()}: use --chunked or a model with a larger context`);
+      } else {
+        log(`   💡 For complete review, use: --max-diff-chars ${mrData.diffStats.recommendedMaxChars} or --chunked`);
+      }
+      log();
       
       if (bailOnTruncate) {
         console.error('❌ Exiting: diff is truncated (--fail-on-truncate enabled)');
-        console.error('   Run with the recommended --max-diff-chars to review all changes.');
+        console.error(limitedByContext
+          ? '   Run with --chunked to review all changes.'
+          : '   Run with the recommended --max-diff-chars to review all changes.');
         process.exit(1);
       }
     } else {
-      console.log(`✓ Full diff loaded (${mrData.diffStats.originalLength.toLocaleString()} chars)\n`);
+      log(`✓ Full diff loaded (${mrData.diffStats.originalLength.toLocaleString()} chars)\n`);
     }
 
     if (debugMode) {
-      console.log('📊 DEBUG - MR Metadata:');
-      console.log('─'.repeat(80));
-      console.log(`Title: ${mrData.title}`);
-      console.log(`Description: ${mrData.description}`);
-      console.log(`Source Branch: ${mrData.sourceBranch}`);
-      console.log(`Target Branch: ${mrData.targetBranch}`);
-      console.log(`Changed Files: ${mrData.changedFiles}`);
-      console.log('─'.repeat(80));
-      console.log();
+      log('📊 DEBUG - MR Metadata:');
+      log('─'.repeat(80));
+      log(`Title: ${mrData.title}`);
+      log(`Description: ${mrData.description}`);
+      log(`Source Branch: ${mrData.sourceBranch}`);
+      log(`Target Branch: ${mrData.targetBranch}`);
+      log(`Changed Files: ${mrData.changedFiles}`);
+      log('─'.repeat(80));
+      log();
     }
 
-    // Step 3: Build prompt for LLM
-    const prompt = buildPrompt({ ...mrData, ticketScope, guidelines });
+    let result;
+    let newFindings = null;
+    if (incremental && incremental.unchanged) {
+      result = incremental.previousResult;
+      printReport(result);
+    } else if (useChunks) {
+      // Steps 3-5: Review batches, merge and display results
+      const chunkChars = maxDiffChars || parseInt(process.env.MAX_DIFF_CHARS) || 50000;
+      result = await reviewInChunks({ mrData, ticketScope, guidelines, maxChars: chunkChars, model: getModelName(), debugMode });
+      log('✓ Analysis complete\n');
+      printReport(result);
+    } else {
+      // Step 3: Build prompt for LLM
+      const prompt = buildPrompt({ ...mrData, ticketScope, guidelines, incremental });
 
-    if (debugMode) {
-      console.log('🤖 DEBUG - Full Prompt Sent to LLM:');
-      console.log('─'.repeat(80));
-      console.log(prompt);
-      console.log('─'.repeat(80));
-      console.log();
-      console.log(`📏 Prompt length: ${prompt.length} characters`);
-      console.log(`📏 Ticket scope: ${ticketScope ? ticketScope.length : 0} characters`);
-      console.log(`📏 Diffs: ${mrData.diffs.length} characters`);
-      console.log();
-    }
+      if (debugMode) {
+        log('🤖 DEBUG - Full Prompt Sent to LLM:');
+        log('─'.repeat(80));
+        log(prompt);
+        log('─'.repeat(80));
+        log();
+        log(`📏 Prompt length: ${prompt.length} characters`);
+        log(`📏 Ticket scope: ${ticketScope ? ticketScope.length : 0} characters`);
+        log(`📏 Diffs: ${mrData.diffs.length} characters`);
+        log();
+      }
 
-    // Step 4: Send to LLM for analysis
-    const response = await analyzeMR(prompt);
-    console.log('✓ Analysis complete\n');
+      // Step 4: Send to LLM for analysis (invalid responses are sent back for repair)
+      result = await requestReview(prompt, {
+        debugMode,
+        schema: incremental ? INCREMENTAL_REVIEW_JSON_SCHEMA : undefined,
+        incremental: Boolean(incremental)
+      });
+      log('✓ Analysis complete\n');
 
-    if (debugMode) {
-      console.log('💬 DEBUG - Raw LLM Response:');
-      console.log('─'.repeat(80));
-      console.log(response);
-      console.log('─'.repeat(80));
-      console.log();
+      // Previous findings that are not resolved stay open; only the new
+      // findings are posted inline (the others already were)
+      if (incremental) {
+        newFindings = result.errors;
+        result = mergeIncrementalResult(result, incremental.previousFindings);
+        log(`✓ ${result.resolved.length} previous finding(s) resolved, ${newFindings.length} new\n`);
+      }
+
+      // Step 5: Display results
+      printReport(result);
     }
 
-    // Step 5: Parse and display results
-    const result = printResult(response);
+    // Step 5b: Write machine-readable report
+    if (outputFormat) {
+      const report = formatReport(outputFormat, result, mrData);
+      if (outputFile) {
+        fs.writeFileSync(path.resolve(outputFile), report.endsWith('\n') ? report : `${report}\n`);
+        log(`✓ ${outputFormat} report written to ${outputFile}\n`);
+      } else {
+        process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+      }
+    }
+
+    // Step 6: Post comment if requested (it already covers an unchanged MR)
+    if (shouldComment && incremental && incremental.unchanged) {
+      log('ℹ️  The review comment is up to date, not posting it again\n');
+    } else if (shouldComment) {
+      // Findings that point at a line of the diff are also posted inline. The
+      // summary keeps every finding, plus legacy line comments that could not
+      // be anchored, so nothing is lost.
+      let anchored = [];
+      let summaryResult = result;
+      if (inlineComments && client.postInlineComments) {
+        const partition = partitionInlineComments(
+          getLineComments(newFindings ? { ...result, errors: newFindings } : result),
+          incremental ? mrFiles : mrData.files
+        );
+        anchored = partition.anchored;
+        summaryResult = {
+          ...result,
+          inline_comments: partition.unanchored.filter((comment) => !comment.finding)
+        };
+      }
+
+      // Reuse the previous bot comment (if any) so the MR keeps a single review
+      if (newComment) {
+        previousComment = null;
+      } else if (previousComment === undefined) {
+        previousComment = client.findBotComment ? await client.findBotComment(mrUrlOrId, projectPath) : null;
+      }
 
-    // Step 6: Post comment if requested
-    if (shouldComment) {
-      const commentBody = formatCommentBody(result);
+      const history = keepCommentHistory && previousComment
+        ? buildCommentHistory(parseCommentMetadata(previousComment.body))
+        : [];
+
+      const commentBody = formatCommentBody(summaryResult, {
+        history,
+        droppedFiles: mrData.diffStats.droppedFiles,
+        overflow: mrData.diffStats.overflow,
+        unlistedFiles: mrData.diffStats.unlistedFiles,
+        headSha: mrData.diffRefs && mrData.diffRefs.headSha
+      });
       
       if (debugMode) {
-        console.log('\n💬 DEBUG - Comment to be posted:');
-        console.log('─'.repeat(80));
-        console.log(commentBody);
-        console.log('─'.repeat(80));
-        console.log();
+        log('\n💬 DEBUG - Comment to be posted:');
+        log('─'.repeat(80));
+        log(commentBody);
+        log('─'.repeat(80));
+        log();
       }
       
-      await client.postComment(mrUrlOrId, commentBody, projectPath);
+      await client.postComment(mrUrlOrId, commentBody, projectPath, {
+        update: !newComment,
+        previousComment
+      });
+
+      if (anchored.length > 0) {
+        await client.postInlineComments(mrUrlOrId, anchored, mrData.diffRefs, projectPath);
+      }
+    }
+
+    // Step 7: Quality gate
+    const gateFailures = evaluateQualityGate(result, { minScore, failOnGoal, failOnSeverity });
+    if (gateFailures.length > 0) {
+      console.error('\n❌ Quality gate failed:');
+      gateFailures.forEach((failure) => console.error(`   - ${failure.message}`));
+      process.exit(gateFailures[0].exitCode);
+    } else if (minScore !== null || failOnGoal !== null || failOnSeverity !== null) {
+      log('✓ Quality gate passed');
     }
 
   } catch (error) {
@@ -0,0 +1,164 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, 'index.js');
+
+const REVIEW = JSON.stringify({ goal_status: 'met', score: 85, errors: [], remarks: 'Looks fine' });
+
+// Local mock GitLab API and LLM endpoint: routes map "METHOD path" to a
+// response body (strings are sent as text), requests are recorded
+function startMockServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const route = `${req.method} ${req.url.split('?')[0]}`;
+      requests.push({ route, url: req.url, body: body ? JSON.parse(body) : null });
+      const reply = routes[route];
+      if (typeof reply === 'string') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(reply);
+        return;
+      }
+      res.writeHead(reply ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply === undefined ? { message: '404 Not Found' } : reply));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}`, requests, close: () => server.close() });
+    });
+  });
+}
+
+function runCli(args, env, cwd) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { env, cwd, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('mr-pilot CLI', () => {
+  let tempDir;
+  let server;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-pilot-cli-'));
+  });
+
+  afterEach(() => {
+    if (server) {
+      server.close();
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const mrPath = '/api/v4/projects/group%2Fapp/merge_requests/7';
+
+  // GitLab MR 7 of group/app with the given file diffs, and the LLM endpoint
+  function mockRoutes(diffs, mr = {}) {
+    return {
+      [`GET ${mrPath}`]: {
+        title: 'Add login',
+        description: 'Adds the login form',
+        source_branch: 'feature/login',
+        target_branch: 'main',
+        changes_count: String(diffs.length),
+        diff_refs: { base_sha: 'base000', head_sha: 'head111' },
+        ...mr
+      },
+      [`GET ${mrPath}/diffs`]: diffs,
+      'GET /api/v4/user': { id: 1 },
+      [`GET ${mrPath}/notes`]: [],
+      [`POST ${mrPath}/notes`]: { id: 1 },
+      'POST /v1/chat/completions': { choices: [{ message: { content: REVIEW } }] }
+    };
+  }
+
+  function review(args) {
+    const env = {
+      PATH: process.env.PATH,
+      HOME: tempDir,
+      MR_PILOT_CACHE_DIR: path.join(tempDir, 'cache'),
+      GITLAB_API: `${server.url}/api/v4`,
+      GITLAB_TOKEN: 'test-token',
+      LLM_PROVIDER: 'openai',
+      LLM_MODEL: 'gpt-4o',
+      LLM_API_KEY: 'test-key',
+      LLM_API_URL: `${server.url}/v1/chat/completions`
+    };
+    return runCli(['7', '--platform', 'gitlab', '--project', 'group/app', '--no-linked-issues', ...args], env, tempDir);
+  }
+
+  function sentPrompt() {
+    return server.requests.find((request) => request.route === 'POST /v1/chat/completions').body.messages
+      .map((message) => message.content).join('\n');
+  }
+
+  test('should warn about files over the GitLab diff limits in the posted comment', async () => {
+    server = await startMockServer(mockRoutes([
+      { old_path: 'src/login.js', new_path: 'src/login.js', diff: '@@ -1 +1 @@\n-a\n+b\n' },
+      { old_path: 'docs/login.md', new_path: 'docs/login.md', diff: '@@ -1 +1 @@\n-a\n+b\n' }
+    ], { changes_count: '5' }));
+
+    // A known model and an exclude pattern both rebuild the diff
+    const { code, stdout, stderr } = await review(['--comment', '--exclude', 'docs/**']);
+
+    expect(stderr).toBe('');
+    expect(code).toBe(0);
+    expect(stdout).toContain('GitLab returned 2 of 5 changed files');
+    expect(sentPrompt()).toContain('3 changed file(s) of this MR exceeded the diff limits of the platform');
+
+    const comment = server.requests.find((request) => request.route === `POST ${mrPath}/notes`).body.body;
+    expect(comment).toContain('**Not reviewed** (platform diff limits): 3 changed file(s) not returned by the API');
+  });
+
+  test('should cap the diff of known models at 50000 chars by default', async () => {
+    const bigDiff = `@@ -1,2000 +1,2000 @@\n${'+const value = compute(input);\n'.repeat(2000)}`;
+    server = await startMockServer(mockRoutes([
+      { old_path: 'src/a.js', new_path: 'src/a.js', diff: bigDiff },
+      { old_path: 'src/b.js', new_path: 'src/b.js', diff: bigDiff }
+    ]));
+
+    const { code, stdout } = await review([]);
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('DIFF TRUNCATED');
+    expect(stdout).toContain('use: --max-diff-chars');
+    expect(sentPrompt().length).toBeLessThan(60000);
+  });
+
+  test('should only write the report to stdout with a machine-readable output', async () => {
+    server = await startMockServer(mockRoutes([{ old_path: 'src/login.js', new_path: 'src/login.js', diff: '@@ -1 +1 @@\n-a\n+b\n' }]));
+
+    const { code, stdout, stderr } = await review(['--output', 'json']);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({ score: 85, goal_status: 'met' });
+    expect(stderr).toContain('Fetching');
+  });
+
+  test('should apply the config of the reviewed repository from its target branch', async () => {
+    server = await startMockServer({
+      ...mockRoutes([{ old_path: 'src/login.js', new_path: 'src/login.js', diff: '@@ -1 +1 @@\n-a\n+b\n' }]),
+      'GET /api/v4/projects/group%2Fapp/repository/files/.mr-pilot.yml/raw': 'minScore: 90\nproviderModule: ./evil.js\n'
+    });
+
+    const { code, stdout, stderr } = await review([]);
+
+    const configRequest = server.requests.find((request) => request.route.endsWith('/.mr-pilot.yml/raw'));
+    expect(configRequest.url).toContain('ref=main');
+    expect(stdout).toContain('"providerModule" is ignored in repository config main:.mr-pilot.yml');
+    expect(stdout).toContain('Loaded config from the reviewed repository: main:.mr-pilot.yml');
+    expect(stderr).toContain('Quality gate failed');
+    expect(code).toBe(2);
+  });
+});
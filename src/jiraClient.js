@@ -0,0 +1,79 @@
+const axios = require('axios');
+
+// Jira REST API (v2, so descriptions are wiki text rather than ADF documents).
+// Configured with JIRA_URL plus JIRA_EMAIL + JIRA_API_TOKEN (Jira Cloud) or
+// JIRA_API_TOKEN alone as a personal access token (Jira Server/Data Center).
+
+function isConfigured() {
+  return Boolean(process.env.JIRA_URL);
+}
+
+function getHeaders() {
+  const token = process.env.JIRA_API_TOKEN;
+  const email = process.env.JIRA_EMAIL;
+  const headers = { 'Accept': 'application/json' };
+
+  if (token && email) {
+    headers['Authorization'] = `Basic ${Buffer.from(`${email}:${token}`).toString('base64')}`;
+  } else if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  return headers;
+}
+
+// Plain text from an Atlassian Document Format node (custom fields may use
+// ADF even through the v2 API)
+function adfToText(node) {
+  if (!node || typeof node !== 'object') {
+    return node ? String(node) : '';
+  }
+  if (node.type === 'text') {
+    return node.text || '';
+  }
+  const children = (node.content || []).map(adfToText);
+  const blockTypes = ['paragraph', 'heading', 'listItem', 'codeBlock'];
+  return blockTypes.includes(node.type) ? `${children.join('')}\n` : children.join('');
+}
+
+// Returns { ref, title, body, acceptanceCriteria, url } or null when the issue
+// does not exist. JIRA_ACCEPTANCE_FIELD names a custom field (e.g.
+// customfield_10035) holding the acceptance criteria.
+async function getIssue(key) {
+  const baseUrl = (process.env.JIRA_URL || '').replace(/\/+$/, '');
+  if (!baseUrl) {
+    throw new Error('JIRA_URL environment variable is not set');
+  }
+
+  const acceptanceField = process.env.JIRA_ACCEPTANCE_FIELD;
+  const fields = ['summary', 'description', acceptanceField].filter(Boolean).join(',');
+
+  try {
+    const response = await axios.get(
+      `${baseUrl}/rest/api/2/issue/${encodeURIComponent(key)}?fields=${fields}`,
+      { headers: getHeaders(), timeout: 30000 }
+    );
+    const issueFields = response.data.fields || {};
+    const acceptanceCriteria = acceptanceField ? adfToText(issueFields[acceptanceField]).trim() : '';
+
+    return {
+      ref: key,
+      title: issueFields.summary,
+      body: adfToText(issueFields.description),
+      acceptanceCriteria: acceptanceCriteria || null,
+      url: `${baseUrl}/browse/${key}`
+    };
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404) {
+        return null;
+      } else if (error.response.status === 401 || error.response.status === 403) {
+        throw new Error('Jira authentication failed. Check JIRA_EMAIL and JIRA_API_TOKEN.');
+      }
+      throw new Error(`Jira API error reading ${key}: ${error.response.status} - ${error.response.statusText}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = { getIssue, isConfigured };
@@ -0,0 +1,71 @@
+const axios = require('axios');
+const { getIssue } = require('./jiraClient');
+
+jest.mock('axios');
+
+describe('jiraClient', () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JIRA_URL = 'https://acme.atlassian.net/';
+    process.env.JIRA_EMAIL = 'bot@acme.com';
+    process.env.JIRA_API_TOKEN = 'secret';
+    delete process.env.JIRA_ACCEPTANCE_FIELD;
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  test('should fetch an issue with basic auth', async () => {
+    axios.get.mockResolvedValueOnce({ data: { fields: { summary: 'Export', description: 'CSV export' } } });
+
+    const issue = await getIssue('PROJ-812');
+
+    expect(issue).toEqual({
+      ref: 'PROJ-812',
+      title: 'Export',
+      body: 'CSV export',
+      acceptanceCriteria: null,
+      url: 'https://acme.atlassian.net/browse/PROJ-812'
+    });
+    const [url, options] = axios.get.mock.calls[0];
+    expect(url).toBe('https://acme.atlassian.net/rest/api/2/issue/PROJ-812?fields=summary,description');
+    expect(options.headers.Authorization).toBe(`Basic ${Buffer.from('bot@acme.com:secret').toString('base64')}`);
+  });
+
+  test('should read acceptance criteria from a custom field, including ADF documents', async () => {
+    process.env.JIRA_ACCEPTANCE_FIELD = 'customfield_10035';
+    delete process.env.JIRA_EMAIL;
+    axios.get.mockResolvedValueOnce({
+      data: {
+        fields: {
+          summary: 'Export',
+          description: null,
+          customfield_10035: {
+            type: 'doc',
+            content: [
+              { type: 'paragraph', content: [{ type: 'text', text: 'One row per order' }] },
+              { type: 'paragraph', content: [{ type: 'text', text: 'UTF-8 encoded' }] }
+            ]
+          }
+        }
+      }
+    });
+
+    const issue = await getIssue('PROJ-812');
+
+    expect(issue.acceptanceCriteria).toBe('One row per order\nUTF-8 encoded');
+    expect(axios.get.mock.calls[0][0]).toContain('fields=summary,description,customfield_10035');
+    expect(axios.get.mock.calls[0][1].headers.Authorization).toBe('Bearer secret');
+  });
+
+  test('should return null for unknown issues and throw on auth errors', async () => {
+    axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+    await expect(getIssue('UTF-8')).resolves.toBeNull();
+
+    axios.get.mockRejectedValueOnce({ response: { status: 401 } });
+    await expect(getIssue('PROJ-1')).rejects.toThrow('Jira authentication failed');
+  });
+});
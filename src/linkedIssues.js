@@ -0,0 +1,189 @@
+const jiraClient = require('./jiraClient');
+const { getHost } = require('./forgeHosts');
+const { log } = require('./logger');
+
+const MAX_ISSUES = 5;
+const MAX_ISSUE_CHARS = 10000;
+
+// Issue URLs (GitLab first: its paths contain "/-/issues/")
+const GITLAB_ISSUE_URL = /https?:\/\/([^\s/]+)\/([^\s]+?)\/-\/issues\/(\d+)/g;
+const GITHUB_ISSUE_URL = /https?:\/\/([^\s/]+)\/([^\s/]+\/[^\s/]+)\/issues\/(\d+)/g;
+// "#12", "group/project#12", "owner/repo#12" (not "&#12;" entities or URL fragments)
+const ISSUE_REF = /(?:^|[^\w/#&:])((?:[\w.-]+\/)+[\w.-]+)?#(\d+)\b/g;
+// Closing keywords of GitHub and GitLab and reference keywords followed by a
+// list of references: "Closes #12", "Fixes: #3, #4 and group/app#5", "Refs #7",
+// "Related to #8"
+const KEYWORD_REFS = /\b(?:clos(?:e|es|ed|ing)|fix(?:es|ed|ing)?|resolv(?:e|es|ed|ing)|implement(?:s|ed|ing)?|refs?|references?|relate[sd]? to|related|part of)\b:?\s+((?:[\w.\/-]*#\d+)(?:(?:\s*,\s*|\s*,?\s+and\s+)[\w.\/-]*#\d+)*)/gi;
+// A reference on its own line ("#12", "- #12")
+const STANDALONE_REF = /^[ \t]*(?:[-*+][ \t]+)?#\d+[ \t]*[.,;]?[ \t]*$/gm;
+// Issue number leading the source branch name or its last segment, as
+// GitLab and GitHub name the branches they create for an issue:
+// "123-fix-login", "feature/123-fix-login", "issue-123"
+const BRANCH_ISSUE = /(?:^|\/)(?:issues?[-_/]?)?(\d+)(?:[-_]|$)/i;
+const JIRA_KEY = /\b([A-Z][A-Z0-9_]+-\d+)\b/g;
+
+// Web host of the reviewed MR: the MR URL, else the API of its platform
+const API_ENV = { github: 'GITHUB_API', gitlab: 'GITLAB_API', bitbucket: 'BITBUCKET_API', gitea: 'GITEA_API' };
+const DEFAULT_HOSTS = { github: 'github.com', bitbucket: 'bitbucket.org' };
+
+function getForgeHost(client, urlOrId) {
+  const defaultHost = DEFAULT_HOSTS[client.platform];
+  const host = getHost(urlOrId) || getHost(process.env[API_ENV[client.platform]]) || defaultHost || null;
+  // api.github.com, api.bitbucket.org
+  return defaultHost && host === `api.${defaultHost}` ? defaultHost : host;
+}
+
+function allMatches(regex, text) {
+  return [...String(text || '').matchAll(regex)];
+}
+
+// Finds issue references in the MR title and description: issue URLs on the
+// MR's host, "group/project#45" references and "#12" references on their own
+// line or after a closing or reference keyword ("Closes #12", "Refs #12"), so
+// a "step #1" in the description is not mistaken for the ticket, and the
+// issue number of the source branch ("123-fix-login"). Forge references
+// become { kind: 'forge', project, number } (project is null for the MR's own
+// repository), Jira keys (also in the source branch) { kind: 'jira', key }
+// when jira is enabled (optionally limited to jiraProjects).
+function findIssueReferences({ title, description, sourceBranch }, { host = null, jira = false, jiraProjects = [] } = {}) {
+  const refs = [];
+  const seen = new Set();
+
+  const add = (ref) => {
+    const id = ref.kind === 'jira' ? ref.key : `${ref.project || ''}#${ref.number}`;
+    if (!seen.has(id)) {
+      seen.add(id);
+      refs.push(ref);
+    }
+  };
+
+  for (const text of [title, description]) {
+    let remaining = String(text || '');
+
+    for (const regex of [GITLAB_ISSUE_URL, GITHUB_ISSUE_URL]) {
+      // Issues on other hosts cannot be read with the MR's API
+      for (const match of allMatches(regex, remaining)) {
+        if (host && match[1].toLowerCase() === host) {
+          add({ kind: 'forge', project: match[2], number: match[3] });
+        }
+      }
+      // Don't match the same URLs again as "#" references
+      remaining = remaining.replace(regex, ' ');
+    }
+    // Other URLs may contain "#" fragments
+    remaining = remaining.replace(/https?:\/\/\S+/g, ' ');
+
+    // Bare "#12" only counts on its own line or in the reference list of a keyword
+    const referenceLists = [...allMatches(KEYWORD_REFS, remaining), ...allMatches(STANDALONE_REF, remaining)]
+      .map((match) => [match.index, match.index + match[0].length]);
+    for (const match of allMatches(ISSUE_REF, remaining)) {
+      const position = match.index + match[0].lastIndexOf('#');
+      const listed = referenceLists.some(([start, end]) => position >= start && position < end);
+      if (match[1] || listed) {
+        add({ kind: 'forge', project: match[1] || null, number: match[2] });
+      }
+    }
+  }
+
+  const branchIssue = String(sourceBranch || '').match(BRANCH_ISSUE);
+  if (branchIssue) {
+    add({ kind: 'forge', project: null, number: String(Number(branchIssue[1])) });
+  }
+
+  if (jira) {
+    for (const text of [title, description, sourceBranch]) {
+      for (const match of allMatches(JIRA_KEY, text)) {
+        const projectKey = match[1].split('-')[0];
+        if (jiraProjects.length === 0 || jiraProjects.includes(projectKey)) {
+          add({ kind: 'jira', key: match[1] });
+        }
+      }
+    }
+  }
+
+  return refs;
+}
+
+// Section under an "Acceptance Criteria" heading (Markdown "#", bold line or
+// Jira "h2."), up to the next heading
+function extractAcceptanceCriteria(body) {
+  const lines = String(body || '').split('\n');
+  const isHeading = (line) => /^\s*(#{1,6}\s|h[1-6]\.\s|\*\*[^*]+\*\*:?\s*$)/.test(line);
+  const start = lines.findIndex((line) => isHeading(line) && /acceptance criteria/i.test(line));
+  if (start === -1) {
+    return null;
+  }
+
+  const section = [];
+  for (const line of lines.slice(start + 1)) {
+    if (isHeading(line)) {
+      break;
+    }
+    section.push(line);
+  }
+  return section.join('\n').trim() || null;
+}
+
+// Fetches the referenced issues through the client (GitHub/GitLab issues)
+// and Jira. Missing issues are skipped; lookup errors are reported and skipped.
+async function fetchLinkedIssues(client, mrData, { urlOrId, projectArg = null } = {}) {
+  const jiraProjects = (process.env.JIRA_PROJECTS || '')
+    .split(',')
+    .map((key) => key.trim().toUpperCase())
+    .filter(Boolean);
+  const refs = findIssueReferences(mrData, {
+    host: getForgeHost(client, urlOrId),
+    jira: jiraClient.isConfigured(),
+    jiraProjects
+  })
+    .filter((ref) => ref.kind === 'jira' || client.getIssue)
+    .slice(0, MAX_ISSUES);
+
+  const issues = [];
+  for (const ref of refs) {
+    const label = ref.kind === 'jira' ? ref.key : `${ref.project || ''}#${ref.number}`;
+    try {
+      const issue = ref.kind === 'jira'
+        ? await jiraClient.getIssue(ref.key)
+        : await client.getIssue(urlOrId, ref.number, projectArg, ref.project);
+      if (issue) {
+        issues.push(issue);
+      }
+    } catch (error) {
+      log(`⚠️  Could not read linked issue ${label}: ${error.message}`);
+    }
+  }
+
+  return issues;
+}
+
+// Ticket scope text for the prompt from the fetched issues
+function formatTicketScope(issues) {
+  return issues
+    .map((issue) => {
+      const body = String(issue.body || '').trim();
+      const truncated = body.length > MAX_ISSUE_CHARS;
+      let text = `## ${issue.ref}: ${issue.title}\n`;
+      if (issue.url) {
+        text += `${issue.url}\n`;
+      }
+      if (body) {
+        text += `\n${truncated ? `${body.substring(0, MAX_ISSUE_CHARS)}\n... [issue description truncated]` : body}\n`;
+      }
+
+      // Kept separately when it is not part of the (complete) description
+      const acceptanceCriteria = issue.acceptanceCriteria || (truncated ? extractAcceptanceCriteria(body) : null);
+      if (acceptanceCriteria) {
+        text += `\n### Acceptance Criteria\n${acceptanceCriteria}\n`;
+      }
+      return text;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  findIssueReferences,
+  extractAcceptanceCriteria,
+  fetchLinkedIssues,
+  formatTicketScope
+};
@@ -0,0 +1,172 @@
+const {
+  findIssueReferences,
+  extractAcceptanceCriteria,
+  fetchLinkedIssues,
+  formatTicketScope
+} = require('./linkedIssues');
+const jiraClient = require('./jiraClient');
+
+jest.mock('./jiraClient', () => ({
+  getIssue: jest.fn(),
+  isConfigured: jest.fn()
+}));
+
+describe('linkedIssues', () => {
+  const savedJiraProjects = process.env.JIRA_PROJECTS;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.JIRA_PROJECTS;
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    if (savedJiraProjects !== undefined) {
+      process.env.JIRA_PROJECTS = savedJiraProjects;
+    }
+  });
+
+  describe('findIssueReferences', () => {
+    test('should find closing, cross-repository and URL references in order', () => {
+      const refs = findIssueReferences({
+        title: 'Fix login (closes #12)',
+        description: 'Closes group/sub/project#45\nSee https://gitlab.example.com/team/app/-/issues/7 and https://gitlab.example.com/acme/api/issues/3\nFixes: #12, #13 and #14',
+        sourceBranch: 'feature/login'
+      }, { host: 'gitlab.example.com' });
+
+      expect(refs).toEqual([
+        { kind: 'forge', project: null, number: '12' },
+        { kind: 'forge', project: 'team/app', number: '7' },
+        { kind: 'forge', project: 'acme/api', number: '3' },
+        { kind: 'forge', project: 'group/sub/project', number: '45' },
+        { kind: 'forge', project: null, number: '13' },
+        { kind: 'forge', project: null, number: '14' }
+      ]);
+    });
+
+    test('should ignore HTML entities and URL fragments', () => {
+      expect(findIssueReferences({ title: 'Escape &#39; and see https://example.com/docs#12', description: '' })).toEqual([]);
+    });
+
+    test('should ignore bare numbers inside sentences', () => {
+      const refs = findIssueReferences({
+        title: 'Rework step #1 of the wizard',
+        description: 'Reorders the steps (#2 now comes last), hotfix #3 stays',
+        sourceBranch: 'feature/wizard-v2'
+      });
+
+      expect(refs).toEqual([]);
+    });
+
+    test('should find bare numbers on their own line or after a reference keyword', () => {
+      const refs = findIssueReferences({
+        title: 'Rework the wizard',
+        description: 'Issue:\n#21\n\nRelated:\n- #22\n\nRefs #23, #24 and #25. Related to #26, part of #27'
+      });
+
+      expect(refs.map((ref) => ref.number)).toEqual(['21', '22', '23', '24', '25', '26', '27']);
+    });
+
+    test('should find the issue number of the source branch', () => {
+      const branchIssue = (sourceBranch) => findIssueReferences({ title: 'Fix', description: '', sourceBranch });
+
+      expect(branchIssue('123-fix-login')).toEqual([{ kind: 'forge', project: null, number: '123' }]);
+      expect(branchIssue('feature/45-export')).toEqual([{ kind: 'forge', project: null, number: '45' }]);
+      expect(branchIssue('issue-7')).toEqual([{ kind: 'forge', project: null, number: '7' }]);
+      expect(branchIssue('release/1.2.3')).toEqual([]);
+      expect(branchIssue('feature/v2-login')).toEqual([]);
+
+      // Listed once when the description references it too
+      expect(findIssueReferences({ title: 'Fix', description: 'Closes #123', sourceBranch: '123-fix-login' })).toHaveLength(1);
+    });
+
+    test('should ignore issue URLs on other hosts', () => {
+      const mr = { title: 'Login', description: 'Upstream bug: https://github.com/acme/lib/issues/9, see https://gitlab.com/team/app/-/issues/4' };
+
+      expect(findIssueReferences(mr, { host: 'gitlab.example.com' })).toEqual([]);
+      expect(findIssueReferences(mr)).toEqual([]);
+      expect(findIssueReferences(mr, { host: 'github.com' })).toEqual([{ kind: 'forge', project: 'acme/lib', number: '9' }]);
+    });
+
+    test('should find Jira keys only when enabled and limit them to the configured projects', () => {
+      const mr = { title: 'PROJ-812: add export', description: 'Uses UTF-8 encoding', sourceBranch: 'feature/PROJ-813-export' };
+
+      expect(findIssueReferences(mr)).toEqual([]);
+      expect(findIssueReferences(mr, { jira: true }).map((ref) => ref.key)).toEqual(['PROJ-812', 'UTF-8', 'PROJ-813']);
+      expect(findIssueReferences(mr, { jira: true, jiraProjects: ['PROJ'] }).map((ref) => ref.key)).toEqual(['PROJ-812', 'PROJ-813']);
+    });
+  });
+
+  describe('extractAcceptanceCriteria', () => {
+    test('should return the section under a Markdown or Jira heading', () => {
+      expect(extractAcceptanceCriteria('Intro\n\n## Acceptance Criteria\n- exports CSV\n- handles empty lists\n\n## Notes\nLater')).toBe('- exports CSV\n- handles empty lists');
+      expect(extractAcceptanceCriteria('h2. Acceptance criteria\n* works\nh2. Other')).toBe('* works');
+      expect(extractAcceptanceCriteria('No criteria here')).toBeNull();
+    });
+  });
+
+  describe('fetchLinkedIssues', () => {
+    test('should fetch forge issues through the client and Jira issues through the Jira client', async () => {
+      jiraClient.isConfigured.mockReturnValue(true);
+      jiraClient.getIssue.mockResolvedValue({ ref: 'PROJ-812', title: 'Export', body: 'CSV export' });
+      const client = {
+        getIssue: jest.fn()
+          .mockResolvedValueOnce({ ref: 'group/app#12', title: 'Login', body: 'Fix it' })
+          .mockResolvedValueOnce(null)
+      };
+
+      const issues = await fetchLinkedIssues(
+        client,
+        { title: 'PROJ-812 Login', description: 'Closes #12 and other/repo#5' },
+        { urlOrId: '99', projectArg: 'group/app' }
+      );
+
+      expect(issues.map((issue) => issue.ref)).toEqual(['group/app#12', 'PROJ-812']);
+      expect(client.getIssue).toHaveBeenCalledWith('99', '12', 'group/app', null);
+      expect(client.getIssue).toHaveBeenCalledWith('99', '5', 'group/app', 'other/repo');
+    });
+
+    test('should only read issue URLs of the reviewed MR host', async () => {
+      jiraClient.isConfigured.mockReturnValue(false);
+      const client = { platform: 'github', getIssue: jest.fn().mockResolvedValue(null) };
+      const mr = { title: 'Login', description: 'See https://github.com/acme/api/issues/3 and https://ghe.corp/acme/api/issues/8' };
+
+      await fetchLinkedIssues(client, mr, { urlOrId: 'https://github.com/acme/app/pull/9' });
+      await fetchLinkedIssues(client, mr, { urlOrId: '9', projectArg: 'acme/app' });
+
+      expect(client.getIssue.mock.calls).toEqual([
+        ['https://github.com/acme/app/pull/9', '3', null, 'acme/api'],
+        ['9', '3', 'acme/app', 'acme/api']
+      ]);
+    });
+
+    test('should skip forge references for clients without issues and report lookup errors', async () => {
+      jiraClient.isConfigured.mockReturnValue(true);
+      jiraClient.getIssue.mockRejectedValue(new Error('Jira authentication failed'));
+
+      const issues = await fetchLinkedIssues({}, { title: 'PROJ-1 and #4', description: '' });
+
+      expect(issues).toEqual([]);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Could not read linked issue PROJ-1'));
+    });
+  });
+
+  describe('formatTicketScope', () => {
+    test('should include title, URL, description and separate acceptance criteria', () => {
+      const text = formatTicketScope([
+        { ref: 'PROJ-812', title: 'Export', body: 'CSV export', acceptanceCriteria: '- one row per order', url: 'https://jira/browse/PROJ-812' }
+      ]);
+
+      expect(text).toBe('## PROJ-812: Export\nhttps://jira/browse/PROJ-812\n\nCSV export\n\n### Acceptance Criteria\n- one row per order\n');
+    });
+
+    test('should keep acceptance criteria of truncated descriptions', () => {
+      const body = `${'x'.repeat(12000)}\n## Acceptance Criteria\n- must not be lost`;
+      const text = formatTicketScope([{ ref: '#1', title: 'Big', body }]);
+
+      expect(text).toContain('[issue description truncated]');
+      expect(text).toContain('### Acceptance Criteria\n- must not be lost');
+    });
+  });
+});
@@ -0,0 +1,280 @@
+const path = require("path");
+const { log } = require("./logger");
+
+// LLM provider registry. A provider describes how to talk to one API:
+//
+//   endpoint({ model })                    default URL (LLM_API_URL overrides it)
+//   authHeaders(apiKey)                    headers carrying the credentials
+//   buildRequest({ model, prompt, messages, systemPrompt, schema })
+//                                          -> { headers?, body }. messages is the
+//                                          conversation ({ role: "user" | "assistant",
+//                                          content }), prompt its first user message;
+//                                          schema (JSON schema or null) asks for
+//                                          structured output when supported
+//   parseResponse(data)                    review text from the response body
+//   classifyError(status, data)            "auth" | "credits" | "forbidden" |
+//                                          "bad_request" | "rate_limit" | "server"
+//                                          | null (not retried)
+//   requiresAuth / requiresModel           whether LLM_API_KEY / LLM_MODEL must be set
+//
+// Any method a provider leaves out is inherited from the OpenAI-compatible one.
+
+// Errors that would fail again on retry (e.g. content blocked by the provider)
+function nonRetryable(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+// Best human-readable error detail from a provider error body
+function getErrorDetail(data) {
+  if (data && data.error) {
+    if (typeof data.error === "string") return data.error;
+    if (data.error.message) return data.error.message;
+  }
+  return JSON.stringify(data);
+}
+
+function classifyHttpError(status, data) {
+  if (status === 401 || (status === 400 && /api[_ ]key/i.test(getErrorDetail(data)))) {
+    return "auth";
+  }
+  if (status === 402) return "credits";
+  if (status === 403) return "forbidden";
+  if (status === 400) return "bad_request";
+  if (status === 429) return "rate_limit";
+  // Includes Anthropic 529 "overloaded"
+  if (status >= 500) return "server";
+  return null;
+}
+
+const SCHEMA_NAME = "code_review";
+
+const openaiCompatible = {
+  requiresAuth: true,
+  requiresModel: false,
+  endpoint() {
+    return "https://api.openai.com/v1/chat/completions";
+  },
+  authHeaders(apiKey) {
+    return { Authorization: `Bearer ${apiKey}` };
+  },
+  buildRequest({ model, messages, systemPrompt, schema }) {
+    const body = {
+      model: model,
+      messages: [
+        {
+          role: "system",
+          content: systemPrompt,
+        },
+        ...messages,
+      ],
+    };
+    if (schema) {
+      body.response_format = {
+        type: "json_schema",
+        json_schema: { name: SCHEMA_NAME, strict: false, schema },
+      };
+    }
+    return { body };
+  },
+  parseResponse(data) {
+    return data.choices?.[0]?.message?.content;
+  },
+  classifyError: classifyHttpError,
+};
+
+// Fills in the OpenAI-compatible defaults for any method not given
+function defineProvider(name, spec) {
+  return { ...openaiCompatible, ...spec, name };
+}
+
+const providers = new Map();
+
+function registerProvider(name, spec) {
+  if (!name || typeof name !== "string") {
+    throw new Error("Provider name must be a non-empty string");
+  }
+  if (!spec || typeof spec !== "object") {
+    throw new Error(`Provider '${name}' must be an object`);
+  }
+  const provider = defineProvider(name.toLowerCase(), spec);
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+function getProvider(name) {
+  const provider = providers.get(String(name).toLowerCase());
+  if (!provider) {
+    throw new Error(
+      `Unknown LLM_PROVIDER: ${name}. Supported: ${listProviders().join(", ")}`,
+    );
+  }
+  return provider;
+}
+
+function listProviders() {
+  return [...providers.keys()];
+}
+
+// Loads a custom provider from a module path (relative to the working
+// directory). The module exports the provider object, optionally with a
+// `name`; otherwise it is registered under fallbackName.
+function loadProviderModule(modulePath, fallbackName = "custom") {
+  const resolved = path.resolve(modulePath);
+  let spec;
+  try {
+    spec = require(resolved);
+  } catch (error) {
+    throw new Error(`Failed to load LLM provider module '${modulePath}': ${error.message}`);
+  }
+
+  spec = spec && spec.default ? spec.default : spec;
+  if (!spec || typeof spec !== "object") {
+    throw new Error(`LLM provider module '${modulePath}' must export a provider object`);
+  }
+
+  for (const method of ["endpoint", "authHeaders", "buildRequest", "parseResponse", "classifyError"]) {
+    if (spec[method] !== undefined && typeof spec[method] !== "function") {
+      throw new Error(`LLM provider module '${modulePath}': ${method} must be a function`);
+    }
+  }
+
+  return registerProvider(spec.name || fallbackName, spec);
+}
+
+registerProvider("openai", {});
+
+registerProvider("openrouter", {
+  endpoint() {
+    return "https://openrouter.ai/api/v1/chat/completions";
+  },
+  authHeaders(apiKey) {
+    return {
+      Authorization: `Bearer ${apiKey}`,
+      "HTTP-Referer": "https://github.com/gitlab-mr-review",
+      "X-Title": "GitLab MR Review Bot",
+    };
+  },
+});
+
+registerProvider("ollama", {
+  requiresAuth: false, // Ollama doesn't require auth by default
+  endpoint() {
+    return "http://localhost:11434/v1/chat/completions";
+  },
+  authHeaders() {
+    return {};
+  },
+});
+
+registerProvider("azure", {
+  endpoint() {
+    throw new Error("LLM_API_URL is required for Azure OpenAI provider");
+  },
+  authHeaders(apiKey) {
+    return { "api-key": apiKey };
+  },
+});
+
+registerProvider("anthropic", {
+  requiresModel: true,
+  endpoint() {
+    return "https://api.anthropic.com/v1/messages";
+  },
+  authHeaders(apiKey) {
+    return {
+      "x-api-key": apiKey,
+      "anthropic-version": process.env.ANTHROPIC_VERSION || "2023-06-01",
+    };
+  },
+  buildRequest({ model, messages, systemPrompt, schema }) {
+    const body = {
+      model: model,
+      max_tokens: parseInt(process.env.LLM_MAX_TOKENS) || 8192,
+      system: systemPrompt,
+      messages,
+    };
+    if (schema) {
+      // Structured output through a forced tool call
+      body.tools = [
+        {
+          name: SCHEMA_NAME,
+          description: "Submit the code review result",
+          input_schema: schema,
+        },
+      ];
+      body.tool_choice = { type: "tool", name: SCHEMA_NAME };
+    }
+    return { body };
+  },
+  parseResponse(data) {
+    if (data.stop_reason === "max_tokens") {
+      log("⚠️  Response was cut at max_tokens, raise LLM_MAX_TOKENS if parsing fails");
+    }
+
+    const toolUse = (data.content || []).find((block) => block.type === "tool_use");
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+
+    // Content is a list of blocks; only text blocks carry the answer
+    return (data.content || [])
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  },
+});
+
+registerProvider("gemini", {
+  requiresModel: true,
+  endpoint({ model }) {
+    return `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent`;
+  },
+  authHeaders(apiKey) {
+    return { "x-goog-api-key": apiKey };
+  },
+  buildRequest({ messages, systemPrompt, schema }) {
+    const body = {
+      systemInstruction: { parts: [{ text: systemPrompt }] },
+      contents: messages.map((message) => ({
+        role: message.role === "assistant" ? "model" : "user",
+        parts: [{ text: message.content }],
+      })),
+    };
+    if (schema) {
+      body.generationConfig = {
+        responseMimeType: "application/json",
+        responseJsonSchema: schema,
+      };
+    }
+    return { body };
+  },
+  parseResponse(data) {
+    const candidate = data.candidates?.[0];
+    if (!candidate) {
+      const blockReason = data.promptFeedback?.blockReason;
+      throw nonRetryable(
+        blockReason
+          ? `gemini blocked the prompt: ${blockReason}`
+          : "No candidates in gemini response",
+      );
+    }
+    if (candidate.finishReason === "SAFETY") {
+      throw nonRetryable("gemini stopped the response for safety reasons");
+    }
+    return (candidate.content?.parts || [])
+      .map((part) => part.text || "")
+      .join("");
+  },
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  loadProviderModule,
+  classifyHttpError,
+  getErrorDetail,
+  nonRetryable,
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  registerProvider,
+  getProvider,
+  listProviders,
+  loadProviderModule,
+  classifyHttpError
+} = require('./llmProviders');
+
+describe('llmProviders', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-pilot-provider-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should register the built-in providers', () => {
+    expect(listProviders()).toEqual(
+      expect.arrayContaining(['openai', 'openrouter', 'ollama', 'azure', 'anthropic', 'gemini'])
+    );
+    expect(getProvider('OpenRouter').name).toBe('openrouter');
+  });
+
+  test('should list supported providers for unknown names', () => {
+    expect(() => getProvider('nope')).toThrow(/Unknown LLM_PROVIDER: nope\. Supported: .*anthropic/);
+  });
+
+  test('should require LLM_API_URL for azure', () => {
+    expect(() => getProvider('azure').endpoint({ model: 'gpt-4' })).toThrow('LLM_API_URL is required');
+  });
+
+  test('should inherit OpenAI-compatible behaviour for omitted methods', () => {
+    const provider = registerProvider('partial-test', {
+      authHeaders: (apiKey) => ({ 'X-Token': apiKey })
+    });
+
+    expect(provider.authHeaders('k')).toEqual({ 'X-Token': 'k' });
+    const { body } = provider.buildRequest({
+      model: 'm',
+      prompt: 'p',
+      messages: [{ role: 'user', content: 'p' }],
+      systemPrompt: 's',
+      schema: null
+    });
+    expect(body.messages).toHaveLength(2);
+    expect(body.response_format).toBeUndefined();
+    expect(provider.parseResponse({ choices: [{ message: { content: 'ok' } }] })).toBe('ok');
+  });
+
+  test('should load a custom provider module under its exported name', () => {
+    const modulePath = path.join(tempDir, 'gateway.js');
+    fs.writeFileSync(modulePath, `
+      module.exports = {
+        name: 'gateway-test',
+        endpoint: () => 'https://llm.internal/v1/complete',
+        authHeaders: (apiKey) => ({ 'X-Gateway-Auth': 'Token ' + apiKey }),
+        parseResponse: (data) => data.output
+      };
+    `);
+
+    const provider = loadProviderModule(modulePath);
+
+    expect(provider.name).toBe('gateway-test');
+    expect(getProvider('gateway-test')).toBe(provider);
+    expect(provider.endpoint({})).toBe('https://llm.internal/v1/complete');
+    expect(provider.parseResponse({ output: 'review' })).toBe('review');
+  });
+
+  test('should use the fallback name when the module has none', () => {
+    const modulePath = path.join(tempDir, 'unnamed.js');
+    fs.writeFileSync(modulePath, 'module.exports = { requiresAuth: false };');
+
+    expect(loadProviderModule(modulePath, 'unnamed-test').name).toBe('unnamed-test');
+  });
+
+  test('should reject modules that fail to load or have invalid methods', () => {
+    expect(() => loadProviderModule(path.join(tempDir, 'missing.js'))).toThrow('Failed to load LLM provider module');
+
+    const modulePath = path.join(tempDir, 'invalid.js');
+    fs.writeFileSync(modulePath, 'module.exports = { buildRequest: "nope" };');
+    expect(() => loadProviderModule(modulePath)).toThrow('buildRequest must be a function');
+  });
+
+  describe('structured output', () => {
+    const schema = { type: 'object', properties: { score: { type: 'integer' } } };
+    const messages = [
+      { role: 'user', content: 'Review' },
+      { role: 'assistant', content: '{}' },
+      { role: 'user', content: 'Fix it' }
+    ];
+
+    test('should use response_format json_schema for OpenAI-compatible providers', () => {
+      const { body } = getProvider('openrouter').buildRequest({ model: 'm', prompt: 'Review', messages, systemPrompt: 's', schema });
+
+      expect(body.response_format).toEqual({
+        type: 'json_schema',
+        json_schema: { name: 'code_review', strict: false, schema }
+      });
+      expect(body.messages.map((message) => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    });
+
+    test('should force a tool call for anthropic and return its input as JSON', () => {
+      const provider = getProvider('anthropic');
+      const { body } = provider.buildRequest({ model: 'm', prompt: 'Review', messages, systemPrompt: 's', schema });
+
+      expect(body.tools[0]).toMatchObject({ name: 'code_review', input_schema: schema });
+      expect(body.tool_choice).toEqual({ type: 'tool', name: 'code_review' });
+      expect(provider.parseResponse({
+        content: [{ type: 'tool_use', name: 'code_review', input: { score: 90 } }],
+        stop_reason: 'tool_use'
+      })).toBe('{"score":90}');
+    });
+
+    test('should request JSON with a response schema for gemini', () => {
+      const { body } = getProvider('gemini').buildRequest({ model: 'm', prompt: 'Review', messages, systemPrompt: 's', schema });
+
+      expect(body.generationConfig).toEqual({ responseMimeType: 'application/json', responseJsonSchema: schema });
+      expect(body.contents.map((content) => content.role)).toEqual(['user', 'model', 'user']);
+    });
+  });
+
+  test('should classify HTTP errors', () => {
+    expect(classifyHttpError(401, {})).toBe('auth');
+    expect(classifyHttpError(400, { error: { message: 'API key not valid' } })).toBe('auth');
+    expect(classifyHttpError(400, { error: 'bad' })).toBe('bad_request');
+    expect(classifyHttpError(429, {})).toBe('rate_limit');
+    expect(classifyHttpError(529, {})).toBe('server');
+    expect(classifyHttpError(404, {})).toBeNull();
+  });
+});
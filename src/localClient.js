@@ -0,0 +1,175 @@
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { parseUnifiedDiff } = require('./diffParser');
+const { buildDiffs } = require('./diffBuilder');
+const { log } = require('./logger');
+
+const execFileAsync = promisify(execFile);
+
+async function git(args, cwd) {
+  try {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd,
+      encoding: 'utf-8',
+      maxBuffer: 200 * 1024 * 1024
+    });
+    return stdout;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('git is not installed or not available in PATH');
+    }
+    const stderr = (error.stderr || '').trim();
+    throw new Error(`git ${args[0]} failed: ${stderr || error.message}`);
+  }
+}
+
+// Resolves "base...head", "base..head", "base" (head = HEAD) or nothing
+// (base = the remote default branch, or main/master) to revisions.
+async function parseRange(input, cwd) {
+  if (input && input !== 'HEAD') {
+    const rangeMatch = input.match(/^(.+?)\.{2,3}(.*)$/);
+    if (rangeMatch) {
+      return { base: rangeMatch[1], head: rangeMatch[2] || 'HEAD' };
+    }
+    return { base: input, head: 'HEAD' };
+  }
+
+  const base = process.env.LOCAL_DEFAULT_BASE || (await detectDefaultBase(cwd));
+  return { base, head: 'HEAD' };
+}
+
+async function detectDefaultBase(cwd) {
+  try {
+    const ref = (await git(['symbolic-ref', '--quiet', 'refs/remotes/origin/HEAD'], cwd)).trim();
+    if (ref) {
+      return ref.replace(/^refs\/remotes\//, '');
+    }
+  } catch (error) {
+    // No remote default branch configured, try common names below
+  }
+
+  for (const candidate of ['main', 'master']) {
+    try {
+      await git(['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`], cwd);
+      return candidate;
+    } catch (error) {
+      // Try next candidate
+    }
+  }
+
+  throw new Error(
+    'Could not detect the base branch. Pass a range (e.g. main...HEAD) or set LOCAL_DEFAULT_BASE in .env'
+  );
+}
+
+async function resolveCommit(revision, cwd) {
+  try {
+    return (await git(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`], cwd)).trim();
+  } catch (error) {
+    throw new Error(`Unknown revision '${revision}' in ${cwd}`);
+  }
+}
+
+// Commits in base..head, oldest first
+async function getCommits(base, head, cwd) {
+  const output = await git(
+    ['log', '--reverse', '--format=%H%x1f%s%x1f%b%x1e', `${base}..${head}`],
+    cwd
+  );
+
+  return output
+    .split('\x1e')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [sha, subject, body] = entry.split('\x1f');
+      return { sha, subject, body: (body || '').trim() };
+    });
+}
+
+function describeCommits(commits) {
+  if (commits.length === 0) {
+    return 'No description provided';
+  }
+
+  return commits
+    .map((commit) => {
+      const body = commit.body ? `\n  ${commit.body.replace(/\n/g, '\n  ')}` : '';
+      return `- ${commit.subject}${body}`;
+    })
+    .join('\n');
+}
+
+// Reviews a local branch or commit range: produces the same MR data shape as
+// the GitLab/GitHub clients from `git diff base...head` in the repository
+// given by projectArg (defaults to the current directory).
+async function getDiffs(rangeArg, projectArg = null, maxDiffChars = null) {
+  const cwd = path.resolve(projectArg || process.cwd());
+
+  try {
+    await git(['rev-parse', '--is-inside-work-tree'], cwd);
+  } catch (error) {
+    throw new Error(`Not a git repository: ${cwd}`);
+  }
+
+  const { base, head } = await parseRange(rangeArg, cwd);
+  const headSha = await resolveCommit(head, cwd);
+  await resolveCommit(base, cwd);
+
+  let mergeBase;
+  try {
+    mergeBase = (await git(['merge-base', base, head], cwd)).trim();
+  } catch (error) {
+    throw new Error(`'${base}' and '${head}' have no common ancestor`);
+  }
+
+  log(`Reading local changes ${base}...${head}...`);
+
+  const diffText = await git(
+    ['diff', '-M', '--no-color', '--no-ext-diff', `${mergeBase}`, headSha],
+    cwd
+  );
+  const files = parseUnifiedDiff(diffText);
+  const commits = await getCommits(mergeBase, headSha, cwd);
+
+  let sourceBranch = head;
+  if (head === 'HEAD') {
+    const branch = (await git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd)).trim();
+    sourceBranch = branch === 'HEAD' ? headSha.substring(0, 12) : branch;
+  }
+
+  const title = commits.length === 1
+    ? commits[0].subject
+    : `${commits.length} commits on ${sourceBranch}`;
+
+  const { diffs, diffStats } = buildDiffs(files, maxDiffChars);
+
+  return {
+    title,
+    description: describeCommits(commits),
+    sourceBranch,
+    targetBranch: base,
+    changedFiles: files.length,
+    diffs,
+    files,
+    diffRefs: {
+      baseSha: mergeBase,
+      headSha
+    },
+    diffStats
+  };
+}
+
+// Returns the content of a file at the given revision of the repository in
+// projectArg (defaults to the current directory), or null when it does not exist
+async function getFileContent(rangeArg, filePath, ref, projectArg = null) {
+  const cwd = path.resolve(projectArg || process.cwd());
+  try {
+    return await git(['show', `${ref}:${filePath}`], cwd);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { getDiffs, getFileContent };
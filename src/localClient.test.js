@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getDiffs, getFileContent } = require('./localClient');
+
+function git(cwd, ...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd,
+    encoding: 'utf-8'
+  });
+}
+
+describe('localClient', () => {
+  let repoDir;
+
+  beforeAll(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-pilot-local-'));
+    git(repoDir, 'init', '-q', '-b', 'main');
+    fs.writeFileSync(path.join(repoDir, 'app.js'), 'const a = 1;\nconst b = 2;\n');
+    git(repoDir, 'add', '.');
+    git(repoDir, 'commit', '-q', '-m', 'Initial commit');
+
+    git(repoDir, 'checkout', '-q', '-b', 'feature/login');
+    fs.writeFileSync(path.join(repoDir, 'app.js'), 'const a = 1;\nconst b = 3;\n');
+    git(repoDir, 'commit', '-q', '-am', 'Change b');
+    fs.writeFileSync(path.join(repoDir, 'login.js'), 'module.exports = {};\n');
+    git(repoDir, 'add', '.');
+    git(repoDir, 'commit', '-q', '-m', 'Add login module', '-m', 'Implements the login form.');
+  });
+
+  afterAll(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    delete process.env.LOCAL_DEFAULT_BASE;
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should review the current branch against the detected base branch', async () => {
+    const result = await getDiffs(undefined, repoDir);
+
+    expect(result.sourceBranch).toBe('feature/login');
+    expect(result.targetBranch).toBe('main');
+    expect(result.title).toBe('2 commits on feature/login');
+    expect(result.description).toContain('- Change b');
+    expect(result.description).toContain('Implements the login form.');
+    expect(result.changedFiles).toBe(2);
+    expect(result.files.find((file) => file.path === 'login.js').status).toBe('added');
+    expect(result.diffs).toContain('### File: app.js');
+    expect(result.diffs).toContain('+const b = 3;');
+    expect(result.diffStats.wasTruncated).toBe(false);
+    expect(result.diffRefs.headSha).toMatch(/^[0-9a-f]{40}$/);
+  });
+
+  test('should accept an explicit commit range', async () => {
+    const result = await getDiffs('main...HEAD~1', repoDir);
+
+    expect(result.title).toBe('Change b');
+    expect(result.sourceBranch).toBe('HEAD~1');
+    expect(result.changedFiles).toBe(1);
+  });
+
+  test('should fail on unknown revisions', async () => {
+    await expect(getDiffs('nope...HEAD', repoDir)).rejects.toThrow("Unknown revision 'nope'");
+  });
+
+  test('should fail outside a git repository', async () => {
+    const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-pilot-empty-'));
+    try {
+      await expect(getDiffs(undefined, emptyDir)).rejects.toThrow('Not a git repository');
+    } finally {
+      fs.rmSync(emptyDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should read files at a revision', async () => {
+    await expect(getFileContent(undefined, 'app.js', 'main', repoDir)).resolves.toBe('const a = 1;\nconst b = 2;\n');
+    await expect(getFileContent(undefined, 'login.js', 'main', repoDir)).resolves.toBeNull();
+  });
+});
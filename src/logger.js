@@ -0,0 +1,18 @@
+// Progress output of the CLI. It goes to stdout, or to stderr when stdout
+// carries a machine-readable report (--output, --output-file), so the report
+// can be piped. Only mr-pilot's own output is redirected.
+let toStderr = false;
+
+function logToStderr(enabled = true) {
+  toStderr = enabled;
+}
+
+function log(...args) {
+  if (toStderr) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
+module.exports = { log, logToStderr };
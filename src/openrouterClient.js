@@ -1,111 +1,156 @@
 const axios = require("axios");
+const {
+  getProvider,
+  loadProviderModule,
+  getErrorDetail,
+} = require("./llmProviders");
+const { log } = require("./logger");
+
+const SYSTEM_PROMPT =
+  "You are a senior code reviewer. You provide structured JSON responses for code review analysis.";
+
+let loadedModule = null;
+
+// Registers the custom provider module from LLM_PROVIDER_MODULE once per path
+function loadCustomProvider(modulePath, providerArg) {
+  if (!loadedModule || loadedModule.path !== modulePath) {
+    const provider = loadProviderModule(modulePath, providerArg || "custom");
+    loadedModule = { path: modulePath, name: provider.name };
+  }
+  return loadedModule.name;
+}
+
+function describeError(kind, providerName, status, data, maxRetries) {
+  switch (kind) {
+    case "auth":
+      return `${providerName} authentication failed. Check your API key.`;
+    case "credits":
+      return `${providerName}: Insufficient credits.`;
+    case "forbidden":
+      return `${providerName}: Access denied - ${getErrorDetail(data)}`;
+    case "bad_request":
+      return `${providerName}: Bad request - ${getErrorDetail(data)}`;
+    case "rate_limit":
+      return `${providerName}: Rate limit exceeded after ${maxRetries} attempts.`;
+    case "server":
+      return `${providerName} server error after ${maxRetries} attempts: ${status} - ${JSON.stringify(data)}`;
+    default:
+      return `${providerName} API error: ${status} - ${JSON.stringify(data)}`;
+  }
+}
 
-async function analyzeMR(prompt) {
-  // Support multiple providers: OpenRouter, OpenAI, Ollama, etc.
-  let provider = process.env.LLM_PROVIDER || "Unknown";
+const DEFAULT_MODEL = "openai/gpt-oss-120b:exacto";
+
+// Model the review is sent to (LLM_MODEL, or the default)
+function getModelName() {
+  return process.env.LLM_MODEL || process.env.OPENROUTER_MODEL || DEFAULT_MODEL;
+}
+
+// Resolves the configured provider, model and endpoint of LLM requests
+function resolveTarget() {
+  // Providers come from the registry (llmProviders.js); LLM_PROVIDER_MODULE
+  // adds a custom one
+  let providerName = process.env.LLM_PROVIDER;
   const apiKey = process.env.LLM_API_KEY || process.env.OPENROUTER_API_KEY;
-  const model =
-    process.env.LLM_MODEL ||
-    process.env.OPENROUTER_MODEL ||
-    "openai/gpt-oss-120b:exacto";
+  const configuredModel = process.env.LLM_MODEL || process.env.OPENROUTER_MODEL;
+  const model = getModelName();
   const apiUrl = process.env.LLM_API_URL;
+  const providerModule = process.env.LLM_PROVIDER_MODULE;
+
+  if (providerModule) {
+    const customName = loadCustomProvider(providerModule, providerName);
+    providerName = providerName || customName;
+  }
 
   //Retro compatibility
   if (
-    provider === "Unknown" &&
+    !providerName &&
     !!process.env.OPENROUTER_API_KEY &&
     !!process.env.OPENROUTER_MODEL
   ) {
-    provider = "openrouter";
+    providerName = "openrouter";
   }
 
-  // Determine API endpoint based on provider
-  let endpoint;
-  let requiresAuth = true;
-
-  if (apiUrl) {
-    // Custom URL takes precedence
-    endpoint = apiUrl;
-  } else {
-    switch (provider.toLowerCase()) {
-      case "openrouter":
-        endpoint = "https://openrouter.ai/api/v1/chat/completions";
-        break;
-      case "openai":
-        endpoint = "https://api.openai.com/v1/chat/completions";
-        break;
-      case "ollama":
-        endpoint = "http://localhost:11434/v1/chat/completions";
-        requiresAuth = false; // Ollama doesn't require auth by default
-        break;
-      case "azure":
-        if (!apiUrl) {
-          throw new Error("LLM_API_URL is required for Azure OpenAI provider");
-        }
-        endpoint = apiUrl;
-        break;
-      default:
-        throw new Error(
-          `Unknown LLM_PROVIDER: ${provider}. Supported: openrouter, openai, ollama, azure`,
-        );
-    }
+  const provider = getProvider(providerName || "Unknown");
+
+  if (provider.requiresModel && !configuredModel) {
+    throw new Error(`LLM_MODEL is required for the ${provider.name} provider`);
   }
 
-  if (requiresAuth && !apiKey) {
+  // Custom URL takes precedence ({model} is replaced, e.g. for Gemini proxies)
+  const endpoint = apiUrl
+    ? apiUrl.replace("{model}", encodeURIComponent(model))
+    : provider.endpoint({ model });
+
+  return { provider, model, endpoint, apiKey };
+}
+
+// Structured output can be turned off for endpoints that reject it
+function getRequestSchema(schema) {
+  return process.env.LLM_STRUCTURED_OUTPUT === "false" ? null : schema || null;
+}
+
+// Everything besides the conversation that determines a response, used to
+// key cached responses
+function getRequestIdentity(schema) {
+  const { provider, model, endpoint } = resolveTarget();
+  return {
+    provider: provider.name,
+    endpoint,
+    model,
+    systemPrompt: SYSTEM_PROMPT,
+    schema: getRequestSchema(schema),
+  };
+}
+
+// Sends a prompt (or a conversation of { role, content } messages) to the
+// configured provider and returns the raw response text. options.schema asks
+// for structured output matching that JSON schema where supported.
+async function analyzeMR(input, options = {}) {
+  const messages = typeof input === "string" ? [{ role: "user", content: input }] : input;
+  const prompt = messages.find((message) => message.role === "user").content;
+  const { provider, model, endpoint, apiKey } = resolveTarget();
+
+  if (provider.requiresAuth && !apiKey) {
     throw new Error("LLM_API_KEY environment variable is not set");
   }
 
-  console.log(`Sending to LLM for analysis (${provider})...`);
+  let schema = getRequestSchema(options.schema);
+
+  log(`Sending to LLM for analysis (${provider.name})...`);
 
   const maxRetries = 3;
   const timeout = 120000; // 2 minutes for LLM calls
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
+      const request = provider.buildRequest({
+        model,
+        prompt,
+        messages,
+        systemPrompt: SYSTEM_PROMPT,
+        schema,
+      });
       const headers = {
         "Content-Type": "application/json",
+        ...provider.authHeaders(apiKey),
+        ...request.headers,
       };
 
-      if (requiresAuth && apiKey) {
-        headers["Authorization"] = `Bearer ${apiKey}`;
-      }
-
-      // Add provider-specific headers
-      if (provider === "openrouter") {
-        headers["HTTP-Referer"] = "https://github.com/gitlab-mr-review";
-        headers["X-Title"] = "GitLab MR Review Bot";
-      } else if (provider === "azure") {
-        headers["api-key"] = apiKey;
-        delete headers["Authorization"];
-      }
-
       if (attempt > 1) {
-        console.log(`Retrying LLM request... (attempt ${attempt}/${maxRetries})`);
+        log(`Retrying LLM request... (attempt ${attempt}/${maxRetries})`);
       }
 
       const response = await axios.post(
         endpoint,
-        {
-          model: model,
-          messages: [
-            {
-              role: "system",
-              content:
-                "You are a senior code reviewer. You provide structured JSON responses for code review analysis.",
-            },
-            {
-              role: "user",
-              content: prompt,
-            },
-          ],
-        },
+        request.body,
         { 
           headers,
           timeout: timeout
         },
       );
 
-      const content = response.data.choices?.[0]?.message?.content;
+      const content = provider.parseResponse(response.data);
       if (!content) {
         throw new Error("No response content from LLM");
       }
@@ -115,12 +160,16 @@ async function analyzeMR(prompt) {
     } catch (error) {
       const isLastAttempt = attempt === maxRetries;
 
+      if (error.retryable === false) {
+        throw error;
+      }
+
       // Check if it's a timeout
       if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
         if (isLastAttempt) {
           throw new Error(`LLM request timed out after ${maxRetries} attempts. Try a smaller diff with --max-diff-chars`);
         }
-        console.log(`⚠️  Request timed out, retrying in 3 seconds...`);
+        log(`⚠️  Request timed out, retrying in 3 seconds...`);
         await new Promise(resolve => setTimeout(resolve, 3000));
         continue;
       }
@@ -128,48 +177,42 @@ async function analyzeMR(prompt) {
       if (error.response) {
         const status = error.response.status;
         const data = error.response.data;
+        const kind = provider.classifyError(status, data);
 
-        // Don't retry auth errors or client errors
-        if (status === 401) {
-          throw new Error(
-            `${provider} authentication failed. Check your API key.`,
-          );
-        } else if (status === 402) {
-          throw new Error(`${provider}: Insufficient credits.`);
-        } else if (status === 400) {
-          throw new Error(`${provider}: Bad request - ${JSON.stringify(data)}`);
-        } else if (status === 429) {
+        if (kind === "bad_request" && schema) {
+          // Endpoint doesn't support structured output; retry as plain text
+          log(`⚠️  ${provider.name} rejected structured output (${getErrorDetail(data)}), retrying without it...`);
+          schema = null;
+          attempt--;
+          continue;
+        }
+
+        if (kind === "rate_limit" && !isLastAttempt) {
           // Rate limit - retry with exponential backoff
-          if (isLastAttempt) {
-            throw new Error(`${provider}: Rate limit exceeded after ${maxRetries} attempts.`);
-          }
-          const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
-          console.log(`⚠️  Rate limit hit, waiting ${waitTime/1000}s before retry...`);
+          const waitTime = Math.pow(2, attempt) * 1000;
+          log(`⚠️  Rate limit hit, waiting ${waitTime/1000}s before retry...`);
           await new Promise(resolve => setTimeout(resolve, waitTime));
           continue;
-        } else if (status >= 500) {
-          // Server error - retry
-          if (isLastAttempt) {
-            throw new Error(`${provider} server error after ${maxRetries} attempts: ${status} - ${JSON.stringify(data)}`);
-          }
-          console.log(`⚠️  Server error (${status}), retrying in 3 seconds...`);
+        }
+
+        if (kind === "server" && !isLastAttempt) {
+          log(`⚠️  Server error (${status}), retrying in 3 seconds...`);
           await new Promise(resolve => setTimeout(resolve, 3000));
           continue;
-        } else {
-          throw new Error(
-            `${provider} API error: ${status} - ${JSON.stringify(data)}`,
-          );
         }
+
+        // Auth and other client errors are not retried
+        throw new Error(describeError(kind, provider.name, status, data, maxRetries));
       }
       
       // Unknown error
       if (isLastAttempt) {
         throw error;
       }
-      console.log(`⚠️  Error: ${error.message}, retrying in 3 seconds...`);
+      log(`⚠️  Error: ${error.message}, retrying in 3 seconds...`);
       await new Promise(resolve => setTimeout(resolve, 3000));
     }
   }
 }
 
-module.exports = { analyzeMR };
+module.exports = { analyzeMR, getModelName, getRequestIdentity };
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { analyzeMR, getRequestIdentity } = require('./openrouterClient');
+
+// Local mock LLM server: records requests and replies with the queued responses
+function startMockServer() {
+  const requests = [];
+  const responses = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+      const { status = 200, data } = responses.shift() || { status: 500, data: { error: 'no response queued' } };
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        reply: (status, data) => responses.push({ status, data }),
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+describe('openrouterClient', () => {
+  let mock;
+  const savedEnv = { ...process.env };
+
+  beforeAll(async () => {
+    mock = await startMockServer();
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+    jest.spyOn(console, 'log').mockImplementation();
+    process.env.LLM_API_KEY = 'test-key';
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    process.env = { ...savedEnv };
+  });
+
+  describe('anthropic provider', () => {
+    beforeEach(() => {
+      process.env.LLM_PROVIDER = 'anthropic';
+      process.env.LLM_MODEL = 'claude-test';
+      process.env.LLM_API_URL = `${mock.url}/v1/messages`;
+    });
+
+    test('should send a Messages API request and join text blocks', async () => {
+      mock.reply(200, {
+        content: [
+          { type: 'text', text: '{"goal_status":' },
+          { type: 'text', text: '"met"}' }
+        ],
+        stop_reason: 'end_turn'
+      });
+
+      const content = await analyzeMR('Review this');
+
+      expect(content).toBe('{"goal_status":"met"}');
+      const [request] = mock.requests;
+      expect(request.url).toBe('/v1/messages');
+      expect(request.headers['x-api-key']).toBe('test-key');
+      expect(request.headers['anthropic-version']).toBe('2023-06-01');
+      expect(request.headers.authorization).toBeUndefined();
+      expect(request.body.model).toBe('claude-test');
+      expect(request.body.max_tokens).toBeGreaterThan(0);
+      expect(request.body.system).toContain('senior code reviewer');
+      expect(request.body.messages).toEqual([{ role: 'user', content: 'Review this' }]);
+    });
+
+    test('should report authentication errors without retrying', async () => {
+      mock.reply(401, { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } });
+
+      await expect(analyzeMR('Review this')).rejects.toThrow('anthropic authentication failed');
+      expect(mock.requests).toHaveLength(1);
+    });
+
+    test('should require an explicit model', async () => {
+      delete process.env.LLM_MODEL;
+
+      await expect(analyzeMR('Review this')).rejects.toThrow('LLM_MODEL is required for the anthropic provider');
+    });
+  });
+
+  describe('gemini provider', () => {
+    beforeEach(() => {
+      process.env.LLM_PROVIDER = 'gemini';
+      process.env.LLM_MODEL = 'gemini-test';
+      process.env.LLM_API_URL = `${mock.url}/v1beta/models/{model}:generateContent`;
+    });
+
+    test('should send a generateContent request and read the first candidate', async () => {
+      mock.reply(200, {
+        candidates: [{ content: { role: 'model', parts: [{ text: '{"score":' }, { text: '80}' }] }, finishReason: 'STOP' }]
+      });
+
+      const content = await analyzeMR('Review this');
+
+      expect(content).toBe('{"score":80}');
+      const [request] = mock.requests;
+      expect(request.url).toBe('/v1beta/models/gemini-test:generateContent');
+      expect(request.headers['x-goog-api-key']).toBe('test-key');
+      expect(request.body.systemInstruction.parts[0].text).toContain('senior code reviewer');
+      expect(request.body.contents).toEqual([{ role: 'user', parts: [{ text: 'Review this' }] }]);
+    });
+
+    test('should fail without retrying when the prompt is blocked', async () => {
+      mock.reply(200, { promptFeedback: { blockReason: 'SAFETY' } });
+
+      await expect(analyzeMR('Review this')).rejects.toThrow('gemini blocked the prompt: SAFETY');
+      expect(mock.requests).toHaveLength(1);
+    });
+
+    test('should map invalid API keys to an authentication error', async () => {
+      mock.reply(400, { error: { code: 400, message: 'API key not valid. Please pass a valid API key.', status: 'INVALID_ARGUMENT' } });
+
+      await expect(analyzeMR('Review this')).rejects.toThrow('gemini authentication failed');
+    });
+  });
+
+  describe('openai-compatible providers', () => {
+    test('should keep using the chat-completions shape', async () => {
+      process.env.LLM_PROVIDER = 'openai';
+      process.env.LLM_MODEL = 'gpt-test';
+      process.env.LLM_API_URL = `${mock.url}/v1/chat/completions`;
+      mock.reply(200, { choices: [{ message: { content: 'ok' } }] });
+
+      await expect(analyzeMR('Review this')).resolves.toBe('ok');
+      expect(mock.requests[0].headers.authorization).toBe('Bearer test-key');
+      expect(mock.requests[0].body.messages[1]).toEqual({ role: 'user', content: 'Review this' });
+    });
+  });
+
+  describe('structured output', () => {
+    beforeEach(() => {
+      process.env.LLM_PROVIDER = 'openai';
+      process.env.LLM_MODEL = 'gpt-test';
+      process.env.LLM_API_URL = `${mock.url}/v1/chat/completions`;
+    });
+
+    test('should retry without response_format when the endpoint rejects it', async () => {
+      mock.reply(400, { error: { message: "Unrecognized request argument: 'response_format'" } });
+      mock.reply(200, { choices: [{ message: { content: '{}' } }] });
+
+      await expect(analyzeMR('Review this', { schema: { type: 'object' } })).resolves.toBe('{}');
+      expect(mock.requests).toHaveLength(2);
+      expect(mock.requests[0].body.response_format).toBeDefined();
+      expect(mock.requests[1].body.response_format).toBeUndefined();
+    });
+
+    test('should not send a schema when LLM_STRUCTURED_OUTPUT is false', async () => {
+      process.env.LLM_STRUCTURED_OUTPUT = 'false';
+      mock.reply(200, { choices: [{ message: { content: '{}' } }] });
+
+      await analyzeMR('Review this', { schema: { type: 'object' } });
+      expect(mock.requests[0].body.response_format).toBeUndefined();
+    });
+  });
+
+  describe('getRequestIdentity', () => {
+    test('should identify requests by provider, endpoint, model and schema', () => {
+      process.env.LLM_PROVIDER = 'openai';
+      process.env.LLM_MODEL = 'gpt-test';
+      process.env.LLM_API_URL = `${mock.url}/v1/chat/completions`;
+
+      const identity = getRequestIdentity({ type: 'object' });
+      expect(identity).toMatchObject({ provider: 'openai', endpoint: `${mock.url}/v1/chat/completions`, model: 'gpt-test', schema: { type: 'object' } });
+
+      process.env.LLM_STRUCTURED_OUTPUT = 'false';
+      expect(getRequestIdentity({ type: 'object' }).schema).toBeNull();
+    });
+  });
+
+  describe('custom provider module', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-pilot-gateway-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should use the auth scheme and response shape of LLM_PROVIDER_MODULE', async () => {
+      const modulePath = path.join(tempDir, 'gateway.js');
+      fs.writeFileSync(modulePath, `
+        module.exports = {
+          name: 'internal-gateway',
+          authHeaders: (apiKey) => ({ 'X-Gateway-Auth': 'Signed ' + apiKey }),
+          parseResponse: (data) => data.result.text
+        };
+      `);
+      delete process.env.LLM_PROVIDER;
+      process.env.LLM_PROVIDER_MODULE = modulePath;
+      process.env.LLM_API_URL = `${mock.url}/gateway`;
+      mock.reply(200, { result: { text: 'from gateway' } });
+
+      await expect(analyzeMR('Review this')).resolves.toBe('from gateway');
+      expect(mock.requests[0].headers['x-gateway-auth']).toBe('Signed test-key');
+      expect(mock.requests[0].headers.authorization).toBeUndefined();
+    });
+  });
+});
@@ -1,108 +1,357 @@
-function printResult(jsonString) {
-  try {
-    // Try to extract JSON from markdown code blocks if present
-    let cleanJson = jsonString.trim();
-    
-    // Remove markdown code blocks more robustly
-    if (cleanJson.startsWith('```json')) {
-      // Find the last closing ``` to handle code blocks within JSON content
-      const firstNewline = cleanJson.indexOf('\n');
-      const lastTripleBacktick = cleanJson.lastIndexOf('```');
-      if (firstNewline !== -1 && lastTripleBacktick > firstNewline) {
-        cleanJson = cleanJson.substring(firstNewline + 1, lastTripleBacktick);
-      } else {
-        cleanJson = cleanJson.replace(/```json\n?/g, '').replace(/```\n?$/g, '');
-      }
-    } else if (cleanJson.startsWith('```')) {
-      const firstNewline = cleanJson.indexOf('\n');
-      const lastTripleBacktick = cleanJson.lastIndexOf('```');
-      if (firstNewline !== -1 && lastTripleBacktick > firstNewline) {
-        cleanJson = cleanJson.substring(firstNewline + 1, lastTripleBacktick);
-      } else {
-        cleanJson = cleanJson.replace(/```\n?/g, '');
-      }
-    }
+const { normalizeFinding, sortFindings } = require('./reviewSchema');
+const { parseReviewResponse } = require('./responseParser');
+const { log } = require('./logger');
 
-    cleanJson = cleanJson.trim();
-    
-    // Fix common LLM JSON formatting issues
-    // 1. Remove invalid escape sequences like \{ \} \[ \] but keep valid ones like \" \\
-    cleanJson = cleanJson.replace(/\\([{}[\]])/g, '$1');
-    
-    // 2. Fix unescaped newlines within strings (between quotes)
-    // This is complex, so we'll try to parse and if it fails, show helpful error
-    
-    let result;
-    try {
-      result = JSON.parse(cleanJson);
-    } catch (firstError) {
-      // Try to fix unescaped newlines in strings
-      // Split by quotes and fix newlines only in string content (odd-indexed parts)
-      const parts = cleanJson.split('"');
-      for (let i = 1; i < parts.length; i += 2) {
-        // This is string content - escape newlines
-        parts[i] = parts[i].replace(/\n/g, '\\n').replace(/\r/g, '\\r');
-      }
-      cleanJson = parts.join('"');
-      result = JSON.parse(cleanJson);
-    }
+// Extracts, validates and normalizes the review object from a raw LLM
+// response. Logs the raw response and throws when it is unusable.
+function parseResult(jsonString) {
+  const { result, parseError, problems } = parseReviewResponse(jsonString);
+  if (result) {
+    return result;
+  }
 
-    console.log('\n' + '='.repeat(50));
-    console.log('         MR REVIEW REPORT');
-    console.log('='.repeat(50));
-    console.log();
-    console.log(`Goal Status: ${result.goal_status.toUpperCase()}`);
-    console.log(`Quality Score: ${result.score}/100`);
-    console.log();
-
-    if (result.errors && result.errors.length > 0) {
-      console.log('⚠️  Potential Issues:');
-      result.errors.forEach((error, idx) => {
-        console.log(`   ${idx + 1}. ${error}`);
-      });
-      console.log();
+  if (parseError) {
+    console.error('\n❌ Failed to parse LLM response as JSON');
+  } else {
+    console.error('\n❌ LLM response does not match the review format');
+  }
+  console.error('Raw response:');
+  console.error(jsonString);
+  throw new Error(parseError ? `JSON parsing failed: ${parseError}` : `Invalid review result: ${problems.join('; ')}`);
+}
+
+const SEVERITY_LABELS = {
+  critical: '🔴 Critical',
+  high: '🟠 High',
+  medium: '🟡 Medium',
+  low: '🔵 Low',
+  info: '⚪ Info'
+};
+
+// Groups findings by severity (most severe first). Legacy findings without a
+// severity end up in a single trailing group with a null label.
+function groupFindings(errors) {
+  const findings = sortFindings((errors || []).map(normalizeFinding).filter(Boolean));
+  const groups = [];
+
+  findings.forEach((finding) => {
+    const label = SEVERITY_LABELS[finding.severity] || null;
+    const last = groups[groups.length - 1];
+    if (last && last.label === label) {
+      last.findings.push(finding);
     } else {
-      console.log('✅ No issues found');
-      console.log();
+      groups.push({ label, findings: [finding] });
     }
+  });
 
-    console.log('📝 Remarks:');
-    console.log(`   ${result.remarks}`);
-    console.log();
-    console.log('='.repeat(50));
+  return groups;
+}
 
-    return result;
+function formatLocation(finding) {
+  if (!finding.file) {
+    return null;
+  }
+  return finding.line ? `${finding.file}:${finding.line}` : finding.file;
+}
 
-  } catch (error) {
-    console.error('\n❌ Failed to parse LLM response as JSON');
-    console.error('Raw response:');
-    console.error(jsonString);
-    throw new Error(`JSON parsing failed: ${error.message}`);
+// Findings tied to a file and line, plus legacy inline_comments, in the
+// { file, line, comment } shape used to post inline comments
+function getLineComments(result) {
+  const fromFindings = (result.errors || [])
+    .map(normalizeFinding)
+    .filter((finding) => finding && finding.file && finding.line)
+    .map((finding) => {
+      const heading = [SEVERITY_LABELS[finding.severity], finding.category].filter(Boolean).join(' · ');
+      let comment = heading ? `**${heading}**\n\n${finding.message}` : finding.message;
+      if (finding.suggestion) {
+        comment += `\n\n💡 ${finding.suggestion}`;
+      }
+      return { file: finding.file, line: finding.line, comment, finding };
+    });
+
+  const legacy = Array.isArray(result.inline_comments) ? result.inline_comments : [];
+  return [...fromFindings, ...legacy];
+}
+
+function printReport(result) {
+  log('\n' + '='.repeat(50));
+  log('         MR REVIEW REPORT');
+  log('='.repeat(50));
+  log();
+  log(`Goal Status: ${String(result.goal_status || 'unknown').toUpperCase()}`);
+  log(`Quality Score: ${result.score}/100`);
+  log();
+
+  const groups = groupFindings(result.errors);
+  if (groups.length > 0) {
+    log('⚠️  Potential Issues:');
+    let idx = 0;
+    groups.forEach((group) => {
+      if (group.label) {
+        log(`   ${group.label}`);
+      }
+      group.findings.forEach((finding) => {
+        const category = finding.category ? `[${finding.category}] ` : '';
+        const location = formatLocation(finding);
+        log(`   ${++idx}. ${category}${location ? `${location} - ` : ''}${finding.message}`);
+        if (finding.suggestion) {
+          log(`      💡 ${finding.suggestion}`);
+        }
+      });
+    });
+    log();
+  } else {
+    log('✅ No issues found');
+    log();
+  }
+
+  const resolved = (result.resolved || []).map(normalizeFinding).filter(Boolean);
+  if (resolved.length > 0) {
+    log('✅ Resolved Since the Last Review:');
+    resolved.forEach((finding) => {
+      const location = formatLocation(finding);
+      log(`   - ${location ? `${location} - ` : ''}${finding.message}`);
+    });
+    log();
   }
+
+  if (Array.isArray(result.inline_comments) && result.inline_comments.length > 0) {
+    log('📍 Line Comments:');
+    result.inline_comments.forEach((item) => {
+      log(`   ${item.file}:${item.line} - ${item.comment}`);
+    });
+    log();
+  }
+
+  log('📝 Remarks:');
+  log(`   ${result.remarks}`);
+  log();
+  log('='.repeat(50));
+}
+
+function printResult(jsonString) {
+  const result = parseResult(jsonString);
+  printReport(result);
+  return result;
 }
 
-function formatCommentBody(result) {
+// Hidden marker identifying the bot's own comment, so later runs can find and
+// update it instead of posting a new one. It carries the review metadata as JSON.
+const COMMENT_MARKER = '<!-- mr-pilot-review';
+// Marker for forges that escape HTML comments (Bitbucket): a Markdown link
+// reference definition, which is not rendered either
+const LINK_COMMENT_MARKER = '[//]: # (mr-pilot-review';
+const MAX_HISTORY_ENTRIES = 20;
+// Size cap of the marker JSON, well below the comment size limits of the
+// forges (65536 chars on GitHub, less on Bitbucket and Gitea)
+const MAX_MARKER_CHARS = 16000;
+const MAX_MARKER_MESSAGE_CHARS = 200;
+
+function formatCommentBody(result, options = {}) {
+  const history = (options.history || []).slice(-MAX_HISTORY_ENTRIES);
   let comment = '## 🤖 AI Code Review\n\n';
   
-  comment += `**Goal Status:** ${result.goal_status.toUpperCase()}\n`;
+  comment += `**Goal Status:** ${String(result.goal_status || 'unknown').toUpperCase()}\n`;
   comment += `**Quality Score:** ${result.score}/100\n\n`;
 
-  if (result.errors && result.errors.length > 0) {
+  const groups = groupFindings(result.errors);
+  if (groups.length > 0) {
     comment += '### ⚠️ Potential Issues\n\n';
-    result.errors.forEach((error, idx) => {
-      comment += `${idx + 1}. ${error}\n`;
+    let idx = 0;
+    groups.forEach((group) => {
+      if (group.label) {
+        comment += `#### ${group.label}\n\n`;
+      }
+      group.findings.forEach((finding) => {
+        const category = finding.category ? `**[${finding.category}]** ` : '';
+        const location = formatLocation(finding);
+        comment += `${++idx}. ${category}${location ? `\`${location}\` ` : ''}${finding.message}\n`;
+        if (finding.suggestion) {
+          comment += `   💡 *${finding.suggestion}*\n`;
+        }
+      });
+      comment += '\n';
     });
-    comment += '\n';
   } else {
     comment += '### ✅ No issues found\n\n';
   }
 
+  // Previous findings fixed by the commits of an incremental review
+  const resolved = (result.resolved || []).map(normalizeFinding).filter(Boolean);
+  if (resolved.length > 0) {
+    comment += '### ✅ Resolved Since the Last Review\n\n';
+    resolved.forEach((finding) => {
+      const location = formatLocation(finding);
+      comment += `- ~~${location ? `\`${location}\` ` : ''}${finding.message}~~\n`;
+    });
+    comment += '\n';
+  }
+
+  if (Array.isArray(result.inline_comments) && result.inline_comments.length > 0) {
+    comment += '### 📍 Line Comments\n\n';
+    result.inline_comments.forEach((item) => {
+      comment += `- \`${item.file}:${item.line}\` ${item.comment}\n`;
+    });
+    comment += '\n';
+  }
+
   comment += '### 📝 Remarks\n\n';
   comment += `${result.remarks}\n\n`;
+
+  // Files left out of an over-budget diff (see diffBuilder)
+  const droppedFiles = options.droppedFiles || [];
+  if (droppedFiles.length > 0) {
+    comment += `> ⚠️ **Not reviewed** (diff size limit): ${droppedFiles.map((file) => `\`${file}\``).join(', ')}\n\n`;
+  }
+  // Files the forge API did not return (diff limits of the instance)
+  if (options.overflow) {
+    const unlisted = options.unlistedFiles > 0 ? `${options.unlistedFiles} changed file(s)` : 'Some changed files';
+    comment += `> ⚠️ **Not reviewed** (platform diff limits): ${unlisted} not returned by the API\n\n`;
+  }
+  if (history.length > 0) {
+    comment += '<details>\n';
+    comment += `<summary>📜 Previous reviews (${history.length})</summary>\n\n`;
+    comment += '| Date | Goal Status | Score |\n';
+    comment += '|------|-------------|-------|\n';
+    history.slice().reverse().forEach((entry) => {
+      const date = entry.reviewedAt ? entry.reviewedAt.substring(0, 16).replace('T', ' ') : '-';
+      comment += `| ${date} | ${String(entry.goal_status || '-').toUpperCase()} | ${entry.score}/100 |\n`;
+    });
+    comment += '\n</details>\n\n';
+  }
+
   comment += '---\n';
   comment += '*Generated automatically by AI Code Review Bot*';
 
+  // Plain markdown reports (e.g. --output markdown) don't need the marker
+  if (options.includeMetadata === false) {
+    return comment;
+  }
+
+  const metadata = {
+    goal_status: result.goal_status,
+    score: result.score,
+    reviewedAt: options.reviewedAt || new Date().toISOString(),
+    // Head commit and findings of the reviewed MR: batch reviews skip it until
+    // the next push, incremental reviews only review the commits pushed since
+    ...(options.headSha
+      ? { headSha: options.headSha, findings: (result.errors || []).map(normalizeFinding).filter(Boolean) }
+      : {}),
+    history
+  };
+  const json = JSON.stringify(capMetadata(metadata)).replace(/--/g, '\\u002d\\u002d');
+  comment += `\n\n${COMMENT_MARKER} ${json} -->`;
+
   return comment;
 }
 
-module.exports = { printResult, formatCommentBody };
+function truncateText(text, maxChars) {
+  return typeof text === 'string' && text.length > maxChars ? `${text.substring(0, maxChars - 1)}…` : text;
+}
+
+// Shrinks the marker metadata to MAX_MARKER_CHARS, so a large review cannot
+// make the comment too long to post: drops the oldest history entries, then
+// truncates the finding messages and suggestions, and drops the findings as
+// a last resort (the next incremental review then reviews all changes).
+function capMetadata(metadata) {
+  const fits = (candidate) => JSON.stringify(candidate).length <= MAX_MARKER_CHARS;
+  let capped = { ...metadata, history: metadata.history.slice() };
+
+  while (!fits(capped) && capped.history.length > 0) {
+    capped.history.shift();
+  }
+  if (fits(capped) || !capped.findings) {
+    return capped;
+  }
+
+  capped.findings = capped.findings.map((finding) => ({
+    ...finding,
+    message: truncateText(finding.message, MAX_MARKER_MESSAGE_CHARS),
+    ...(finding.suggestion ? { suggestion: truncateText(finding.suggestion, MAX_MARKER_MESSAGE_CHARS) } : {})
+  }));
+  if (!fits(capped)) {
+    const { findings, ...rest } = capped;
+    capped = rest;
+  }
+  return capped;
+}
+
+// Whether a comment body carries a bot marker (either style)
+function hasCommentMarker(body) {
+  return typeof body === 'string' && (body.includes(COMMENT_MARKER) || body.includes(LINK_COMMENT_MARKER));
+}
+
+// Reads the metadata stored in a previous bot comment, or null if the body has
+// no (valid) marker.
+function parseCommentMetadata(body) {
+  if (typeof body !== 'string') {
+    return null;
+  }
+
+  const htmlStart = body.lastIndexOf(COMMENT_MARKER);
+  const linkStart = body.lastIndexOf(LINK_COMMENT_MARKER);
+  const [marker, start, terminator] = linkStart > htmlStart
+    ? [LINK_COMMENT_MARKER, linkStart, ')']
+    : [COMMENT_MARKER, htmlStart, '-->'];
+  if (start === -1) {
+    return null;
+  }
+
+  const end = body.indexOf(terminator, start + marker.length);
+  if (end === -1) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(body.substring(start + marker.length, end).trim());
+  } catch (error) {
+    return null;
+  }
+}
+
+// Replaces the HTML comment marker of a formatted comment with the link
+// reference marker, for forges that show HTML comments as text. It keeps all
+// the metadata (findings and history included) as JSON with parentheses
+// escaped, on one line.
+function useLinkMarker(body) {
+  const start = body.lastIndexOf(COMMENT_MARKER);
+  const metadata = parseCommentMetadata(body);
+  if (start === -1 || !metadata) {
+    return body;
+  }
+
+  const json = JSON.stringify(metadata).replace(/\(/g, '\\u0028').replace(/\)/g, '\\u0029');
+  return `${body.substring(0, start)}${LINK_COMMENT_MARKER} ${json})`;
+}
+
+// Builds the history for the next comment from the previous comment metadata:
+// previous history plus the previous review itself.
+function buildCommentHistory(previousMetadata) {
+  if (!previousMetadata) {
+    return [];
+  }
+
+  const history = Array.isArray(previousMetadata.history) ? previousMetadata.history : [];
+  return [
+    ...history,
+    {
+      goal_status: previousMetadata.goal_status,
+      score: previousMetadata.score,
+      reviewedAt: previousMetadata.reviewedAt
+    }
+  ];
+}
+
+module.exports = {
+  printResult,
+  parseResult,
+  printReport,
+  formatCommentBody,
+  getLineComments,
+  parseCommentMetadata,
+  hasCommentMarker,
+  useLinkMarker,
+  buildCommentHistory,
+  COMMENT_MARKER,
+  LINK_COMMENT_MARKER
+};
@@ -0,0 +1,219 @@
+const {
+  parseResult,
+  formatCommentBody,
+  getLineComments,
+  parseCommentMetadata,
+  useLinkMarker,
+  buildCommentHistory,
+  COMMENT_MARKER,
+  LINK_COMMENT_MARKER
+} = require('./outputFormatter');
+
+describe('outputFormatter', () => {
+  const result = {
+    goal_status: 'met',
+    errors: ['Missing null check'],
+    remarks: 'Solid change -- minor issues',
+    score: 78
+  };
+
+  describe('formatCommentBody', () => {
+    test('should embed hidden review metadata', () => {
+      const body = formatCommentBody(result, { reviewedAt: '2026-01-02T10:00:00.000Z' });
+
+      expect(body).toContain(COMMENT_MARKER);
+      expect(parseCommentMetadata(body)).toEqual({
+        goal_status: 'met',
+        score: 78,
+        reviewedAt: '2026-01-02T10:00:00.000Z',
+        history: []
+      });
+    });
+
+    test('should record the reviewed head commit', () => {
+      const body = formatCommentBody(result, { headSha: 'abc123' });
+
+      expect(parseCommentMetadata(body).headSha).toBe('abc123');
+      expect(parseCommentMetadata(body).findings).toEqual([
+        { severity: null, category: null, file: null, line: null, message: 'Missing null check', suggestion: null }
+      ]);
+    });
+
+    test('should cap the size of the review metadata', () => {
+      const markerLength = (body) => body.length - body.lastIndexOf(COMMENT_MARKER);
+      const history = Array.from({ length: 20 }, (_, idx) => ({ goal_status: 'met', score: idx, reviewedAt: '2026-01-01T00:00:00.000Z' }));
+      const finding = (idx) => ({ severity: 'low', file: `src/file${idx}.js`, line: idx + 1, message: 'x'.repeat(1000), suggestion: 'y'.repeat(1000) });
+
+      // History goes first, then the messages are truncated
+      const body = formatCommentBody({ ...result, errors: Array.from({ length: 30 }, (_, idx) => finding(idx)) }, { headSha: 'abc123', history });
+      const metadata = parseCommentMetadata(body);
+      expect(markerLength(body)).toBeLessThan(16100);
+      expect(metadata.history).toEqual([]);
+      expect(metadata.findings).toHaveLength(30);
+      expect(metadata.findings[0]).toMatchObject({ file: 'src/file0.js', line: 1, message: `${'x'.repeat(199)}…`, suggestion: `${'y'.repeat(199)}…` });
+
+      // Small reviews keep their history
+      expect(parseCommentMetadata(formatCommentBody(result, { headSha: 'abc123', history })).history).toHaveLength(20);
+
+      // Findings that do not fit even when truncated are left out
+      const huge = formatCommentBody({ ...result, errors: Array.from({ length: 500 }, (_, idx) => finding(idx)) }, { headSha: 'abc123', history });
+      expect(markerLength(huge)).toBeLessThan(16100);
+      expect(parseCommentMetadata(huge)).toMatchObject({ headSha: 'abc123', score: 78 });
+      expect(parseCommentMetadata(huge).findings).toBeUndefined();
+    });
+
+    test('should list the findings resolved since the last review', () => {
+      const body = formatCommentBody({
+        ...result,
+        resolved: [{ severity: 'high', category: 'bug', file: 'src/a.js', line: 3, message: 'Unchecked input' }]
+      });
+
+      expect(body).toContain('### ✅ Resolved Since the Last Review\n\n- ~~`src/a.js:3` Unchecked input~~');
+      expect(formatCommentBody(result)).not.toContain('Resolved Since');
+    });
+
+    test('should render a collapsed history of previous scores', () => {
+      const body = formatCommentBody(result, {
+        history: [
+          { goal_status: 'unmet', score: 40, reviewedAt: '2026-01-01T09:00:00.000Z' },
+          { goal_status: 'partially_met', score: 65, reviewedAt: '2026-01-01T12:30:00.000Z' }
+        ]
+      });
+
+      expect(body).toContain('<summary>📜 Previous reviews (2)</summary>');
+      expect(body).toContain('| 2026-01-01 12:30 | PARTIALLY_MET | 65/100 |');
+      expect(body.indexOf('65/100')).toBeLessThan(body.indexOf('40/100'));
+    });
+
+    test('should list the files left out of the diff', () => {
+      const body = formatCommentBody(result, { droppedFiles: ['docs/a.md', 'src/b.js'] });
+
+      expect(body).toContain('**Not reviewed** (diff size limit): `docs/a.md`, `src/b.js`');
+      expect(formatCommentBody(result)).not.toContain('Not reviewed');
+    });
+
+    test('should warn about files the platform API did not return', () => {
+      expect(formatCommentBody(result, { overflow: true, unlistedFiles: 3 }))
+        .toContain('**Not reviewed** (platform diff limits): 3 changed file(s) not returned by the API');
+      expect(formatCommentBody(result, { overflow: true, unlistedFiles: 0 })).toContain('Some changed files not returned');
+    });
+  });
+
+  describe('parseCommentMetadata', () => {
+    test('should return null for comments without marker or with invalid JSON', () => {
+      expect(parseCommentMetadata('Just a comment')).toBeNull();
+      expect(parseCommentMetadata(`${COMMENT_MARKER} {invalid -->`)).toBeNull();
+      expect(parseCommentMetadata(undefined)).toBeNull();
+    });
+  });
+
+  describe('useLinkMarker', () => {
+    test('should keep the metadata and findings in a link reference marker', () => {
+      const body = formatCommentBody(
+        { goal_status: 'unmet', score: 30, errors: [{ severity: 'high', message: 'Crash (null input)' }], remarks: 'Use a -- flag' },
+        { headSha: 'abc123', history: [{ goal_status: 'met', score: 90, reviewedAt: '2024-01-01T00:00:00Z' }] }
+      );
+
+      const converted = useLinkMarker(body);
+
+      expect(converted).toContain(`${LINK_COMMENT_MARKER} {`);
+      expect(converted).not.toContain(COMMENT_MARKER);
+      expect(parseCommentMetadata(converted)).toEqual({
+        goal_status: 'unmet',
+        score: 30,
+        reviewedAt: expect.any(String),
+        headSha: 'abc123',
+        findings: [expect.objectContaining({ severity: 'high', message: 'Crash (null input)' })],
+        history: [{ goal_status: 'met', score: 90, reviewedAt: '2024-01-01T00:00:00Z' }]
+      });
+      expect(converted.substring(converted.indexOf(LINK_COMMENT_MARKER))).not.toMatch(/\(null|\n/);
+      expect(useLinkMarker('No marker')).toBe('No marker');
+    });
+  });
+
+  describe('buildCommentHistory', () => {
+    test('should append the previous review to its history', () => {
+      const history = buildCommentHistory({
+        goal_status: 'met',
+        score: 80,
+        reviewedAt: '2026-01-02T10:00:00.000Z',
+        history: [{ goal_status: 'unmet', score: 30, reviewedAt: '2026-01-01T10:00:00.000Z' }]
+      });
+
+      expect(history.map((entry) => entry.score)).toEqual([30, 80]);
+      expect(buildCommentHistory(null)).toEqual([]);
+    });
+  });
+
+  describe('parseResult', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    test('should normalize structured findings and accept legacy strings', () => {
+      const parsed = parseResult('```json\n' + JSON.stringify({
+        goal_status: 'MET',
+        score: '81',
+        errors: [
+          { severity: 'HIGH', category: 'Security', file: 'a.js', line: '4', message: 'Token logged', suggestion: 'Redact it' },
+          { severity: 'urgent', category: 'misc', message: 'Unknown enums are dropped' },
+          'Legacy string finding',
+          { file: 'a.js' }
+        ],
+        remarks: 'Fine'
+      }) + '\n```');
+
+      expect(parsed.goal_status).toBe('met');
+      expect(parsed.score).toBe(81);
+      expect(parsed.errors).toEqual([
+        { severity: 'high', category: 'security', file: 'a.js', line: 4, message: 'Token logged', suggestion: 'Redact it' },
+        { severity: null, category: null, file: null, line: null, message: 'Unknown enums are dropped', suggestion: null },
+        { severity: null, category: null, file: null, line: null, message: 'Legacy string finding', suggestion: null }
+      ]);
+    });
+
+    test('should reject results with an invalid goal status or score', () => {
+      expect(() => parseResult('{"goal_status":"done","score":50,"errors":[]}'))
+        .toThrow('Invalid review result: Invalid goal_status "done"');
+      expect(() => parseResult('{"goal_status":"met","score":"n/a","errors":[]}'))
+        .toThrow('Invalid score');
+    });
+  });
+
+  describe('structured findings', () => {
+    const structured = {
+      goal_status: 'partially_met',
+      score: 60,
+      errors: [
+        { severity: 'low', category: 'style', message: 'Naming' },
+        { severity: 'critical', category: 'security', file: 'src/db.js', line: 7, message: 'SQL injection', suggestion: 'Use parameters' },
+        'Legacy finding'
+      ],
+      remarks: 'Needs work'
+    };
+
+    test('should group findings by severity, most severe first', () => {
+      const body = formatCommentBody(structured);
+
+      expect(body.indexOf('#### 🔴 Critical')).toBeLessThan(body.indexOf('#### 🔵 Low'));
+      expect(body).toContain('1. **[security]** `src/db.js:7` SQL injection\n   💡 *Use parameters*');
+      expect(body).toContain('3. Legacy finding');
+    });
+
+    test('should turn findings with file and line into line comments', () => {
+      const comments = getLineComments({ ...structured, inline_comments: [{ file: 'x.js', line: 1, comment: 'legacy' }] });
+
+      expect(comments).toHaveLength(2);
+      expect(comments[0]).toMatchObject({
+        file: 'src/db.js',
+        line: 7,
+        comment: '**🔴 Critical · security**\n\nSQL injection\n\n💡 Use parameters'
+      });
+      expect(comments[1].comment).toBe('legacy');
+    });
+  });
+});
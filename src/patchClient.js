@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { parseUnifiedDiff } = require('./diffParser');
+const { buildDiffs } = require('./diffBuilder');
+
+function readStdin() {
+  if (process.stdin.isTTY) {
+    return Promise.reject(new Error('No patch provided on stdin. Pipe a diff into mr-pilot or use --diff-file <path>'));
+  }
+
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', (chunk) => {
+      data += chunk;
+    });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+// Extracts title/description from the preamble of "git format-patch" or
+// email patches (Subject header and the message before the diff).
+function parsePreamble(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  let subject = null;
+  const body = [];
+  let inBody = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('diff --git') || (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ '))) {
+      break;
+    }
+
+    if (!inBody) {
+      const subjectMatch = line.match(/^Subject:\s*(?:\[[^\]]*\]\s*)?(.*)$/);
+      if (subjectMatch) {
+        subject = subjectMatch[1];
+        // Folded header continuation lines
+        while (lines[i + 1] && /^\s+\S/.test(lines[i + 1])) {
+          subject += ` ${lines[++i].trim()}`;
+        }
+      } else if (line === '' && subject !== null) {
+        inBody = true;
+      }
+      continue;
+    }
+
+    // format-patch separates the message from the diffstat with "---"
+    if (line === '---') {
+      break;
+    }
+    body.push(line);
+  }
+
+  return {
+    title: subject,
+    description: body.join('\n').trim() || null
+  };
+}
+
+// Builds the MR data shape from a unified diff read from a file, or from stdin
+// when diffFile is "-". Title and description can be overridden by the caller.
+async function getDiffs(diffFile, projectArg = null, maxDiffChars = null) {
+  let text;
+  if (diffFile === '-') {
+    text = await readStdin();
+  } else {
+    try {
+      text = fs.readFileSync(path.resolve(diffFile), 'utf-8');
+    } catch (error) {
+      throw new Error(`Failed to read diff file '${diffFile}': ${error.message}`);
+    }
+  }
+
+  const files = parseUnifiedDiff(text);
+  if (files.length === 0) {
+    throw new Error(`No file changes found in ${diffFile === '-' ? 'stdin' : `'${diffFile}'`}. Expected a unified diff`);
+  }
+
+  const preamble = parsePreamble(text);
+  const { diffs, diffStats } = buildDiffs(files, maxDiffChars);
+
+  return {
+    title: preamble.title || (diffFile === '-' ? 'Patch from stdin' : path.basename(diffFile)),
+    description: preamble.description || 'No description provided',
+    sourceBranch: 'patch',
+    targetBranch: 'unknown',
+    changedFiles: files.length,
+    diffs,
+    files,
+    diffRefs: null,
+    diffStats
+  };
+}
+
+module.exports = { getDiffs };
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getDiffs } = require('./patchClient');
+
+describe('patchClient', () => {
+  let tmpDir;
+
+  const writePatch = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-pilot-patch-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should build MR data from a git format-patch file', async () => {
+    const patchFile = writePatch('0001-fix.patch', [
+      'From 1234567890abcdef Mon Sep 17 00:00:00 2001',
+      'From: Dev <dev@example.com>',
+      'Subject: [PATCH 1/1] Fix login redirect when the',
+      ' session has expired',
+      '',
+      'Users were sent to a blank page.',
+      '',
+      '---',
+      ' src/login.js | 2 +-',
+      '',
+      'diff --git a/src/login.js b/src/login.js',
+      '--- a/src/login.js',
+      '+++ b/src/login.js',
+      '@@ -1 +1 @@',
+      "-redirect('/');",
+      "+redirect('/login');",
+      '--',
+      '2.39.0',
+      ''
+    ].join('\n'));
+
+    const result = await getDiffs(patchFile);
+
+    expect(result.title).toBe('Fix login redirect when the session has expired');
+    expect(result.description).toBe('Users were sent to a blank page.');
+    expect(result.changedFiles).toBe(1);
+    expect(result.files[0].path).toBe('src/login.js');
+    expect(result.diffs).toContain("### File: src/login.js\n@@ -1 +1 @@\n-redirect('/');\n+redirect('/login');");
+    expect(result.diffStats.wasTruncated).toBe(false);
+  });
+
+  test('should fall back to the file name as title for plain diffs', async () => {
+    const patchFile = writePatch('plain.diff', '--- a.txt\n+++ a.txt\n@@ -1 +1 @@\n-a\n+b\n');
+
+    const result = await getDiffs(patchFile);
+
+    expect(result.title).toBe('plain.diff');
+    expect(result.description).toBe('No description provided');
+  });
+
+  test('should reject input without file changes', async () => {
+    const patchFile = writePatch('empty.diff', 'nothing to see here\n');
+
+    await expect(getDiffs(patchFile)).rejects.toThrow('No file changes found');
+  });
+
+  test('should report unreadable files', async () => {
+    await expect(getDiffs(path.join(tmpDir, 'missing.diff'))).rejects.toThrow("Failed to read diff file");
+  });
+});
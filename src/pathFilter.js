@@ -0,0 +1,46 @@
+// Glob matching for path filters (include/exclude globs, .gitattributes).
+//   *   any characters except "/"
+//   **  any characters including "/" ("**/" also matches no directory)
+//   ?   one character except "/"
+// Patterns without a "/" (other than a trailing one) match the file or
+// directory name in any directory.
+
+function globToRegExp(glob) {
+  let pattern = glob.trim().replace(/^\.\//, '').replace(/^\//, '');
+  // A trailing "/" does not count: "dir/" matches a directory at any depth
+  const matchBaseName = !pattern.replace(/\/$/, '').includes('/');
+  // "dir/" matches everything below dir
+  if (pattern.endsWith('/')) {
+    pattern += '**';
+  }
+
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(matchBaseName ? `(?:^|/)${regex}$` : `^${regex}$`);
+}
+
+function matchesAny(filePath, globs) {
+  return globs.some((glob) => globToRegExp(glob).test(filePath));
+}
+
+module.exports = { globToRegExp, matchesAny };
@@ -0,0 +1,23 @@
+const { globToRegExp } = require('./pathFilter');
+
+describe('pathFilter', () => {
+  describe('globToRegExp', () => {
+    test.each([
+      ['*.lock', 'yarn.lock', true],
+      ['*.lock', 'web/yarn.lock', true],
+      ['package-lock.json', 'packages/api/package-lock.json', true],
+      ['*.min.js', 'dist/app.min.js.map', false],
+      ['dist/', 'dist/assets/app.js', true],
+      ['dist/', 'src/dist.js', false],
+      ['dist/', 'packages/web/dist/app.js', true],
+      ['web/dist/', 'packages/web/dist/app.js', false],
+      ['src/**/*.snap', 'src/a.snap', true],
+      ['src/**/*.snap', 'src/a/b/c.snap', true],
+      ['docs/*.md', 'docs/guide/intro.md', false],
+      ['vendor/**', 'vendor/lib/x.go', true],
+      ['file?.txt', 'file1.txt', true]
+    ])('%s matches %s: %s', (glob, filePath, expected) => {
+      expect(globToRegExp(glob).test(filePath)).toBe(expected);
+    });
+  });
+});
@@ -1,4 +1,25 @@
-function buildPrompt({ title, description, sourceBranch, targetBranch, changedFiles, diffs, ticketScope, guidelines }) {
+const { SEVERITIES, CATEGORIES } = require('./reviewSchema');
+
+// JSON shape of one finding, shared by the review and synthesis prompts
+const FINDING_FORMAT = `{
+      "severity": ${SEVERITIES.map((severity) => `"${severity}"`).join(' | ')},
+      "category": ${CATEGORIES.map((category) => `"${category}"`).join(' | ')},
+      "file": "path/to/file as shown after ### File:, without the labels in parentheses" | null,
+      "line": <line number in the NEW version of the file> | null,
+      "message": "specific description of the issue",
+      "suggestion": "how to fix it" | null
+    }`;
+
+// Previous findings as a numbered list, referenced by "resolved_findings"
+function formatPreviousFindings(findings) {
+  return findings.map((finding, idx) => {
+    const labels = [finding.severity, finding.category].filter(Boolean).join(', ');
+    const location = finding.file ? `${finding.file}${finding.line ? `:${finding.line}` : ''} - ` : '';
+    return `${idx + 1}. ${labels ? `[${labels}] ` : ''}${location}${finding.message}`;
+  }).join('\n');
+}
+
+function buildPrompt({ title, description, sourceBranch, targetBranch, changedFiles, diffs, diffStats, ticketScope, guidelines, batch, incremental }) {
   let prompt = `You are a senior software code reviewer conducting a thorough merge request review.
 
 **Merge Request Context:**
@@ -9,6 +30,31 @@ function buildPrompt({ title, description, sourceBranch, targetBranch, changedFi
 - Files Changed: ${changedFiles}
 `;
 
+  if (batch) {
+    prompt += `
+**Partial Review (batch ${batch.index} of ${batch.total}):**
+This MR is too large for a single review and was split into batches. Only ${batch.files} of the ${changedFiles} changed files are shown below; the others are reviewed separately and all results are merged afterwards.
+- Review only the files shown, do NOT report features as missing if they could live in files from other batches
+- Set "goal_status" based on what these files contribute to the goal
+`;
+  }
+
+  if (incremental) {
+    const previous = incremental.previousFindings;
+    prompt += `
+**Incremental Review (commits pushed since the last review):**
+This MR was already reviewed at commit ${incremental.fromSha.substring(0, 8)}. Only the ${incremental.commits || 'new'} commit(s) pushed since then (up to ${incremental.toSha.substring(0, 8)}) are shown below, in ${changedFiles} file(s); the rest of the MR was covered by the previous review.
+- Report in "errors" only NEW issues in the changes shown, do NOT repeat the previous findings listed below
+- List in "resolved_findings" the numbers of the previous findings that these changes fix (an empty list if none)
+- Set "goal_status" and "score" for the whole MR as it is now: the previous review plus these changes, counting the previous findings that are not resolved
+${previous.length > 0 ? `
+**Previous Findings:**
+${formatPreviousFindings(previous)}
+` : `
+The previous review found no issues.
+`}`;
+  }
+
   if (ticketScope) {
     prompt += `
 **Ticket/Requirement Specification:**
@@ -42,6 +88,10 @@ ${guidelines}
 
   // Check if diffs are truncated
   const isTruncated = diffs.includes('⚠️ [DIFF TRUNCATED:');
+  // Files the forge API did not return (diff limits of the instance)
+  const unlistedFiles = diffStats && diffStats.overflow
+    ? (diffStats.unlistedFiles > 0 ? `${diffStats.unlistedFiles} changed file(s)` : 'Some changed files')
+    : null;
 
   prompt += `
 **Your Task:**
@@ -72,15 +122,24 @@ You are conducting a THOROUGH code review. Be critical and detailed:
 - Always list ALL issues found, even minor ones
 - If you see fewer than 3 issues in a large MR (>10 files), you're not being thorough enough
 
-${isTruncated ? '⚠️ **Note:** The diff was truncated due to size. You are seeing only a partial view of the changes. Be more conservative in your scoring and explicitly mention incomplete review in remarks.\n' : ''}
+${unlistedFiles ? `⚠️ **Note:** ${unlistedFiles} of this MR exceeded the diff limits of the platform and are missing from the diff below. Do NOT report issues in them or treat them as missing from the implementation, and mention in remarks that they were not reviewed.\n` : ''}${isTruncated ? '⚠️ **Note:** The diff was truncated due to size. You are seeing only a partial view of the changes: the files not shown (or shown partially) are listed at the end of the diff. Do NOT report issues in code you cannot see, be more conservative in your scoring and explicitly mention incomplete review in remarks.\n' : ''}
 **Important:** You must respond with ONLY valid JSON in this exact format:
 {
   "goal_status": "met" | "partially_met" | "unmet",
-  "errors": ["list of specific issues found"],
-  "remarks": "brief overall assessment and key observations",
+  "errors": [
+    ${FINDING_FORMAT}
+  ],
+  "remarks": "brief overall assessment and key observations",${incremental ? `
+  "resolved_findings": [<numbers of the previous findings fixed by these changes>],` : ''}
   "score": <number between 0-100>
 }
 
+**Finding Rules:**
+- "severity": critical = security hole, data loss or crash; high = incorrect behavior; medium = likely bug or notable maintainability issue; low = minor improvement; info = observation
+- Set "file" and "line" for every issue that can be pinned to a specific changed line, otherwise use null
+- "line" is the line number in the new version of the file, counted from the "+start" of the enclosing @@ hunk header
+- Only reference added (+) or unchanged context lines that appear in the diff, never removed (-) lines
+
 **JSON Format Requirements:**
 - Use plain quotes, NOT backticks in your JSON strings
 - Do NOT escape curly braces { } in strings - they don't need escaping in JSON
@@ -96,4 +155,85 @@ Remember: Respond ONLY with the JSON object, no additional text.`;
   return prompt;
 }
 
-module.exports = { buildPrompt };
+// Builds the final "reduce" prompt of a chunked review: merges the per-batch
+// results into a single verdict.
+function buildSynthesisPrompt({ title, description, sourceBranch, targetBranch, changedFiles, ticketScope, batchResults }) {
+  let prompt = `You are a senior software code reviewer. A large merge request was reviewed in ${batchResults.length} separate batches of files. Merge the batch results below into ONE final review.
+
+**Merge Request Context:**
+- Title: ${title}
+- Description: ${description}
+- Source Branch: ${sourceBranch}
+- Target Branch: ${targetBranch}
+- Files Changed: ${changedFiles}
+`;
+
+  if (ticketScope) {
+    prompt += `
+**Ticket/Requirement Specification:**
+${ticketScope}
+`;
+  }
+
+  prompt += `
+**Batch Results:**
+`;
+
+  batchResults.forEach((batchResult, idx) => {
+    prompt += `
+### Batch ${idx + 1} of ${batchResults.length} (${batchResult.files.join(', ')})
+${JSON.stringify({
+    goal_status: batchResult.result.goal_status,
+    score: batchResult.result.score,
+    errors: batchResult.result.errors || [],
+    remarks: batchResult.result.remarks
+  }, null, 2)}
+`;
+  });
+
+  prompt += `
+**Your Task:**
+- Merge all "errors" into a single list, removing duplicates and near-duplicates (keep the most specific wording)
+- Keep "severity", "category", "file", "line" and "suggestion" of each finding unchanged
+- Decide the overall "goal_status" for the whole MR: a goal that is only partially covered by one batch may be fully covered once all batches are combined
+- Give one overall "score" (0-100) reflecting the whole MR; weigh batches by the importance of their files, do not simply average
+- Write "remarks" as an overall assessment of the whole MR, not per batch
+
+**Important:** You must respond with ONLY valid JSON in this exact format:
+{
+  "goal_status": "met" | "partially_met" | "unmet",
+  "errors": [
+    ${FINDING_FORMAT}
+  ],
+  "remarks": "brief overall assessment and key observations",
+  "score": <number between 0-100>
+}
+
+Remember: Respond ONLY with the JSON object, no additional text.`;
+
+  return prompt;
+}
+
+// Follow-up message asking the model to fix a response that failed validation
+// (incremental: the format of incremental reviews, see buildPrompt)
+function buildRepairPrompt(problems, { incremental = false } = {}) {
+  return `Your previous response could not be used as a review result:
+${problems.map((problem) => `- ${problem}`).join('\n')}
+
+Fix these problems and resend the complete review. Keep the findings and assessment from your previous response unless a problem above concerns them.
+
+**Important:** You must respond with ONLY valid JSON in this exact format:
+{
+  "goal_status": "met" | "partially_met" | "unmet",
+  "errors": [
+    ${FINDING_FORMAT}
+  ],
+  "remarks": "brief overall assessment and key observations",${incremental ? `
+  "resolved_findings": [<numbers of the previous findings fixed by these changes>],` : ''}
+  "score": <number between 0-100>
+}
+
+Remember: Respond ONLY with the JSON object, no additional text.`;
+}
+
+module.exports = { buildPrompt, buildSynthesisPrompt, buildRepairPrompt };
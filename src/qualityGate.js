@@ -0,0 +1,66 @@
+const { GOAL_STATUSES, SEVERITIES } = require('./reviewSchema');
+
+// Turns a parsed review result into a pass/fail decision for CI pipelines.
+// Each failing check has its own exit code so pipelines can tell them apart
+// (1 stays reserved for errors and --fail-on-truncate).
+const EXIT_CODES = {
+  MIN_SCORE: 2,
+  GOAL_STATUS: 3,
+  SEVERITY: 4
+};
+
+function getFindingSeverity(finding) {
+  if (finding && typeof finding === 'object' && typeof finding.severity === 'string') {
+    const severity = finding.severity.toLowerCase();
+    return SEVERITIES.includes(severity) ? severity : null;
+  }
+  return null;
+}
+
+function evaluateQualityGate(result, { minScore = null, failOnGoal = null, failOnSeverity = null } = {}) {
+  const failures = [];
+
+  if (minScore !== null) {
+    const score = Number(result.score);
+    if (isNaN(score) || score < minScore) {
+      failures.push({
+        reason: 'min-score',
+        exitCode: EXIT_CODES.MIN_SCORE,
+        message: `Quality score ${result.score}/100 is below the minimum of ${minScore}`
+      });
+    }
+  }
+
+  if (failOnGoal !== null) {
+    const status = String(result.goal_status || '').toLowerCase();
+    const statusRank = GOAL_STATUSES.indexOf(status);
+    // Unknown statuses fail the gate rather than silently passing
+    if (statusRank === -1 || statusRank >= GOAL_STATUSES.indexOf(failOnGoal)) {
+      failures.push({
+        reason: 'goal-status',
+        exitCode: EXIT_CODES.GOAL_STATUS,
+        message: `Goal status is "${result.goal_status}" (--fail-on-goal ${failOnGoal})`
+      });
+    }
+  }
+
+  if (failOnSeverity !== null) {
+    const threshold = SEVERITIES.indexOf(failOnSeverity);
+    const findings = [...(result.errors || []), ...(result.inline_comments || [])];
+    const blocking = findings.filter((finding) => {
+      const severity = getFindingSeverity(finding);
+      return severity !== null && SEVERITIES.indexOf(severity) <= threshold;
+    });
+    if (blocking.length > 0) {
+      failures.push({
+        reason: 'severity',
+        exitCode: EXIT_CODES.SEVERITY,
+        message: `${blocking.length} finding(s) with severity ${failOnSeverity} or higher`
+      });
+    }
+  }
+
+  return failures;
+}
+
+module.exports = { evaluateQualityGate, EXIT_CODES, GOAL_STATUSES, SEVERITIES };
@@ -0,0 +1,71 @@
+const { evaluateQualityGate, EXIT_CODES } = require('./qualityGate');
+
+describe('qualityGate', () => {
+  const result = {
+    goal_status: 'partially_met',
+    score: 68,
+    errors: ['Plain string finding'],
+    remarks: 'ok'
+  };
+
+  test('should pass when no checks are configured', () => {
+    expect(evaluateQualityGate(result)).toEqual([]);
+  });
+
+  describe('--min-score', () => {
+    test('should fail below the minimum score', () => {
+      const failures = evaluateQualityGate(result, { minScore: 70 });
+
+      expect(failures).toHaveLength(1);
+      expect(failures[0].exitCode).toBe(EXIT_CODES.MIN_SCORE);
+      expect(failures[0].message).toContain('68/100 is below the minimum of 70');
+    });
+
+    test('should pass at or above the minimum score', () => {
+      expect(evaluateQualityGate(result, { minScore: 68 })).toEqual([]);
+    });
+
+    test('should fail when the score is missing', () => {
+      expect(evaluateQualityGate({ ...result, score: undefined }, { minScore: 10 })).toHaveLength(1);
+    });
+  });
+
+  describe('--fail-on-goal', () => {
+    test('should fail on partially_met and unmet with partially_met', () => {
+      expect(evaluateQualityGate(result, { failOnGoal: 'partially_met' })[0].exitCode).toBe(EXIT_CODES.GOAL_STATUS);
+      expect(evaluateQualityGate({ ...result, goal_status: 'unmet' }, { failOnGoal: 'partially_met' })).toHaveLength(1);
+      expect(evaluateQualityGate({ ...result, goal_status: 'met' }, { failOnGoal: 'partially_met' })).toEqual([]);
+    });
+
+    test('should only fail on unmet with unmet', () => {
+      expect(evaluateQualityGate(result, { failOnGoal: 'unmet' })).toEqual([]);
+      expect(evaluateQualityGate({ ...result, goal_status: 'UNMET' }, { failOnGoal: 'unmet' })).toHaveLength(1);
+    });
+  });
+
+  describe('--fail-on-severity', () => {
+    test('should fail on findings at or above the threshold', () => {
+      const failures = evaluateQualityGate(
+        { ...result, errors: [{ severity: 'critical' }, { severity: 'low' }, 'untyped'] },
+        { failOnSeverity: 'high' }
+      );
+
+      expect(failures).toHaveLength(1);
+      expect(failures[0].exitCode).toBe(EXIT_CODES.SEVERITY);
+      expect(failures[0].message).toBe('1 finding(s) with severity high or higher');
+    });
+
+    test('should ignore findings without a severity', () => {
+      expect(evaluateQualityGate(result, { failOnSeverity: 'info' })).toEqual([]);
+    });
+  });
+
+  test('should report every failing check in order', () => {
+    const failures = evaluateQualityGate(
+      { ...result, goal_status: 'unmet', errors: [{ severity: 'high' }] },
+      { minScore: 90, failOnGoal: 'unmet', failOnSeverity: 'high' }
+    );
+
+    expect(failures.map((failure) => failure.exitCode)).toEqual([2, 3, 4]);
+  });
+});
@@ -0,0 +1,89 @@
+const { matchesAny } = require('./pathFilter');
+const { log } = require('./logger');
+
+// Repository-wide guideline files, all included when present
+const GUIDELINE_FILES = ['.mr-pilot/guidelines.md'];
+
+// Only the first CONTRIBUTING file found is included
+const CONTRIBUTING_FILES = ['CONTRIBUTING.md', '.github/CONTRIBUTING.md', 'docs/CONTRIBUTING.md'];
+
+// CODEOWNERS-style scoping: each line is "<pattern> <guideline file>...", and
+// the guideline files are included when a changed file matches the pattern
+const SCOPED_GUIDELINES_FILE = '.mr-pilot/GUIDELINES';
+
+const MAX_FILE_CHARS = 20000;
+
+// Parses the scoped guidelines file into [{ pattern, files }]
+function parseScopedGuidelines(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/\s+#.*$/, '').trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+      const [pattern, ...files] = line.split(/\s+/);
+      return { pattern, files };
+    })
+    .filter((entry) => entry.files.length > 0);
+}
+
+function limitContent(content, filePath) {
+  if (content.length <= MAX_FILE_CHARS) {
+    return content;
+  }
+  return `${content.substring(0, MAX_FILE_CHARS)}\n... [${filePath} truncated: ${content.length} chars]`;
+}
+
+// Reads the guideline files that apply to the changed paths from the reviewed
+// repository at ref, through the client's getFileContent. Returns the combined
+// text (null when nothing was found) and the list of files used.
+async function fetchRepoGuidelines(client, { urlOrId, projectArg = null, ref, changedPaths = [] }) {
+  const read = (filePath) => client.getFileContent(urlOrId, filePath, ref, projectArg);
+  const sources = [];
+  const sections = [];
+
+  const addSection = (filePath, content) => {
+    if (content && content.trim() && !sources.includes(filePath)) {
+      sources.push(filePath);
+      sections.push(`### ${filePath}\n${limitContent(content.trim(), filePath)}`);
+    }
+  };
+
+  for (const filePath of GUIDELINE_FILES) {
+    addSection(filePath, await read(filePath));
+  }
+
+  for (const filePath of CONTRIBUTING_FILES) {
+    const content = await read(filePath);
+    if (content && content.trim()) {
+      addSection(filePath, content);
+      break;
+    }
+  }
+
+  const scoped = await read(SCOPED_GUIDELINES_FILE);
+  if (scoped) {
+    for (const { pattern, files } of parseScopedGuidelines(scoped)) {
+      if (!changedPaths.some((changedPath) => matchesAny(changedPath, [pattern]))) {
+        continue;
+      }
+      for (const filePath of files) {
+        const normalized = filePath.replace(/^\.?\//, '');
+        if (sources.includes(normalized)) {
+          continue;
+        }
+        const content = await read(normalized);
+        if (content === null) {
+          log(`⚠️  Guideline file '${normalized}' listed in ${SCOPED_GUIDELINES_FILE} was not found`);
+        }
+        addSection(normalized, content);
+      }
+    }
+  }
+
+  return {
+    content: sections.length > 0 ? sections.join('\n\n') : null,
+    sources
+  };
+}
+
+module.exports = { fetchRepoGuidelines, parseScopedGuidelines, SCOPED_GUIDELINES_FILE };
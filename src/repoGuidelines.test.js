@@ -0,0 +1,63 @@
+const { fetchRepoGuidelines, parseScopedGuidelines } = require('./repoGuidelines');
+
+function fakeClient(files) {
+  return {
+    getFileContent: jest.fn(async (urlOrId, filePath) => (filePath in files ? files[filePath] : null))
+  };
+}
+
+describe('repoGuidelines', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should parse CODEOWNERS-style scoped guideline lines', () => {
+    expect(parseScopedGuidelines('# comment\n\n/api/ docs/api.md docs/errors.md\n*.sql docs/sql.md  # inline\nlonely\n')).toEqual([
+      { pattern: '/api/', files: ['docs/api.md', 'docs/errors.md'] },
+      { pattern: '*.sql', files: ['docs/sql.md'] }
+    ]);
+  });
+
+  test('should combine repository guidelines, the first CONTRIBUTING file and matching scoped files', async () => {
+    const client = fakeClient({
+      '.mr-pilot/guidelines.md': 'Prefer small functions.',
+      '.github/CONTRIBUTING.md': 'Write tests.',
+      'docs/CONTRIBUTING.md': 'Not used: the .github one comes first.',
+      '.mr-pilot/GUIDELINES': 'api/ docs/api.md\n*.sql docs/sql.md\n',
+      'docs/api.md': 'Version every endpoint.',
+      'docs/sql.md': 'No SELECT *.'
+    });
+
+    const { content, sources } = await fetchRepoGuidelines(client, {
+      urlOrId: '12',
+      projectArg: 'group/app',
+      ref: 'main',
+      changedPaths: ['api/users.js', 'README.md']
+    });
+
+    expect(sources).toEqual(['.mr-pilot/guidelines.md', '.github/CONTRIBUTING.md', 'docs/api.md']);
+    expect(content).toContain('### docs/api.md\nVersion every endpoint.');
+    expect(content).not.toContain('No SELECT');
+    expect(client.getFileContent).toHaveBeenCalledWith('12', '.mr-pilot/guidelines.md', 'main', 'group/app');
+  });
+
+  test('should return null content when no guideline file exists', async () => {
+    const { content, sources } = await fetchRepoGuidelines(fakeClient({}), { urlOrId: '12', ref: 'main' });
+
+    expect(content).toBeNull();
+    expect(sources).toEqual([]);
+  });
+
+  test('should truncate very large files', async () => {
+    const client = fakeClient({ 'CONTRIBUTING.md': 'x'.repeat(25000) });
+
+    const { content } = await fetchRepoGuidelines(client, { urlOrId: '12', ref: 'main' });
+
+    expect(content.length).toBeLessThan(21000);
+    expect(content).toContain('[CONTRIBUTING.md truncated: 25000 chars]');
+  });
+});
@@ -0,0 +1,213 @@
+const { formatCommentBody } = require('./outputFormatter');
+const { normalizeFinding, sortFindings, CATEGORIES } = require('./reviewSchema');
+const { version } = require('../package.json');
+
+const OUTPUT_FORMATS = ['json', 'sarif', 'junit', 'markdown'];
+
+const FORMATS_BY_EXTENSION = {
+  '.json': 'json',
+  '.sarif': 'sarif',
+  '.xml': 'junit',
+  '.md': 'markdown'
+};
+
+function formatFromFileName(fileName) {
+  const match = fileName.toLowerCase().match(/(\.[a-z]+)$/);
+  return (match && FORMATS_BY_EXTENSION[match[1]]) || 'json';
+}
+
+function getFindings(result) {
+  return sortFindings((result.errors || []).map(normalizeFinding).filter(Boolean));
+}
+
+function formatJson(result, mrData) {
+  return JSON.stringify({
+    goal_status: result.goal_status,
+    score: result.score,
+    errors: getFindings(result),
+    // Previous findings fixed since the last review (incremental reviews)
+    ...(result.resolved ? { resolved: result.resolved } : {}),
+    inline_comments: result.inline_comments || [],
+    remarks: result.remarks,
+    mr: {
+      title: mrData.title,
+      sourceBranch: mrData.sourceBranch,
+      targetBranch: mrData.targetBranch,
+      changedFiles: mrData.changedFiles
+    },
+    diffStats: mrData.diffStats
+  }, null, 2);
+}
+
+const SARIF_LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+  info: 'note'
+};
+
+function sarifLocation(file, line) {
+  const parsedLine = parseInt(line);
+  return [{
+    physicalLocation: {
+      artifactLocation: { uri: file },
+      ...(isNaN(parsedLine) || parsedLine < 1 ? {} : { region: { startLine: parsedLine } })
+    }
+  }];
+}
+
+// SARIF 2.1.0 log: one result per finding, with one rule per category and a
+// physical location when the finding points at a file, so code scanning UIs
+// can show it on the file.
+function formatSarif(result, mrData) {
+  const results = [];
+
+  getFindings(result).forEach((finding) => {
+    const sarifResult = {
+      ruleId: `mr-pilot/${finding.category || 'issue'}`,
+      level: SARIF_LEVELS[finding.severity] || 'warning',
+      message: {
+        text: finding.suggestion ? `${finding.message}\nSuggestion: ${finding.suggestion}` : finding.message
+      }
+    };
+    if (finding.file) {
+      sarifResult.locations = sarifLocation(finding.file, finding.line);
+    }
+    if (finding.severity) {
+      sarifResult.properties = { severity: finding.severity };
+    }
+    results.push(sarifResult);
+  });
+
+  (result.inline_comments || []).forEach((comment) => {
+    const sarifResult = {
+      ruleId: 'mr-pilot/line-comment',
+      level: 'note',
+      message: { text: String(comment.comment) }
+    };
+    if (comment.file) {
+      sarifResult.locations = sarifLocation(comment.file, comment.line);
+    }
+    results.push(sarifResult);
+  });
+
+  const rules = [
+    {
+      id: 'mr-pilot/issue',
+      shortDescription: { text: 'Issue found by the AI code review' }
+    },
+    ...CATEGORIES.map((category) => ({
+      id: `mr-pilot/${category}`,
+      shortDescription: { text: `${category} issue found by the AI code review` }
+    })),
+    {
+      id: 'mr-pilot/line-comment',
+      shortDescription: { text: 'Line-level comment from the AI code review' }
+    }
+  ];
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'mr-pilot',
+          version,
+          informationUri: 'https://github.com/javimosch/mr-pilot',
+          rules
+        }
+      },
+      results,
+      properties: {
+        title: mrData.title,
+        goalStatus: result.goal_status,
+        score: result.score,
+        remarks: result.remarks
+      }
+    }]
+  }, null, 2);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// JUnit XML: the goal check plus one failing test case per finding, so CI
+// test report widgets list the review findings.
+function formatJunit(result, mrData) {
+  const testCases = [];
+
+  const goalMet = result.goal_status === 'met';
+  testCases.push({
+    name: `Goal status: ${result.goal_status} (score ${result.score}/100)`,
+    classname: 'mr-pilot.goal',
+    failure: goalMet ? null : String(result.remarks || '')
+  });
+
+  getFindings(result).forEach((finding, idx) => {
+    const location = finding.file ? ` ${finding.file}${finding.line ? `:${finding.line}` : ''}` : '';
+    const severity = finding.severity ? ` [${finding.severity}]` : '';
+    testCases.push({
+      name: `Issue ${idx + 1}${severity}${location}`,
+      classname: `mr-pilot.${finding.category || 'issues'}`,
+      failure: finding.suggestion ? `${finding.message}\nSuggestion: ${finding.suggestion}` : finding.message
+    });
+  });
+
+  (result.inline_comments || []).forEach((comment) => {
+    testCases.push({
+      name: `${comment.file}:${comment.line}`,
+      classname: 'mr-pilot.line-comments',
+      failure: String(comment.comment)
+    });
+  });
+
+  const failures = testCases.filter((testCase) => testCase.failure !== null).length;
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += `<testsuites name="mr-pilot" tests="${testCases.length}" failures="${failures}">\n`;
+  xml += `  <testsuite name="${escapeXml(`AI Code Review: ${mrData.title}`)}" tests="${testCases.length}" failures="${failures}">\n`;
+  testCases.forEach((testCase) => {
+    const attributes = `name="${escapeXml(testCase.name)}" classname="${testCase.classname}"`;
+    if (testCase.failure === null) {
+      xml += `    <testcase ${attributes}/>\n`;
+    } else {
+      xml += `    <testcase ${attributes}>\n`;
+      xml += `      <failure message="${escapeXml(testCase.failure.split('\n')[0])}">${escapeXml(testCase.failure)}</failure>\n`;
+      xml += '    </testcase>\n';
+    }
+  });
+  xml += '  </testsuite>\n';
+  xml += '</testsuites>\n';
+
+  return xml;
+}
+
+function formatReport(format, result, mrData) {
+  switch (format) {
+    case 'json':
+      return formatJson(result, mrData);
+    case 'sarif':
+      return formatSarif(result, mrData);
+    case 'junit':
+      return formatJunit(result, mrData);
+    case 'markdown':
+      return formatCommentBody(result, {
+        includeMetadata: false,
+        droppedFiles: (mrData.diffStats && mrData.diffStats.droppedFiles) || [],
+        overflow: mrData.diffStats && mrData.diffStats.overflow,
+        unlistedFiles: mrData.diffStats && mrData.diffStats.unlistedFiles
+      });
+    default:
+      throw new Error(`Unknown output format: ${format}. Supported: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = { formatReport, formatFromFileName, OUTPUT_FORMATS };
@@ -0,0 +1,112 @@
+const { formatReport, formatFromFileName } = require('./reportFormats');
+
+describe('reportFormats', () => {
+  const mrData = {
+    title: 'Add <login> & logout',
+    sourceBranch: 'feature',
+    targetBranch: 'main',
+    changedFiles: 2,
+    diffStats: { originalLength: 1200, wasTruncated: false }
+  };
+
+  const result = {
+    goal_status: 'partially_met',
+    score: 65,
+    errors: ['Logout does not clear the session'],
+    inline_comments: [{ file: 'src/auth.js', line: 42, comment: 'Token is logged "as is"' }],
+    remarks: 'Needs work'
+  };
+
+  describe('formatFromFileName', () => {
+    test('should infer the format from the file extension', () => {
+      expect(formatFromFileName('out/review.sarif')).toBe('sarif');
+      expect(formatFromFileName('report.XML')).toBe('junit');
+      expect(formatFromFileName('review.md')).toBe('markdown');
+      expect(formatFromFileName('review.json')).toBe('json');
+      expect(formatFromFileName('review')).toBe('json');
+    });
+  });
+
+  test('should produce JSON with the result and MR context', () => {
+    const json = JSON.parse(formatReport('json', result, mrData));
+
+    expect(json.score).toBe(65);
+    expect(json.errors).toEqual([{
+      severity: null,
+      category: null,
+      file: null,
+      line: null,
+      message: 'Logout does not clear the session',
+      suggestion: null
+    }]);
+    expect(json.mr).toEqual({ title: mrData.title, sourceBranch: 'feature', targetBranch: 'main', changedFiles: 2 });
+  });
+
+  test('should produce a SARIF 2.1.0 log with locations for line comments', () => {
+    const sarif = JSON.parse(formatReport('sarif', result, mrData));
+
+    expect(sarif.version).toBe('2.1.0');
+    const [run] = sarif.runs;
+    expect(run.tool.driver.name).toBe('mr-pilot');
+    expect(run.results).toHaveLength(2);
+    expect(run.results[0]).toEqual({
+      ruleId: 'mr-pilot/issue',
+      level: 'warning',
+      message: { text: 'Logout does not clear the session' }
+    });
+    expect(run.results[1].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'src/auth.js' },
+      region: { startLine: 42 }
+    });
+    expect(run.properties.score).toBe(65);
+  });
+
+  test('should map structured findings to SARIF rules, levels and locations', () => {
+    const sarif = JSON.parse(formatReport('sarif', {
+      ...result,
+      inline_comments: [],
+      errors: [
+        { severity: 'low', category: 'style', message: 'Long function' },
+        { severity: 'critical', category: 'security', file: 'src/db.js', line: 7, message: 'SQL injection', suggestion: 'Use parameters' }
+      ]
+    }, mrData));
+
+    const [critical, low] = sarif.runs[0].results;
+    expect(critical).toEqual({
+      ruleId: 'mr-pilot/security',
+      level: 'error',
+      message: { text: 'SQL injection\nSuggestion: Use parameters' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'src/db.js' }, region: { startLine: 7 } } }],
+      properties: { severity: 'critical' }
+    });
+    expect(low.level).toBe('note');
+    expect(sarif.runs[0].tool.driver.rules.map((rule) => rule.id)).toContain('mr-pilot/style');
+  });
+
+  test('should produce escaped JUnit XML with a failure per finding', () => {
+    const xml = formatReport('junit', result, mrData);
+
+    expect(xml).toContain('<testsuites name="mr-pilot" tests="3" failures="3">');
+    expect(xml).toContain('name="AI Code Review: Add &lt;login&gt; &amp; logout"');
+    expect(xml).toContain('<testcase name="src/auth.js:42" classname="mr-pilot.line-comments">');
+    expect(xml).toContain('Token is logged &quot;as is&quot;');
+  });
+
+  test('should pass the goal test case when the goal is met', () => {
+    const xml = formatReport('junit', { ...result, goal_status: 'met', errors: [], inline_comments: [] }, mrData);
+
+    expect(xml).toContain('failures="0"');
+    expect(xml).toContain('<testcase name="Goal status: met (score 65/100)" classname="mr-pilot.goal"/>');
+  });
+
+  test('should produce markdown without the hidden comment marker', () => {
+    const markdown = formatReport('markdown', result, mrData);
+
+    expect(markdown).toContain('## 🤖 AI Code Review');
+    expect(markdown).not.toContain('<!-- mr-pilot-review');
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => formatReport('csv', result, mrData)).toThrow('Unknown output format: csv');
+  });
+});
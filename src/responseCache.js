@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { log } = require('./logger');
+
+// On-disk cache of accepted LLM reviews (keyed by provider, model and full
+// prompt) and forge API responses (keyed by the reviewed commits), so re-running a
+// review (CI retry, failed --comment post) costs no LLM call. Disabled until
+// the CLI turns it on with configureCache; --no-cache keeps it off.
+
+// Subdirectories of the cache directory, the only ones `cache clear` removes
+const NAMESPACES = ['llm', 'forge'];
+
+const DEFAULT_TTL_HOURS = 24;
+
+let enabled = false;
+
+function configureCache(options = {}) {
+  enabled = options.enabled === true;
+}
+
+function isCacheEnabled() {
+  return enabled;
+}
+
+// MR_PILOT_CACHE_DIR, else $XDG_CACHE_HOME/mr-pilot or ~/.cache/mr-pilot
+function getCacheDir(env = process.env) {
+  if (env.MR_PILOT_CACHE_DIR) {
+    return path.resolve(env.MR_PILOT_CACHE_DIR);
+  }
+  return path.join(env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'mr-pilot');
+}
+
+// Entry lifetime from MR_PILOT_CACHE_TTL (hours, default 24)
+function getTtlMs(env = process.env) {
+  if (env.MR_PILOT_CACHE_TTL === undefined || env.MR_PILOT_CACHE_TTL === '') {
+    return DEFAULT_TTL_HOURS * 3600 * 1000;
+  }
+  const hours = Number(env.MR_PILOT_CACHE_TTL);
+  if (isNaN(hours) || hours < 0) {
+    throw new Error('MR_PILOT_CACHE_TTL must be a number of hours >= 0');
+  }
+  return hours * 3600 * 1000;
+}
+
+function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function entryPath(namespace, key) {
+  return path.join(getCacheDir(), namespace, `${key}.json`);
+}
+
+// Cached value, or undefined when missing, expired or unreadable
+function readCache(namespace, key) {
+  const file = entryPath(namespace, key);
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    return undefined;
+  }
+
+  if (!entry || typeof entry.savedAt !== 'number' || Date.now() - entry.savedAt > getTtlMs()) {
+    fs.rmSync(file, { force: true });
+    return undefined;
+  }
+  return entry.value;
+}
+
+// Writes through a temporary file, so concurrent reviews (batch or webhook
+// reviews) never read a partial entry. A failing write only logs a warning.
+function writeCache(namespace, key, value) {
+  const file = entryPath(namespace, key);
+  const tempFile = `${file}.${process.pid}.tmp`;
+  try {
+    // Diffs and reviews of private code: only readable by the user
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(tempFile, JSON.stringify({ savedAt: Date.now(), value }), { mode: 0o600 });
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    log(`⚠️  Could not write the response cache (${error.message})`);
+  }
+}
+
+function deleteCache(namespace, key) {
+  fs.rmSync(entryPath(namespace, key), { force: true });
+}
+
+// Returns the cached value for keyParts, or runs fn and caches its result.
+// fn runs directly when the cache is disabled or keyParts is null;
+// null/undefined results are not cached.
+async function withCache(namespace, keyParts, fn) {
+  if (!enabled || !keyParts) {
+    return fn();
+  }
+
+  const key = cacheKey(keyParts);
+  const cached = readCache(namespace, key);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const value = await fn();
+  if (value !== null && value !== undefined) {
+    writeCache(namespace, key, value);
+  }
+  return value;
+}
+
+// Removes all cache entries; returns { dir, removed }
+function clearCache(env = process.env) {
+  const dir = getCacheDir(env);
+  let removed = 0;
+
+  NAMESPACES.forEach((namespace) => {
+    const namespaceDir = path.join(dir, namespace);
+    if (!fs.existsSync(namespaceDir)) {
+      return;
+    }
+    fs.readdirSync(namespaceDir)
+      .filter((name) => name.endsWith('.json') || name.endsWith('.tmp'))
+      .forEach((name) => {
+        fs.rmSync(path.join(namespaceDir, name), { force: true });
+        removed += name.endsWith('.json') ? 1 : 0;
+      });
+    if (fs.readdirSync(namespaceDir).length === 0) {
+      fs.rmdirSync(namespaceDir);
+    }
+  });
+
+  return { dir, removed };
+}
+
+module.exports = {
+  configureCache,
+  isCacheEnabled,
+  getCacheDir,
+  cacheKey,
+  readCache,
+  writeCache,
+  deleteCache,
+  withCache,
+  clearCache
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { configureCache, getCacheDir, withCache, clearCache } = require('./responseCache');
+
+describe('responseCache', () => {
+  let tempDir;
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-pilot-cache-'));
+    process.env.MR_PILOT_CACHE_DIR = tempDir;
+    configureCache({ enabled: true });
+  });
+
+  afterEach(() => {
+    configureCache({ enabled: false });
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should return cached values until they expire', async () => {
+    const fetch = jest.fn(async () => ({ files: ['a.js'] }));
+
+    await expect(withCache('forge', ['diffs', 'sha1'], fetch)).resolves.toEqual({ files: ['a.js'] });
+    await expect(withCache('forge', ['diffs', 'sha1'], fetch)).resolves.toEqual({ files: ['a.js'] });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await withCache('forge', ['diffs', 'sha2'], fetch);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    process.env.MR_PILOT_CACHE_TTL = '0';
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await withCache('forge', ['diffs', 'sha1'], fetch);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not cache when disabled, without a key or for null results', async () => {
+    const fetch = jest.fn(async () => null);
+    await withCache('forge', ['compare'], fetch);
+    await withCache('forge', ['compare'], fetch);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    configureCache({ enabled: false });
+    const value = jest.fn(async () => 'value');
+    await withCache('llm', ['prompt'], value);
+    await withCache('llm', ['prompt'], value);
+    await withCache('llm', null, value);
+    expect(value).toHaveBeenCalledTimes(3);
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+
+  test('should reject an invalid TTL', async () => {
+    process.env.MR_PILOT_CACHE_TTL = 'a week';
+    await withCache('llm', ['prompt'], async () => 'value');
+
+    await expect(withCache('llm', ['prompt'], async () => 'value')).rejects.toThrow('MR_PILOT_CACHE_TTL must be a number of hours');
+  });
+
+  test('should only clear its own entries', async () => {
+    await withCache('llm', ['prompt'], async () => 'response');
+    await withCache('forge', ['diffs'], async () => []);
+    fs.writeFileSync(path.join(tempDir, 'notes.txt'), 'keep me');
+
+    expect(clearCache()).toEqual({ dir: tempDir, removed: 2 });
+    expect(fs.readdirSync(tempDir)).toEqual(['notes.txt']);
+  });
+
+  test('should default to the XDG cache directory', () => {
+    expect(getCacheDir({ XDG_CACHE_HOME: '/tmp/xdg' })).toBe(path.join('/tmp/xdg', 'mr-pilot'));
+    expect(getCacheDir({})).toBe(path.join(os.homedir(), '.cache', 'mr-pilot'));
+  });
+});
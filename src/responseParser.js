@@ -0,0 +1,58 @@
+const { validateResult, normalizeResult } = require('./reviewSchema');
+
+// Strips a surrounding ``` / ```json fence
+function stripCodeFence(text) {
+  if (!text.startsWith('```')) {
+    return text;
+  }
+
+  // Find the last closing ``` to handle code blocks within JSON content
+  const firstNewline = text.indexOf('\n');
+  const lastTripleBacktick = text.lastIndexOf('```');
+  if (firstNewline !== -1 && lastTripleBacktick > firstNewline) {
+    return text.substring(firstNewline + 1, lastTripleBacktick);
+  }
+  return text.replace(/```(json)?\n?/g, '');
+}
+
+// Parses the JSON object in a raw LLM response, fixing common formatting
+// issues (code fences, invalid escapes, raw newlines in strings). Throws the
+// JSON.parse error when the text cannot be repaired.
+function extractJson(raw) {
+  let cleanJson = stripCodeFence(String(raw || '').trim()).trim();
+
+  // Remove invalid escape sequences like \{ \} \[ \] but keep valid ones like \" \\
+  cleanJson = cleanJson.replace(/\\([{}[\]])/g, '$1');
+
+  try {
+    return JSON.parse(cleanJson);
+  } catch (firstError) {
+    // Escape newlines in string content (odd-indexed parts when split by quotes)
+    const parts = cleanJson.split('"');
+    for (let i = 1; i < parts.length; i += 2) {
+      parts[i] = parts[i].replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+    }
+    return JSON.parse(parts.join('"'));
+  }
+}
+
+// Turns a raw LLM response into a normalized review result. Never throws:
+// returns { result } on success, otherwise { result: null } with either the
+// JSON parse error or the list of validation problems.
+function parseReviewResponse(raw) {
+  let parsed;
+  try {
+    parsed = extractJson(raw);
+  } catch (error) {
+    return { result: null, parseError: error.message, problems: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const problems = validateResult(parsed);
+  if (problems.length > 0) {
+    return { result: null, parseError: null, problems };
+  }
+
+  return { result: normalizeResult(parsed), parseError: null, problems: [] };
+}
+
+module.exports = { extractJson, parseReviewResponse };
@@ -0,0 +1,60 @@
+const { extractJson, parseReviewResponse } = require('./responseParser');
+
+describe('responseParser', () => {
+  describe('extractJson', () => {
+    test('should parse plain JSON', () => {
+      expect(extractJson('{"score": 80}')).toEqual({ score: 80 });
+    });
+
+    test('should strip json and bare code fences', () => {
+      expect(extractJson('```json\n{"score": 80}\n```')).toEqual({ score: 80 });
+      expect(extractJson('```\n{"score": 80}\n```')).toEqual({ score: 80 });
+    });
+
+    test('should keep code fences inside string values', () => {
+      const raw = '```json\n{"remarks": "use ```js blocks```"}\n```';
+      expect(extractJson(raw)).toEqual({ remarks: 'use ```js blocks```' });
+    });
+
+    test('should remove invalid escapes of braces and brackets', () => {
+      expect(extractJson('{"remarks": "call fn\\{\\} with \\[a\\]"}')).toEqual({ remarks: 'call fn{} with [a]' });
+    });
+
+    test('should escape raw newlines inside strings', () => {
+      expect(extractJson('{"remarks": "line one\nline two"}')).toEqual({ remarks: 'line one\nline two' });
+    });
+
+    test('should throw when the text is not JSON', () => {
+      expect(() => extractJson('I think this MR looks fine')).toThrow();
+    });
+  });
+
+  describe('parseReviewResponse', () => {
+    test('should return the normalized result for a valid response', () => {
+      const { result, problems } = parseReviewResponse('{"goal_status":"MET","score":"88.6","errors":[],"remarks":"ok"}');
+
+      expect(problems).toEqual([]);
+      expect(result).toMatchObject({ goal_status: 'met', score: 89, errors: [], remarks: 'ok' });
+    });
+
+    test('should report the parse error for non-JSON responses', () => {
+      const { result, parseError, problems } = parseReviewResponse('not json');
+
+      expect(result).toBeNull();
+      expect(parseError).toBeTruthy();
+      expect(problems[0]).toMatch(/^Response is not valid JSON/);
+    });
+
+    test('should list every validation problem', () => {
+      const { result, parseError, problems } = parseReviewResponse('{"goal_status":"done","errors":"none"}');
+
+      expect(result).toBeNull();
+      expect(parseError).toBeNull();
+      expect(problems).toEqual([
+        'Invalid goal_status "done". Expected: met, partially_met, unmet',
+        'Invalid score "undefined". Expected a number between 0 and 100',
+        '"errors" must be an array of findings'
+      ]);
+    });
+  });
+});
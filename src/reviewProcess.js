@@ -0,0 +1,46 @@
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+// Runs the CLI review of one MR/PR (index.js <url> ...args) in a child
+// process, so a failing review (or its process.exit) cannot stop the webhook
+// server or batch review running it.
+
+const INDEX_PATH = path.join(__dirname, 'index.js');
+
+// CLI exit codes of a finished review whose quality gate failed (see qualityGate)
+const GATE_EXIT_CODES = [2, 3, 4];
+
+// Resolves { code, stdout, errorMessage } when the review exits. Output lines
+// go to onLine, except stdout with captureStdout (e.g. for --output json).
+function runReviewProcess(url, args = [], { captureStdout = false, onLine = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [INDEX_PATH, url, ...args], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    let errorMessage = null;
+
+    if (captureStdout) {
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk;
+      });
+    } else {
+      readline.createInterface({ input: child.stdout }).on('line', onLine);
+    }
+    readline.createInterface({ input: child.stderr }).on('line', (line) => {
+      // The CLI reports fatal errors as "❌ Error: <message>"
+      const match = line.match(/❌ Error:\s*(.*)$/);
+      if (match) {
+        errorMessage = match[1];
+      }
+      onLine(line);
+    });
+
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stdout, errorMessage }));
+  });
+}
+
+module.exports = { runReviewProcess, GATE_EXIT_CODES };
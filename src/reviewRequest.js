@@ -0,0 +1,91 @@
+const { analyzeMR, getRequestIdentity } = require('./openrouterClient');
+const { parseReviewResponse } = require('./responseParser');
+const { buildRepairPrompt } = require('./promptBuilder');
+const { REVIEW_JSON_SCHEMA } = require('./reviewSchema');
+const { isCacheEnabled, cacheKey, readCache, writeCache, deleteCache } = require('./responseCache');
+const { log } = require('./logger');
+
+// Follow-up requests allowed when a response fails validation
+const MAX_REPAIR_ATTEMPTS = 2;
+
+function printDebugResponse(response, label) {
+  log(`💬 DEBUG - ${label}:`);
+  log('─'.repeat(80));
+  log(response);
+  log('─'.repeat(80));
+  log();
+}
+
+// Cached response accepted for this prompt, dropping entries that no longer
+// validate
+function readCachedResult(cacheId, debugMode) {
+  const cached = readCache('llm', cacheId);
+  if (cached === undefined) {
+    return null;
+  }
+
+  const { result } = parseReviewResponse(cached);
+  if (!result) {
+    deleteCache('llm', cacheId);
+    return null;
+  }
+
+  log('✓ Using the cached LLM response');
+  if (debugMode) {
+    printDebugResponse(cached, 'Cached LLM Response');
+  }
+  return result;
+}
+
+// Sends a review prompt and returns the validated, normalized review result.
+// Responses that are not valid JSON or fail the review schema are sent back
+// to the model with the validator errors before giving up. Pass the schema of
+// another result shape (e.g. incremental reviews) as options.schema, and
+// options.incremental so repairs ask for resolved_findings too.
+// Only accepted responses are cached (--no-cache skips the cache).
+async function requestReview(prompt, { debugMode = false, schema = REVIEW_JSON_SCHEMA, incremental = false } = {}) {
+  const cacheId = isCacheEnabled() ? cacheKey({ ...getRequestIdentity(schema), prompt }) : null;
+  if (cacheId) {
+    const cached = readCachedResult(cacheId, debugMode);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  const messages = [{ role: 'user', content: prompt }];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const response = await analyzeMR(messages, { schema });
+
+    if (debugMode) {
+      printDebugResponse(response, attempt === 0 ? 'Raw LLM Response' : `Repaired LLM Response (attempt ${attempt})`);
+    }
+
+    const { result, parseError, problems } = parseReviewResponse(response);
+    if (result) {
+      if (cacheId) {
+        writeCache('llm', cacheId, response);
+      }
+      return result;
+    }
+
+    if (attempt === MAX_REPAIR_ATTEMPTS) {
+      console.error('\n❌ LLM response does not match the review format');
+      console.error('Raw response:');
+      console.error(response);
+      throw new Error(
+        parseError
+          ? `JSON parsing failed after ${MAX_REPAIR_ATTEMPTS} repair attempt(s): ${parseError}`
+          : `Invalid review result after ${MAX_REPAIR_ATTEMPTS} repair attempt(s): ${problems.join('; ')}`
+      );
+    }
+
+    log(`⚠️  LLM response is not a valid review (${problems.join('; ')}), requesting a repair...`);
+    messages.push(
+      { role: 'assistant', content: response },
+      { role: 'user', content: buildRepairPrompt(problems, { incremental }) }
+    );
+  }
+}
+
+module.exports = { requestReview, MAX_REPAIR_ATTEMPTS };
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { requestReview, MAX_REPAIR_ATTEMPTS } = require('./reviewRequest');
+const { analyzeMR } = require('./openrouterClient');
+const { REVIEW_JSON_SCHEMA } = require('./reviewSchema');
+const { configureCache } = require('./responseCache');
+
+jest.mock('./openrouterClient', () => ({
+  analyzeMR: jest.fn(),
+  getRequestIdentity: jest.fn(() => ({ provider: 'openai', model: 'gpt-test' }))
+}));
+
+const VALID = '{"goal_status":"met","score":90,"errors":[],"remarks":"ok"}';
+
+describe('reviewRequest', () => {
+  beforeEach(() => {
+    analyzeMR.mockReset();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('should request structured output and return the normalized result', async () => {
+    analyzeMR.mockResolvedValueOnce(VALID);
+
+    const result = await requestReview('Review this');
+
+    expect(result).toMatchObject({ goal_status: 'met', score: 90 });
+    expect(analyzeMR).toHaveBeenCalledWith([{ role: 'user', content: 'Review this' }], { schema: REVIEW_JSON_SCHEMA });
+  });
+
+  test('should send validator errors back for repair', async () => {
+    analyzeMR
+      .mockResolvedValueOnce('{"goal_status":"done","score":90,"errors":[]}')
+      .mockResolvedValueOnce(VALID);
+
+    const result = await requestReview('Review this');
+
+    expect(result.goal_status).toBe('met');
+    expect(analyzeMR).toHaveBeenCalledTimes(2);
+
+    const messages = analyzeMR.mock.calls[1][0];
+    expect(messages.map((message) => message.role)).toEqual(['user', 'assistant', 'user']);
+    expect(messages[1].content).toBe('{"goal_status":"done","score":90,"errors":[]}');
+    expect(messages[2].content).toContain('Invalid goal_status "done"');
+  });
+
+  test('should ask for resolved findings when repairing an incremental review', async () => {
+    analyzeMR
+      .mockResolvedValueOnce('{"goal_status":"done","score":90,"errors":[]}')
+      .mockResolvedValueOnce(VALID)
+      .mockResolvedValueOnce('{"goal_status":"done","score":90,"errors":[]}')
+      .mockResolvedValueOnce(VALID);
+
+    await requestReview('Review this', { incremental: true });
+    await requestReview('Review that');
+
+    expect(analyzeMR.mock.calls[1][0][2].content).toContain('"resolved_findings"');
+    expect(analyzeMR.mock.calls[3][0][2].content).not.toContain('"resolved_findings"');
+  });
+
+  test('should give up after the repair attempts are used', async () => {
+    analyzeMR.mockResolvedValue('Sorry, I cannot produce JSON');
+
+    await expect(requestReview('Review this')).rejects.toThrow(
+      `JSON parsing failed after ${MAX_REPAIR_ATTEMPTS} repair attempt(s)`
+    );
+    expect(analyzeMR).toHaveBeenCalledTimes(MAX_REPAIR_ATTEMPTS + 1);
+  });
+
+  describe('response cache', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-pilot-cache-'));
+      process.env.MR_PILOT_CACHE_DIR = tempDir;
+      configureCache({ enabled: true });
+    });
+
+    afterEach(() => {
+      configureCache({ enabled: false });
+      delete process.env.MR_PILOT_CACHE_DIR;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    function cacheFiles() {
+      return fs.readdirSync(path.join(tempDir, 'llm')).map((name) => path.join(tempDir, 'llm', name));
+    }
+
+    test('should answer an identical prompt from the cache', async () => {
+      analyzeMR.mockResolvedValue(VALID);
+
+      await requestReview('Review this');
+      const result = await requestReview('Review this');
+
+      expect(result).toMatchObject({ goal_status: 'met', score: 90 });
+      expect(analyzeMR).toHaveBeenCalledTimes(1);
+
+      await requestReview('Review that');
+      expect(analyzeMR).toHaveBeenCalledTimes(2);
+    });
+
+    test('should only cache responses that pass validation', async () => {
+      analyzeMR.mockResolvedValue('Sorry, I cannot produce JSON');
+      await expect(requestReview('Review this')).rejects.toThrow('JSON parsing failed');
+      expect(fs.existsSync(path.join(tempDir, 'llm'))).toBe(false);
+
+      // Repaired responses are cached as the accepted answer
+      analyzeMR.mockReset();
+      analyzeMR
+        .mockResolvedValueOnce('{"goal_status":"done","score":90,"errors":[]}')
+        .mockResolvedValueOnce(VALID);
+      await requestReview('Review this');
+      const [file] = cacheFiles();
+      expect(JSON.parse(fs.readFileSync(file, 'utf-8')).value).toBe(VALID);
+    });
+
+    test('should call the model again after an invalid cached response', async () => {
+      analyzeMR.mockResolvedValue(VALID);
+      await requestReview('Review this');
+
+      const [file] = cacheFiles();
+      const entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      fs.writeFileSync(file, JSON.stringify({ ...entry, value: '{"score":' }));
+
+      const result = await requestReview('Review this');
+
+      expect(result.goal_status).toBe('met');
+      expect(analyzeMR).toHaveBeenCalledTimes(2);
+      expect(JSON.parse(fs.readFileSync(file, 'utf-8')).value).toBe(VALID);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+// Review result contract shared by prompts, parsing, reports and the quality gate.
+
+// Goal statuses from best to worst
+const GOAL_STATUSES = ['met', 'partially_met', 'unmet'];
+
+// Severities from most to least severe
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+const CATEGORIES = ['bug', 'security', 'performance', 'style', 'tests', 'docs'];
+
+// JSON schema of the review result, sent to providers that support
+// structured output (response_format, responseJsonSchema, tool input)
+const REVIEW_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    goal_status: { type: 'string', enum: GOAL_STATUSES },
+    score: { type: 'integer', minimum: 0, maximum: 100 },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          severity: { type: 'string', enum: SEVERITIES },
+          category: { type: 'string', enum: CATEGORIES },
+          file: { type: ['string', 'null'] },
+          line: { type: ['integer', 'null'] },
+          message: { type: 'string' },
+          suggestion: { type: ['string', 'null'] }
+        },
+        required: ['severity', 'category', 'file', 'line', 'message', 'suggestion'],
+        additionalProperties: false
+      }
+    },
+    remarks: { type: 'string' }
+  },
+  required: ['goal_status', 'score', 'errors', 'remarks'],
+  additionalProperties: false
+};
+
+// Incremental reviews also return the numbers of the previous findings that
+// the new commits resolved
+const INCREMENTAL_REVIEW_JSON_SCHEMA = {
+  ...REVIEW_JSON_SCHEMA,
+  properties: {
+    ...REVIEW_JSON_SCHEMA.properties,
+    resolved_findings: { type: 'array', items: { type: 'integer' } }
+  },
+  required: [...REVIEW_JSON_SCHEMA.required, 'resolved_findings']
+};
+
+function toOptionalString(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text && text.toLowerCase() !== 'null' ? text : null;
+}
+
+// Normalizes one finding to { severity, category, file, line, message, suggestion }.
+// Legacy plain-string findings keep only the message. Returns null for entries
+// that carry no message at all.
+function normalizeFinding(finding) {
+  if (typeof finding === 'string') {
+    const message = finding.trim();
+    return message
+      ? { severity: null, category: null, file: null, line: null, message, suggestion: null }
+      : null;
+  }
+
+  if (!finding || typeof finding !== 'object') {
+    return null;
+  }
+
+  const message = toOptionalString(finding.message || finding.description || finding.issue);
+  if (!message) {
+    return null;
+  }
+
+  const severity = toOptionalString(finding.severity);
+  const category = toOptionalString(finding.category);
+  const line = parseInt(finding.line);
+
+  return {
+    severity: severity && SEVERITIES.includes(severity.toLowerCase()) ? severity.toLowerCase() : null,
+    category: category && CATEGORIES.includes(category.toLowerCase()) ? category.toLowerCase() : null,
+    file: toOptionalString(finding.file),
+    line: isNaN(line) || line < 1 ? null : line,
+    message,
+    suggestion: toOptionalString(finding.suggestion)
+  };
+}
+
+// Lists what makes a parsed LLM response unusable as a review result. Minor
+// issues (unknown severity, findings without a message) are fixed by normalizeResult
+// instead. Returns an empty list when the result is valid.
+function validateResult(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return ['Review result must be a JSON object'];
+  }
+
+  const problems = [];
+
+  const goalStatus = String(result.goal_status || '').toLowerCase();
+  if (!GOAL_STATUSES.includes(goalStatus)) {
+    problems.push(`Invalid goal_status "${result.goal_status}". Expected: ${GOAL_STATUSES.join(', ')}`);
+  }
+
+  if (result.score === null || result.score === undefined || result.score === '' || isNaN(Number(result.score))) {
+    problems.push(`Invalid score "${result.score}". Expected a number between 0 and 100`);
+  }
+
+  if (result.errors !== undefined && result.errors !== null && !Array.isArray(result.errors)) {
+    problems.push('"errors" must be an array of findings');
+  }
+
+  return problems;
+}
+
+// Validates the parsed LLM response and normalizes its findings. Throws when a
+// required field is missing or invalid.
+function normalizeResult(result) {
+  const problems = validateResult(result);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  const goalStatus = String(result.goal_status).toLowerCase();
+  const score = Number(result.score);
+  const errors = Array.isArray(result.errors) ? result.errors : [];
+
+  return {
+    ...result,
+    goal_status: goalStatus,
+    score: Math.min(100, Math.max(0, Math.round(score))),
+    errors: errors.map(normalizeFinding).filter(Boolean),
+    remarks: result.remarks === undefined || result.remarks === null ? '' : String(result.remarks)
+  };
+}
+
+function severityRank(severity) {
+  const rank = SEVERITIES.indexOf(severity);
+  return rank === -1 ? SEVERITIES.length : rank;
+}
+
+// Most severe first, then by file and line
+function sortFindings(findings) {
+  return findings.slice().sort((a, b) =>
+    severityRank(a.severity) - severityRank(b.severity) ||
+    String(a.file || '').localeCompare(String(b.file || '')) ||
+    (a.line || 0) - (b.line || 0)
+  );
+}
+
+module.exports = {
+  GOAL_STATUSES,
+  SEVERITIES,
+  CATEGORIES,
+  REVIEW_JSON_SCHEMA,
+  INCREMENTAL_REVIEW_JSON_SCHEMA,
+  validateResult,
+  normalizeFinding,
+  normalizeResult,
+  sortFindings
+};
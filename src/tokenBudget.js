@@ -0,0 +1,148 @@
+const { buildPrompt } = require('./promptBuilder');
+const { formatFileDiff } = require('./diffBuilder');
+
+// Context windows (tokens) by model name, without the provider prefix
+// ("openai/", "meta-llama/") or Ollama tag (":8b"). The first match wins, so
+// specific versions come before their family.
+const CONTEXT_WINDOWS = [
+  [/^gpt-5/, 400000],
+  [/^gpt-4\.1/, 1047576],
+  [/^gpt-4o/, 128000],
+  [/^gpt-4-turbo|^gpt-4-\d{4}-preview/, 128000],
+  [/^gpt-4-32k/, 32768],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5-turbo/, 16385],
+  [/^gpt-oss/, 131072],
+  [/^o[134](-|$)/, 200000],
+  [/^claude/, 200000],
+  [/^gemini-1\.0/, 32768],
+  [/^gemini/, 1048576],
+  [/^llama-?3\.[1-3]/, 131072],
+  [/^llama-?3/, 8192],
+  [/^llama-?2/, 4096],
+  [/^codellama/, 16384],
+  [/^mistral-(large|medium|small)/, 131072],
+  [/^(mistral|mixtral)/, 32768],
+  [/^(qwen2\.5|qwen3)/, 32768],
+  [/^deepseek/, 65536],
+  [/^gemma3/, 131072],
+  [/^gemma/, 8192],
+  [/^phi-?3/, 4096]
+];
+
+// Tokens kept for the review response when LLM_MAX_TOKENS is not set (at
+// most a quarter of small context windows)
+const DEFAULT_RESPONSE_TOKENS = 4096;
+
+// Share of the context window kept free for estimation errors
+const SAFETY_MARGIN = 0.1;
+
+// Below this, the diff would be too small for a meaningful review
+const MIN_DIFF_TOKENS = 500;
+
+// Rough BPE-style pieces: words, numbers, whitespace runs and symbol runs
+const TOKEN_PIECES = /[A-Za-z]+|\d+|\s+|[^\sA-Za-z\d]+/g;
+
+// Local token estimate, rather on the high side of the tokenizers of common
+// models for code and English text (about 3-3.5 chars per token). Common
+// words are one token and long ones one per 5 letters, numbers one per 3
+// digits, symbols one per 2, and line breaks one each (with their
+// indentation); a single space merges into the next word.
+function estimateTokens(text) {
+  let tokens = 0;
+  for (const [piece] of String(text || '').matchAll(TOKEN_PIECES)) {
+    if (/^[A-Za-z]/.test(piece)) {
+      tokens += piece.length <= 7 ? 1 : Math.ceil(piece.length / 5);
+    } else if (/^\d/.test(piece)) {
+      tokens += Math.ceil(piece.length / 3);
+    } else if (/^\s/.test(piece)) {
+      const lineBreaks = piece.split('\n').length - 1;
+      tokens += lineBreaks > 0 ? lineBreaks : Number(piece.length > 1);
+    } else {
+      tokens += Math.ceil(piece.length / 2);
+    }
+  }
+  return tokens;
+}
+
+// Context window of the model in tokens (LLM_CONTEXT_TOKENS overrides the
+// table), or null when unknown
+function getContextWindow(model, env = process.env) {
+  const override = parseInt(env.LLM_CONTEXT_TOKENS);
+  if (override > 0) {
+    return override;
+  }
+
+  const name = String(model || '').toLowerCase().split('/').pop().split(':')[0];
+  const entry = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(name));
+  return entry ? entry[1] : null;
+}
+
+// Tokens kept for the response: LLM_MAX_TOKENS, else the default capped to
+// a quarter of the context window
+function getResponseTokens(contextTokens, env) {
+  return parseInt(env.LLM_MAX_TOKENS) || Math.min(DEFAULT_RESPONSE_TOKENS, Math.floor(contextTokens / 4));
+}
+
+// Tokens a prompt may use with the model (the context window without the
+// response and the safety margin), or null when the context window is unknown
+function getPromptTokenLimit(model, env = process.env) {
+  const contextTokens = getContextWindow(model, env);
+  if (!contextTokens) {
+    return null;
+  }
+  return contextTokens - getResponseTokens(contextTokens, env) - Math.ceil(contextTokens * SAFETY_MARGIN);
+}
+
+// Splits the context window of the model between the prompt sections, the
+// response and the diff. promptArgs are the buildPrompt arguments (without
+// diffs); files are the per-file diffs. Returns null when the context window
+// of the model is unknown.
+function planDiffBudget({ model, promptArgs, files, env = process.env }) {
+  const contextTokens = getContextWindow(model, env);
+  if (!contextTokens) {
+    return null;
+  }
+
+  const sections = {
+    ticketScope: estimateTokens(promptArgs.ticketScope),
+    guidelines: estimateTokens(promptArgs.guidelines),
+    description: estimateTokens(promptArgs.description)
+  };
+  const promptTokens = estimateTokens(buildPrompt({ ...promptArgs, diffs: '' }));
+  sections.instructions = Math.max(0, promptTokens - sections.ticketScope - sections.guidelines - sections.description);
+
+  const responseTokens = getResponseTokens(contextTokens, env);
+  const marginTokens = Math.ceil(contextTokens * SAFETY_MARGIN);
+  const diffTokens = contextTokens - promptTokens - responseTokens - marginTokens;
+  if (diffTokens < MIN_DIFF_TOKENS) {
+    throw new Error(
+      `The prompt without the diff needs ~${promptTokens} tokens (ticket ${sections.ticketScope}, guidelines ${sections.guidelines}), ` +
+      `too much for the ${contextTokens}-token context window of ${model}. Use shorter guidelines or ticket, or a model with a larger context (LLM_CONTEXT_TOKENS)`
+    );
+  }
+
+  // The diff is cut by characters: convert with the chars/token ratio of this diff
+  const fullDiff = (files || []).map(formatFileDiff).join('\n');
+  const fullDiffTokens = estimateTokens(fullDiff);
+  const charsPerToken = fullDiffTokens > 0 ? fullDiff.length / fullDiffTokens : 4;
+
+  return {
+    contextTokens,
+    responseTokens,
+    marginTokens,
+    promptTokens,
+    sections,
+    diffTokens,
+    fullDiffTokens,
+    diffChars: Math.floor(diffTokens * charsPerToken)
+  };
+}
+
+module.exports = {
+  CONTEXT_WINDOWS,
+  estimateTokens,
+  getContextWindow,
+  getPromptTokenLimit,
+  planDiffBudget
+};
@@ -0,0 +1,70 @@
+const { estimateTokens, getContextWindow, getPromptTokenLimit, planDiffBudget } = require('./tokenBudget');
+
+const promptArgs = {
+  title: 'Add rate limiting',
+  description: 'Limits login attempts',
+  sourceBranch: 'feature/rate-limit',
+  targetBranch: 'main',
+  changedFiles: 1
+};
+
+const files = [{ path: 'src/login.js', diff: '@@ -1,2 +1,3 @@\n const a = 1;\n-return a;\n+return limit(a);\n' }];
+
+describe('tokenBudget', () => {
+  test('should estimate tokens on the high side of ~4 chars per token', () => {
+    const code = 'function add(a, b) {\n  return a + b;\n}\n';
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('hello world')).toBe(2);
+    expect(estimateTokens(code)).toBeGreaterThanOrEqual(Math.ceil(code.length / 4));
+    expect(estimateTokens(code)).toBeLessThanOrEqual(code.length / 2);
+  });
+
+  test.each([
+    ['gpt-4o-mini', 128000],
+    ['openai/gpt-4', 8192],
+    ['claude-sonnet-4-5', 200000],
+    ['gemini-2.5-pro', 1048576],
+    ['llama3.1:8b', 131072],
+    ['llama3:8b', 8192],
+    ['meta-llama/llama-3.3-70b-instruct', 131072],
+    ['openai/gpt-oss-120b:exacto', 131072],
+    ['my-finetune', null]
+  ])('getContextWindow(%s) -> %s', (model, expected) => {
+    expect(getContextWindow(model, {})).toBe(expected);
+  });
+
+  test('should let LLM_CONTEXT_TOKENS override the table', () => {
+    expect(getContextWindow('llama3.1:8b', { LLM_CONTEXT_TOKENS: '16384' })).toBe(16384);
+    expect(getContextWindow('my-finetune', { LLM_CONTEXT_TOKENS: '32000' })).toBe(32000);
+  });
+
+  test('should give the diff what the prompt sections, response and margin leave', () => {
+    const guidelines = 'Use early returns. '.repeat(200);
+    const budget = planDiffBudget({ model: 'gpt-4', promptArgs: { ...promptArgs, guidelines }, files, env: {} });
+
+    expect(budget.contextTokens).toBe(8192);
+    expect(budget.responseTokens).toBe(2048);
+    expect(budget.sections.guidelines).toBe(estimateTokens(guidelines));
+    expect(budget.sections.instructions).toBeGreaterThan(0);
+    expect(budget.diffTokens).toBe(8192 - budget.promptTokens - 2048 - 820);
+    expect(budget.diffChars).toBeGreaterThan(budget.diffTokens);
+
+    const larger = planDiffBudget({ model: 'gpt-4o', promptArgs, files, env: { LLM_MAX_TOKENS: '8000' } });
+    expect(larger.responseTokens).toBe(8000);
+    expect(larger.diffTokens).toBeGreaterThan(100000);
+  });
+
+  test('should give prompts the context window without the response and margin', () => {
+    expect(getPromptTokenLimit('gpt-4', {})).toBe(8192 - 2048 - 820);
+    expect(getPromptTokenLimit('gpt-4o', { LLM_MAX_TOKENS: '8000' })).toBe(128000 - 8000 - 12800);
+    expect(getPromptTokenLimit('my-finetune', {})).toBeNull();
+  });
+
+  test('should return null for unknown models and fail when the prompt leaves no room', () => {
+    expect(planDiffBudget({ model: 'my-finetune', promptArgs, files, env: {} })).toBeNull();
+
+    const ticketScope = 'The login must be rate limited. '.repeat(300);
+    expect(() => planDiffBudget({ model: 'llama2:7b', promptArgs: { ...promptArgs, ticketScope }, files, env: {} }))
+      .toThrow('too much for the 4096-token context window of llama2:7b');
+  });
+});
@@ -0,0 +1,270 @@
+const http = require('http');
+const crypto = require('crypto');
+const { parseForgeHosts, getHost } = require('./forgeHosts');
+const { runReviewProcess, GATE_EXIT_CODES } = require('./reviewProcess');
+const { log } = require('./logger');
+
+// `mr-pilot serve`: reviews MRs/PRs when GitLab merge request hooks or GitHub
+// pull_request webhooks report that they were opened or pushed to. Each
+// review runs the CLI (index.js <url> --comment) in a child process.
+
+// GitLab MR hooks carry the commit list, so allow a few MB
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const GITLAB_ACTIONS = ['open', 'reopen', 'update'];
+const GITHUB_ACTIONS = ['opened', 'reopened', 'synchronize', 'ready_for_review'];
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function safeEqual(actual, expected) {
+  const left = Buffer.from(String(actual || ''));
+  const right = Buffer.from(String(expected));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Hosts whose MRs/PRs are reviewed for a platform: the public instance, the
+// GITLAB_API / GITHUB_API host and FORGE_HOSTS entries. The URL comes from
+// the payload, and the platform token is sent to its host.
+function getTrustedHosts(platform, env) {
+  const hosts = new Set([platform === 'github' ? 'github.com' : 'gitlab.com']);
+  const apiHost = getHost(platform === 'github' ? env.GITHUB_API : env.GITLAB_API);
+  if (apiHost && apiHost !== 'api.github.com') {
+    hosts.add(apiHost);
+  }
+  parseForgeHosts(env.FORGE_HOSTS).forEach((hostPlatform, host) => {
+    if (hostPlatform === platform) {
+      hosts.add(host);
+    }
+  });
+  return hosts;
+}
+
+function parseJson(rawBody) {
+  try {
+    return JSON.parse(rawBody);
+  } catch (error) {
+    throw httpError(400, `Invalid JSON payload: ${error.message}`);
+  }
+}
+
+// Returns { platform, url, headSha } when the webhook asks for a review, or
+// null for other events (comments, label changes, closed MRs...). Throws an
+// error with a statusCode when the request is not accepted.
+function parseWebhookEvent(headers, rawBody, env = process.env) {
+  let event;
+
+  if (headers['x-gitlab-event']) {
+    if (!env.GITLAB_WEBHOOK_SECRET) {
+      throw httpError(401, 'GitLab webhooks are not accepted: GITLAB_WEBHOOK_SECRET is not set');
+    }
+    if (!safeEqual(headers['x-gitlab-token'], env.GITLAB_WEBHOOK_SECRET)) {
+      throw httpError(401, 'Invalid X-Gitlab-Token');
+    }
+
+    const payload = parseJson(rawBody);
+    const mr = payload.object_attributes || {};
+    if (payload.object_kind !== 'merge_request' || !GITLAB_ACTIONS.includes(mr.action) || mr.state !== 'opened') {
+      return null;
+    }
+    // "update" is also sent for title, label or assignee changes: only new
+    // commits (oldrev) need a review
+    if (mr.action === 'update' && !mr.oldrev) {
+      return null;
+    }
+    event = { platform: 'gitlab', url: mr.url, headSha: mr.last_commit && mr.last_commit.id };
+  } else if (headers['x-github-event']) {
+    if (!env.GITHUB_WEBHOOK_SECRET) {
+      throw httpError(401, 'GitHub webhooks are not accepted: GITHUB_WEBHOOK_SECRET is not set');
+    }
+    const signature = `sha256=${crypto.createHmac('sha256', env.GITHUB_WEBHOOK_SECRET).update(rawBody).digest('hex')}`;
+    if (!safeEqual(headers['x-hub-signature-256'], signature)) {
+      throw httpError(401, 'Invalid X-Hub-Signature-256');
+    }
+
+    const payload = parseJson(rawBody);
+    const pr = payload.pull_request || {};
+    if (headers['x-github-event'] !== 'pull_request' || !GITHUB_ACTIONS.includes(payload.action) || pr.state !== 'open') {
+      return null;
+    }
+    event = { platform: 'github', url: pr.html_url, headSha: pr.head && pr.head.sha };
+  } else {
+    throw httpError(400, 'Unknown webhook: expected a GitLab merge request hook or a GitHub pull_request event');
+  }
+
+  if (!/^https?:\/\//i.test(event.url || '')) {
+    throw httpError(400, 'The webhook payload has no MR/PR URL');
+  }
+  if (!getTrustedHosts(event.platform, env).has(getHost(event.url))) {
+    throw httpError(403, `${getHost(event.url)} is not a configured ${event.platform} host (GITLAB_API, GITHUB_API or FORGE_HOSTS)`);
+  }
+  return event;
+}
+
+// Debounces events per MR/PR, so a burst of pushes gives one review of the
+// last one, and runs at most `concurrency` reviews at a time. An MR pushed to
+// while it is reviewed is reviewed again afterwards.
+function createReviewQueue({ runReview, concurrency = 2, debounceMs = 30000 }) {
+  const timers = new Map();
+  const queued = [];
+  const running = new Set();
+  const rerun = new Set();
+
+  function next() {
+    while (running.size < concurrency && queued.length > 0) {
+      const url = queued.shift();
+      running.add(url);
+      Promise.resolve()
+        .then(() => runReview(url))
+        .catch((error) => log(`❌ Review of ${url} failed: ${error.message}`))
+        .then(() => {
+          running.delete(url);
+          if (rerun.delete(url)) {
+            enqueue(url);
+          }
+          next();
+        });
+    }
+  }
+
+  function enqueue(url) {
+    if (running.has(url)) {
+      rerun.add(url);
+    } else if (!queued.includes(url)) {
+      queued.push(url);
+    }
+    next();
+  }
+
+  function schedule(url) {
+    clearTimeout(timers.get(url));
+    timers.set(url, setTimeout(() => {
+      timers.delete(url);
+      enqueue(url);
+    }, debounceMs));
+  }
+
+  function close() {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+    queued.length = 0;
+  }
+
+  return {
+    schedule,
+    close,
+    stats: () => ({ waiting: timers.size, queued: queued.length, running: running.size })
+  };
+}
+
+// Reviews one MR/PR and posts the comment, with the output prefixed by the URL
+async function spawnReview(url, reviewArgs = []) {
+  log(`▶️  Reviewing ${url}`);
+  const { code, errorMessage } = await runReviewProcess(url, ['--comment', ...reviewArgs], {
+    onLine: (line) => log(`[${url}] ${line}`)
+  });
+
+  if (code === 0) {
+    log(`✓ Reviewed ${url}`);
+  } else if (GATE_EXIT_CODES.includes(code)) {
+    log(`✓ Reviewed ${url} (quality gate failed, exit code ${code})`);
+  } else {
+    throw new Error(errorMessage || `exit code ${code}`);
+  }
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // Keep reading (and dropping) the rest, so the 413 response is delivered
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Payload too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+// POST /webhook receives the events, GET /health reports the queue
+function createWebhookServer({ queue, env = process.env }) {
+  return http.createServer((req, res) => {
+    const route = (req.url || '').split('?')[0];
+
+    if (req.method === 'GET' && route === '/health') {
+      sendJson(res, 200, { status: 'ok', ...queue.stats() });
+      return;
+    }
+    if (req.method !== 'POST' || route !== '/webhook') {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    readBody(req)
+      .then((rawBody) => {
+        const event = parseWebhookEvent(req.headers, rawBody, env);
+        if (!event) {
+          sendJson(res, 200, { status: 'ignored' });
+          return;
+        }
+        log(`📥 ${event.platform} event for ${event.url}${event.headSha ? ` at ${event.headSha.substring(0, 8)}` : ''}`);
+        queue.schedule(event.url);
+        sendJson(res, 202, { status: 'scheduled', url: event.url });
+      })
+      .catch((error) => {
+        if (!error.statusCode) {
+          log(`❌ Webhook error: ${error.message}`);
+        }
+        sendJson(res, error.statusCode || 500, { error: error.message });
+      });
+  });
+}
+
+// Starts the server; reviewArgs are passed to every review (e.g. --repo-guidelines)
+function startServer({ port = 3000, host, concurrency = 2, debounceMs = 30000, reviewArgs = [], env = process.env }) {
+  if (!env.GITLAB_WEBHOOK_SECRET && !env.GITHUB_WEBHOOK_SECRET) {
+    throw new Error('Set GITLAB_WEBHOOK_SECRET and/or GITHUB_WEBHOOK_SECRET to accept webhooks');
+  }
+
+  const queue = createReviewQueue({
+    concurrency,
+    debounceMs,
+    runReview: (url) => spawnReview(url, reviewArgs)
+  });
+  const server = createWebhookServer({ queue, env });
+
+  const shutdown = () => {
+    log('Stopping webhook server...');
+    queue.close();
+    server.close(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  server.listen(port, host, () => {
+    const platforms = [env.GITLAB_WEBHOOK_SECRET && 'GitLab', env.GITHUB_WEBHOOK_SECRET && 'GitHub'].filter(Boolean);
+    log(`✓ Listening for ${platforms.join(' and ')} webhooks on port ${server.address().port} (POST /webhook)`);
+    log(`  Reviews start ${Math.round(debounceMs / 1000)}s after the last push, ${concurrency} at a time\n`);
+  });
+  return server;
+}
+
+module.exports = {
+  parseWebhookEvent,
+  createReviewQueue,
+  createWebhookServer,
+  startServer
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const http = require('http');
+const { parseWebhookEvent, createReviewQueue, createWebhookServer } = require('./webhookServer');
+
+const env = {
+  GITLAB_WEBHOOK_SECRET: 'gitlab-secret',
+  GITHUB_WEBHOOK_SECRET: 'github-secret',
+  GITLAB_API: 'https://code.corp/api/v4'
+};
+
+function gitlabHook(attributes, token = 'gitlab-secret') {
+  return {
+    headers: { 'x-gitlab-event': 'Merge Request Hook', 'x-gitlab-token': token },
+    body: JSON.stringify({
+      object_kind: 'merge_request',
+      object_attributes: {
+        action: 'open',
+        state: 'opened',
+        url: 'https://code.corp/group/app/-/merge_requests/7',
+        last_commit: { id: 'abc123def456' },
+        ...attributes
+      }
+    })
+  };
+}
+
+function githubHook(payload, event = 'pull_request', secret = 'github-secret') {
+  const body = JSON.stringify({
+    action: 'synchronize',
+    pull_request: { state: 'open', html_url: 'https://github.com/owner/repo/pull/3', head: { sha: 'fff000' } },
+    ...payload
+  });
+  const signature = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  return { headers: { 'x-github-event': event, 'x-hub-signature-256': signature }, body };
+}
+
+describe('webhookServer', () => {
+  describe('parseWebhookEvent', () => {
+    test('should accept GitLab MR hooks with the secret token', () => {
+      const { headers, body } = gitlabHook();
+      expect(parseWebhookEvent(headers, body, env)).toEqual({
+        platform: 'gitlab',
+        url: 'https://code.corp/group/app/-/merge_requests/7',
+        headSha: 'abc123def456'
+      });
+    });
+
+    test('should only review GitLab updates that push commits', () => {
+      const retitled = gitlabHook({ action: 'update' });
+      const pushed = gitlabHook({ action: 'update', oldrev: '0123abc' });
+      const merged = gitlabHook({ action: 'merge', state: 'merged' });
+
+      expect(parseWebhookEvent(retitled.headers, retitled.body, env)).toBeNull();
+      expect(parseWebhookEvent(pushed.headers, pushed.body, env)).not.toBeNull();
+      expect(parseWebhookEvent(merged.headers, merged.body, env)).toBeNull();
+    });
+
+    test('should reject a wrong GitLab token or a missing secret', () => {
+      const { headers, body } = gitlabHook({}, 'guess');
+      expect(() => parseWebhookEvent(headers, body, env)).toThrow('Invalid X-Gitlab-Token');
+
+      const valid = gitlabHook();
+      expect(() => parseWebhookEvent(valid.headers, valid.body, { GITHUB_WEBHOOK_SECRET: 'x' }))
+        .toThrow('GITLAB_WEBHOOK_SECRET is not set');
+    });
+
+    test('should verify the GitHub HMAC signature', () => {
+      const { headers, body } = githubHook();
+      expect(parseWebhookEvent(headers, body, env)).toEqual({
+        platform: 'github',
+        url: 'https://github.com/owner/repo/pull/3',
+        headSha: 'fff000'
+      });
+
+      const forged = githubHook({}, 'pull_request', 'wrong-secret');
+      expect(() => parseWebhookEvent(forged.headers, forged.body, env)).toThrow('Invalid X-Hub-Signature-256');
+      expect(() => parseWebhookEvent(headers, body.replace('pull/3', 'pull/4'), env)).toThrow('Invalid X-Hub-Signature-256');
+    });
+
+    test('should ignore other GitHub events and actions', () => {
+      const ping = githubHook({}, 'ping');
+      const labeled = githubHook({ action: 'labeled' });
+
+      expect(parseWebhookEvent(ping.headers, ping.body, env)).toBeNull();
+      expect(parseWebhookEvent(labeled.headers, labeled.body, env)).toBeNull();
+    });
+
+    test('should refuse MR URLs on hosts that are not configured', () => {
+      const { headers, body } = gitlabHook({ url: 'https://evil.example/group/app/-/merge_requests/7' });
+      expect(() => parseWebhookEvent(headers, body, env)).toThrow('evil.example is not a configured gitlab host');
+
+      const mapped = gitlabHook({ url: 'https://review.corp/group/app/-/merge_requests/7' });
+      expect(parseWebhookEvent(mapped.headers, mapped.body, { ...env, FORGE_HOSTS: 'review.corp=gitlab' })).not.toBeNull();
+    });
+
+    test('should reject unknown webhooks', () => {
+      expect(() => parseWebhookEvent({}, '{}', env)).toThrow('Unknown webhook');
+    });
+  });
+
+  describe('createReviewQueue', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should debounce pushes and limit concurrent reviews', async () => {
+      const finishers = [];
+      const runReview = jest.fn(() => new Promise((resolve) => finishers.push(resolve)));
+      const queue = createReviewQueue({ runReview, concurrency: 1, debounceMs: 1000 });
+
+      queue.schedule('mr-1');
+      jest.advanceTimersByTime(500);
+      queue.schedule('mr-1');
+      queue.schedule('mr-2');
+      jest.advanceTimersByTime(999);
+      expect(runReview).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      await Promise.resolve();
+      expect(runReview.mock.calls).toEqual([['mr-1']]);
+      expect(queue.stats()).toEqual({ waiting: 0, queued: 1, running: 1 });
+
+      finishers[0]();
+      await new Promise(jest.requireActual('timers').setImmediate);
+      expect(runReview.mock.calls).toEqual([['mr-1'], ['mr-2']]);
+    });
+
+    test('should review an MR again when it is pushed to during its review', async () => {
+      const finishers = [];
+      const runReview = jest.fn(() => new Promise((resolve) => finishers.push(resolve)));
+      const queue = createReviewQueue({ runReview, concurrency: 2, debounceMs: 10 });
+
+      queue.schedule('mr-1');
+      jest.advanceTimersByTime(10);
+      await Promise.resolve();
+      queue.schedule('mr-1');
+      jest.advanceTimersByTime(10);
+      await Promise.resolve();
+      expect(runReview).toHaveBeenCalledTimes(1);
+
+      finishers[0]();
+      await new Promise(jest.requireActual('timers').setImmediate);
+      expect(runReview).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('createWebhookServer', () => {
+    let server;
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    function request(method, path, { headers = {}, body = '' } = {}) {
+      return new Promise((resolve, reject) => {
+        const req = http.request(
+          { method, path, port: server.address().port, host: '127.0.0.1', headers },
+          (res) => {
+            let data = '';
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+          }
+        );
+        req.on('error', reject);
+        req.end(body);
+      });
+    }
+
+    test('should schedule accepted events and answer errors with their status', async () => {
+      const queue = { schedule: jest.fn(), stats: () => ({ waiting: 1, queued: 0, running: 0 }) };
+      server = createWebhookServer({ queue, env });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const hook = gitlabHook();
+      const accepted = await request('POST', '/webhook', hook);
+      const forged = await request('POST', '/webhook', gitlabHook({}, 'guess'));
+      const health = await request('GET', '/health');
+      const missing = await request('GET', '/');
+
+      logSpy.mockRestore();
+      expect(accepted).toEqual({ status: 202, body: { status: 'scheduled', url: 'https://code.corp/group/app/-/merge_requests/7' } });
+      expect(queue.schedule).toHaveBeenCalledWith('https://code.corp/group/app/-/merge_requests/7');
+      expect(forged.status).toBe(401);
+      expect(health.body).toEqual({ status: 'ok', waiting: 1, queued: 0, running: 0 });
+      expect(missing.status).toBe(404);
+    });
+  });
+});